@@ -0,0 +1,92 @@
+import { render, screen, act, fireEvent } from '@testing-library/react';
+import OptionsFlowClient from './OptionsFlowClient.jsx';
+import { fixtureMessage } from './test/fixtures.js';
+
+class FakeSocket {
+  static OPEN = 1;
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.readyState = 0;
+    FakeSocket.instances.push(this);
+  }
+
+  send() {}
+
+  close() {
+    this.readyState = 3;
+    this.onclose?.();
+  }
+}
+
+beforeEach(() => {
+  FakeSocket.instances = [];
+  vi.stubGlobal('WebSocket', FakeSocket);
+  localStorage.clear();
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  window.history.replaceState(null, '', '/');
+});
+
+test('renders the monitor and connects to the default server', () => {
+  render(<OptionsFlowClient />);
+  expect(screen.getByText('Options Flow Monitor')).toBeInTheDocument();
+  expect(FakeSocket.instances.at(-1).url).toBe('ws://localhost:3000/ws');
+});
+
+// snapshots from the flow pipeline are throttled, so the card shows up on the next tick
+test('shows a trade pushed by the socket', async () => {
+  render(<OptionsFlowClient />);
+  const socket = FakeSocket.instances.at(-1);
+  act(() => {
+    socket.readyState = FakeSocket.OPEN;
+    socket.onopen();
+    socket.onmessage({ data: JSON.stringify(fixtureMessage('CALL').msg) });
+  });
+  expect(await screen.findByText('SPY CALL $580')).toBeInTheDocument();
+});
+
+test('restores the saved workspace layout with its panels side by side', () => {
+  localStorage.setItem('optionsFlow.workspace', JSON.stringify({
+    active: 'Wide',
+    layouts: {
+      Wide: {
+        columns: [
+          { id: 'c1', size: 0.5, panels: [{ id: 'main', view: 'stream', filter: 'symbol = SPY' }] },
+          { id: 'c2', size: 0.5, panels: [{ id: 'p2', view: 'stats' }] },
+        ],
+      },
+    },
+  }));
+  render(<OptionsFlowClient />);
+  expect(screen.getByDisplayValue('Wide')).toBeInTheDocument();
+  expect(screen.getByDisplayValue('symbol = SPY')).toBeInTheDocument();
+  expect(screen.getByText('No trades yet. Waiting for options flow...')).toBeInTheDocument();
+  expect(screen.getByText('No statistics available yet. Start trading to see stats.')).toBeInTheDocument();
+});
+
+test('a ticker link opens that symbol\'s page, and Workspace goes back', async () => {
+  // jsdom has no canvas; the delta chart draws nothing
+  const getContext = vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(null);
+  window.location.hash = '#/ticker/SPY';
+  render(<OptionsFlowClient />);
+  const socket = FakeSocket.instances.at(-1);
+  act(() => {
+    socket.readyState = FakeSocket.OPEN;
+    socket.onopen();
+    socket.onmessage({ data: JSON.stringify(fixtureMessage('CALL').msg) });
+  });
+  expect(screen.getByRole('heading', { name: 'SPY' })).toBeInTheDocument();
+  // the sweep and the open BTO auto-trade
+  expect(await screen.findByText('Recent sweeps & blocks')).toBeInTheDocument();
+  expect(await screen.findByText('AUTO-TRADE')).toBeInTheDocument();
+  expect(screen.queryByText('No sweeps or blocks in memory.')).not.toBeInTheDocument();
+
+  fireEvent.click(screen.getByTitle('Back to the workspace'));
+  expect(window.location.hash).toBe('');
+  expect(screen.queryByRole('heading', { name: 'SPY' })).not.toBeInTheDocument();
+  getContext.mockRestore();
+});
@@ -0,0 +1,244 @@
+import React, { useState } from 'react';
+import { Bell, BellOff, Check, CheckCheck, Plus, Trash2, Volume2 } from 'lucide-react';
+import {
+  ALERT_SOUNDS,
+  ALERT_STANCES,
+  createAlertRule,
+  describeAlertRule,
+  isSnoozed,
+  normalizeAlertRule,
+} from '../lib/alertRules.js';
+import { compileFilter } from '../lib/filterQuery.js';
+import { DELTA_WINDOWS } from '../lib/deltaAggregator.js';
+import { playAlertSound } from '../lib/alertSound.js';
+
+const inputClass =
+  'px-2 py-1 bg-gray-800 border border-gray-700 rounded text-white focus:outline-none focus:border-blue-500';
+
+const SNOOZE_OPTIONS = [
+  { label: '15m', ms: 15 * 60_000 },
+  { label: '1h', ms: 60 * 60_000 },
+  { label: '4h', ms: 4 * 60 * 60_000 },
+];
+
+const fmtTime = (t) => new Date(t).toLocaleTimeString();
+
+// Text field that commits on blur / Enter (a half-typed query shouldn't go live)
+const CommitInput = ({ value, onCommit, className, ...rest }) => {
+  const [draft, setDraft] = useState(null);
+  const commit = () => {
+    if (draft !== null && draft !== value) onCommit(draft);
+    setDraft(null);
+  };
+  return (
+    <input
+      type="text"
+      value={draft ?? value}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => e.key === 'Enter' && commit()}
+      className={className}
+      {...rest}
+    />
+  );
+};
+
+const AlertRuleRow = ({ rule, onChange, onDelete, onSnooze }) => {
+  const update = (fields) => onChange(normalizeAlertRule({ ...rule, ...fields }));
+  const queryError = rule.kind === 'trade' ? compileFilter(rule.query).error : null;
+  const snoozed = isSnoozed(rule);
+
+  return (
+    <div className={`p-3 rounded border ${rule.enabled ? 'border-gray-700 bg-gray-900' : 'border-gray-800 bg-gray-950 opacity-70'}`}>
+      <div className="flex flex-wrap items-center gap-2">
+        <input
+          type="checkbox"
+          checked={rule.enabled}
+          onChange={(e) => update({ enabled: e.target.checked })}
+          title="Enabled"
+        />
+        <CommitInput value={rule.name} onCommit={(name) => update({ name })} className={`${inputClass} w-56 font-semibold`} />
+        <span className="text-xs px-2 py-0.5 rounded bg-gray-800 text-gray-400">
+          {rule.kind === 'trade' ? 'Trade match' : 'Delta flip'}
+        </span>
+
+        <div className="ml-auto flex items-center gap-2">
+          <select value={rule.sound} onChange={(e) => update({ sound: e.target.value })} className={inputClass}>
+            {ALERT_SOUNDS.map(s => <option key={s} value={s}>{s === 'none' ? 'No sound' : s}</option>)}
+          </select>
+          <button
+            onClick={() => playAlertSound(rule.sound)}
+            disabled={rule.sound === 'none'}
+            title="Preview sound"
+            className="p-1 rounded hover:bg-gray-800 disabled:opacity-40"
+          >
+            <Volume2 className="w-4 h-4" />
+          </button>
+          <label className="flex items-center gap-1 text-xs text-gray-400">
+            <input type="checkbox" checked={rule.notify} onChange={(e) => update({ notify: e.target.checked })} />
+            Desktop
+          </label>
+          {snoozed ? (
+            <button onClick={() => onSnooze(rule.id, 0)} className="text-xs text-yellow-400 hover:underline">
+              snoozed until {fmtTime(rule.snoozedUntil)} · wake
+            </button>
+          ) : (
+            <span className="flex items-center gap-1 text-xs text-gray-500">
+              <BellOff className="w-3 h-3" />
+              {SNOOZE_OPTIONS.map(o => (
+                <button key={o.label} onClick={() => onSnooze(rule.id, o.ms)} className="hover:text-white">
+                  {o.label}
+                </button>
+              ))}
+            </span>
+          )}
+          <button onClick={onDelete} title="Delete rule" className="p-1 rounded hover:bg-red-800">
+            <Trash2 className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      <div className="mt-2 flex flex-wrap items-center gap-2 text-sm">
+        {rule.kind === 'trade' ? (
+          <>
+            <CommitInput
+              value={rule.query}
+              onCommit={(query) => update({ query })}
+              placeholder="classification = SWEEP and symbol = SPY and premium >= 1m"
+              spellCheck={false}
+              className={`${inputClass} flex-1 min-w-[320px] font-mono ${queryError ? 'border-red-600' : ''}`}
+            />
+            {queryError && (
+              <span className="text-xs text-red-400">
+                {queryError.message} (at {queryError.position + 1}) – rule is inactive
+              </span>
+            )}
+          </>
+        ) : (
+          <>
+            <CommitInput
+              value={rule.symbol}
+              onCommit={(symbol) => update({ symbol })}
+              placeholder="Symbol (empty = overall)"
+              className={`${inputClass} w-44`}
+            />
+            <span className="text-gray-500">net delta</span>
+            <select value={rule.from} onChange={(e) => update({ from: e.target.value })} className={inputClass}>
+              {ALERT_STANCES.map(s => <option key={s} value={s}>{s}</option>)}
+            </select>
+            <span className="text-gray-500">→</span>
+            <select value={rule.to} onChange={(e) => update({ to: e.target.value })} className={inputClass}>
+              {ALERT_STANCES.map(s => <option key={s} value={s}>{s}</option>)}
+            </select>
+            <span className="text-gray-500">over</span>
+            <select value={rule.window} onChange={(e) => update({ window: e.target.value })} className={inputClass}>
+              {DELTA_WINDOWS.map(w => <option key={w.id} value={w.id}>{w.label}</option>)}
+            </select>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Alerts tab: rule editor on top, alert log (newest first) below.
+// alerts: the useAlerts() object
+const AlertsView = ({ alerts }) => {
+  const { rules, log, permission } = alerts;
+
+  const replaceRule = (next) => alerts.setRules(prev => prev.map(r => (r.id === next.id ? next : r)));
+  const deleteRule = (id) => alerts.setRules(prev => prev.filter(r => r.id !== id));
+  const addRule = (kind) => alerts.setRules(prev => [...prev, createAlertRule(kind)]);
+
+  return (
+    <div className="space-y-6">
+      <section className="space-y-2">
+        <div className="flex flex-wrap items-center gap-2">
+          <h2 className="text-lg font-bold mr-2">Rules</h2>
+          <button onClick={() => addRule('trade')} className="flex items-center gap-1 px-3 py-1 rounded bg-gray-700 hover:bg-gray-600 text-sm">
+            <Plus className="w-4 h-4" /> Trade rule
+          </button>
+          <button onClick={() => addRule('deltaFlip')} className="flex items-center gap-1 px-3 py-1 rounded bg-gray-700 hover:bg-gray-600 text-sm">
+            <Plus className="w-4 h-4" /> Delta flip rule
+          </button>
+          <span className="ml-auto text-xs text-gray-500">
+            {permission === 'granted' && 'Desktop notifications on'}
+            {permission === 'denied' && 'Desktop notifications blocked in browser settings'}
+            {permission === 'unsupported' && 'Desktop notifications not supported'}
+            {permission === 'default' && (
+              <button onClick={alerts.requestNotifications} className="flex items-center gap-1 text-blue-400 hover:underline">
+                <Bell className="w-3 h-3" /> Enable desktop notifications
+              </button>
+            )}
+          </span>
+        </div>
+        <div className="text-xs text-gray-500">
+          Trade rules use the filter syntax (e.g. <span className="font-mono">volumeMultiple &gt; 5</span>). Rules run on the live feed only.
+        </div>
+        {rules.length === 0 && <div className="text-gray-500 text-sm">No rules yet</div>}
+        {rules.map(rule => (
+          <AlertRuleRow
+            key={rule.id}
+            rule={rule}
+            onChange={replaceRule}
+            onDelete={() => deleteRule(rule.id)}
+            onSnooze={alerts.snooze}
+          />
+        ))}
+      </section>
+
+      <section className="space-y-2">
+        <div className="flex items-center gap-2">
+          <h2 className="text-lg font-bold mr-2">Alert log</h2>
+          <button
+            onClick={alerts.acknowledgeAll}
+            disabled={!alerts.unacknowledged}
+            className="flex items-center gap-1 px-3 py-1 rounded bg-gray-700 hover:bg-gray-600 text-sm disabled:opacity-40"
+          >
+            <CheckCheck className="w-4 h-4" /> Acknowledge all
+          </button>
+          <button onClick={alerts.clearLog} disabled={!log.length} className="px-3 py-1 rounded bg-gray-700 hover:bg-gray-600 text-sm disabled:opacity-40">
+            Clear log
+          </button>
+        </div>
+        {log.length === 0 ? (
+          <div className="text-center py-8 text-gray-500">No alerts yet</div>
+        ) : (
+          log.map(alert => {
+            const rule = rules.find(r => r.id === alert.ruleId);
+            return (
+              <div
+                key={alert.id}
+                className={`flex items-center gap-3 px-3 py-2 rounded border text-sm ${
+                  alert.acknowledged ? 'border-gray-800 bg-gray-900 text-gray-500' : 'border-yellow-700 bg-yellow-950/30'
+                }`}
+              >
+                <span className="font-mono text-xs w-20">{fmtTime(alert.t)}</span>
+                <span className="font-semibold w-56 truncate" title={rule ? describeAlertRule(rule) : undefined}>
+                  {alert.ruleName}
+                </span>
+                <span className="flex-1 truncate">{alert.message}</span>
+                {!alert.acknowledged && (
+                  <button onClick={() => alerts.acknowledge(alert.id)} title="Acknowledge" className="p-1 rounded hover:bg-gray-800">
+                    <Check className="w-4 h-4" />
+                  </button>
+                )}
+                {rule && !isSnoozed(rule) && (
+                  <button
+                    onClick={() => alerts.snooze(rule.id, SNOOZE_OPTIONS[0].ms)}
+                    title="Snooze this rule for 15 minutes"
+                    className="p-1 rounded hover:bg-gray-800"
+                  >
+                    <BellOff className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+            );
+          })
+        )}
+      </section>
+    </div>
+  );
+};
+
+export default AlertsView;
@@ -0,0 +1,26 @@
+import React from 'react';
+import { Archive } from 'lucide-react';
+
+// Bottom of a virtualized list: pages older rows in from the IndexedDB history archive
+const ArchiveFooter = ({ archive }) => {
+  if (archive.exhausted) {
+    return archive.rows.length > 0 ? (
+      <div className="py-3 text-center text-xs text-gray-500">Start of archived history</div>
+    ) : null;
+  }
+
+  return (
+    <div className="py-3 text-center">
+      <button
+        onClick={archive.loadOlder}
+        disabled={archive.loading}
+        className="inline-flex items-center gap-2 px-3 py-2 text-sm rounded bg-gray-800 hover:bg-gray-700 disabled:opacity-50"
+      >
+        <Archive className="w-4 h-4" />
+        {archive.loading ? 'Loading…' : 'Load older from archive'}
+      </button>
+    </div>
+  );
+};
+
+export default ArchiveFooter;
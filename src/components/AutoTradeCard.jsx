@@ -0,0 +1,73 @@
+import React, { memo } from 'react';
+import { useQuote } from '../hooks/useQuotes.js';
+import { calculatePnL, markPrice } from '../lib/flowMath.js';
+import { formatPremium } from '../lib/format.js';
+
+const AutoTradeCard = memo(({ trade, onSelect, onFollow }) => {
+  const quote = useQuote(trade.conid);
+  const currentPrice = markPrice(trade, quote);
+  const { dollarPnL, percentPnL } = calculatePnL(trade, currentPrice);
+  const pnlColor = dollarPnL >= 0 ? 'text-green-400' : 'text-red-400';
+
+  return (
+    <div
+      onClick={() => onSelect?.(trade)}
+      className="p-4 bg-yellow-900/20 rounded-lg border-2 border-yellow-500 cursor-pointer hover:bg-yellow-900/30"
+    >
+      <div className="flex items-center justify-between mb-3">
+        <div className="flex items-center gap-3">
+          <span className="px-3 py-1 bg-yellow-600 text-white font-bold rounded">
+            AUTO-TRADE
+          </span>
+          <div className="text-2xl font-bold">
+            {trade.symbol} {trade.type} ${trade.strike}
+          </div>
+          {onFollow && (
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                onFollow(trade);
+              }}
+              className="px-3 py-1 text-xs font-semibold rounded bg-blue-700 hover:bg-blue-600"
+              title="Open a paper position on this contract"
+            >
+              Follow
+            </button>
+          )}
+        </div>
+
+        <div className="text-right">
+          <div className={`text-2xl font-bold ${pnlColor}`}>
+            {percentPnL >= 0 ? '+' : ''}{percentPnL.toFixed(2)}%
+          </div>
+          <div className={`text-sm ${pnlColor}`}>
+            {dollarPnL >= 0 ? '+' : ''}${dollarPnL.toFixed(0)}
+          </div>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-4 gap-4 text-sm">
+        <div>
+          <div className="text-gray-500">Entry</div>
+          <div className="font-semibold">${trade.optionPrice?.toFixed(2)}</div>
+        </div>
+        <div>
+          <div className="text-gray-500">Current</div>
+          <div className="font-semibold text-cyan-400">
+            ${currentPrice?.toFixed(2)}
+          </div>
+        </div>
+        <div>
+          <div className="text-gray-500">Contracts</div>
+          <div className="font-semibold">{trade.size}</div>
+        </div>
+        <div>
+          <div className="text-gray-500">Premium</div>
+          <div className="font-semibold">{formatPremium(trade.premium)}</div>
+        </div>
+      </div>
+    </div>
+  );
+});
+
+export default AutoTradeCard;
@@ -0,0 +1,82 @@
+import React, { useEffect } from 'react';
+import TimeSeriesChart from './TimeSeriesChart.jsx';
+
+const selectClass =
+  'px-3 py-2 bg-gray-800 border border-gray-700 rounded text-white focus:outline-none focus:border-blue-500';
+
+const PRICE = { key: 'price', label: 'Underlying', color: '#e5e7eb' };
+const FAINT_PRICE = { ...PRICE, color: 'rgba(229,231,235,0.35)', dash: [4, 4] };
+
+// Top: underlying price with big prints, cumulative net delta beneath it.
+// Bottom: cumulative call vs put and bull vs bear premium over the price.
+const PANELS = [
+  {
+    id: 'delta',
+    weight: 1.2,
+    right: PRICE,
+    markers: true,
+    left: [{ key: 'delta', label: 'Net Δ', color: '#60a5fa' }],
+  },
+  {
+    id: 'premium',
+    weight: 1,
+    right: FAINT_PRICE,
+    left: [
+      { key: 'call', label: 'Call premium', color: '#22c55e' },
+      { key: 'put', label: 'Put premium', color: '#ef4444' },
+      { key: 'bull', label: 'Bull premium', color: '#a3e635', dash: [6, 3] },
+      { key: 'bear', label: 'Bear premium', color: '#f97316', dash: [6, 3] },
+    ],
+  },
+];
+
+const LEGEND = [
+  ...PANELS.flatMap(p => p.left),
+  PRICE,
+];
+
+// Charts tab. series comes from the flow pipeline (flowSeries.js) for the selected symbol.
+const ChartsView = ({ series, symbols, symbol, onSymbolChange }) => {
+  // nothing picked yet → first symbol with data
+  useEffect(() => {
+    if (!symbols.includes(symbol) && symbols.length) onSymbolChange(symbols[0]);
+  }, [symbol, symbols, onSymbolChange]);
+
+  if (!symbols.length) {
+    return <div className="text-center py-12 text-gray-500">No trades yet. Waiting for options flow...</div>;
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-4">
+        <select value={symbol ?? ''} onChange={(e) => onSymbolChange(e.target.value)} className={selectClass}>
+          {symbols.map(s => <option key={s} value={s}>{s}</option>)}
+        </select>
+        <div className="flex flex-wrap gap-3 text-xs">
+          {LEGEND.map(line => (
+            <span key={line.key} className="flex items-center gap-1">
+              <span className="inline-block w-4 h-0.5" style={{ backgroundColor: line.color }} />
+              {line.label}
+            </span>
+          ))}
+          <span className="flex items-center gap-1 text-gray-400">
+            <span className="inline-block w-2 h-2 rounded-full bg-green-500" />
+            <span className="inline-block w-2 h-2 rounded-full bg-red-500" />
+            sweep / block (bull / bear)
+          </span>
+        </div>
+        <span className="ml-auto text-xs text-gray-500">scroll to zoom · drag to pan · double-click to reset</span>
+      </div>
+
+      {series && series.t.length > 0 ? (
+        <div className="rounded-lg border border-gray-800 bg-gray-950 p-2">
+          <TimeSeriesChart series={series} panels={PANELS} height={520} />
+        </div>
+      ) : (
+        <div className="text-center py-12 text-gray-500">Loading {symbol}…</div>
+      )}
+    </div>
+  );
+};
+
+export default ChartsView;
@@ -0,0 +1,137 @@
+import React, { useState } from 'react';
+import { Plus, Trash2, X } from 'lucide-react';
+import { createServer, getActiveServer, normalizeSymbol } from '../lib/connectionSettings.js';
+
+const inputClass =
+  'px-3 py-2 bg-gray-800 border border-gray-700 rounded text-white focus:outline-none focus:border-blue-500';
+
+const ConnectionSettingsPanel = ({ settings, onChange, subscribedSymbols, onClose }) => {
+  const [newSymbol, setNewSymbol] = useState('');
+  const active = getActiveServer(settings);
+  const subscribed = new Set(subscribedSymbols);
+
+  const updateActive = (patch) => {
+    onChange({
+      ...settings,
+      servers: settings.servers.map(s => (s.id === active.id ? { ...s, ...patch } : s)),
+    });
+  };
+
+  const addServer = () => {
+    const server = createServer();
+    onChange({ servers: [...settings.servers, server], activeServerId: server.id });
+  };
+
+  const removeServer = () => {
+    if (settings.servers.length <= 1) return;
+    const servers = settings.servers.filter(s => s.id !== active.id);
+    onChange({ servers, activeServerId: servers[0].id });
+  };
+
+  const addSymbol = (e) => {
+    e.preventDefault();
+    const sym = normalizeSymbol(newSymbol);
+    if (!sym) return;
+    if (!active.watchlist.includes(sym)) {
+      updateActive({ watchlist: [...active.watchlist, sym] });
+    }
+    setNewSymbol('');
+  };
+
+  const removeSymbol = (sym) => {
+    updateActive({ watchlist: active.watchlist.filter(s => s !== sym) });
+  };
+
+  return (
+    <div className="mb-4 p-4 rounded-lg border border-gray-800 bg-gray-900 text-sm">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="text-lg font-bold">Connection</h2>
+        <button onClick={onClose} className="p-1 rounded hover:bg-gray-800" title="Close settings">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        <select
+          value={active.id}
+          onChange={(e) => onChange({ ...settings, activeServerId: e.target.value })}
+          className={inputClass}
+        >
+          {settings.servers.map(s => (
+            <option key={s.id} value={s.id}>{s.name}</option>
+          ))}
+        </select>
+        <button
+          onClick={addServer}
+          className="flex items-center gap-1 px-3 py-2 bg-gray-700 hover:bg-gray-600 rounded"
+        >
+          <Plus className="w-4 h-4" />
+          Server
+        </button>
+        <button
+          onClick={removeServer}
+          disabled={settings.servers.length <= 1}
+          className="flex items-center gap-1 px-3 py-2 bg-red-700 hover:bg-red-600 rounded disabled:opacity-40"
+        >
+          <Trash2 className="w-4 h-4" />
+          Remove
+        </button>
+      </div>
+
+      <div className="grid grid-cols-3 gap-2 mb-4">
+        <input
+          type="text"
+          value={active.name}
+          onChange={(e) => updateActive({ name: e.target.value })}
+          placeholder="Name (e.g. Paper)"
+          className={inputClass}
+        />
+        <input
+          type="text"
+          value={active.url}
+          onChange={(e) => updateActive({ url: e.target.value.trim() })}
+          placeholder="ws://host:port/ws"
+          className={`${inputClass} col-span-2 font-mono`}
+        />
+      </div>
+
+      <div className="text-xs text-gray-500 mb-2">
+        Watchlist ({active.watchlist.length}) – changes are sent to the live socket
+      </div>
+      <div className="flex flex-wrap gap-2 mb-3">
+        {active.watchlist.map(sym => (
+          <span
+            key={sym}
+            className={`flex items-center gap-1 px-2 py-1 rounded border ${
+              subscribed.has(sym) ? 'border-green-600 bg-green-900/30' : 'border-gray-700 bg-gray-800'
+            }`}
+            title={subscribed.has(sym) ? 'Subscribed' : 'Pending'}
+          >
+            <span className="font-semibold">{sym}</span>
+            <button onClick={() => removeSymbol(sym)} className="text-gray-400 hover:text-red-400">
+              <X className="w-3 h-3" />
+            </button>
+          </span>
+        ))}
+        {active.watchlist.length === 0 && (
+          <span className="text-gray-500">No symbols – nothing will be streamed</span>
+        )}
+      </div>
+      <form onSubmit={addSymbol} className="flex gap-2">
+        <input
+          type="text"
+          value={newSymbol}
+          onChange={(e) => setNewSymbol(e.target.value)}
+          placeholder="Add symbol (NVDA, /CL)"
+          className={inputClass}
+        />
+        <button type="submit" className="flex items-center gap-1 px-3 py-2 bg-blue-600 hover:bg-blue-700 rounded">
+          <Plus className="w-4 h-4" />
+          Add
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default ConnectionSettingsPanel;
@@ -0,0 +1,187 @@
+import React, { useMemo, useState } from 'react';
+import { CONTRACT_PATTERNS } from '../lib/contractTimelines.js';
+import { formatPremium, formatTime } from '../lib/format.js';
+
+const inputClass =
+  'px-3 py-2 bg-gray-800 border border-gray-700 rounded text-white focus:outline-none focus:border-blue-500';
+
+const SORTS = [
+  { id: 'recent', label: 'Most recent', value: (c) => c.lastAt },
+  { id: 'premium', label: 'Premium', value: (c) => c.premium },
+  { id: 'open', label: 'Net open size', value: (c) => Math.abs(c.netOpen) },
+  { id: 'volume', label: 'Volume', value: (c) => c.volume },
+];
+
+const PATTERN_STYLE = {
+  opening: 'bg-green-900/40 text-green-300 border-green-700',
+  closing: 'bg-purple-900/40 text-purple-300 border-purple-700',
+  roundTrip: 'bg-orange-900/40 text-orange-300 border-orange-700',
+  mixed: 'bg-gray-800 text-gray-300 border-gray-700',
+};
+
+const DIRECTION_STYLE = { BTO: 'text-green-400', STO: 'text-orange-400', BTC: 'text-cyan-400', STC: 'text-purple-400' };
+
+const patternLabel = (id) => CONTRACT_PATTERNS.find(p => p.id === id)?.label ?? id;
+const contractLabel = (c) => `${c.symbol} ${c.right} ${c.strike} ${c.expiry}`;
+const signed = (v) => `${v > 0 ? '+' : ''}${v.toLocaleString()}`;
+const minutes = (ms) => (ms < 60_000 ? `${Math.round(ms / 1000)}s` : `${Math.round(ms / 60_000)} min`);
+
+const PatternBadge = ({ pattern }) => (
+  <span className={`px-2 py-0.5 text-xs rounded border ${PATTERN_STYLE[pattern]}`}>{patternLabel(pattern)}</span>
+);
+
+// One-line reading of a contract's lifecycle
+function describe(c) {
+  if (c.roundTrip) {
+    const [open, close] = c.roundTrip.side === 'long' ? ['bought', 'sold'] : ['sold', 'bought back'];
+    return `${c.roundTrip.opened.toLocaleString()} ${open} to open, ${c.roundTrip.closed.toLocaleString()} ${close} to close ${minutes(c.roundTrip.holdMs)} later`;
+  }
+  if (c.pattern === 'opening') return `fresh positioning: ${c.opened.toLocaleString()} opened, nothing closed`;
+  if (c.pattern === 'closing') return `${c.closed.toLocaleString()} closed of positions opened before this session`;
+  return `${c.opened.toLocaleString()} opened, ${c.closed.toLocaleString()} closed`;
+}
+
+const TimelinePanel = ({ timeline, onShowTrades }) => (
+  <div className="space-y-3 p-4 rounded-lg border border-gray-800 bg-gray-900">
+    <div className="flex flex-wrap items-center gap-3">
+      <h3 className="text-lg font-bold">{contractLabel(timeline)}</h3>
+      <PatternBadge pattern={timeline.pattern} />
+      <button onClick={() => onShowTrades(timeline)} className="ml-auto text-xs text-blue-400 hover:underline">
+        Show trades
+      </button>
+    </div>
+    <div className="text-gray-300">{describe(timeline)}</div>
+    <div className="grid grid-cols-5 gap-3 text-sm">
+      <div><div className="text-xs text-gray-500">Opened / closed</div>{timeline.opened.toLocaleString()} / {timeline.closed.toLocaleString()}</div>
+      <div><div className="text-xs text-gray-500">Long open</div>{timeline.longOpen.toLocaleString()}</div>
+      <div><div className="text-xs text-gray-500">Short open</div>{timeline.shortOpen.toLocaleString()}</div>
+      <div><div className="text-xs text-gray-500">Net open (est.)</div>{signed(timeline.netOpen)}</div>
+      <div>
+        <div className="text-xs text-gray-500">OI change</div>
+        {timeline.oiChange == null ? '–' : signed(timeline.oiChange)}
+      </div>
+    </div>
+    <table className="w-full text-xs font-mono">
+      <thead className="text-gray-500 text-left">
+        <tr>
+          <th className="font-normal">Time</th>
+          <th className="font-normal">Side</th>
+          <th className="font-normal text-right">Size</th>
+          <th className="font-normal text-right">Price</th>
+          <th className="font-normal text-right">Premium</th>
+          <th className="font-normal text-right">Long open</th>
+          <th className="font-normal text-right">Short open</th>
+          <th className="font-normal pl-3">Tags</th>
+        </tr>
+      </thead>
+      <tbody>
+        {timeline.events.map((e, i) => (
+          <tr key={`${e.t}-${i}`} className="border-t border-gray-800">
+            <td className="py-0.5">{formatTime(e.t)}</td>
+            <td className={DIRECTION_STYLE[e.direction] ?? 'text-gray-400'}>{e.direction ?? '–'}</td>
+            <td className="text-right">{e.size.toLocaleString()}</td>
+            <td className="text-right">{e.price?.toFixed(2) ?? '–'}</td>
+            <td className="text-right">{formatPremium(e.premium)}</td>
+            <td className="text-right">{e.longOpen.toLocaleString()}</td>
+            <td className="text-right">{e.shortOpen.toLocaleString()}</td>
+            <td className="pl-3 text-gray-500">{e.classifications.join(' ')}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+// Contracts tab: one row per option contract traded this session with its lifecycle
+// (opening, closing, round trip), picked contract's print timeline below.
+//   contracts / timeline: from the flow pipeline (contractTimelines.js)
+//   onShowTrades(contract): filter the Trades tab to the contract
+const ContractsView = ({ contracts, timeline, conid, onSelect, onShowTrades }) => {
+  const [symbol, setSymbol] = useState('');
+  const [pattern, setPattern] = useState('all');
+  const [sort, setSort] = useState('recent');
+
+  const rows = useMemo(() => {
+    const wanted = symbol.trim().toUpperCase();
+    const sortValue = SORTS.find(s => s.id === sort).value;
+    return (contracts ?? [])
+      .filter(c => (!wanted || c.symbol?.toUpperCase() === wanted) && (pattern === 'all' || c.pattern === pattern))
+      .sort((a, b) => sortValue(b) - sortValue(a));
+  }, [contracts, symbol, pattern, sort]);
+
+  if (!contracts?.length) {
+    return <div className="text-center py-12 text-gray-500">No contracts yet. Waiting for options flow...</div>;
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-3">
+        <input
+          type="text"
+          value={symbol}
+          onChange={(e) => setSymbol(e.target.value)}
+          placeholder="Symbol"
+          className={`${inputClass} w-32`}
+        />
+        <select value={pattern} onChange={(e) => setPattern(e.target.value)} className={inputClass}>
+          <option value="all">All patterns</option>
+          {CONTRACT_PATTERNS.map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+        </select>
+        <select value={sort} onChange={(e) => setSort(e.target.value)} className={inputClass}>
+          {SORTS.map(s => <option key={s.id} value={s.id}>{s.label}</option>)}
+        </select>
+        <span className="text-xs text-gray-500">
+          open size is estimated from BTO / STO / BTC / STC · {rows.length} of {contracts.length} contracts
+        </span>
+      </div>
+
+      {timeline && String(timeline.conid) === String(conid) && (
+        <TimelinePanel timeline={timeline} onShowTrades={onShowTrades} />
+      )}
+
+      <div className="overflow-auto rounded-lg border border-gray-800">
+        <table className="w-full text-xs font-mono">
+          <thead className="sticky top-0 bg-gray-900 text-gray-500 text-left">
+            <tr>
+              <th className="px-3 py-2 font-normal">Contract</th>
+              <th className="px-3 py-2 font-normal">Pattern</th>
+              <th className="px-3 py-2 font-normal text-right">Prints</th>
+              <th className="px-3 py-2 font-normal text-right">Volume</th>
+              <th className="px-3 py-2 font-normal text-right">Premium</th>
+              <th className="px-3 py-2 font-normal text-right">Opened</th>
+              <th className="px-3 py-2 font-normal text-right">Closed</th>
+              <th className="px-3 py-2 font-normal text-right">Net open</th>
+              <th className="px-3 py-2 font-normal text-right">OI chg</th>
+              <th className="px-3 py-2 font-normal">First / last</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(c => (
+              <tr
+                key={c.conid}
+                onClick={() => onSelect(String(c.conid) === String(conid) ? null : c.conid)}
+                title={describe(c)}
+                className={`border-t border-gray-800 cursor-pointer hover:bg-gray-800 ${String(c.conid) === String(conid) ? 'bg-gray-800' : ''}`}
+              >
+                <td className="px-3 py-1 font-semibold">{contractLabel(c)}</td>
+                <td className="px-3 py-1"><PatternBadge pattern={c.pattern} /></td>
+                <td className="px-3 py-1 text-right">{c.prints}</td>
+                <td className="px-3 py-1 text-right">{c.volume.toLocaleString()}</td>
+                <td className="px-3 py-1 text-right">{formatPremium(c.premium)}</td>
+                <td className="px-3 py-1 text-right">{c.opened.toLocaleString()}</td>
+                <td className="px-3 py-1 text-right">{c.closed.toLocaleString()}</td>
+                <td className={`px-3 py-1 text-right ${c.netOpen > 0 ? 'text-green-400' : c.netOpen < 0 ? 'text-red-400' : ''}`}>
+                  {signed(c.netOpen)}
+                </td>
+                <td className="px-3 py-1 text-right">{c.oiChange == null ? '–' : signed(c.oiChange)}</td>
+                <td className="px-3 py-1 text-gray-500">{formatTime(c.firstAt)} – {formatTime(c.lastAt)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default ContractsView;
@@ -0,0 +1,158 @@
+import React, { useState } from 'react';
+import { Download, X } from 'lucide-react';
+import {
+  EXPORT_FORMATS,
+  QUOTE_COLUMNS,
+  buildQuoteRecords,
+  buildRowRecords,
+  downloadText,
+  exportFileName,
+  serializeRecords,
+} from '../lib/exportRows.js';
+import { normalizeAutoExport } from '../lib/autoExport.js';
+
+const inputClass =
+  'px-2 py-1 bg-gray-800 border border-gray-700 rounded text-white focus:outline-none focus:border-blue-500';
+
+const STREAMS = [
+  { id: 'trades', label: 'Trades' },
+  { id: 'prints', label: 'Prints' },
+  { id: 'autoTrades', label: 'Auto trades' },
+  { id: 'quotes', label: 'Quotes snapshot' },
+];
+
+// Which stream a tab's export defaults to
+const TAB_STREAM = { stream: 'trades', trades: 'trades', prints: 'prints', auto: 'autoTrades', quotes: 'quotes' };
+
+const FormatButtons = ({ onPick, disabled }) => (
+  <div className="flex gap-1">
+    {EXPORT_FORMATS.map(f => (
+      <button
+        key={f.id}
+        onClick={() => onPick(f.id)}
+        disabled={disabled}
+        className="px-2 py-1 text-xs rounded bg-gray-700 hover:bg-blue-600 disabled:opacity-40"
+      >
+        {f.label}
+      </button>
+    ))}
+  </div>
+);
+
+// Export menu in the header, reachable from every tab.
+//   rows:        stream → rows as currently filtered and shown
+//   quoteStore / conidMapping: for the quotes snapshot and P&L marks
+//   onExportSession(format): whole-session export (unfiltered + archive)
+//   autoExport / onAutoExportChange: end-of-session schedule (useAutoExport)
+const ExportMenu = ({ activeTab, rows, quoteStore, conidMapping, onExportSession, autoExport, onAutoExportChange }) => {
+  const [open, setOpen] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const highlighted = TAB_STREAM[activeTab];
+
+  const count = (stream) => (stream === 'quotes'
+    ? quoteStore.getCounts().quotes + quoteStore.getCounts().ulQuotes
+    : rows[stream].filter(r => r.type !== 'GAP').length);
+
+  const exportStream = (stream, format) => {
+    if (stream === 'quotes') {
+      const records = buildQuoteRecords(quoteStore.getSnapshot(), conidMapping);
+      downloadText(exportFileName('quotes', format), serializeRecords(records, format, QUOTE_COLUMNS), format);
+      return;
+    }
+    const records = buildRowRecords(stream, rows[stream], quoteStore.getQuote);
+    downloadText(exportFileName(stream, format), serializeRecords(records, format), format);
+  };
+
+  const exportSession = async (format) => {
+    setBusy(true);
+    try {
+      await onExportSession(format);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const updateAuto = (fields) => onAutoExportChange(normalizeAutoExport({ ...autoExport, ...fields }));
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        className={`flex items-center gap-2 px-3 py-2 rounded ${open ? 'bg-blue-600 hover:bg-blue-700' : 'bg-gray-700 hover:bg-gray-600'}`}
+      >
+        <Download className="w-4 h-4" />
+        Export
+      </button>
+
+      {open && (
+        <div className="absolute right-0 z-30 mt-2 w-[420px] p-4 rounded-lg border border-gray-700 bg-gray-900 shadow-xl text-sm space-y-4">
+          <div className="flex items-center justify-between">
+            <h2 className="font-bold">Export</h2>
+            <button onClick={() => setOpen(false)} className="p-1 rounded hover:bg-gray-800" title="Close export menu">
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+
+          <div className="space-y-2">
+            <div className="text-xs text-gray-500">As filtered on screen</div>
+            {STREAMS.map(s => (
+              <div
+                key={s.id}
+                className={`flex items-center justify-between px-2 py-1 rounded ${s.id === highlighted ? 'bg-gray-800' : ''}`}
+              >
+                <span>
+                  {s.label} <span className="text-gray-500">({count(s.id).toLocaleString()})</span>
+                </span>
+                <FormatButtons onPick={(format) => exportStream(s.id, format)} disabled={!count(s.id)} />
+              </div>
+            ))}
+          </div>
+
+          <div className="space-y-2 border-t border-gray-800 pt-3">
+            <div className="flex items-center justify-between">
+              <span>
+                Full session
+                <span className="block text-xs text-gray-500">all streams, unfiltered, including the archive</span>
+              </span>
+              <FormatButtons onPick={exportSession} disabled={busy} />
+            </div>
+          </div>
+
+          <div className="space-y-2 border-t border-gray-800 pt-3">
+            <label className="flex items-center gap-2">
+              <input type="checkbox" checked={autoExport.enabled} onChange={(e) => updateAuto({ enabled: e.target.checked })} />
+              Auto-export the full session every day
+            </label>
+            <div className="flex flex-wrap items-center gap-2 text-xs text-gray-400">
+              at
+              <input
+                type="time"
+                value={autoExport.time}
+                onChange={(e) => updateAuto({ time: e.target.value })}
+                className={inputClass}
+              />
+              <input
+                type="text"
+                // remount when normalizing replaced an invalid zone
+                key={autoExport.timeZone}
+                defaultValue={autoExport.timeZone}
+                onBlur={(e) => updateAuto({ timeZone: e.target.value.trim() })}
+                className={`${inputClass} w-40`}
+                title="IANA time zone, e.g. America/New_York"
+              />
+              as
+              <select value={autoExport.format} onChange={(e) => updateAuto({ format: e.target.value })} className={inputClass}>
+                {EXPORT_FORMATS.map(f => <option key={f.id} value={f.id}>{f.label}</option>)}
+              </select>
+            </div>
+            {autoExport.lastExportDay && (
+              <div className="text-xs text-gray-500">Last auto-export: {autoExport.lastExportDay}</div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
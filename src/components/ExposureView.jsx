@@ -0,0 +1,217 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { ZERO_GAMMA_RANGE, exposureKey } from '../lib/dealerExposure.js';
+import { formatSignedPremium } from '../lib/format.js';
+
+const selectClass =
+  'px-3 py-2 bg-gray-800 border border-gray-700 rounded text-white focus:outline-none focus:border-blue-500';
+
+const METRICS = [
+  { id: 'gex', label: 'Gamma (GEX)', unit: 'per 1% move' },
+  { id: 'vex', label: 'Vega (VEX)', unit: 'per vol point' },
+];
+
+const PROFILE_WIDTH = 640;
+const PROFILE_HEIGHT = 120;
+
+const fmtExpiry = (expiry) => (/^\d{8}$/.test(expiry) ? `${expiry.slice(4, 6)}/${expiry.slice(6)}` : expiry);
+const fromSpot = (level, spot) => `${level >= spot ? '+' : ''}${(((level - spot) / spot) * 100).toFixed(2)}%`;
+const valueClass = (v) => (v > 0 ? 'text-green-400' : v < 0 ? 'text-red-400' : 'text-gray-300');
+
+const Card = ({ label, children, sub }) => (
+  <div className="bg-gray-900 p-4 rounded-lg border border-gray-800">
+    <div className="text-sm text-gray-500 mb-1">{label}</div>
+    <div className="text-2xl font-bold">{children}</div>
+    {sub && <div className="text-xs text-gray-500 mt-1">{sub}</div>}
+  </div>
+);
+
+// Level card: price and distance from spot
+const Level = ({ label, level, spot, note }) => (
+  <Card label={label} sub={level == null ? note : `${fromSpot(level, spot)} from spot${note ? ` · ${note}` : ''}`}>
+    {level == null ? '–' : level.toFixed(2)}
+  </Card>
+);
+
+// Total GEX across a ±range of spot, zero line and spot marked
+const GexProfile = ({ profile, spot, zeroGamma }) => {
+  const geometry = useMemo(() => {
+    if (profile.length < 2) return null;
+    const from = profile[0].spot;
+    const to = profile[profile.length - 1].spot;
+    const max = Math.max(1, ...profile.map(p => Math.abs(p.gex)));
+    const x = (s) => ((s - from) / (to - from)) * PROFILE_WIDTH;
+    const y = (g) => PROFILE_HEIGHT / 2 - (g / max) * (PROFILE_HEIGHT / 2 - 4);
+    const path = profile.map((p, i) => `${i ? 'L' : 'M'}${x(p.spot).toFixed(1)},${y(p.gex).toFixed(1)}`).join('');
+    return { from, to, x, y, path };
+  }, [profile]);
+
+  if (!geometry) return null;
+  return (
+    <div>
+      <svg viewBox={`0 0 ${PROFILE_WIDTH} ${PROFILE_HEIGHT}`} className="w-full h-32 bg-gray-950 rounded border border-gray-800">
+        <line x1="0" x2={PROFILE_WIDTH} y1={geometry.y(0)} y2={geometry.y(0)} stroke="#4b5563" />
+        <line x1={geometry.x(spot)} x2={geometry.x(spot)} y1="0" y2={PROFILE_HEIGHT} stroke="#facc15" strokeDasharray="4 3" />
+        {zeroGamma != null && (
+          <line x1={geometry.x(zeroGamma)} x2={geometry.x(zeroGamma)} y1="0" y2={PROFILE_HEIGHT} stroke="#a78bfa" strokeDasharray="2 2" />
+        )}
+        <path d={geometry.path} fill="none" stroke="#60a5fa" strokeWidth="1.5" />
+      </svg>
+      <div className="flex justify-between text-[10px] text-gray-500 font-mono">
+        <span>{geometry.from.toFixed(2)}</span>
+        <span>
+          total GEX vs spot · <span className="text-yellow-400">spot</span>{' '}
+          <span className="text-violet-400">zero gamma</span>
+        </span>
+        <span>{geometry.to.toFixed(2)}</span>
+      </div>
+    </div>
+  );
+};
+
+// Horizontal bar scaled to the largest value in the table; green right, red left
+const Bar = ({ value, max }) => {
+  const width = max ? Math.min(50, (Math.abs(value) / max) * 50) : 0;
+  return (
+    <div className="relative h-3 w-full">
+      <div className="absolute inset-y-0 left-1/2 border-l border-gray-700" />
+      <div
+        className={`absolute inset-y-0 ${value >= 0 ? 'bg-green-500/70' : 'bg-red-500/70'}`}
+        style={value >= 0 ? { left: '50%', width: `${width}%` } : { right: '50%', width: `${width}%` }}
+      />
+    </div>
+  );
+};
+
+// Exposure tab: dealer gamma / vega by strike for one underlying, the zero-gamma level and
+// the call / put walls against the live underlying price.
+//   view: from the flow pipeline (dealerExposure.js)
+const ExposureView = ({ view, symbols, symbol, onSymbolChange }) => {
+  const [metric, setMetric] = useState('gex');
+  const [expiry, setExpiry] = useState('all');
+
+  // nothing picked yet → first underlying with exposure
+  useEffect(() => {
+    if (!symbols.includes(symbol) && symbols.length) onSymbolChange(symbols[0]);
+  }, [symbol, symbols, onSymbolChange]);
+
+  const rows = useMemo(() => {
+    if (!view) return [];
+    // an expiry picked on another underlying falls back to all
+    const shown = view.expiries.includes(expiry) ? expiry : 'all';
+    return view.strikes.map(s => {
+      if (shown === 'all') {
+        return metric === 'gex'
+          ? { strike: s.strike, call: s.callGex, put: s.putGex, total: s.gex }
+          : { strike: s.strike, call: s.callVex, put: s.putVex, total: s.vex };
+      }
+      const cell = view.cells[exposureKey(shown, s.strike)];
+      return cell ? { strike: s.strike, call: null, put: null, total: cell[metric] } : null;
+    }).filter(Boolean);
+  }, [view, metric, expiry]);
+
+  if (!symbols.length) {
+    return <div className="text-center py-12 text-gray-500">No trades with greeks yet. Waiting for options flow...</div>;
+  }
+
+  const max = Math.max(0, ...rows.map(r => Math.abs(r.total)));
+  const unit = METRICS.find(m => m.id === metric).unit;
+  // the spot marker goes above the first strike below spot (strikes run high → low)
+  const markerIndex = view ? rows.findIndex(r => r.strike < view.spot) : -1;
+  const markerRow = view && (
+    <tr key="spot-marker">
+      <td colSpan={5} className="p-0">
+        <div className="relative h-0 border-t-2 border-dashed border-yellow-400">
+          <span className="absolute -top-2.5 left-1 px-1 text-[10px] font-semibold bg-gray-950 text-yellow-300">
+            {view.symbol} {view.spot.toFixed(2)}
+          </span>
+        </div>
+      </td>
+    </tr>
+  );
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-3">
+        <select value={symbol ?? ''} onChange={(e) => onSymbolChange(e.target.value)} className={selectClass}>
+          {symbols.map(s => <option key={s} value={s}>{s}</option>)}
+        </select>
+        <select value={metric} onChange={(e) => setMetric(e.target.value)} className={selectClass}>
+          {METRICS.map(m => <option key={m.id} value={m.id}>{m.label}</option>)}
+        </select>
+        <select value={expiry} onChange={(e) => setExpiry(e.target.value)} className={selectClass}>
+          <option value="all">All expiries</option>
+          {view?.expiries.map(e => <option key={e} value={e}>{fmtExpiry(e)}</option>)}
+        </select>
+        <span className="text-xs text-gray-500">
+          dealer side = opposite of the customer&apos;s (direction, then aggressor) · session trades only, not open interest
+        </span>
+      </div>
+
+      {!view ? (
+        <div className="text-center py-12 text-gray-500">Waiting for a {symbol} price…</div>
+      ) : (
+        <>
+          <div className="grid grid-cols-6 gap-4">
+            <Card label="Spot">{view.spot.toFixed(2)}</Card>
+            <Card label="Net GEX" sub="$ delta per 1% move">
+              <span className={valueClass(view.gex)}>{formatSignedPremium(view.gex)}</span>
+            </Card>
+            <Card label="Net VEX" sub="$ per vol point">
+              <span className={valueClass(view.vex)}>{formatSignedPremium(view.vex)}</span>
+            </Card>
+            <Level label="Zero gamma" level={view.zeroGamma} spot={view.spot} note={view.zeroGamma == null ? `no flip within ±${ZERO_GAMMA_RANGE * 100}%` : null} />
+            <Level
+              label="Call wall"
+              level={view.callWall?.strike ?? null}
+              spot={view.spot}
+              note={view.callWall ? formatSignedPremium(view.callWall.gex) : 'no calls'}
+            />
+            <Level
+              label="Put wall"
+              level={view.putWall?.strike ?? null}
+              spot={view.spot}
+              note={view.putWall ? formatSignedPremium(view.putWall.gex) : 'no puts'}
+            />
+          </div>
+
+          <GexProfile profile={view.profile} spot={view.spot} zeroGamma={view.zeroGamma} />
+
+          <div className="overflow-auto rounded-lg border border-gray-800">
+            <table className="w-full text-xs font-mono">
+              <thead className="sticky top-0 bg-gray-900 text-gray-500 text-left">
+                <tr>
+                  <th className="px-3 py-2 font-normal">Strike</th>
+                  <th className="px-3 py-2 font-normal text-right">Calls</th>
+                  <th className="px-3 py-2 font-normal text-right">Puts</th>
+                  <th className="px-3 py-2 font-normal text-right">Net ({unit})</th>
+                  <th className="px-3 py-2 font-normal w-1/3" />
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((r, i) => (
+                  <React.Fragment key={r.strike}>
+                    {i === markerIndex && markerRow}
+                    <tr className="border-t border-gray-900">
+                      <td className="px-3 py-1">
+                        {r.strike}
+                        {r.strike === view.callWall?.strike && <span className="ml-2 text-green-400">call wall</span>}
+                        {r.strike === view.putWall?.strike && <span className="ml-2 text-red-400">put wall</span>}
+                      </td>
+                      <td className={`px-3 py-1 text-right ${valueClass(r.call)}`}>{r.call == null ? '' : formatSignedPremium(r.call)}</td>
+                      <td className={`px-3 py-1 text-right ${valueClass(r.put)}`}>{r.put == null ? '' : formatSignedPremium(r.put)}</td>
+                      <td className={`px-3 py-1 text-right ${valueClass(r.total)}`}>{formatSignedPremium(r.total)}</td>
+                      <td className="px-3 py-1"><Bar value={r.total} max={max} /></td>
+                    </tr>
+                  </React.Fragment>
+                ))}
+                {markerIndex === -1 && rows.length > 0 && markerRow}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ExposureView;
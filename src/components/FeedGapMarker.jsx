@@ -0,0 +1,24 @@
+import React from 'react';
+import { AlertCircle } from 'lucide-react';
+
+const fmtClock = (ts) =>
+  new Date(ts).toLocaleTimeString('en-US', {
+    hour12: false,
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  });
+
+// Inline marker for a disconnect window – the stream has no data between from and to
+const FeedGapMarker = ({ from, to }) => (
+  <div className="flex items-center gap-3 py-1 text-xs text-yellow-400">
+    <div className="flex-1 border-t border-dashed border-yellow-700" />
+    <span className="flex items-center gap-1 px-2 py-1 rounded bg-yellow-900/30 border border-yellow-700">
+      <AlertCircle className="w-3 h-3" />
+      feed gap {fmtClock(from)}–{fmtClock(to)}
+    </span>
+    <div className="flex-1 border-t border-dashed border-yellow-700" />
+  </div>
+);
+
+export default FeedGapMarker;
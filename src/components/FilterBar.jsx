@@ -0,0 +1,180 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Filter, Save, Trash2 } from 'lucide-react';
+import { compileFilter, suggestFilter } from '../lib/filterQuery.js';
+import {
+  loadFilterPresets,
+  saveFilterPresets,
+  upsertFilterPreset,
+  removeFilterPreset,
+} from '../lib/filterPresets.js';
+
+const inputClass = 'px-3 py-2 bg-gray-800 border border-gray-700 rounded text-white focus:outline-none focus:border-blue-500';
+
+// Filter expression input for the Trades / Prints / Auto tabs, with autocomplete and
+// saved presets. Every edit that compiles is applied right away; while the text has an
+// error the last valid query stays in effect.
+const FilterBar = ({ query, onQueryChange, symbols }) => {
+  const [draft, setDraft] = useState(query);
+  const [cursor, setCursor] = useState(query.length);
+  const [focused, setFocused] = useState(false);
+  const [highlight, setHighlight] = useState(0);
+  const [dismissed, setDismissed] = useState(false);
+  const [presets, setPresets] = useState(loadFilterPresets);
+  const [presetName, setPresetName] = useState('');
+  const inputRef = useRef(null);
+
+  // query changed from outside (symbol buttons, presets)
+  useEffect(() => {
+    setDraft(prev => (prev.trim() === query ? prev : query));
+  }, [query]);
+
+  useEffect(() => {
+    saveFilterPresets(presets);
+  }, [presets]);
+
+  const { error } = compileFilter(draft);
+  const suggestions = focused && !dismissed ? suggestFilter(draft, cursor, { symbols }) : null;
+  const items = suggestions?.items.slice(0, 8) ?? [];
+  const activePreset = presets.find(p => p.query === query)?.name ?? '';
+
+  const edit = (text, caret = text.length) => {
+    setDraft(text);
+    setCursor(caret);
+    setHighlight(0);
+    setDismissed(false);
+    if (compileFilter(text).predicate) onQueryChange(text.trim());
+  };
+
+  const accept = (item) => {
+    const { from, to } = suggestions;
+    const rest = draft.slice(to);
+    const insert = item.value + (rest.startsWith(' ') ? '' : ' ');
+    const caret = from + insert.length;
+    edit(draft.slice(0, from) + insert + rest, caret);
+    requestAnimationFrame(() => inputRef.current?.setSelectionRange(caret, caret));
+  };
+
+  const onKeyDown = (e) => {
+    if (!items.length) return;
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setHighlight(h => (h + 1) % items.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setHighlight(h => (h - 1 + items.length) % items.length);
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      accept(items[Math.min(highlight, items.length - 1)]);
+    } else if (e.key === 'Escape') {
+      setDismissed(true);
+    }
+  };
+
+  const savePreset = () => {
+    const name = presetName.trim();
+    if (!name || error) return;
+    setPresets(prev => upsertFilterPreset(prev, name, draft.trim()));
+    setPresetName('');
+  };
+
+  return (
+    <div className="bg-gray-900 p-4 rounded-lg border border-gray-800">
+      <div className="flex flex-wrap items-start gap-3">
+        <div className="relative flex-1 min-w-[320px]">
+          <div className="flex items-center gap-2">
+            <Filter className="w-4 h-4 text-gray-500" />
+            <input
+              ref={inputRef}
+              type="text"
+              spellCheck={false}
+              placeholder="e.g. symbol in (NVDA, TSLA) and premium >= 250k and classification = SWEEP"
+              value={draft}
+              onChange={(e) => edit(e.target.value, e.target.selectionStart)}
+              onKeyDown={onKeyDown}
+              onKeyUp={(e) => setCursor(e.currentTarget.selectionStart)}
+              onClick={(e) => setCursor(e.currentTarget.selectionStart)}
+              onFocus={() => setFocused(true)}
+              onBlur={() => setFocused(false)}
+              className={`${inputClass} w-full font-mono text-sm ${error ? 'border-red-600' : ''}`}
+            />
+            {draft && (
+              <button onClick={() => edit('')} className="text-xs text-gray-400 hover:text-white">
+                Clear
+              </button>
+            )}
+          </div>
+
+          {items.length > 0 && (
+            <ul className="absolute z-20 left-6 mt-1 w-80 bg-gray-800 border border-gray-700 rounded shadow-lg text-sm">
+              {items.map((item, i) => (
+                <li
+                  key={item.value}
+                  // mousedown so the input keeps focus
+                  onMouseDown={(e) => {
+                    e.preventDefault();
+                    accept(item);
+                  }}
+                  className={`flex justify-between gap-3 px-3 py-1 cursor-pointer ${
+                    i === highlight ? 'bg-blue-600 text-white' : 'text-gray-200 hover:bg-gray-700'
+                  }`}
+                >
+                  <span className="font-mono">{item.value}</span>
+                  <span className="text-xs text-gray-400 truncate">{item.detail}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {error && (
+            <div className="mt-1 ml-6 text-xs text-red-400">
+              {error.message} (at {error.position + 1}) – still showing: {query || 'everything'}
+            </div>
+          )}
+        </div>
+
+        <select
+          value={activePreset}
+          onChange={(e) => {
+            const preset = presets.find(p => p.name === e.target.value);
+            if (preset) edit(preset.query);
+          }}
+          className={inputClass}
+        >
+          <option value="">Presets…</option>
+          {presets.map(p => (
+            <option key={p.name} value={p.name}>{p.name}</option>
+          ))}
+        </select>
+
+        <div className="flex items-center gap-1">
+          <input
+            type="text"
+            placeholder="Preset name"
+            value={presetName}
+            onChange={(e) => setPresetName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && savePreset()}
+            className={`${inputClass} w-36`}
+          />
+          <button
+            onClick={savePreset}
+            disabled={!presetName.trim() || Boolean(error)}
+            title="Save the current filter as a preset"
+            className="p-2 rounded bg-gray-700 hover:bg-gray-600 disabled:opacity-40"
+          >
+            <Save className="w-4 h-4" />
+          </button>
+          <button
+            onClick={() => setPresets(prev => removeFilterPreset(prev, activePreset))}
+            disabled={!activePreset}
+            title="Delete the selected preset"
+            className="p-2 rounded bg-gray-700 hover:bg-red-700 disabled:opacity-40"
+          >
+            <Trash2 className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FilterBar;
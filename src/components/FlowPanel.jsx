@@ -0,0 +1,203 @@
+import React from 'react';
+import TradeCard from './TradeCard.jsx';
+import AutoTradeCard from './AutoTradeCard.jsx';
+import SpreadCard from './SpreadCard.jsx';
+import PrintRow from './PrintRow.jsx';
+import FeedGapMarker from './FeedGapMarker.jsx';
+import VirtualList from './VirtualList.jsx';
+import ArchiveFooter from './ArchiveFooter.jsx';
+import FilterBar from './FilterBar.jsx';
+import UnusualLeaderboard from './UnusualLeaderboard.jsx';
+import QuotesView from './QuotesView.jsx';
+import HeatmapView from './HeatmapView.jsx';
+import ChartsView from './ChartsView.jsx';
+import ExposureView from './ExposureView.jsx';
+import ContractsView from './ContractsView.jsx';
+import PortfolioView from './PortfolioView.jsx';
+import AlertsView from './AlertsView.jsx';
+import StatsView from './StatsView.jsx';
+import { usePanelRows } from '../hooks/usePanelRows.js';
+import { LIST_VIEWS } from '../lib/workspaceLayout.js';
+
+const TRADE_SORTS = [
+  { id: 'time', label: 'Newest first' },
+  { id: 'unusual', label: 'Most unusual' },
+];
+
+// Archived rows are keyed by archive id – row ids restart with every page load
+const getRowKey = (row) => (row.archiveId ? `a${row.archiveId}` : row.id);
+
+const Empty = ({ children }) => <div className="text-center py-12 text-gray-500">{children}</div>;
+
+// One workspace panel's content: any of the views, list views with the panel's own filter.
+//   panel: { id, view, filter, sort } from the layout; onChange(fields) edits it
+//   shared: flow view, archived rows, handlers and the picked symbol / contract of the views
+//           the worker only feeds one of at a time (heatmap, charts, exposure, contracts)
+const FlowPanel = ({ panel, onChange, shared }) => {
+  const { flow } = shared;
+  const rows = usePanelRows(flow, panel, shared.archived);
+
+  const renderTradeCard = (trade) => (
+    <TradeCard
+      trade={trade}
+      ulMapping={shared.getMapping(trade.underlyingConid)}
+      onSelect={shared.onSelectTrade}
+      onFollow={shared.onFollowTrade}
+    />
+  );
+  const drill = (contract) => shared.onDrill(panel.id, contract);
+
+  let body;
+  switch (panel.view) {
+    case 'stream':
+    case 'trades':
+      body = rows.tradeRows.length > 0 ? (
+        <VirtualList
+          items={rows.tradeRows}
+          getKey={getRowKey}
+          estimateSize={180}
+          height="100%"
+          stickToEnd={shared.autoScroll}
+          footer={<ArchiveFooter archive={shared.archived.trades} />}
+          renderItem={(trade) => (
+            trade.type === 'GAP' ? (
+              <FeedGapMarker from={trade.from} to={trade.to} />
+            ) : trade.type === 'SPREAD' ? (
+              <SpreadCard row={trade} renderLeg={renderTradeCard} />
+            ) : (
+              renderTradeCard(trade)
+            )
+          )}
+        />
+      ) : (
+        <Empty>
+          No trades yet. Waiting for options flow...
+          <ArchiveFooter archive={shared.archived.trades} />
+        </Empty>
+      );
+      break;
+    case 'prints':
+      body = rows.prints.length > 0 ? (
+        <VirtualList
+          items={rows.prints}
+          getKey={getRowKey}
+          estimateSize={56}
+          gap={8}
+          height="100%"
+          stickToEnd={shared.autoScroll}
+          footer={<ArchiveFooter archive={shared.archived.prints} />}
+          renderItem={(print) => (
+            print.type === 'GAP'
+              ? <FeedGapMarker from={print.from} to={print.to} />
+              : <PrintRow print={print} onSelect={shared.onSelectTrade} />
+          )}
+        />
+      ) : (
+        <Empty>
+          No prints yet. Waiting for print data...
+          <ArchiveFooter archive={shared.archived.prints} />
+        </Empty>
+      );
+      break;
+    case 'auto':
+      body = rows.autoTrades.length > 0 ? (
+        <VirtualList
+          items={rows.autoTrades}
+          getKey={getRowKey}
+          estimateSize={160}
+          height="100%"
+          stickToEnd={shared.autoScroll}
+          renderItem={(trade) => (
+            <AutoTradeCard trade={trade} onSelect={shared.onSelectTrade} onFollow={shared.onFollowTrade} />
+          )}
+        />
+      ) : (
+        <Empty>No auto-trades yet</Empty>
+      );
+      break;
+    case 'quotes':
+      body = <QuotesView conidMapping={flow.conidMapping} />;
+      break;
+    case 'heatmap':
+      body = (
+        <HeatmapView
+          grid={flow.heatmap}
+          symbols={flow.heatmapSymbols}
+          symbol={shared.heatmapSymbol}
+          onSymbolChange={shared.onHeatmapSymbolChange}
+          onDrill={drill}
+        />
+      );
+      break;
+    case 'charts':
+      body = (
+        <ChartsView
+          series={flow.chart}
+          symbols={flow.chartSymbols}
+          symbol={shared.chartSymbol}
+          onSymbolChange={shared.onChartSymbolChange}
+        />
+      );
+      break;
+    case 'exposure':
+      body = (
+        <ExposureView
+          view={flow.exposure}
+          symbols={flow.exposureSymbols}
+          symbol={shared.exposureSymbol}
+          onSymbolChange={shared.onExposureSymbolChange}
+        />
+      );
+      break;
+    case 'contracts':
+      body = (
+        <ContractsView
+          contracts={flow.contracts}
+          timeline={flow.contractTimeline}
+          conid={shared.timelineConid}
+          onSelect={shared.onTimelineConidChange}
+          onShowTrades={drill}
+        />
+      );
+      break;
+    case 'portfolio':
+      body = <PortfolioView portfolio={shared.portfolio} stats={flow.stats} />;
+      break;
+    case 'alerts':
+      body = <AlertsView alerts={shared.alerts} />;
+      break;
+    case 'stats':
+      body = <StatsView stats={flow.stats} />;
+      break;
+    default:
+      body = null;
+  }
+
+  return (
+    <div className="flex flex-col h-full min-h-0">
+      {LIST_VIEWS.includes(panel.view) && (
+        <div className="mb-3">
+          <FilterBar query={panel.filter} onQueryChange={(filter) => onChange({ filter })} symbols={shared.symbols} />
+        </div>
+      )}
+      {panel.view === 'trades' && (
+        <>
+          <div className="flex items-center gap-2 mb-2 text-sm">
+            <span className="text-gray-500">Sort</span>
+            <select
+              value={panel.sort}
+              onChange={(e) => onChange({ sort: e.target.value })}
+              className="px-2 py-1 bg-gray-800 border border-gray-700 rounded text-white focus:outline-none focus:border-blue-500"
+            >
+              {TRADE_SORTS.map(s => <option key={s.id} value={s.id}>{s.label}</option>)}
+            </select>
+          </div>
+          <UnusualLeaderboard entries={flow.unusualTop} onSelect={shared.onSelectTrade} />
+        </>
+      )}
+      <div className={`flex-1 min-h-0 ${LIST_VIEWS.includes(panel.view) ? '' : 'overflow-auto'}`}>{body}</div>
+    </div>
+  );
+};
+
+export default FlowPanel;
@@ -0,0 +1,77 @@
+import React from 'react';
+import { SlidersHorizontal } from 'lucide-react';
+import { fmtDeltaCompact, fmtDeltaDollars } from '../lib/flowMath.js';
+import { DELTA_WINDOWS } from '../lib/deltaAggregator.js';
+
+function stanceTextColor(stance) {
+  if (stance === 'BULL') return 'text-green-400';
+  if (stance === 'BEAR') return 'text-red-400';
+  return 'text-yellow-300';
+}
+
+// Net delta-dollars with net as a share of gross; stance is judged on these
+const NormalizedFlow = ({ flow }) => (
+  flow.grossDollars ? (
+    <span className="text-gray-500" title="Net delta-dollars · net / gross delta-dollars in the window">
+      {fmtDeltaDollars(flow.netDollars)} · {Math.round(flow.imbalance * 100)}%
+    </span>
+  ) : null
+);
+
+// Net delta over the selected rolling window. flows: window id → { overallFlow, symbolFlows }
+//   onEditThresholds: toggle the stance thresholds editor
+const FlowSummaryStrip = ({ flows, windowId, onWindowChange, onEditThresholds }) => {
+  // nothing at all this session yet
+  if (!flows.session?.symbolFlows.length) return null;
+
+  const { overallFlow: overall, symbolFlows: symbols } = flows[windowId];
+  const top = symbols.slice(0, 4); // show top 4 by |Δ$|
+
+  return (
+    <div className="mt-2 mb-4 px-3 py-2 rounded-lg border border-gray-800 bg-gray-900/80 flex flex-wrap items-center gap-3 text-xs">
+      <div className="flex items-center rounded border border-gray-700 overflow-hidden">
+        {DELTA_WINDOWS.map(w => (
+          <button
+            key={w.id}
+            onClick={() => onWindowChange(w.id)}
+            className={`px-2 py-1 ${
+              w.id === windowId ? 'bg-blue-600 text-white' : 'text-gray-400 hover:bg-gray-800'
+            }`}
+          >
+            {w.label}
+          </button>
+        ))}
+      </div>
+
+      <div className="flex items-center gap-2 mr-3">
+        <span className="text-gray-400">Overall Flow:</span>
+        <span className={`font-semibold ${stanceTextColor(overall.stance)}`}>{overall.stance}</span>
+        <span className="text-gray-100">{fmtDeltaCompact(overall.netDelta)}</span>
+        <NormalizedFlow flow={overall} />
+      </div>
+
+      {top.length > 0 && (
+        <div className="flex flex-wrap items-center gap-3">
+          {top.map((s) => (
+            <div key={s.symbol} className="flex items-center gap-1">
+              <span className="text-gray-400">{s.symbol}</span>
+              <span className={`font-semibold ${stanceTextColor(s.stance)}`}>{s.stance}</span>
+              <span className="text-gray-100">{fmtDeltaCompact(s.netDelta)}</span>
+              <NormalizedFlow flow={s} />
+            </div>
+          ))}
+        </div>
+      )}
+
+      <button
+        onClick={onEditThresholds}
+        className="ml-auto p-1 rounded text-gray-400 hover:bg-gray-800"
+        title="Stance thresholds"
+      >
+        <SlidersHorizontal className="w-4 h-4" />
+      </button>
+    </div>
+  );
+};
+
+export default FlowSummaryStrip;
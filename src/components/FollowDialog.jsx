@@ -0,0 +1,90 @@
+import React, { useState } from 'react';
+import { X } from 'lucide-react';
+import { useQuote } from '../hooks/useQuotes.js';
+import { DEFAULT_STOP_PCT, DEFAULT_TARGET_PCT, POSITION_SIDES, exitPrices, markOf } from '../lib/paperPortfolio.js';
+
+const inputClass =
+  'w-full px-2 py-1 bg-gray-800 border border-gray-700 rounded text-white focus:outline-none focus:border-blue-500';
+
+const Field = ({ label, children }) => (
+  <label className="block space-y-1">
+    <span className="text-xs text-gray-400">{label}</span>
+    {children}
+  </label>
+);
+
+// Modal for opening a paper position on a trade's contract.
+// onConfirm({ size, price, side, stopPrice, targetPrice })
+const FollowDialog = ({ trade, onConfirm, onClose }) => {
+  const quote = useQuote(trade.conid);
+  const [size, setSize] = useState(String(Math.min(trade.size ?? trade.tradeSize ?? 1, 10)));
+  const [price, setPrice] = useState(String(markOf({ entryPrice: trade.optionPrice }, quote)));
+  const [side, setSide] = useState('long');
+  const [stopPct, setStopPct] = useState(String(DEFAULT_STOP_PCT));
+  const [targetPct, setTargetPct] = useState(String(DEFAULT_TARGET_PCT));
+
+  const entry = Number(price);
+  const valid = entry > 0 && Number(size) >= 1;
+  const exits = valid ? exitPrices(entry, side, Number(stopPct), Number(targetPct)) : { stopPrice: null, targetPrice: null };
+
+  const confirm = () => {
+    if (!valid) return;
+    onConfirm({ size: Number(size), price: entry, side, ...exits });
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50" onClick={onClose}>
+      <div
+        className="w-96 p-5 rounded-lg border border-gray-700 bg-gray-900 shadow-xl space-y-4 text-sm"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between">
+          <h2 className="font-bold">
+            Follow {trade.symbol} {trade.right ?? trade.type} ${trade.strike} {trade.expiry}
+          </h2>
+          <button onClick={onClose} className="p-1 rounded hover:bg-gray-800" title="Cancel">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+
+        <div className="flex gap-2">
+          {POSITION_SIDES.map(s => (
+            <button
+              key={s}
+              onClick={() => setSide(s)}
+              className={`flex-1 py-1 rounded capitalize ${side === s ? 'bg-blue-600' : 'bg-gray-800 hover:bg-gray-700'}`}
+            >
+              {s}
+            </button>
+          ))}
+        </div>
+
+        <div className="grid grid-cols-2 gap-3">
+          <Field label="Contracts">
+            <input type="number" min="1" value={size} onChange={(e) => setSize(e.target.value)} className={inputClass} />
+          </Field>
+          <Field label={`Price (trade ${trade.optionPrice?.toFixed(2)})`}>
+            <input type="number" min="0" step="0.01" value={price} onChange={(e) => setPrice(e.target.value)} className={inputClass} />
+          </Field>
+          <Field label={`Stop % ${exits.stopPrice ? `→ ${exits.stopPrice.toFixed(2)}` : '(off)'}`}>
+            <input type="number" min="0" value={stopPct} onChange={(e) => setStopPct(e.target.value)} className={inputClass} />
+          </Field>
+          <Field label={`Target % ${exits.targetPrice ? `→ ${exits.targetPrice.toFixed(2)}` : '(off)'}`}>
+            <input type="number" min="0" value={targetPct} onChange={(e) => setTargetPct(e.target.value)} className={inputClass} />
+          </Field>
+        </div>
+        <div className="text-xs text-gray-500">0 turns a stop or target off.</div>
+
+        <button
+          onClick={confirm}
+          disabled={!valid}
+          className="w-full py-2 rounded bg-green-600 hover:bg-green-700 font-semibold disabled:opacity-40"
+        >
+          Open paper position
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default FollowDialog;
@@ -0,0 +1,23 @@
+import React from 'react';
+
+const TITLES = {
+  feed: 'Greeks sent by the server',
+  computed: 'Computed locally from the option and underlying price (Black-Scholes / Black-76)',
+};
+
+// Where a trade's or quote's greeks came from: 'feed' | 'computed' (optionPricing.js)
+const GreeksSource = ({ source }) => {
+  if (!source) return null;
+  return (
+    <span
+      title={TITLES[source]}
+      className={`ml-1 px-1 rounded text-[10px] font-normal uppercase ${
+        source === 'computed' ? 'bg-amber-900/60 text-amber-300' : 'bg-gray-800 text-gray-500'
+      }`}
+    >
+      {source}
+    </span>
+  );
+};
+
+export default GreeksSource;
@@ -0,0 +1,130 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { useUlQuote } from '../hooks/useQuotes.js';
+import { HEATMAP_METRICS, HEATMAP_RIGHTS, cellKey, cellValue } from '../lib/strikeHeatmap.js';
+import { fmtDeltaCompact } from '../lib/flowMath.js';
+import { formatPremium, formatSignedPremium } from '../lib/format.js';
+
+const selectClass =
+  'px-3 py-2 bg-gray-800 border border-gray-700 rounded text-white focus:outline-none focus:border-blue-500';
+
+const fmtExpiry = (expiry) => (/^\d{8}$/.test(expiry) ? `${expiry.slice(4, 6)}/${expiry.slice(6)}` : expiry);
+
+// Green for bullish, red for bearish; opacity by size relative to the largest cell
+function cellStyle(value, max) {
+  if (!value || !max) return undefined;
+  const alpha = 0.15 + 0.75 * Math.min(1, Math.abs(value) / max);
+  const rgb = value > 0 ? '34, 197, 94' : '239, 68, 68';
+  return { backgroundColor: `rgba(${rgb}, ${alpha.toFixed(2)})` };
+}
+
+function cellTitle(cell, strike, expiry) {
+  return [
+    `${strike} · ${expiry} · ${cell.count} trades`,
+    `Calls bought ${formatPremium(cell.callBought)} / sold ${formatPremium(cell.callSold)}`,
+    `Puts bought ${formatPremium(cell.putBought)} / sold ${formatPremium(cell.putSold)}`,
+    `Net Δ calls ${fmtDeltaCompact(cell.callDelta)} / puts ${fmtDeltaCompact(cell.putDelta)}`,
+  ].join('\n');
+}
+
+// Strike × expiry grid for one underlying. grid comes from the flow pipeline
+// (strikeHeatmap.js); onDrill(contract) opens the trades behind a cell.
+const HeatmapView = ({ grid, symbols, symbol, onSymbolChange, onDrill }) => {
+  const [metric, setMetric] = useState('premium');
+  const [right, setRight] = useState('all');
+  const ulQuote = useUlQuote(grid?.underlyingConid ?? '');
+
+  // nothing picked yet → first underlying with trades
+  useEffect(() => {
+    if (!symbols.includes(symbol) && symbols.length) onSymbolChange(symbols[0]);
+  }, [symbol, symbols, onSymbolChange]);
+
+  const max = useMemo(() => {
+    if (!grid) return 0;
+    return Math.max(0, ...Object.values(grid.cells).map(cell => Math.abs(cellValue(cell, metric, right))));
+  }, [grid, metric, right]);
+
+  if (!symbols.length) {
+    return <div className="text-center py-12 text-gray-500">No trades yet. Waiting for options flow...</div>;
+  }
+
+  const underlyingPrice = ulQuote?.last ?? grid?.underlyingPrice ?? null;
+  // the marker goes above the first strike below the underlying (strikes run high → low)
+  const markerIndex = grid && underlyingPrice != null ? grid.strikes.findIndex(k => k < underlyingPrice) : -1;
+  const format = metric === 'delta' ? fmtDeltaCompact : formatSignedPremium;
+
+  const markerRow = (
+    <tr key="ul-marker">
+      <td colSpan={(grid?.expiries.length ?? 0) + 1} className="p-0">
+        <div className="relative h-0 border-t-2 border-dashed border-yellow-400">
+          <span className="absolute -top-2.5 left-1 px-1 text-[10px] font-semibold bg-gray-950 text-yellow-300">
+            {grid?.symbol} {underlyingPrice?.toFixed(2)}
+          </span>
+        </div>
+      </td>
+    </tr>
+  );
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-3">
+        <select value={symbol ?? ''} onChange={(e) => onSymbolChange(e.target.value)} className={selectClass}>
+          {symbols.map(s => <option key={s} value={s}>{s}</option>)}
+        </select>
+        <select value={metric} onChange={(e) => setMetric(e.target.value)} className={selectClass}>
+          {HEATMAP_METRICS.map(m => <option key={m.id} value={m.id}>{m.label}</option>)}
+        </select>
+        <select value={right} onChange={(e) => setRight(e.target.value)} className={selectClass}>
+          {HEATMAP_RIGHTS.map(r => <option key={r.id} value={r.id}>{r.label}</option>)}
+        </select>
+        <span className="text-xs text-gray-500">
+          green = bullish (calls bought / puts sold), red = bearish · click a cell for its trades
+        </span>
+      </div>
+
+      {!grid ? (
+        <div className="text-center py-12 text-gray-500">Loading {symbol}…</div>
+      ) : (
+        <div className="overflow-auto rounded-lg border border-gray-800">
+          <table className="text-xs font-mono border-collapse">
+            <thead className="sticky top-0 bg-gray-900">
+              <tr>
+                <th className="px-3 py-2 text-left text-gray-500">Strike</th>
+                {grid.expiries.map(expiry => (
+                  <th key={expiry} className="px-3 py-2 text-gray-400" title={expiry}>{fmtExpiry(expiry)}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {grid.strikes.map((strike, i) => (
+                <React.Fragment key={strike}>
+                  {i === markerIndex && markerRow}
+                  <tr className="border-t border-gray-900">
+                    <td className="px-3 py-1 text-gray-300 bg-gray-900">{strike}</td>
+                    {grid.expiries.map(expiry => {
+                      const cell = grid.cells[cellKey(expiry, strike)];
+                      const value = cellValue(cell, metric, right);
+                      return (
+                        <td
+                          key={expiry}
+                          onClick={cell ? () => onDrill({ symbol: grid.symbol, strike, expiry, right }) : undefined}
+                          title={cell ? cellTitle(cell, strike, expiry) : undefined}
+                          style={cellStyle(value, max)}
+                          className={`px-3 py-1 text-right min-w-[84px] ${cell ? 'cursor-pointer hover:ring-1 hover:ring-white' : 'text-gray-700'}`}
+                        >
+                          {cell ? format(value) : '·'}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                </React.Fragment>
+              ))}
+              {markerIndex === -1 && underlyingPrice != null && grid.strikes.length > 0 && markerRow}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default HeatmapView;
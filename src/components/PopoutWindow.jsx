@@ -0,0 +1,53 @@
+import { useEffect, useRef, useState } from 'react';
+import { createPortal } from 'react-dom';
+
+const FEATURES = 'width=960,height=720';
+
+// Renders its children into a separate browser window. The content stays part of this React
+// tree – same flow worker, same state – so it is synced with the feed by construction.
+// The window gets copies of this page's stylesheets. onClose runs when the user closes it,
+// or right away when the browser blocked the popup.
+const PopoutWindow = ({ name, title, onClose, children }) => {
+  const [container, setContainer] = useState(null);
+  const onCloseRef = useRef(onClose);
+  onCloseRef.current = onClose;
+
+  useEffect(() => {
+    const win = window.open('', name, FEATURES);
+    if (!win) {
+      onCloseRef.current();
+      return undefined;
+    }
+    // a window left over from before a reload comes back with the old page in it
+    const doc = win.document;
+    doc.head.replaceChildren();
+    doc.body.replaceChildren();
+    for (const node of document.querySelectorAll('style, link[rel="stylesheet"]')) {
+      doc.head.appendChild(node.cloneNode(true));
+    }
+    doc.body.className = document.body.className;
+    const root = doc.createElement('div');
+    doc.body.appendChild(root);
+    setContainer(root);
+
+    const onUnload = () => onCloseRef.current();
+    const closeWindow = () => win.close();
+    win.addEventListener('pagehide', onUnload);
+    // the feed lives in this window; a popout can't outlast it
+    window.addEventListener('pagehide', closeWindow);
+    return () => {
+      win.removeEventListener('pagehide', onUnload);
+      window.removeEventListener('pagehide', closeWindow);
+      setContainer(null);
+      win.close();
+    };
+  }, [name]);
+
+  useEffect(() => {
+    if (container) container.ownerDocument.title = title;
+  }, [container, title]);
+
+  return container ? createPortal(children, container) : null;
+};
+
+export default PopoutWindow;
@@ -0,0 +1,235 @@
+import React, { useMemo, useState } from 'react';
+import { Trash2 } from 'lucide-react';
+import { useQuote, useQuoteSnapshot } from '../hooks/useQuotes.js';
+import {
+  dailyHistory,
+  markOf,
+  portfolioStats,
+  positionPnL,
+  positionPnLPercent,
+  realizedPnL,
+} from '../lib/paperPortfolio.js';
+import { formatTime } from '../lib/format.js';
+
+const inputClass =
+  'w-20 px-1 py-0.5 bg-gray-800 border border-gray-700 rounded text-white text-right focus:outline-none focus:border-blue-500';
+
+const money = (v) => `${v >= 0 ? '+' : '-'}$${Math.abs(v).toFixed(0)}`;
+const pnlClass = (v) => (v > 0 ? 'text-green-400' : v < 0 ? 'text-red-400' : 'text-gray-300');
+const contractLabel = (p) => `${p.symbol} ${p.right} ${p.strike} ${p.expiry}`;
+
+// Price input that commits on blur / Enter; empty turns the rule off
+const PriceInput = ({ value, onCommit, title }) => {
+  const [draft, setDraft] = useState(null);
+  const commit = () => {
+    if (draft === null) return;
+    const n = Number(draft);
+    onCommit(draft.trim() === '' || !(n > 0) ? null : n);
+    setDraft(null);
+  };
+  return (
+    <input
+      type="text"
+      inputMode="decimal"
+      value={draft ?? (value != null ? value.toFixed(2) : '')}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => e.key === 'Enter' && commit()}
+      placeholder="off"
+      title={title}
+      className={inputClass}
+    />
+  );
+};
+
+// One open position; subscribes only to its own contract's quote
+const OpenPositionRow = ({ position, portfolio }) => {
+  const quote = useQuote(position.conid);
+  const mark = markOf(position, quote);
+  const pnl = positionPnL(position, mark);
+
+  return (
+    <tr className="border-t border-gray-800">
+      <td className="py-1 font-semibold">{contractLabel(position)}</td>
+      <td className="capitalize">{position.side}</td>
+      <td className="text-right">{position.size}</td>
+      <td className="text-right">{position.entryPrice.toFixed(2)}</td>
+      <td className="text-right text-cyan-400">{mark.toFixed(2)}</td>
+      <td className={`text-right ${pnlClass(pnl)}`}>
+        {money(pnl)} ({positionPnLPercent(position, mark).toFixed(1)}%)
+      </td>
+      <td className="text-right">
+        <PriceInput
+          value={position.stopPrice}
+          title="Stop price"
+          onCommit={(stopPrice) => portfolio.setExits(position.id, { stopPrice, targetPrice: position.targetPrice })}
+        />
+      </td>
+      <td className="text-right">
+        <PriceInput
+          value={position.targetPrice}
+          title="Target price"
+          onCommit={(targetPrice) => portfolio.setExits(position.id, { stopPrice: position.stopPrice, targetPrice })}
+        />
+      </td>
+      <td className="text-gray-500">{formatTime(position.openedAt)}</td>
+      <td className="text-right">
+        <button onClick={() => portfolio.close(position.id)} className="px-2 py-0.5 rounded bg-gray-700 hover:bg-gray-600">
+          Close
+        </button>
+      </td>
+    </tr>
+  );
+};
+
+const Card = ({ label, paper, server, format = money, colored = true }) => (
+  <div className="bg-gray-900 p-4 rounded-lg border border-gray-800">
+    <div className="text-sm text-gray-500 mb-1">{label}</div>
+    <div className={`text-2xl font-bold ${colored ? pnlClass(paper) : ''}`}>{format(paper)}</div>
+    <div className="text-xs text-gray-500 mt-1">
+      Server: {server == null ? '–' : format(server)}
+    </div>
+  </div>
+);
+
+// Portfolio tab: paper totals beside the server's TRADING_STATS, open positions,
+// the closed-position blotter and realized P&L per day.
+//   portfolio: the usePortfolio() object; stats: the server's TRADING_STATS (or null)
+const PortfolioView = ({ portfolio, stats }) => {
+  const { quotes } = useQuoteSnapshot();
+  const { positions } = portfolio;
+  const open = positions.filter(p => p.status === 'open');
+  const closed = useMemo(
+    () => positions.filter(p => p.status === 'closed').sort((a, b) => b.closedAt - a.closedAt),
+    [positions]
+  );
+  const paper = portfolioStats(positions, (conid) => quotes[conid]);
+  const days = useMemo(() => dailyHistory(closed), [closed]);
+  const count = (v) => String(v ?? 0);
+
+  return (
+    <div className="space-y-6 text-sm">
+      <div className="grid grid-cols-4 gap-4">
+        <Card label="Realized today" paper={paper.daily.pnl} server={stats?.daily?.pnl} />
+        <Card label="Total realized" paper={paper.totalPnL} server={stats?.totalPnL} />
+        <Card label="Open P&L" paper={paper.openPnL} server={stats?.openPnL} />
+        <Card
+          label="Trades today (W / L)"
+          paper={paper.daily}
+          server={stats?.daily}
+          colored={false}
+          format={(d) => `${count(d.trades)} (${count(d.wins)} / ${count(d.losses)})`}
+        />
+      </div>
+
+      <section className="space-y-2">
+        <h2 className="text-lg font-bold">Open positions ({open.length})</h2>
+        {open.length === 0 ? (
+          <div className="text-gray-500">No open positions. Use Follow on a trade card to open one.</div>
+        ) : (
+          <table className="w-full font-mono text-xs">
+            <thead className="text-gray-500 text-left">
+              <tr>
+                <th className="font-normal">Contract</th>
+                <th className="font-normal">Side</th>
+                <th className="font-normal text-right">Qty</th>
+                <th className="font-normal text-right">Entry</th>
+                <th className="font-normal text-right">Mark</th>
+                <th className="font-normal text-right">Unrealized</th>
+                <th className="font-normal text-right">Stop</th>
+                <th className="font-normal text-right">Target</th>
+                <th className="font-normal">Opened</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {open.map(p => <OpenPositionRow key={p.id} position={p} portfolio={portfolio} />)}
+            </tbody>
+          </table>
+        )}
+      </section>
+
+      <section className="space-y-2">
+        <div className="flex items-center gap-3">
+          <h2 className="text-lg font-bold">Blotter ({closed.length})</h2>
+          <button
+            onClick={portfolio.clearClosed}
+            disabled={!closed.length}
+            className="px-3 py-1 rounded bg-gray-700 hover:bg-gray-600 disabled:opacity-40"
+          >
+            Clear closed
+          </button>
+        </div>
+        {closed.length > 0 && (
+          <table className="w-full font-mono text-xs">
+            <thead className="text-gray-500 text-left">
+              <tr>
+                <th className="font-normal">Closed</th>
+                <th className="font-normal">Contract</th>
+                <th className="font-normal">Side</th>
+                <th className="font-normal text-right">Qty</th>
+                <th className="font-normal text-right">Entry</th>
+                <th className="font-normal text-right">Exit</th>
+                <th className="font-normal text-right">Realized</th>
+                <th className="font-normal">Reason</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {closed.map(p => {
+                const pnl = realizedPnL(p);
+                return (
+                  <tr key={p.id} className="border-t border-gray-800">
+                    <td className="py-1 text-gray-500">{new Date(p.closedAt).toLocaleString()}</td>
+                    <td>{contractLabel(p)}</td>
+                    <td className="capitalize">{p.side}</td>
+                    <td className="text-right">{p.size}</td>
+                    <td className="text-right">{p.entryPrice.toFixed(2)}</td>
+                    <td className="text-right">{p.closePrice.toFixed(2)}</td>
+                    <td className={`text-right ${pnlClass(pnl)}`}>{money(pnl)}</td>
+                    <td>{p.closeReason}</td>
+                    <td className="text-right">
+                      <button onClick={() => portfolio.remove(p.id)} title="Delete" className="p-1 rounded hover:bg-red-800">
+                        <Trash2 className="w-3 h-3" />
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </section>
+
+      <section className="space-y-2">
+        <h2 className="text-lg font-bold">Daily history</h2>
+        {days.length === 0 ? (
+          <div className="text-gray-500">Nothing closed yet</div>
+        ) : (
+          <table className="font-mono text-xs">
+            <thead className="text-gray-500 text-left">
+              <tr>
+                <th className="font-normal pr-6">Date</th>
+                <th className="font-normal pr-6 text-right">Realized</th>
+                <th className="font-normal pr-6 text-right">Trades</th>
+                <th className="font-normal text-right">W / L</th>
+              </tr>
+            </thead>
+            <tbody>
+              {days.map(d => (
+                <tr key={d.date} className="border-t border-gray-800">
+                  <td className="py-1 pr-6">{d.date}</td>
+                  <td className={`pr-6 text-right ${pnlClass(d.pnl)}`}>{money(d.pnl)}</td>
+                  <td className="pr-6 text-right">{d.trades}</td>
+                  <td className="text-right">{d.wins} / {d.losses}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </section>
+    </div>
+  );
+};
+
+export default PortfolioView;
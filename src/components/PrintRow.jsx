@@ -0,0 +1,63 @@
+import React, { memo } from 'react';
+import { formatTime, formatPremium } from '../lib/format.js';
+
+const PrintRow = memo(({ print, onSelect }) => {
+  const stanceColor = print.stance === 'BULL' ? 'text-green-400' :
+                    print.stance === 'BEAR' ? 'text-red-400' : 'text-yellow-400';
+
+  return (
+    <div
+      onClick={() => onSelect?.(print)}
+      className="p-3 bg-gray-900 rounded-lg border border-cyan-700 cursor-pointer hover:bg-gray-800"
+    >
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-3 flex-wrap">
+          <span className="px-2 py-1 bg-cyan-900 text-cyan-300 text-xs font-bold rounded">
+            PRINT
+          </span>
+
+          {print.stance && (
+            <span className={`px-2 py-1 text-xs font-bold rounded border ${
+              print.stance === 'BULL' ? 'bg-green-900/30 border-green-500' :
+              print.stance === 'BEAR' ? 'bg-red-900/30 border-red-500' :
+              'bg-yellow-900/30 border-yellow-500'
+            }`}>
+              <span className={stanceColor}>{print.stance}</span>
+              {print.stanceScore && ` ${print.stanceScore}`}
+            </span>
+          )}
+
+          <span className="font-bold text-lg">
+            {print.symbol} {print.right} ${print.strike}
+          </span>
+
+          <span className="text-gray-400 text-sm">{print.expiry}</span>
+
+          <span className="text-cyan-400 font-semibold">
+            {print.tradeSize} @ ${print.tradePrice?.toFixed(2)}
+          </span>
+
+          <span className="text-gray-400">
+            {formatPremium(print.premium)}
+          </span>
+
+          <span className="text-yellow-400 text-sm">
+            Vol/OI: {print.volOiRatio?.toFixed(2)}
+          </span>
+
+          <span className={`text-sm font-semibold ${
+            print.aggressor ? 'text-green-400' : 'text-red-400'
+          }`}>
+            {print.aggressor ? 'BUY-agg' : 'SELL-agg'}
+          </span>
+        </div>
+
+        <span className="text-xs text-gray-500">
+          {formatTime(print.timestamp)}
+        </span>
+      </div>
+    </div>
+  );
+});
+
+export default PrintRow;
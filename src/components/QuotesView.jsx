@@ -0,0 +1,138 @@
+import React from 'react';
+import { useQuoteSnapshot } from '../hooks/useQuotes.js';
+import { formatTime } from '../lib/format.js';
+import VirtualList from './VirtualList.jsx';
+import GreeksSource from './GreeksSource.jsx';
+
+const getQuoteKey = (item) => `${item.kind}-${item.conid}`;
+
+const QuoteRow = ({ conid, quote, mapping }) => {
+  const isOption = mapping.type !== 'UNDERLYING';
+
+  return (
+    <div className="p-3 bg-gray-900 rounded-lg border border-gray-800">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-4">
+          <span className={`px-2 py-1 text-xs font-bold rounded ${
+            isOption ? 'bg-blue-900 text-blue-300' : 'bg-purple-900 text-purple-300'
+          }`}>
+            {isOption ? 'OPT' : 'UL'}
+          </span>
+
+          <div>
+            <div className="font-bold text-lg">
+              {mapping.symbol || `conid ${conid}`}
+              {isOption && mapping.right && (
+                <span className="ml-2 text-gray-400">
+                  {mapping.right === 'C' ? 'CALL' : 'PUT'} ${mapping.strike}
+                </span>
+              )}
+            </div>
+            {mapping.expiry && (
+              <div className="text-xs text-gray-500">exp {mapping.expiry}</div>
+            )}
+          </div>
+
+          <div className="text-lg font-semibold">
+            last <span className="text-cyan-400">${quote.last?.toFixed(2)}</span>
+          </div>
+
+          <div className="text-sm text-gray-400">
+            bid <span className="text-green-400">${quote.bid?.toFixed(2)}</span>
+          </div>
+
+          <div className="text-sm text-gray-400">
+            ask <span className="text-red-400">${quote.ask?.toFixed(2)}</span>
+          </div>
+
+          {quote.delta !== undefined && (
+            <div className="text-sm">
+              Δ <span className="text-blue-400 font-semibold">{quote.delta?.toFixed(3)}</span>
+              {quote.iv != null && <span className="ml-2 text-purple-400">{quote.iv.toFixed(1)}%</span>}
+              <GreeksSource source={quote.greeksSource} />
+            </div>
+          )}
+
+          <div className="text-sm text-gray-500">
+            vol {quote.volume || 0}
+          </div>
+        </div>
+
+        <span className="text-xs text-gray-500">
+          {formatTime(quote.timestamp)}
+        </span>
+      </div>
+    </div>
+  );
+};
+
+const UlQuoteRow = ({ conid, quote, mapping }) => (
+  <div className="p-3 bg-gray-900 rounded-lg border border-purple-800">
+    <div className="flex items-center justify-between">
+      <div className="flex items-center gap-4">
+        <span className="px-2 py-1 text-xs font-bold rounded bg-purple-900 text-purple-300">
+          UL
+        </span>
+
+        <div className="font-bold text-xl">
+          {mapping.symbol || `conid ${conid}`}
+        </div>
+
+        <div className="text-lg font-semibold">
+          last <span className="text-purple-400">${quote.last?.toFixed(2)}</span>
+        </div>
+
+        <div className="text-sm text-gray-400">
+          bid ${quote.bid?.toFixed(2)}
+        </div>
+
+        <div className="text-sm text-gray-400">
+          ask ${quote.ask?.toFixed(2)}
+        </div>
+
+        <div className="text-sm text-gray-500">
+          vol {quote.volume || 0}
+        </div>
+      </div>
+
+      <span className="text-xs text-gray-500">
+        {formatTime(quote.timestamp)}
+      </span>
+    </div>
+  </div>
+);
+
+// Quotes tab – redraws at most once per animation frame however fast quotes arrive;
+// only the rows in view are rendered
+const QuotesView = ({ conidMapping }) => {
+  const { quotes, ulQuotes } = useQuoteSnapshot();
+  const getMapping = (conid) => conidMapping[conid] || { symbol: 'Unknown', type: 'OPT' };
+  const items = [
+    ...Object.entries(quotes).map(([conid, quote]) => ({ kind: 'opt', conid, quote })),
+    ...Object.entries(ulQuotes).map(([conid, quote]) => ({ kind: 'ul', conid, quote })),
+  ];
+
+  if (items.length === 0) {
+    return (
+      <div className="text-center py-12 text-gray-500">
+        No quotes yet. Waiting for quote data...
+      </div>
+    );
+  }
+
+  return (
+    <VirtualList
+      items={items}
+      getKey={getQuoteKey}
+      estimateSize={64}
+      gap={8}
+      renderItem={({ kind, conid, quote }) => (
+        kind === 'opt'
+          ? <QuoteRow conid={conid} quote={quote} mapping={getMapping(conid)} />
+          : <UlQuoteRow conid={conid} quote={quote} mapping={getMapping(conid)} />
+      )}
+    />
+  );
+};
+
+export default QuotesView;
@@ -0,0 +1,67 @@
+import React from 'react';
+import { Play, Pause, SkipForward, X } from 'lucide-react';
+import { REPLAY_SPEEDS } from '../lib/sessionReplayer.js';
+
+const fmtClock = (ts) =>
+  ts
+    ? new Date(ts).toLocaleTimeString('en-US', { hour12: false, hour: '2-digit', minute: '2-digit', second: '2-digit' })
+    : '--:--:--';
+
+// Transport controls + timeline scrubber shown while a recorded session is replaying
+const ReplayBar = ({ label, progress, onPlay, onPause, onStep, onSpeed, onSeek, onExit }) => {
+  const { index, total, playing, speed, t } = progress;
+
+  return (
+    <div className="mb-4 p-3 rounded-lg border border-indigo-600 bg-indigo-950/40 flex flex-wrap items-center gap-3 text-sm">
+      <span className="px-2 py-1 text-xs font-bold rounded bg-indigo-600">REPLAY</span>
+      <span className="font-semibold">{label}</span>
+
+      <button
+        onClick={playing ? onPause : onPlay}
+        className="flex items-center gap-1 px-3 py-1 rounded bg-gray-700 hover:bg-gray-600"
+      >
+        {playing ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+        {playing ? 'Pause' : 'Play'}
+      </button>
+      <button
+        onClick={onStep}
+        disabled={index >= total}
+        className="flex items-center gap-1 px-3 py-1 rounded bg-gray-700 hover:bg-gray-600 disabled:opacity-40"
+      >
+        <SkipForward className="w-4 h-4" />
+        Step
+      </button>
+
+      <div className="flex items-center gap-1">
+        {REPLAY_SPEEDS.map((s) => (
+          <button
+            key={s}
+            onClick={() => onSpeed(s)}
+            className={`px-2 py-1 rounded ${speed === s ? 'bg-indigo-600' : 'bg-gray-800 hover:bg-gray-700'}`}
+          >
+            {s}x
+          </button>
+        ))}
+      </div>
+
+      <input
+        type="range"
+        min={0}
+        max={total}
+        value={index}
+        onChange={(e) => onSeek(Number(e.target.value))}
+        className="flex-1 min-w-[200px]"
+      />
+      <span className="font-mono text-xs text-gray-300">
+        {fmtClock(t)} · {index}/{total}
+      </span>
+
+      <button onClick={onExit} className="flex items-center gap-1 px-3 py-1 rounded bg-red-700 hover:bg-red-600">
+        <X className="w-4 h-4" />
+        Back to live
+      </button>
+    </div>
+  );
+};
+
+export default ReplayBar;
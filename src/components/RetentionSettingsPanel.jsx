@@ -0,0 +1,109 @@
+import React, { useEffect, useState } from 'react';
+import { Trash2, X } from 'lucide-react';
+import { LIST_STREAMS, RETENTION_MAX, RETENTION_MIN, normalizeRetention } from '../lib/retention.js';
+import { clearArchive, countArchivedRows } from '../lib/historyArchive.js';
+import { idbAvailable } from '../lib/idb.js';
+
+const inputClass =
+  'px-3 py-2 bg-gray-800 border border-gray-700 rounded text-white focus:outline-none focus:border-blue-500';
+
+const STREAM_LABELS = { trades: 'Trades', prints: 'Prints', autoTrades: 'Auto trades' };
+
+// Number field that commits on blur / Enter, so partial input isn't clamped while typing
+const LimitInput = ({ value, onCommit }) => {
+  const [draft, setDraft] = useState(null);
+  const commit = () => {
+    if (draft !== null) onCommit(draft);
+    setDraft(null);
+  };
+  return (
+    <input
+      type="number"
+      min={RETENTION_MIN}
+      max={RETENTION_MAX}
+      step={100}
+      value={draft ?? value}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => e.key === 'Enter' && commit()}
+      className={inputClass}
+    />
+  );
+};
+
+// Per-stream row limits, the overflow policy and what's in the archive for this scope
+const RetentionSettingsPanel = ({ retention, onChange, archiveScope, archived, onClose }) => {
+  const [counts, setCounts] = useState(null);
+  const [clearedAt, setClearedAt] = useState(0);
+
+  useEffect(() => {
+    if (!idbAvailable()) return undefined;
+    let cancelled = false;
+    Promise.all(LIST_STREAMS.map(stream => countArchivedRows(archiveScope, stream)))
+      .then((values) => {
+        if (!cancelled) setCounts(Object.fromEntries(LIST_STREAMS.map((s, i) => [s, values[i]])));
+      })
+      .catch(() => {});
+    return () => { cancelled = true; };
+  }, [archiveScope, archived, clearedAt]);
+
+  const setLimit = (stream, value) => {
+    onChange(normalizeRetention({ ...retention, limits: { ...retention.limits, [stream]: value } }));
+  };
+
+  const clear = async () => {
+    await clearArchive(archiveScope);
+    setClearedAt(Date.now());
+  };
+
+  return (
+    <div className="mb-4 p-4 rounded-lg border border-gray-800 bg-gray-900 text-sm">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="text-lg font-bold">History</h2>
+        <button onClick={onClose} className="p-1 rounded hover:bg-gray-800" title="Close history settings">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-3 gap-3 mb-3">
+        {LIST_STREAMS.map(stream => (
+          <label key={stream} className="flex flex-col gap-1">
+            <span className="text-xs text-gray-500">
+              {STREAM_LABELS[stream]} kept in memory
+              {counts && ` · ${counts[stream].toLocaleString()} archived`}
+            </span>
+            <LimitInput value={retention.limits[stream]} onCommit={(value) => setLimit(stream, value)} />
+          </label>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3">
+        <label className="flex items-center gap-2">
+          <span className="text-xs text-gray-500">Older rows</span>
+          <select
+            value={retention.overflow}
+            onChange={(e) => onChange({ ...retention, overflow: e.target.value })}
+            className={inputClass}
+          >
+            <option value="spill">Move to archive (IndexedDB)</option>
+            <option value="drop">Drop</option>
+          </select>
+        </label>
+
+        {idbAvailable() ? (
+          <button
+            onClick={clear}
+            className="flex items-center gap-2 px-3 py-2 rounded bg-gray-700 hover:bg-red-700"
+          >
+            <Trash2 className="w-4 h-4" />
+            Clear {archiveScope} archive
+          </button>
+        ) : (
+          <span className="text-xs text-yellow-400">IndexedDB unavailable – older rows are dropped</span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RetentionSettingsPanel;
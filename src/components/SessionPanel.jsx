@@ -0,0 +1,136 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Circle, Square, Play, Download, Trash2, Upload, X } from 'lucide-react';
+import {
+  listSessions,
+  loadSessionMessages,
+  deleteSession,
+  toNdjson,
+  parseNdjson,
+  downloadText,
+} from '../lib/sessionRecorder.js';
+
+const fmtDateTime = (ts) =>
+  ts ? new Date(ts).toLocaleString('en-US', { hour12: false }) : '—';
+
+// Recording controls + saved sessions (replay / export / delete / import NDJSON)
+const SessionPanel = ({ recording, recordedCount, onStartRecording, onStopRecording, onReplay, onClose }) => {
+  const [sessions, setSessions] = useState([]);
+  const [error, setError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const refresh = () => {
+    listSessions()
+      .then(setSessions)
+      .catch((err) => setError(`IndexedDB unavailable: ${err?.message || err}`));
+  };
+
+  // refresh when a recording starts/stops
+  useEffect(refresh, [recording]);
+
+  const replaySession = async (session) => {
+    const messages = await loadSessionMessages(session.id);
+    onReplay(messages, session.label || fmtDateTime(session.startedAt));
+  };
+
+  const exportSession = async (session) => {
+    const messages = await loadSessionMessages(session.id);
+    downloadText(`flow-${new Date(session.startedAt).toISOString().replace(/[:.]/g, '-')}.ndjson`, toNdjson(messages));
+  };
+
+  const removeSession = async (session) => {
+    await deleteSession(session.id);
+    refresh();
+  };
+
+  const importFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    const messages = parseNdjson(await file.text());
+    if (!messages.length) {
+      setError(`${file.name}: no recorded messages found`);
+      return;
+    }
+    onReplay(messages, file.name);
+  };
+
+  return (
+    <div className="mb-4 p-4 rounded-lg border border-gray-800 bg-gray-900 text-sm">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="text-lg font-bold">Sessions</h2>
+        <button onClick={onClose} className="p-1 rounded hover:bg-gray-800" title="Close sessions">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        {recording ? (
+          <button
+            onClick={onStopRecording}
+            className="flex items-center gap-2 px-3 py-2 bg-red-600 hover:bg-red-700 rounded"
+          >
+            <Square className="w-4 h-4" />
+            Stop recording ({recordedCount} msgs)
+          </button>
+        ) : (
+          <button
+            onClick={onStartRecording}
+            className="flex items-center gap-2 px-3 py-2 bg-gray-700 hover:bg-gray-600 rounded"
+          >
+            <Circle className="w-4 h-4 text-red-500" />
+            Record live feed
+          </button>
+        )}
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          className="flex items-center gap-2 px-3 py-2 bg-gray-700 hover:bg-gray-600 rounded"
+        >
+          <Upload className="w-4 h-4" />
+          Replay NDJSON file
+        </button>
+        <input ref={fileInputRef} type="file" accept=".ndjson,.jsonl,.json" className="hidden" onChange={importFile} />
+      </div>
+
+      {error && <div className="mb-3 text-red-400">{error}</div>}
+
+      <div className="space-y-1">
+        {sessions.map((session) => (
+          <div key={session.id} className="flex items-center justify-between px-3 py-2 rounded bg-gray-950 border border-gray-800">
+            <div className="flex items-center gap-3">
+              <span className="font-semibold">{session.label || fmtDateTime(session.startedAt)}</span>
+              <span className="text-xs text-gray-500">
+                {fmtDateTime(session.startedAt)} → {session.endedAt ? fmtDateTime(session.endedAt) : 'recording'}
+              </span>
+              <span className="text-xs text-gray-400">{session.count} msgs</span>
+              {session.serverUrl && <span className="text-xs font-mono text-gray-500">{session.serverUrl}</span>}
+            </div>
+            <div className="flex items-center gap-1">
+              <button
+                onClick={() => replaySession(session)}
+                disabled={!session.endedAt}
+                className="p-2 rounded hover:bg-gray-800 disabled:opacity-40"
+                title="Replay"
+              >
+                <Play className="w-4 h-4" />
+              </button>
+              <button onClick={() => exportSession(session)} className="p-2 rounded hover:bg-gray-800" title="Export NDJSON">
+                <Download className="w-4 h-4" />
+              </button>
+              <button
+                onClick={() => removeSession(session)}
+                disabled={!session.endedAt}
+                className="p-2 rounded hover:bg-gray-800 text-red-400 disabled:opacity-40"
+                title="Delete"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+        ))}
+        {sessions.length === 0 && !error && <div className="text-gray-500">No recorded sessions yet</div>}
+      </div>
+    </div>
+  );
+};
+
+export default SessionPanel;
@@ -0,0 +1,86 @@
+import React, { memo, useState } from 'react';
+import { ChevronDown, ChevronRight, Layers } from 'lucide-react';
+import { fmtDeltaCompact } from '../lib/flowMath.js';
+import { formatPremium, formatTime } from '../lib/format.js';
+
+const stanceStyle = (stance) => (
+  stance === 'BULL' ? 'bg-green-900/30 border-green-500 text-green-400'
+    : stance === 'BEAR' ? 'bg-red-900/30 border-red-500 text-red-400'
+      : 'bg-yellow-900/30 border-yellow-500 text-yellow-400'
+);
+
+// Detected multi-leg spread (spreadDetector.js) as one card: combined net premium,
+// delta and stance on top, the legs below; expanding shows each leg's full trade card.
+//   row: { spread, legs: trade rows of the legs in the list }
+//   renderLeg(trade): the leg's own card
+const SpreadCard = memo(({ row, renderLeg }) => {
+  const [expanded, setExpanded] = useState(false);
+  const { spread, legs } = row;
+  const debit = spread.netPremium >= 0;
+
+  return (
+    <div className="p-4 rounded-lg border-2 border-indigo-500 bg-indigo-900/20">
+      <div className="flex items-center justify-between gap-3 flex-wrap">
+        <div className="flex items-center gap-2 flex-wrap">
+          <button
+            onClick={() => setExpanded(!expanded)}
+            className="p-1 rounded hover:bg-indigo-800/50"
+            title={expanded ? 'Collapse legs' : 'Show each leg'}
+          >
+            {expanded ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+          </button>
+          <span className="flex items-center gap-1 px-2 py-1 text-xs font-bold rounded bg-indigo-600">
+            <Layers className="w-3 h-3" />
+            {spread.label.toUpperCase()}
+          </span>
+          {!spread.confirmed && (
+            <span className="text-xs text-gray-400" title="Same size within a second, but not reported at the same exchange time – may be unrelated prints">
+              unconfirmed
+            </span>
+          )}
+          <span className={`px-2 py-1 text-xs font-bold rounded border ${stanceStyle(spread.stance)}`}>{spread.stance}</span>
+          <span className="text-2xl font-bold">{spread.symbol}</span>
+          <span className="text-gray-400">{spread.legs.length} legs × {spread.size}</span>
+          <span className="text-xs text-gray-400">{formatTime(spread.firstAt)}</span>
+        </div>
+        <div className="text-right">
+          <div className={`text-2xl font-bold ${debit ? 'text-green-400' : 'text-orange-400'}`}>
+            {formatPremium(Math.abs(spread.netPremium))} {debit ? 'debit' : 'credit'}
+          </div>
+          <div className="text-sm text-blue-400">net {fmtDeltaCompact(spread.netDelta)}</div>
+        </div>
+      </div>
+
+      <table className="mt-3 w-full text-sm font-mono">
+        <tbody>
+          {spread.legs.map(leg => (
+            <tr key={leg.key} className="border-t border-indigo-900/60">
+              <td className={`py-1 w-16 font-semibold ${leg.side > 0 ? 'text-green-400' : 'text-red-400'}`}>
+                {leg.side > 0 ? 'BUY' : 'SELL'}
+                {leg.flipped && <span title="Side inferred from the spread structure">*</span>}
+              </td>
+              <td>{leg.strike}{leg.right} {leg.expiry}</td>
+              <td className="text-right">@ {leg.price?.toFixed(2)}</td>
+              <td className="text-right text-gray-400">{formatPremium(leg.premium)}</td>
+              <td className="text-right text-gray-500 w-16">{leg.direction ?? ''}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {spread.legs.some(l => l.flipped) && (
+        <div className="mt-1 text-xs text-gray-500">* reported on the same side as the other leg; side taken from the structure</div>
+      )}
+
+      {expanded && (
+        <div className="mt-3 space-y-3">
+          {legs.map(leg => <div key={leg.id}>{renderLeg(leg)}</div>)}
+          {legs.length < spread.legs.length && (
+            <div className="text-xs text-gray-500">{spread.legs.length - legs.length} leg(s) hidden by the filter</div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+});
+
+export default SpreadCard;
@@ -0,0 +1,131 @@
+import React, { useState } from 'react';
+import { Plus, Trash2, X } from 'lucide-react';
+import { normalizeStanceSettings } from '../lib/stanceSettings.js';
+
+const inputClass =
+  'px-3 py-2 bg-gray-800 border border-gray-700 rounded text-white focus:outline-none focus:border-blue-500';
+
+// Number field that commits on blur / Enter, so partial input isn't clamped while typing
+const NumberInput = ({ value, onCommit, step, className = 'w-36' }) => {
+  const [draft, setDraft] = useState(null);
+  const commit = () => {
+    if (draft !== null) onCommit(Number(draft));
+    setDraft(null);
+  };
+  return (
+    <input
+      type="number"
+      min={0}
+      step={step}
+      value={draft ?? value}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => e.key === 'Enter' && commit()}
+      className={`${inputClass} ${className}`}
+    />
+  );
+};
+
+// Minimum net delta-dollars + imbalance (entered as %) of one threshold, as table cells
+const ThresholdCells = ({ threshold, onChange }) => (
+  <>
+    <td className="pr-3">
+      <NumberInput
+        value={threshold.minDeltaDollars}
+        step={50_000}
+        onCommit={(minDeltaDollars) => onChange({ ...threshold, minDeltaDollars })}
+      />
+    </td>
+    <td className="pr-3">
+      <NumberInput
+        value={Math.round(threshold.imbalance * 100)}
+        step={5}
+        className="w-24"
+        onCommit={(percent) => onChange({ ...threshold, imbalance: percent / 100 })}
+      />
+    </td>
+  </>
+);
+
+// Default stance threshold and per-symbol overrides (stanceSettings.js)
+//   symbols: underlyings seen this session, offered when adding an override
+const StanceThresholdsPanel = ({ settings, onChange, symbols, onClose }) => {
+  const [newSymbol, setNewSymbol] = useState('');
+  const update = (next) => onChange(normalizeStanceSettings(next));
+  const setSymbol = (symbol, threshold) => update({ ...settings, symbols: { ...settings.symbols, [symbol]: threshold } });
+  const removeSymbol = (symbol) => {
+    const { [symbol]: _removed, ...rest } = settings.symbols;
+    update({ ...settings, symbols: rest });
+  };
+  const addSymbol = () => {
+    const symbol = newSymbol.trim().toUpperCase();
+    if (!symbol || settings.symbols[symbol]) return;
+    setSymbol(symbol, settings.default);
+    setNewSymbol('');
+  };
+
+  return (
+    <div className="mb-4 p-4 rounded-lg border border-gray-800 bg-gray-900 text-sm">
+      <div className="flex items-center justify-between mb-1">
+        <h2 className="text-lg font-bold">Stance thresholds</h2>
+        <button onClick={onClose} className="p-1 rounded hover:bg-gray-800" title="Close stance thresholds">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+      <p className="mb-3 text-xs text-gray-500">
+        A flow is BULL / BEAR once its net delta-dollars (delta × size × multiplier × underlying price) reach the
+        minimum and are at least the given share of the gross delta-dollars traded in the window.
+      </p>
+
+      <table className="text-left">
+        <thead className="text-xs text-gray-500">
+          <tr>
+            <th className="font-normal pr-3">Symbol</th>
+            <th className="font-normal pr-3">Min net Δ$</th>
+            <th className="font-normal pr-3">Net / gross %</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          <tr>
+            <td className="pr-3 py-1 text-gray-400">Default</td>
+            <ThresholdCells threshold={settings.default} onChange={(threshold) => update({ ...settings, default: threshold })} />
+            <td />
+          </tr>
+          {Object.entries(settings.symbols).map(([symbol, threshold]) => (
+            <tr key={symbol}>
+              <td className="pr-3 py-1 font-semibold">{symbol}</td>
+              <ThresholdCells threshold={threshold} onChange={(next) => setSymbol(symbol, next)} />
+              <td>
+                <button onClick={() => removeSymbol(symbol)} title="Use the default" className="p-1 rounded hover:bg-red-800">
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="mt-3 flex items-center gap-2">
+        <input
+          type="text"
+          list="stance-symbols"
+          value={newSymbol}
+          onChange={(e) => setNewSymbol(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && addSymbol()}
+          placeholder="Symbol"
+          className={`${inputClass} w-32`}
+        />
+        <datalist id="stance-symbols">
+          {symbols.filter(s => !settings.symbols[s]).map(s => <option key={s} value={s} />)}
+        </datalist>
+        <button onClick={addSymbol} className="flex items-center gap-2 px-3 py-2 rounded bg-gray-700 hover:bg-gray-600">
+          <Plus className="w-4 h-4" />
+          Override
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default StanceThresholdsPanel;
@@ -0,0 +1,94 @@
+import React from 'react';
+import { AlertCircle } from 'lucide-react';
+
+// Stats view: daily / all-time P&L and trade counts from the flow server's TRADING_STATS messages
+const StatsView = ({ stats }) => (
+  <div className="space-y-4">
+    {stats ? (
+      <>
+        <div className="grid grid-cols-4 gap-4">
+          <div className="bg-gray-900 p-6 rounded-lg border border-gray-800">
+            <div className="text-sm text-gray-500 mb-2">Daily P&L</div>
+            <div className={`text-3xl font-bold ${
+              stats.daily.pnl >= 0 ? 'text-green-400' : 'text-red-400'
+            }`}>
+              ${stats.daily.pnl?.toFixed(0)}
+            </div>
+            <div className="text-xs text-gray-500 mt-1">
+              Date: {stats.daily.date}
+            </div>
+          </div>
+        
+          <div className="bg-gray-900 p-6 rounded-lg border border-gray-800">
+            <div className="text-sm text-gray-500 mb-2">Daily Trades</div>
+            <div className="text-3xl font-bold text-blue-400">
+              {stats.daily.trades}
+            </div>
+            <div className="text-xs text-gray-500 mt-1">
+              Wins: {stats.daily.wins} | Losses: {stats.daily.losses}
+            </div>
+          </div>
+        
+          <div className="bg-gray-900 p-6 rounded-lg border border-gray-800">
+            <div className="text-sm text-gray-500 mb-2">Total P&L</div>
+            <div className={`text-3xl font-bold ${
+              stats.totalPnL >= 0 ? 'text-green-400' : 'text-red-400'
+            }`}>
+              ${stats.totalPnL?.toFixed(0)}
+            </div>
+            <div className="text-xs text-gray-500 mt-1">
+              All time
+            </div>
+          </div>
+        
+          <div className="bg-gray-900 p-6 rounded-lg border border-gray-800">
+            <div className="text-sm text-gray-500 mb-2">Open Positions</div>
+            <div className="text-3xl font-bold text-cyan-400">
+              {stats.openPositionsCount || 0}
+            </div>
+            <div className="text-xs text-gray-500 mt-1">
+              Open P&L: ${stats.openPnL?.toFixed(0) || 0}
+            </div>
+          </div>
+        </div>
+      
+        <div className="bg-gray-900 p-6 rounded-lg border border-gray-800">
+          <h3 className="text-lg font-bold mb-4">Statistics Summary</h3>
+          <div className="grid grid-cols-3 gap-4 text-sm">
+            <div>
+              <div className="text-gray-500">Total Trades</div>
+              <div className="text-2xl font-bold">{stats.totalTrades || 0}</div>
+            </div>
+            <div>
+              <div className="text-gray-500">Win Rate</div>
+              <div className="text-2xl font-bold text-green-400">
+                {stats.daily.trades > 0 ? ((stats.daily.wins / stats.daily.trades) * 100).toFixed(1) : 0}%
+              </div>
+            </div>
+            <div>
+              <div className="text-gray-500">Mode</div>
+              <div className="text-2xl font-bold text-yellow-400">
+                {stats.simulation ? 'SIMULATION' : 'LIVE'}
+              </div>
+            </div>
+          </div>
+        </div>
+      
+        <div className="bg-blue-900/20 border border-blue-500 rounded-lg p-4">
+          <div className="flex items-center gap-2 text-blue-400">
+            <AlertCircle className="w-5 h-5" />
+            <span className="font-semibold">
+              Stats are updated in real-time based on your trading activity
+            </span>
+          </div>
+        </div>
+      </>
+    ) : (
+      <div className="text-center py-12 text-gray-500">
+        No statistics available yet. Start trading to see stats.
+      </div>
+    )}
+  </div>
+);
+
+export default StatsView;
@@ -0,0 +1,212 @@
+import React from 'react';
+import { ArrowLeft, ListFilter } from 'lucide-react';
+import TimeSeriesChart from './TimeSeriesChart.jsx';
+import PrintRow from './PrintRow.jsx';
+import AutoTradeCard from './AutoTradeCard.jsx';
+import { useUlQuote } from '../hooks/useQuotes.js';
+import { DELTA_WINDOWS } from '../lib/deltaAggregator.js';
+import { fmtDeltaCompact } from '../lib/flowMath.js';
+import { formatPremium, formatSignedPremium, formatTime } from '../lib/format.js';
+
+// Net delta with the underlying price and big prints, as on the Charts view
+const DELTA_PANELS = [
+  {
+    id: 'delta',
+    weight: 1,
+    right: { key: 'price', label: 'Underlying', color: '#e5e7eb' },
+    markers: true,
+    left: [{ key: 'delta', label: 'Net Δ', color: '#60a5fa' }],
+  },
+];
+
+const stanceColor = (stance) => (
+  stance === 'BULL' ? 'text-green-400' : stance === 'BEAR' ? 'text-red-400' : 'text-yellow-300'
+);
+
+const Section = ({ title, children }) => (
+  <div className="bg-gray-900 rounded-lg border border-gray-800 p-4">
+    <div className="text-sm text-gray-500 mb-3">{title}</div>
+    {children}
+  </div>
+);
+
+const Empty = ({ children }) => <div className="text-center py-6 text-gray-500 text-sm">{children}</div>;
+
+// Two-sided bar: left share in `leftColor`, the rest in `rightColor`
+const SplitBar = ({ left, right, leftLabel, rightLabel, leftColor, rightColor }) => {
+  const total = left + right;
+  const share = total ? (left / total) * 100 : 50;
+  return (
+    <div>
+      <div className="flex justify-between text-sm mb-1">
+        <span>{leftLabel} <span className="font-semibold">{formatPremium(left)}</span></span>
+        <span>{rightLabel} <span className="font-semibold">{formatPremium(right)}</span></span>
+      </div>
+      <div className={`h-3 rounded overflow-hidden ${total ? rightColor : 'bg-gray-800'}`}>
+        {total > 0 && <div className={`h-full ${leftColor}`} style={{ width: `${share}%` }} />}
+      </div>
+    </div>
+  );
+};
+
+const UnderlyingQuote = ({ conid }) => {
+  const quote = useUlQuote(conid);
+  if (!quote) return <span className="text-gray-500">no live quote yet</span>;
+  return (
+    <div className="flex items-baseline gap-4">
+      <span className="text-2xl font-semibold text-purple-400">${quote.last?.toFixed(2)}</span>
+      <span className="text-sm text-gray-400">bid ${quote.bid?.toFixed(2)}</span>
+      <span className="text-sm text-gray-400">ask ${quote.ask?.toFixed(2)}</span>
+      <span className="text-sm text-gray-500">vol {quote.volume || 0}</span>
+      <span className="text-xs text-gray-500">{formatTime(quote.timestamp)}</span>
+    </div>
+  );
+};
+
+// Ticker page (#/ticker/NVDA): one underlying's live quote, net-delta history, call / put
+// premium split, busiest strikes, recent sweeps / blocks and open auto-trades.
+//   ticker: the pipeline's summary of the symbol (tickerSummary.js), null until it arrives
+//   flows: delta window id → { overallFlow, symbolFlows } for the stance row
+//   onShowInWorkspace: back to the workspace with the symbol as the list filter
+const TickerView = ({ symbol, ticker, flows, conidMapping, onSelectTrade, onFollowTrade, onShowInWorkspace, onClose }) => {
+  // the feed maps the underlying's conid before its quotes; trades carry it too
+  const ulConid = Object.entries(conidMapping).find(([, m]) => m.symbol === symbol && m.type === 'UNDERLYING')?.[0]
+    ?? ticker?.underlyingConid ?? null;
+  const series = ticker?.series;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-4">
+        <button
+          onClick={onClose}
+          className="flex items-center gap-1 px-3 py-2 rounded bg-gray-800 hover:bg-gray-700 text-sm"
+          title="Back to the workspace"
+        >
+          <ArrowLeft className="w-4 h-4" /> Workspace
+        </button>
+        <h2 className="text-3xl font-bold">{symbol}</h2>
+        {ulConid != null ? <UnderlyingQuote conid={ulConid} /> : <span className="text-gray-500">no live quote yet</span>}
+        <button
+          onClick={onShowInWorkspace}
+          className="ml-auto flex items-center gap-1 px-3 py-2 rounded bg-gray-800 hover:bg-gray-700 text-sm"
+          title={`Filter the workspace's list panel to ${symbol}`}
+        >
+          <ListFilter className="w-4 h-4" /> Show trades in workspace
+        </button>
+      </div>
+
+      <div className="flex flex-wrap gap-3 text-sm">
+        {DELTA_WINDOWS.map(w => {
+          const flow = flows[w.id]?.symbolFlows.find(s => s.symbol === symbol);
+          return (
+            <div key={w.id} className="px-3 py-2 rounded bg-gray-900 border border-gray-800">
+              <span className="text-gray-500 mr-2">{w.label}</span>
+              {flow ? (
+                <>
+                  <span className={`font-semibold mr-2 ${stanceColor(flow.stance)}`}>{flow.stance}</span>
+                  <span>{fmtDeltaCompact(flow.netDelta)}</span>
+                </>
+              ) : (
+                <span className="text-gray-600">—</span>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <Section title="Net delta (session)">
+        {series?.t.length ? (
+          <TimeSeriesChart series={series} panels={DELTA_PANELS} height={260} />
+        ) : (
+          <Empty>No {symbol} flow yet this session.</Empty>
+        )}
+      </Section>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <Section title="Premium split">
+          {ticker ? (
+            <div className="space-y-4">
+              <SplitBar
+                left={ticker.premium.call}
+                right={ticker.premium.put}
+                leftLabel="Calls"
+                rightLabel="Puts"
+                leftColor="bg-green-600"
+                rightColor="bg-red-600"
+              />
+              <SplitBar
+                left={ticker.premium.bull}
+                right={ticker.premium.bear}
+                leftLabel="Bullish"
+                rightLabel="Bearish"
+                leftColor="bg-lime-500"
+                rightColor="bg-orange-500"
+              />
+            </div>
+          ) : (
+            <Empty>No premium yet.</Empty>
+          )}
+        </Section>
+
+        <Section title="Top strikes by premium">
+          {ticker?.topStrikes.length ? (
+            <table className="w-full text-sm">
+              <thead className="text-gray-500 text-xs">
+                <tr>
+                  <th className="text-left font-normal">Strike</th>
+                  <th className="text-right font-normal">Calls</th>
+                  <th className="text-right font-normal">Puts</th>
+                  <th className="text-right font-normal">Total</th>
+                  <th className="text-right font-normal">Net</th>
+                  <th className="text-right font-normal">Trades</th>
+                </tr>
+              </thead>
+              <tbody>
+                {ticker.topStrikes.map(row => (
+                  <tr key={row.strike} className="border-t border-gray-800">
+                    <td className="py-1 font-semibold">{row.strike}</td>
+                    <td className="py-1 text-right text-green-400">{formatPremium(row.call)}</td>
+                    <td className="py-1 text-right text-red-400">{formatPremium(row.put)}</td>
+                    <td className="py-1 text-right">{formatPremium(row.total)}</td>
+                    <td className={`py-1 text-right ${row.net >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                      {formatSignedPremium(row.net)}
+                    </td>
+                    <td className="py-1 text-right text-gray-400">{row.count}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <Empty>No strikes traded yet.</Empty>
+          )}
+        </Section>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <Section title="Recent sweeps & blocks">
+          {ticker?.blocks.length ? (
+            <div className="space-y-2 max-h-[32rem] overflow-y-auto">
+              {ticker.blocks.map(print => <PrintRow key={print.id} print={print} onSelect={onSelectTrade} />)}
+            </div>
+          ) : (
+            <Empty>No sweeps or blocks in memory.</Empty>
+          )}
+        </Section>
+
+        <Section title="Open auto-trades">
+          {ticker?.openAutoTrades.length ? (
+            <div className="space-y-3 max-h-[32rem] overflow-y-auto">
+              {ticker.openAutoTrades.map(trade => (
+                <AutoTradeCard key={trade.id} trade={trade} onSelect={onSelectTrade} onFollow={onFollowTrade} />
+              ))}
+            </div>
+          ) : (
+            <Empty>No open auto-trades.</Empty>
+          )}
+        </Section>
+      </div>
+    </div>
+  );
+};
+
+export default TickerView;
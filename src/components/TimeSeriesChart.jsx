@@ -0,0 +1,290 @@
+import React, { useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react';
+import { downsample, nearestIndex, niceTicks, panRange, timeTicks, zoomRange } from '../lib/chartMath.js';
+import { formatTime } from '../lib/format.js';
+
+// Never zoom in past this many buckets
+const MIN_BUCKETS = 6;
+const AXIS_WIDTH = 64;
+const X_AXIS_HEIGHT = 20;
+const PANEL_GAP = 12;
+
+const compact = (v) => {
+  const abs = Math.abs(v);
+  if (abs >= 1e9) return `${(v / 1e9).toFixed(1)}B`;
+  if (abs >= 1e6) return `${(v / 1e6).toFixed(1)}M`;
+  if (abs >= 1e3) return `${(v / 1e3).toFixed(0)}k`;
+  return abs < 10 ? v.toFixed(2) : v.toFixed(0);
+};
+
+function extentOf(points, into = { min: Infinity, max: -Infinity }) {
+  for (const p of points) {
+    if (p.v < into.min) into.min = p.v;
+    if (p.v > into.max) into.max = p.v;
+  }
+  return into;
+}
+
+// pad a flat or empty value range so it still has height
+function padded({ min, max }) {
+  if (!Number.isFinite(min)) return { min: 0, max: 1 };
+  if (min === max) return { min: min - 1, max: max + 1 };
+  const pad = (max - min) * 0.05;
+  return { min: min - pad, max: max + pad };
+}
+
+function drawLine(ctx, points, toX, toY, { color, dash = [], width = 1.5 }) {
+  if (!points.length) return;
+  ctx.save();
+  ctx.strokeStyle = color;
+  ctx.lineWidth = width;
+  ctx.setLineDash(dash);
+  ctx.beginPath();
+  points.forEach((p, k) => {
+    const x = toX(p.t);
+    const y = toY(p.v);
+    if (k === 0) ctx.moveTo(x, y);
+    else ctx.lineTo(x, y);
+  });
+  ctx.stroke();
+  ctx.restore();
+}
+
+// Canvas time-series chart with stacked panels sharing one time axis.
+//   series:  { t[], [key]: values[], markers?: [{ t, price, bullish, premium, label }] }
+//   panels:  [{ id, weight, left: [{ key, label, color, dash? }], right?: { key, label, color, dash? }, markers? }]
+// Wheel zooms around the cursor, drag pans, double-click resets to the full (live) range.
+// Each pixel column draws at most four points per line, so a full day stays cheap.
+const TimeSeriesChart = ({ series, panels, height = 480, formatValue = compact }) => {
+  const canvasRef = useRef(null);
+  const wrapRef = useRef(null);
+  const dragRef = useRef(null);
+  const [width, setWidth] = useState(800);
+  // null follows the whole series as it grows
+  const [range, setRange] = useState(null);
+  const [hoverX, setHoverX] = useState(null);
+
+  useLayoutEffect(() => {
+    const el = wrapRef.current;
+    if (!el) return undefined;
+    setWidth(el.clientWidth || 800);
+    if (typeof ResizeObserver === 'undefined') return undefined;
+    const observer = new ResizeObserver(([entry]) => setWidth(Math.max(200, entry.contentRect.width)));
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, []);
+
+  const ts = series.t;
+  const extent = useMemo(
+    () => (ts.length ? { from: ts[0], to: ts[ts.length - 1] + series.bucketMs } : { from: 0, to: 1 }),
+    [ts, series.bucketMs]
+  );
+  const minSpan = series.bucketMs * MIN_BUCKETS;
+  const view = range ?? extent;
+  const plotWidth = Math.max(1, width - 2 * AXIS_WIDTH);
+
+  // new symbol → back to the full range
+  useEffect(() => setRange(null), [series.symbol]);
+
+  const layout = useMemo(() => {
+    const total = panels.reduce((sum, p) => sum + (p.weight ?? 1), 0);
+    const usable = height - X_AXIS_HEIGHT - PANEL_GAP * (panels.length - 1);
+    let top = 0;
+    return panels.map(panel => {
+      const h = (usable * (panel.weight ?? 1)) / total;
+      const box = { panel, top, height: h };
+      top += h + PANEL_GAP;
+      return box;
+    });
+  }, [panels, height]);
+
+  const toX = (t) => AXIS_WIDTH + ((t - view.from) / (view.to - view.from)) * plotWidth;
+  const toT = (x) => view.from + ((x - AXIS_WIDTH) / plotWidth) * (view.to - view.from);
+
+  // downsampled points + value scales per panel
+  const scaled = useMemo(() => layout.map(({ panel, top, height: h }) => {
+    const lines = panel.left.map(line => ({ line, points: downsample(ts, series[line.key], view.from, view.to, plotWidth) }));
+    const right = panel.right
+      ? { line: panel.right, points: downsample(ts, series[panel.right.key], view.from, view.to, plotWidth) }
+      : null;
+    const leftRange = padded(lines.reduce((acc, l) => extentOf(l.points, acc), { min: Infinity, max: -Infinity }));
+    const rightRange = right ? padded(extentOf(right.points)) : null;
+    const yOf = (r) => (v) => top + h - ((v - r.min) / (r.max - r.min)) * h;
+    return { panel, top, height: h, lines, right, leftRange, rightRange, toYLeft: yOf(leftRange), toYRight: rightRange && yOf(rightRange) };
+  }), [layout, ts, series, view.from, view.to, plotWidth]);
+
+  const hoverIndex = hoverX === null ? -1 : nearestIndex(ts, toT(hoverX));
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const ctx = canvas?.getContext?.('2d');
+    if (!ctx) return;
+    const dpr = globalThis.devicePixelRatio || 1;
+    canvas.width = width * dpr;
+    canvas.height = height * dpr;
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    ctx.font = '10px ui-monospace, monospace';
+
+    for (const s of scaled) {
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(AXIS_WIDTH, s.top, plotWidth, s.height);
+      ctx.strokeStyle = '#1f2937';
+      ctx.stroke();
+
+      // grid + left axis
+      ctx.fillStyle = '#6b7280';
+      ctx.textAlign = 'right';
+      ctx.textBaseline = 'middle';
+      for (const v of niceTicks(s.leftRange.min, s.leftRange.max, 4)) {
+        const y = s.toYLeft(v);
+        ctx.strokeStyle = v === 0 ? '#374151' : '#111827';
+        ctx.beginPath();
+        ctx.moveTo(AXIS_WIDTH, y);
+        ctx.lineTo(AXIS_WIDTH + plotWidth, y);
+        ctx.stroke();
+        ctx.fillText(formatValue(v), AXIS_WIDTH - 6, y);
+      }
+      if (s.right) {
+        ctx.textAlign = 'left';
+        for (const v of niceTicks(s.rightRange.min, s.rightRange.max, 4)) {
+          ctx.fillText(v.toFixed(2), AXIS_WIDTH + plotWidth + 6, s.toYRight(v));
+        }
+      }
+
+      ctx.beginPath();
+      ctx.rect(AXIS_WIDTH, s.top, plotWidth, s.height);
+      ctx.clip();
+      if (s.right) drawLine(ctx, s.right.points, toX, s.toYRight, s.right.line);
+      for (const { line, points } of s.lines) drawLine(ctx, points, toX, s.toYLeft, line);
+
+      // big prints on the right-axis (price) line
+      if (s.panel.markers && s.right && series.markers) {
+        for (const m of series.markers) {
+          if (m.t < view.from || m.t > view.to || m.price == null) continue;
+          // radius grows with premium: $100k → 4px, $1M → 5px
+          const r = Math.min(9, Math.max(3, Math.log10(Math.max(1, m.premium)) - 1));
+          ctx.beginPath();
+          ctx.arc(toX(m.t), s.toYRight(m.price), r, 0, Math.PI * 2);
+          ctx.fillStyle = m.bullish ? 'rgba(34,197,94,0.8)' : 'rgba(239,68,68,0.8)';
+          ctx.fill();
+        }
+      }
+      ctx.restore();
+    }
+
+    // time axis
+    ctx.fillStyle = '#6b7280';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    for (const t of timeTicks(view.from, view.to, Math.max(2, Math.floor(plotWidth / 90)))) {
+      ctx.fillText(formatTime(t), toX(t), height - X_AXIS_HEIGHT + 4);
+    }
+
+    // crosshair
+    if (hoverIndex >= 0) {
+      const x = toX(ts[hoverIndex]);
+      ctx.strokeStyle = '#9ca3af';
+      ctx.setLineDash([3, 3]);
+      ctx.beginPath();
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, height - X_AXIS_HEIGHT);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+  }, [scaled, width, height, plotWidth, hoverIndex, series.markers, view.from, view.to, formatValue, ts]);
+
+  const onWheel = (e) => {
+    if (!ts.length) return;
+    const rect = canvasRef.current.getBoundingClientRect();
+    const t = toT(e.clientX - rect.left);
+    setRange(zoomRange(view, t, e.deltaY < 0 ? 0.8 : 1.25, extent, minSpan));
+  };
+
+  // React's wheel listener is passive – block page scroll with a native one
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return undefined;
+    const block = (e) => e.preventDefault();
+    canvas.addEventListener('wheel', block, { passive: false });
+    return () => canvas.removeEventListener('wheel', block);
+  }, []);
+
+  const onMouseDown = (e) => {
+    dragRef.current = { x: e.clientX, range: view };
+  };
+
+  const onMouseMove = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    const x = e.clientX - rect.left;
+    setHoverX(x >= AXIS_WIDTH && x <= AXIS_WIDTH + plotWidth ? x : null);
+    const drag = dragRef.current;
+    if (drag) {
+      const dt = ((drag.x - e.clientX) / plotWidth) * (drag.range.to - drag.range.from);
+      setRange(panRange(drag.range, dt, extent, minSpan));
+    }
+  };
+
+  const endDrag = () => {
+    dragRef.current = null;
+  };
+
+  // crosshair tooltip: every line's value at the hovered bucket + nearby big prints
+  let tooltip = null;
+  if (hoverIndex >= 0) {
+    const t = ts[hoverIndex];
+    const nearby = (series.markers || []).filter(m => Math.abs(toX(m.t) - toX(t)) <= 6);
+    const x = toX(t);
+    tooltip = (
+      <div
+        className="absolute top-2 pointer-events-none px-2 py-1 rounded border border-gray-700 bg-gray-900/95 text-xs font-mono space-y-0.5"
+        style={x > width / 2 ? { right: width - x + 12 } : { left: x + 12 }}
+      >
+        <div className="text-gray-400">{formatTime(t)}</div>
+        {panels.flatMap(p => [...(p.right ? [p.right] : []), ...p.left]).map(line => {
+          const v = series[line.key][hoverIndex];
+          return (
+            <div key={line.key} style={{ color: line.color }}>
+              {line.label}: {v == null ? '–' : line.key === 'price' ? v.toFixed(2) : formatValue(v)}
+            </div>
+          );
+        })}
+        {nearby.map(m => (
+          <div key={`${m.t}-${m.label}`} className={m.bullish ? 'text-green-400' : 'text-red-400'}>
+            {m.label} ${formatValue(m.premium)}
+          </div>
+        ))}
+      </div>
+    );
+  }
+
+  return (
+    <div ref={wrapRef} className="relative select-none">
+      <canvas
+        ref={canvasRef}
+        style={{ width: '100%', height }}
+        className={dragRef.current ? 'cursor-grabbing' : 'cursor-crosshair'}
+        onWheel={onWheel}
+        onMouseDown={onMouseDown}
+        onMouseMove={onMouseMove}
+        onMouseUp={endDrag}
+        onMouseLeave={() => {
+          endDrag();
+          setHoverX(null);
+        }}
+        onDoubleClick={() => setRange(null)}
+      />
+      {tooltip}
+      {range && (
+        <button
+          onClick={() => setRange(null)}
+          className="absolute top-2 right-20 px-2 py-0.5 text-xs rounded bg-gray-800 border border-gray-700 hover:bg-gray-700"
+        >
+          Reset zoom
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default TimeSeriesChart;
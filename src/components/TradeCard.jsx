@@ -0,0 +1,256 @@
+import React, { memo } from 'react';
+import { TrendingUp, TrendingDown, Zap, Activity, Flame } from 'lucide-react';
+import { useQuote, useUlQuote } from '../hooks/useQuotes.js';
+import { calculatePnL, markPrice } from '../lib/flowMath.js';
+import { formatTime, formatPremium } from '../lib/format.js';
+import { UNUSUAL_THRESHOLD } from '../lib/unusualActivity.js';
+import GreeksSource from './GreeksSource.jsx';
+
+const getStanceColor = (stanceLabel) => {
+  if (stanceLabel === 'BULL') return 'text-green-400';
+  if (stanceLabel === 'BEAR') return 'text-red-400';
+  return 'text-yellow-400';
+};
+
+const getStanceBg = (stanceLabel) => {
+  if (stanceLabel === 'BULL') return 'bg-green-900/30 border-green-500';
+  if (stanceLabel === 'BEAR') return 'bg-red-900/30 border-red-500';
+  return 'bg-yellow-900/30 border-yellow-500';
+};
+
+const getClassificationBadges = (classifications) => {
+  if (!classifications || !classifications.length) return null;
+
+  return classifications.map(cls => {
+    let bgColor = 'bg-gray-700';
+    if (cls === 'SWEEP') bgColor = 'bg-red-600';
+    else if (cls === 'BLOCK') bgColor = 'bg-orange-600';
+    else if (cls === 'NOTABLE') bgColor = 'bg-green-600';
+
+    return (
+      <span key={cls} className={`px-2 py-1 text-xs font-bold rounded ${bgColor}`}>
+        {cls}
+      </span>
+    );
+  });
+};
+
+const getDirectionStyle = (direction) => {
+  const styles = {
+    'BTO': 'bg-green-700 text-white',
+    'STO': 'bg-orange-700 text-white', 
+    'BTC': 'bg-cyan-700 text-white',
+    'STC': 'bg-purple-700 text-white'
+  };
+  return styles[direction] || 'bg-gray-700 text-white';
+};
+
+const fmtZ = (z) => (z == null ? '–' : `${z >= 0 ? '+' : ''}${z.toFixed(1)}σ`);
+const unusualTitle = (u) => `vs. rolling baseline – size ${fmtZ(u.size)}, premium ${fmtZ(u.premium)}, frequency ${fmtZ(u.frequency)}`;
+
+// One trade card; subscribes only to its own contract's and underlying's quotes.
+// onSelect(trade) opens the detail drawer, onFollow(trade) the paper-position dialog.
+const TradeCard = memo(({ trade, ulMapping, onSelect, onFollow }) => {
+  const ulQuote = useUlQuote(trade.underlyingConid);
+  const quote = useQuote(trade.conid);
+  const currentULPrice = ulQuote ? ulQuote.last : 0;
+  const ulPriceChange = currentULPrice && trade.underlyingPrice 
+    ? ((currentULPrice - trade.underlyingPrice) / trade.underlyingPrice * 100).toFixed(2) 
+    : '0.00';
+
+  const currentPrice = markPrice(trade, quote);
+  const { dollarPnL, percentPnL } = calculatePnL(trade, currentPrice);
+  const pnlColor = dollarPnL >= 0 ? 'text-green-400' : 'text-red-400';
+
+  return (
+    <div 
+      onClick={() => onSelect?.(trade)}
+      className={`p-4 rounded-lg border-2 cursor-pointer hover:brightness-125 ${
+        trade.classifications?.includes('SWEEP') 
+          ? 'bg-red-900/20 border-red-500' 
+          : trade.classifications?.includes('BLOCK') 
+          ? 'bg-orange-900/20 border-orange-500'
+          : trade.classifications?.includes('NOTABLE')
+          ? 'bg-green-900/20 border-green-500'
+          : 'bg-gray-900 border-gray-800'
+      }`}
+    >
+      <div className="flex items-center justify-between mb-3">
+        <div className="flex items-center gap-2 flex-wrap">
+          {getClassificationBadges(trade.classifications)}
+
+          <span className={`px-2 py-1 text-xs font-bold rounded ${getDirectionStyle(trade.direction)}`}>
+            {trade.direction}
+          </span>
+
+          <div className={`flex items-center gap-1 px-2 py-1 rounded border ${getStanceBg(trade.stanceLabel)}`}>
+            {trade.stanceLabel === 'BULL' ? <TrendingUp className="w-4 h-4" /> : 
+             trade.stanceLabel === 'BEAR' ? <TrendingDown className="w-4 h-4" /> : 
+             <Activity className="w-4 h-4" />}
+            <span className={`font-bold text-sm ${getStanceColor(trade.stanceLabel)}`}>
+              {trade.stanceLabel}
+            </span>
+            <span className="text-xs text-gray-400">({trade.stanceScore})</span>
+          </div>
+
+          <div className="flex items-center gap-1 px-2 py-1 bg-yellow-900/30 rounded border border-yellow-600">
+            <Zap className="w-4 h-4 text-yellow-400" />
+            <span className="font-semibold text-sm text-yellow-400">{trade.confidence}%</span>
+          </div>
+
+          {trade.unusual?.score >= UNUSUAL_THRESHOLD && (
+            <span
+              className="flex items-center gap-1 px-2 py-1 text-xs font-bold rounded bg-fuchsia-800 text-fuchsia-100"
+              title={unusualTitle(trade.unusual)}
+            >
+              <Flame className="w-3 h-3" />
+              UNUSUAL {trade.unusual.score.toFixed(1)}
+            </span>
+          )}
+
+          <span className="text-xs text-gray-400">
+            {formatTime(trade.timestamp || trade.receivedAt)}
+          </span>
+
+          <span className="px-2 py-1 text-xs bg-gray-800 rounded">
+            {trade.assetClass === 'FUTURES_OPTION' ? '📊 FUT' : '📈 EQ'}
+          </span>
+        </div>
+
+        {onFollow && (
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              onFollow(trade);
+            }}
+            className="px-3 py-1 text-xs font-semibold rounded bg-blue-700 hover:bg-blue-600"
+            title="Open a paper position on this contract"
+          >
+            Follow
+          </button>
+        )}
+      </div>
+
+      <div className="grid grid-cols-2 gap-4 mb-3">
+        <div>
+          <div className="text-2xl font-bold mb-1">
+            {trade.symbol} {trade.type} ${trade.strike}
+          </div>
+          <div className="text-sm text-gray-400 space-y-1">
+            <div>exp {trade.expiry} • DTE {trade.dte}</div>
+            <div>Moneyness: {((trade.moneyness || 0) * 100).toFixed(2)}%</div>
+            <div className="flex items-center gap-2">
+              <span>UL: {ulMapping.symbol || trade.symbol}</span>
+              <span className="font-semibold">${(currentULPrice || trade.underlyingPrice).toFixed(2)}</span>
+              {currentULPrice && (
+                <span className={`text-xs ${
+                  parseFloat(ulPriceChange) >= 0 ? 'text-green-400' : 'text-red-400'
+                }`}>
+                  ({parseFloat(ulPriceChange) >= 0 ? '+' : ''}{ulPriceChange}%)
+                </span>
+              )}
+            </div>
+          </div>
+        </div>
+
+        <div className="text-right">
+          <div className="text-3xl font-bold text-green-400 mb-1">
+            {formatPremium(trade.premium)}
+          </div>
+          <div className="text-sm text-gray-400 space-y-1">
+            <div>{trade.size} contracts @ ${trade.optionPrice?.toFixed(2)}</div>
+            {currentPrice && (
+              <>
+                <div>Now: ${currentPrice.toFixed(2)}</div>
+                <div className={`font-semibold ${pnlColor}`}>
+                  P&L: {percentPnL >= 0 ? '+' : ''}{percentPnL.toFixed(1)}% 
+                  ({dollarPnL >= 0 ? '+' : ''}${dollarPnL.toFixed(0)})
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-7 gap-3 text-sm mb-3">
+        <div>
+          <div className="text-gray-500 text-xs">Delta<GreeksSource source={trade.greeksSource} /></div>
+          <div className="font-semibold text-blue-400">{trade.greeks?.delta?.toFixed(3)}</div>
+        </div>
+        <div>
+          <div className="text-gray-500 text-xs">IV</div>
+          <div className="font-semibold text-purple-400">{trade.greeks?.iv?.toFixed(1)}%</div>
+        </div>
+        <div>
+          <div className="text-gray-500 text-xs">Vol/OI</div>
+          <div className="font-semibold text-yellow-400">{trade.volOiRatio?.toFixed(2)}</div>
+        </div>
+        <div>
+          <div className="text-gray-500 text-xs">OI</div>
+          <div className="font-semibold">{trade.openInterest?.toLocaleString()}</div>
+        </div>
+        <div>
+          <div className="text-gray-500 text-xs">Vol</div>
+          <div className="font-semibold">{trade.size}</div>
+        </div>
+        <div>
+          <div className="text-gray-500 text-xs">Bid/Ask</div>
+          <div className="font-semibold text-xs">
+            {trade.bid?.toFixed(2)}/{trade.ask?.toFixed(2)}
+          </div>
+        </div>
+        <div>
+          <div className="text-gray-500 text-xs">Aggressor</div>
+          <div className={`font-semibold ${trade.aggressor ? 'text-green-400' : 'text-red-400'}`}>
+            {trade.aggressor ? 'BUY' : 'SELL'}
+          </div>
+        </div>
+      </div>
+
+      {trade.historicalComparison && (
+        <div className="bg-gray-950 p-3 rounded border border-gray-800">
+          <div className="text-xs text-gray-500 mb-2">Historical Comparison (12d avg)</div>
+          <div className="grid grid-cols-5 gap-3 text-xs">
+            <div>
+              <div className="text-gray-500">Avg OI</div>
+              <div className="font-semibold">{trade.historicalComparison.avgOI?.toLocaleString()}</div>
+            </div>
+            <div>
+              <div className="text-gray-500">Avg Vol</div>
+              <div className="font-semibold">{trade.historicalComparison.avgVolume?.toLocaleString()}</div>
+            </div>
+            <div>
+              <div className="text-gray-500">OI Δ</div>
+              <div className={`font-semibold ${
+                trade.historicalComparison.oiChange > 0 ? 'text-green-400' : 'text-red-400'
+              }`}>
+                {trade.historicalComparison.oiChange > 0 ? '+' : ''}
+                {trade.historicalComparison.oiChange?.toLocaleString()}
+              </div>
+            </div>
+            <div>
+              <div className="text-gray-500">Vol Multiple</div>
+              <div className={`font-semibold ${
+                trade.historicalComparison.volumeMultiple > 2 ? 'text-yellow-400' : ''
+              }`}>
+                {trade.historicalComparison.volumeMultiple?.toFixed(2)}x
+              </div>
+            </div>
+            <div>
+              <div className="text-gray-500">Data Points</div>
+              <div className="font-semibold">{trade.historicalComparison.dataPoints}</div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {trade.stanceReasons && (
+        <div className="mt-2 text-xs text-gray-500">
+          {trade.stanceReasons.join(' • ')}
+        </div>
+      )}
+    </div>
+  );
+});
+
+export default TradeCard;
@@ -0,0 +1,285 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { X } from 'lucide-react';
+import { useQuote, useUlQuote } from '../hooks/useQuotes.js';
+import { calculatePnL, markPrice } from '../lib/flowMath.js';
+import { findArchivedRows } from '../lib/historyArchive.js';
+import { formatPremium, formatTime } from '../lib/format.js';
+import GreeksSource from './GreeksSource.jsx';
+
+// quote history + in-memory prints are re-read this often while the drawer is open
+const REFRESH_MS = 2000;
+const CHART_WIDTH = 480;
+const CHART_HEIGHT = 140;
+
+const GREEKS = [
+  { key: 'delta', label: 'Delta', digits: 3 },
+  { key: 'gamma', label: 'Gamma', digits: 4 },
+  { key: 'theta', label: 'Theta', digits: 3 },
+  { key: 'vega', label: 'Vega', digits: 3 },
+  { key: 'iv', label: 'IV', digits: 1, suffix: '%' },
+];
+
+const stanceColor = (stance) => (stance === 'BULL' ? 'text-green-400' : stance === 'BEAR' ? 'text-red-400' : 'text-yellow-400');
+
+const fmt = (v, digits = 2) => (v == null || !Number.isFinite(Number(v)) ? '–' : Number(v).toFixed(digits));
+
+const Section = ({ title, children }) => (
+  <section className="space-y-2">
+    <h3 className="text-xs font-semibold uppercase tracking-wide text-gray-500">{title}</h3>
+    {children}
+  </section>
+);
+
+const Stat = ({ label, children, className = '' }) => (
+  <div>
+    <div className="text-gray-500 text-xs">{label}</div>
+    <div className={`font-semibold ${className}`}>{children}</div>
+  </div>
+);
+
+// SVG line chart of the contract's last (solid) and bid/ask (dashed) since quotes started,
+// with the trade marked at its time and price
+const QuoteChart = ({ history, tradeTime, tradePrice }) => {
+  const geometry = useMemo(() => {
+    if (!history || history.t.length < 2) return null;
+    const values = [...history.last, ...history.bid, ...history.ask, tradePrice].filter(v => v != null);
+    let min = Math.min(...values);
+    let max = Math.max(...values);
+    if (min === max) {
+      min -= 0.05;
+      max += 0.05;
+    }
+    const from = Math.min(history.t[0], tradeTime ?? Infinity);
+    const to = Math.max(history.t[history.t.length - 1], from + 1);
+    const x = (t) => ((t - from) / (to - from)) * CHART_WIDTH;
+    const y = (v) => CHART_HEIGHT - ((v - min) / (max - min)) * CHART_HEIGHT;
+    // gaps (fields a quote didn't carry) break the line
+    const path = (values) => values.reduce((d, v, i) => {
+      if (v == null) return d;
+      const move = i === 0 || values[i - 1] == null ? 'M' : 'L';
+      return `${d}${move}${x(history.t[i]).toFixed(1)},${y(v).toFixed(1)} `;
+    }, '');
+    return { min, max, from, to, x, y, last: path(history.last), bid: path(history.bid), ask: path(history.ask) };
+  }, [history, tradeTime, tradePrice]);
+
+  if (!geometry) {
+    return <div className="py-6 text-center text-xs text-gray-500">No quote history for this contract yet</div>;
+  }
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full h-36 bg-gray-950 rounded border border-gray-800">
+        <path d={geometry.bid} fill="none" stroke="#22c55e" strokeOpacity="0.5" strokeDasharray="3 3" />
+        <path d={geometry.ask} fill="none" stroke="#ef4444" strokeOpacity="0.5" strokeDasharray="3 3" />
+        <path d={geometry.last} fill="none" stroke="#60a5fa" strokeWidth="1.5" />
+        {tradeTime != null && tradePrice != null && (
+          <circle cx={geometry.x(tradeTime)} cy={geometry.y(tradePrice)} r="4" fill="#facc15" />
+        )}
+      </svg>
+      <div className="flex justify-between text-[10px] text-gray-500 font-mono">
+        <span>{formatTime(geometry.from)}</span>
+        <span>
+          {fmt(geometry.min)} – {fmt(geometry.max)} · <span className="text-blue-400">last</span>{' '}
+          <span className="text-green-400">bid</span> <span className="text-red-400">ask</span>{' '}
+          <span className="text-yellow-400">● trade</span>
+        </span>
+        <span>{formatTime(geometry.to)}</span>
+      </div>
+    </div>
+  );
+};
+
+// Right-hand drawer with everything known about one trade, print or auto-trade row.
+//   requestContract(conid): useFlowStore's action → { quotes, prints } from the flow worker
+//   archiveScope: where prints pushed out by the retention limit live
+const TradeDetailDrawer = ({ trade, ulMapping, requestContract, archiveScope, onClose }) => {
+  const quote = useQuote(trade.conid);
+  const ulQuote = useUlQuote(trade.underlyingConid);
+  const [contract, setContract] = useState(null);
+  const [archivedPrints, setArchivedPrints] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = () => requestContract(trade.conid).then(data => {
+      if (!cancelled && data) setContract(data);
+    });
+    load();
+    const timer = setInterval(load, REFRESH_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [trade.conid, requestContract]);
+
+  useEffect(() => {
+    let cancelled = false;
+    setArchivedPrints([]);
+    findArchivedRows(archiveScope, 'prints', row => row.type !== 'GAP' && String(row.conid) === String(trade.conid))
+      .then(rows => !cancelled && setArchivedPrints(rows))
+      .catch(() => {}); // no IndexedDB → in-memory prints only
+    return () => {
+      cancelled = true;
+    };
+  }, [trade.conid, archiveScope]);
+
+  useEffect(() => {
+    const onKey = (e) => e.key === 'Escape' && onClose();
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, [onClose]);
+
+  // print rows carry no receivedAt; their feed timestamp stands in
+  const tradeTime = trade.receivedAt ?? trade.timestamp;
+  const size = trade.size ?? trade.tradeSize;
+  const current = markPrice({ ...trade, receivedAt: tradeTime }, quote);
+  const { dollarPnL, percentPnL } = calculatePnL({ ...trade, size }, current);
+
+  const ulNow = ulQuote?.last ?? null;
+  const ulMove = ulNow != null && trade.underlyingPrice ? ulNow - trade.underlyingPrice : null;
+
+  // every print on the contract except this row's own
+  const otherPrints = useMemo(() => {
+    const seen = new Set();
+    const rows = [];
+    for (const p of [...(contract?.prints ?? []), ...archivedPrints]) {
+      const key = `${p.id}:${p.timestamp}`;
+      if (seen.has(key) || (p.id === trade.id && p.timestamp === trade.timestamp)) continue;
+      seen.add(key);
+      rows.push(p);
+    }
+    return rows.sort((a, b) => (b.timestamp ?? 0) - (a.timestamp ?? 0));
+  }, [contract, archivedPrints, trade.id, trade.timestamp]);
+
+  const stance = trade.stanceLabel ?? trade.stance;
+  const raw = useMemo(() => JSON.stringify(trade, null, 2), [trade]);
+
+  return (
+    <div className="fixed inset-0 z-40 flex justify-end" onClick={onClose}>
+      <div className="absolute inset-0 bg-black/40" />
+      <aside
+        className="relative w-full max-w-xl h-full overflow-y-auto bg-gray-900 border-l border-gray-700 shadow-2xl p-5 space-y-5 text-sm"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-start justify-between gap-3">
+          <div>
+            <div className="text-2xl font-bold">
+              {trade.symbol} {trade.right ?? trade.type} ${trade.strike}
+            </div>
+            <div className="text-gray-400">
+              exp {trade.expiry} · DTE {trade.dte ?? '–'} · conid {trade.conid} · {formatTime(trade.timestamp || tradeTime)}
+            </div>
+          </div>
+          <button onClick={onClose} className="p-1 rounded hover:bg-gray-800" title="Close (Esc)">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="grid grid-cols-4 gap-3">
+          <Stat label="Premium" className="text-green-400">{formatPremium(trade.premium)}</Stat>
+          <Stat label="Size @ price">{size} @ ${fmt(trade.optionPrice)}</Stat>
+          <Stat label="Now">${fmt(current)}</Stat>
+          <Stat label="P&L" className={dollarPnL >= 0 ? 'text-green-400' : 'text-red-400'}>
+            {percentPnL >= 0 ? '+' : ''}{fmt(percentPnL, 1)}% ({dollarPnL >= 0 ? '+' : ''}${fmt(dollarPnL, 0)})
+          </Stat>
+        </div>
+
+        <Section title="Underlying">
+          <div className="grid grid-cols-3 gap-3">
+            <Stat label="At print">{ulMapping.symbol || trade.symbol} ${fmt(trade.underlyingPrice)}</Stat>
+            <Stat label="Now">{ulNow != null ? `$${fmt(ulNow)}` : '–'}</Stat>
+            <Stat label="Move since print" className={ulMove == null ? '' : ulMove >= 0 ? 'text-green-400' : 'text-red-400'}>
+              {ulMove == null
+                ? '–'
+                : `${ulMove >= 0 ? '+' : ''}${fmt(ulMove)} (${ulMove >= 0 ? '+' : ''}${fmt((ulMove / trade.underlyingPrice) * 100)}%)`}
+            </Stat>
+          </div>
+        </Section>
+
+        <Section title="Stance">
+          <div className="flex items-center gap-3">
+            <span className={`text-lg font-bold ${stanceColor(stance)}`}>{stance ?? '–'}</span>
+            <span className="text-gray-400">score {trade.stanceScore ?? '–'}</span>
+            <span className="text-gray-400">confidence {trade.confidence != null ? `${trade.confidence}%` : '–'}</span>
+            <span className="text-gray-400">{trade.direction}</span>
+          </div>
+          {trade.stanceReasons?.length ? (
+            <ul className="list-disc list-inside text-gray-300 space-y-0.5">
+              {trade.stanceReasons.map(reason => <li key={reason}>{reason}</li>)}
+            </ul>
+          ) : (
+            <div className="text-xs text-gray-500">No score breakdown sent for this trade</div>
+          )}
+        </Section>
+
+        <Section title={<>Greeks<GreeksSource source={trade.greeksSource} /></>}>
+          <div className="grid grid-cols-5 gap-3">
+            {GREEKS.map(g => (
+              <Stat key={g.key} label={g.label}>
+                {fmt(trade.greeks?.[g.key], g.digits)}{trade.greeks?.[g.key] != null && g.suffix}
+              </Stat>
+            ))}
+          </div>
+          <div className="grid grid-cols-5 gap-3">
+            <Stat label="Bid/Ask">{fmt(trade.bid)}/{fmt(trade.ask)}</Stat>
+            <Stat label="Vol/OI">{fmt(trade.volOiRatio)}</Stat>
+            <Stat label="OI">{trade.openInterest?.toLocaleString() ?? '–'}</Stat>
+            <Stat label="Moneyness">{fmt((trade.moneyness ?? 0) * 100)}%</Stat>
+            <Stat label="Multiplier">{trade.multiplier ?? '–'}</Stat>
+          </div>
+        </Section>
+
+        {trade.historicalComparison && (
+          <Section title="Historical comparison">
+            <div className="grid grid-cols-5 gap-3">
+              {Object.entries(trade.historicalComparison).map(([key, value]) => (
+                <Stat key={key} label={key}>{typeof value === 'number' ? value.toLocaleString() : String(value)}</Stat>
+              ))}
+            </div>
+          </Section>
+        )}
+
+        <Section title="Contract price">
+          <QuoteChart history={contract?.quotes} tradeTime={tradeTime} tradePrice={trade.optionPrice} />
+        </Section>
+
+        <Section title={`Other prints on this contract (${otherPrints.length})`}>
+          {otherPrints.length === 0 ? (
+            <div className="text-xs text-gray-500">None this session</div>
+          ) : (
+            <table className="w-full text-xs font-mono">
+              <thead className="text-gray-500">
+                <tr>
+                  <th className="text-left font-normal">Time</th>
+                  <th className="text-right font-normal">Size</th>
+                  <th className="text-right font-normal">Price</th>
+                  <th className="text-right font-normal">Premium</th>
+                  <th className="text-right font-normal">Side</th>
+                  <th className="text-right font-normal">Stance</th>
+                </tr>
+              </thead>
+              <tbody>
+                {otherPrints.map(p => (
+                  <tr key={`${p.id}:${p.timestamp}`} className="border-t border-gray-800">
+                    <td>{formatTime(p.timestamp)}</td>
+                    <td className="text-right">{p.tradeSize}</td>
+                    <td className="text-right">{fmt(p.tradePrice)}</td>
+                    <td className="text-right">{formatPremium(p.premium)}</td>
+                    <td className="text-right">{p.direction ?? p.aggressor}</td>
+                    <td className={`text-right ${stanceColor(p.stance)}`}>{p.stance}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </Section>
+
+        <details>
+          <summary className="cursor-pointer text-xs font-semibold uppercase tracking-wide text-gray-500">Raw fields</summary>
+          <pre className="mt-2 p-3 rounded bg-gray-950 border border-gray-800 text-xs overflow-x-auto">{raw}</pre>
+        </details>
+      </aside>
+    </div>
+  );
+};
+
+export default TradeDetailDrawer;
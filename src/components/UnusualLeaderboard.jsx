@@ -0,0 +1,61 @@
+import React from 'react';
+import { Flame } from 'lucide-react';
+import { formatPremium, formatTime } from '../lib/format.js';
+
+const fmtZ = (z) => (z == null ? '–' : z.toFixed(1));
+
+// "Top unusual": the session's highest-scoring trades (unusualActivity.js), live from the
+// flow pipeline. Not affected by the filter or the list's retention limit.
+//   entries: [{ key, score, trade }], highest first; onSelect(trade) opens the detail drawer
+const UnusualLeaderboard = ({ entries, onSelect, limit = 10 }) => (
+  <div className="mb-4 p-3 rounded-lg border border-fuchsia-900 bg-gray-900">
+    <div className="flex items-center gap-2 mb-2 text-sm font-bold text-fuchsia-300">
+      <Flame className="w-4 h-4" />
+      Top unusual
+      <span className="text-xs font-normal text-gray-500">
+        score = weighted σ of size, premium and print frequency above the contract / underlying baseline
+      </span>
+    </div>
+    {entries.length === 0 ? (
+      <div className="text-xs text-gray-500">Baselines are still warming up…</div>
+    ) : (
+      <table className="w-full text-xs font-mono">
+        <thead className="text-gray-500 text-left">
+          <tr>
+            <th className="font-normal w-6">#</th>
+            <th className="font-normal">Time</th>
+            <th className="font-normal">Contract</th>
+            <th className="font-normal text-right">Size</th>
+            <th className="font-normal text-right">Premium</th>
+            <th className="font-normal text-right" title="σ above baseline: size / premium / frequency">Size σ / prem σ / freq σ</th>
+            <th className="font-normal text-right">Score</th>
+          </tr>
+        </thead>
+        <tbody>
+          {entries.slice(0, limit).map(({ key, score, trade }, i) => (
+            <tr
+              key={key}
+              onClick={() => onSelect(trade)}
+              className="border-t border-gray-800 cursor-pointer hover:bg-gray-800"
+            >
+              <td className="py-0.5 text-gray-500">{i + 1}</td>
+              <td className="text-gray-400">{formatTime(trade.timestamp || trade.receivedAt)}</td>
+              <td className="font-semibold">
+                {trade.symbol} {trade.strike}{trade.right ?? (trade.type === 'PUT' ? 'P' : 'C')} {trade.expiry}
+                <span className="ml-2 font-normal text-gray-500">{trade.direction ?? ''}</span>
+              </td>
+              <td className="text-right">{trade.size?.toLocaleString()}</td>
+              <td className="text-right">{formatPremium(trade.premium)}</td>
+              <td className="text-right text-gray-400">
+                {fmtZ(trade.unusual.size)} / {fmtZ(trade.unusual.premium)} / {fmtZ(trade.unusual.frequency)}
+              </td>
+              <td className="text-right font-bold text-fuchsia-300">{score.toFixed(1)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    )}
+  </div>
+);
+
+export default UnusualLeaderboard;
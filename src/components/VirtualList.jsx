@@ -0,0 +1,133 @@
+import React, { useCallback, useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react';
+import { buildOffsets, findVisibleRange } from '../lib/virtualization.js';
+
+// Windowed list with variable row heights: only rows near the viewport are in the DOM.
+// Heights are measured with a ResizeObserver once rendered; unmeasured rows use estimateSize.
+// When rows are prepended while scrolled down, the scroll position is shifted so the
+// rows being read don't jump. Observers and frames come from the window the list is in,
+// which is not this one when its panel is popped out.
+const VirtualList = ({
+  items,
+  getKey,
+  renderItem,
+  estimateSize = 120,
+  gap = 12,
+  overscan = 6,
+  height = '70vh',
+  stickToEnd = false,
+  footer = null,
+}) => {
+  const containerRef = useRef(null);
+  const sizesRef = useRef(new Map());
+  const observerRef = useRef(null);
+  const firstKeyRef = useRef(null);
+  const [measureVersion, setMeasureVersion] = useState(0);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(800);
+
+  const offsets = useMemo(
+    () => buildOffsets(items, getKey, sizesRef.current, estimateSize + gap),
+    // measureVersion: the sizes map is mutated in place
+    [items, getKey, estimateSize, gap, measureVersion]
+  );
+  const totalHeight = offsets[items.length];
+  const { start, end } = findVisibleRange(offsets, scrollTop, viewportHeight, overscan);
+
+  // One observer for all rendered rows, created on first use (refs attach before effects run)
+  const frameRef = useRef(null);
+  const getObserver = (win) => {
+    if (!observerRef.current && typeof win.ResizeObserver !== 'undefined') {
+      observerRef.current = new win.ResizeObserver((entries) => {
+        let changed = false;
+        for (const entry of entries) {
+          const key = entry.target.dataset.key;
+          const size = entry.borderBoxSize?.[0]?.blockSize ?? entry.target.offsetHeight;
+          if (size && sizesRef.current.get(key) !== size) {
+            sizesRef.current.set(key, size);
+            changed = true;
+          }
+        }
+        if (changed && frameRef.current === null) {
+          frameRef.current = win.requestAnimationFrame(() => {
+            frameRef.current = null;
+            setMeasureVersion(v => v + 1);
+          });
+        }
+      });
+    }
+    return observerRef.current;
+  };
+
+  // Viewport height follows the container, which a workspace splitter can resize
+  useEffect(() => {
+    const container = containerRef.current;
+    const win = container.ownerDocument.defaultView;
+    const onResize = () => setViewportHeight(container.clientHeight);
+    onResize();
+    const sizeObserver = typeof win.ResizeObserver !== 'undefined' ? new win.ResizeObserver(onResize) : null;
+    sizeObserver?.observe(container);
+    win.addEventListener('resize', onResize);
+    return () => {
+      sizeObserver?.disconnect();
+      win.removeEventListener('resize', onResize);
+      observerRef.current?.disconnect();
+      observerRef.current = null;
+      if (frameRef.current !== null) win.cancelAnimationFrame(frameRef.current);
+    };
+  }, []);
+
+  // Keep the reading position when newer rows are prepended
+  useLayoutEffect(() => {
+    const container = containerRef.current;
+    const prevFirst = firstKeyRef.current;
+    firstKeyRef.current = items.length ? String(getKey(items[0])) : null;
+    if (!container || prevFirst === null || container.scrollTop === 0 || stickToEnd) return;
+    const idx = items.findIndex(item => String(getKey(item)) === prevFirst);
+    if (idx > 0) container.scrollTop += offsets[idx];
+  }, [items, getKey, offsets, stickToEnd]);
+
+  useEffect(() => {
+    if (stickToEnd && containerRef.current) {
+      containerRef.current.scrollTop = containerRef.current.scrollHeight;
+    }
+  }, [items, stickToEnd]);
+
+  const measureRef = useCallback((el) => {
+    // detached (only when no observer was attached, i.e. no cleanup was returned)
+    if (!el) return undefined;
+    const observer = getObserver(el.ownerDocument.defaultView);
+    if (!observer) return undefined;
+    observer.observe(el);
+    return () => observer.unobserve(el);
+  }, []);
+
+  const rows = [];
+  for (let i = start; i < end; i++) {
+    const item = items[i];
+    const key = String(getKey(item));
+    rows.push(
+      <div
+        key={key}
+        data-key={key}
+        ref={measureRef}
+        style={{ position: 'absolute', top: offsets[i], left: 0, right: 0, paddingBottom: gap }}
+      >
+        {renderItem(item, i)}
+      </div>
+    );
+  }
+
+  return (
+    <div
+      ref={containerRef}
+      onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+      className="overflow-y-auto pr-1"
+      style={{ height }}
+    >
+      <div style={{ position: 'relative', height: totalHeight }}>{rows}</div>
+      {footer}
+    </div>
+  );
+};
+
+export default VirtualList;
@@ -0,0 +1,297 @@
+import React, { useRef, useState } from 'react';
+import { ExternalLink, GripVertical, LayoutDashboard, Plus, Save, Trash2, Undo2, X } from 'lucide-react';
+import PopoutWindow from './PopoutWindow.jsx';
+import {
+  activeLayout,
+  addPanel,
+  allPanels,
+  deleteLayout,
+  dockPanel,
+  removePanel,
+  resizeColumns,
+  resizePanels,
+  saveLayoutAs,
+  setActiveLayout,
+  updatePanel,
+} from '../lib/workspaceLayout.js';
+
+const inputClass =
+  'px-2 py-1 bg-gray-800 border border-gray-700 rounded text-white text-sm focus:outline-none focus:border-blue-500';
+
+// dataTransfer type of a panel being dragged by its grip
+const DRAG_TYPE = 'application/x-flow-panel';
+
+// Where a dragged panel lands on a target: its nearest edge
+function dropEdge(e) {
+  const rect = e.currentTarget.getBoundingClientRect();
+  const x = (e.clientX - rect.left) / rect.width;
+  const y = (e.clientY - rect.top) / rect.height;
+  const distances = { left: x, right: 1 - x, top: y, bottom: 1 - y };
+  return Object.keys(distances).reduce((a, b) => (distances[b] < distances[a] ? b : a));
+}
+
+const EDGE_HIGHLIGHT = {
+  left: 'inset-y-0 left-0 w-1/2',
+  right: 'inset-y-0 right-0 w-1/2',
+  top: 'inset-x-0 top-0 h-1/2',
+  bottom: 'inset-x-0 bottom-0 h-1/2',
+};
+
+// Covers a panel while another one is dragged; shows where it would dock
+const DropTarget = ({ onDrop }) => {
+  const [edge, setEdge] = useState(null);
+  return (
+    <div
+      className="absolute inset-0 z-20"
+      onDragOver={(e) => {
+        if (!e.dataTransfer.types.includes(DRAG_TYPE)) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        setEdge(dropEdge(e));
+      }}
+      onDragLeave={() => setEdge(null)}
+      onDrop={(e) => {
+        e.preventDefault();
+        onDrop(e.dataTransfer.getData(DRAG_TYPE), dropEdge(e));
+        setEdge(null);
+      }}
+    >
+      {edge && <div className={`absolute pointer-events-none ${EDGE_HIGHLIGHT[edge]} bg-blue-500/20 border-2 border-blue-500 rounded`} />}
+    </div>
+  );
+};
+
+// Drag handle between two columns (vertical) or two panels (horizontal); onDrag(px moved)
+const Splitter = ({ vertical, onDrag }) => {
+  const lastRef = useRef(null);
+  const position = (e) => (vertical ? e.clientX : e.clientY);
+  return (
+    <div
+      className={`shrink-0 rounded bg-gray-800 hover:bg-blue-600 ${vertical ? 'w-1.5 cursor-col-resize' : 'h-1.5 cursor-row-resize'}`}
+      onPointerDown={(e) => {
+        e.preventDefault();
+        e.currentTarget.setPointerCapture(e.pointerId);
+        lastRef.current = position(e);
+      }}
+      onPointerMove={(e) => {
+        if (lastRef.current === null) return;
+        const delta = position(e) - lastRef.current;
+        lastRef.current = position(e);
+        if (delta) onDrag(delta);
+      }}
+      onPointerUp={() => {
+        lastRef.current = null;
+      }}
+    />
+  );
+};
+
+const iconButton = 'p-1 rounded text-gray-400 hover:text-white hover:bg-gray-700 disabled:opacity-30 disabled:hover:bg-transparent';
+
+// View picker plus the panel's buttons; the grip drags the panel to dock it elsewhere
+const PanelHeader = ({ panel, views, onViewChange, children, onDragStart, onDragEnd }) => (
+  <div className="flex items-center gap-2 px-2 py-1 border-b border-gray-800 bg-gray-900 rounded-t-lg text-sm">
+    {onDragStart && (
+      <span
+        draggable
+        onDragStart={onDragStart}
+        onDragEnd={onDragEnd}
+        className="cursor-grab text-gray-500 hover:text-white"
+        title="Drag to dock somewhere else"
+      >
+        <GripVertical className="w-4 h-4" />
+      </span>
+    )}
+    <select value={panel.view} onChange={(e) => onViewChange(e.target.value)} className={inputClass}>
+      {views.map(v => (
+        <option key={v.id} value={v.id}>
+          {v.label}{v.count !== null ? ` (${v.count})` : ''}
+        </option>
+      ))}
+    </select>
+    <div className="ml-auto flex items-center gap-1">{children}</div>
+  </div>
+);
+
+// Multi-panel workspace: columns of panels with splitters between them, panels docked by
+// dragging their grip onto another panel's edge, named layouts (workspaceLayout.js) and
+// panels popped out into windows of their own.
+//   workspace / onChange: named layouts and the one in use; onChange is a state setter – edits
+//                         are updaters, so splitter moves between renders all count
+//   views: [{ id, label, count }] for the view pickers
+//   renderPanel(panel, onChange(fields)) → the panel's content
+//   focusedId / onFocus: panel the header's controls (symbol buttons, export) act on
+const Workspace = ({ workspace, onChange, views, renderPanel, focusedId, onFocus, height = '80vh' }) => {
+  const [newName, setNewName] = useState('');
+  const [dragging, setDragging] = useState(null);
+  // popped-out panel ids; popups need a click to open, so they don't survive a reload
+  const [poppedOut, setPoppedOut] = useState([]);
+  const rowRef = useRef(null);
+  const columnRefs = useRef(new Map());
+
+  const layout = activeLayout(workspace);
+  // edit(layout) → layout, applied to the layout in use
+  const editLayout = (edit) => onChange(prev => setActiveLayout(prev, edit(activeLayout(prev))));
+  const editPanel = (id) => (fields) => editLayout(l => updatePanel(l, id, fields));
+  const panelCount = allPanels(layout).length;
+  const viewLabel = (id) => views.find(v => v.id === id)?.label ?? id;
+  const popIn = (id) => setPoppedOut(prev => prev.filter(p => p !== id));
+
+  const saveAs = () => {
+    if (!newName.trim()) return;
+    onChange(prev => saveLayoutAs(prev, newName));
+    setNewName('');
+  };
+
+  const renderFrame = (panel) => {
+    const popped = poppedOut.includes(panel.id);
+    return (
+      <div
+        key={panel.id}
+        onPointerDown={() => onFocus(panel.id)}
+        style={{ flex: `${panel.size} 1 0` }}
+        className={`flex flex-col min-h-0 min-w-0 rounded-lg border ${
+          panel.id === focusedId ? 'border-blue-600' : 'border-gray-800'
+        }`}
+      >
+        <PanelHeader
+          panel={panel}
+          views={views}
+          onViewChange={(view) => editPanel(panel.id)({ view })}
+          onDragStart={(e) => {
+            e.dataTransfer.setData(DRAG_TYPE, panel.id);
+            e.dataTransfer.effectAllowed = 'move';
+            setDragging(panel.id);
+          }}
+          onDragEnd={() => setDragging(null)}
+        >
+          {popped ? (
+            <button onClick={() => popIn(panel.id)} className={iconButton} title="Bring back into the workspace">
+              <Undo2 className="w-4 h-4" />
+            </button>
+          ) : (
+            <button onClick={() => setPoppedOut(prev => [...prev, panel.id])} className={iconButton} title="Pop out into a new window">
+              <ExternalLink className="w-4 h-4" />
+            </button>
+          )}
+          <button
+            onClick={() => editLayout(l => removePanel(l, panel.id))}
+            disabled={panelCount <= 1}
+            className={iconButton}
+            title="Close panel"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </PanelHeader>
+
+        <div className="relative flex-1 min-h-0 p-3">
+          {popped ? (
+            <>
+              <div className="text-center py-12 text-gray-500">
+                {viewLabel(panel.view)} is open in a separate window.
+              </div>
+              <PopoutWindow name={`optionsFlow-${panel.id}`} title={`${viewLabel(panel.view)} · Options Flow`} onClose={() => popIn(panel.id)}>
+                <div className="h-screen flex flex-col p-4 bg-gray-950 text-gray-100">
+                  <PanelHeader panel={panel} views={views} onViewChange={(view) => editPanel(panel.id)({ view })}>
+                    <button onClick={() => popIn(panel.id)} className={iconButton} title="Bring back into the workspace">
+                      <Undo2 className="w-4 h-4" />
+                    </button>
+                  </PanelHeader>
+                  <div className="flex-1 min-h-0 pt-3">{renderPanel(panel, editPanel(panel.id))}</div>
+                </div>
+              </PopoutWindow>
+            </>
+          ) : (
+            renderPanel(panel, editPanel(panel.id))
+          )}
+          {dragging && dragging !== panel.id && (
+            <DropTarget onDrop={(id, edge) => editLayout(l => dockPanel(l, id, panel.id, edge))} />
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-2 mb-3 text-sm">
+        <LayoutDashboard className="w-4 h-4 text-gray-500" />
+        <select
+          value={workspace.active}
+          onChange={(e) => onChange(prev => ({ ...prev, active: e.target.value }))}
+          className={inputClass}
+          title="Saved layouts"
+        >
+          {Object.keys(workspace.layouts).map(name => <option key={name} value={name}>{name}</option>)}
+        </select>
+        <input
+          type="text"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && saveAs()}
+          placeholder="Save layout as…"
+          className={`${inputClass} w-40`}
+        />
+        <button onClick={saveAs} disabled={!newName.trim()} className={iconButton} title="Save the current layout under this name">
+          <Save className="w-4 h-4" />
+        </button>
+        <button
+          onClick={() => onChange(prev => deleteLayout(prev, prev.active))}
+          disabled={Object.keys(workspace.layouts).length <= 1}
+          className={iconButton}
+          title={`Delete layout “${workspace.active}”`}
+        >
+          <Trash2 className="w-4 h-4" />
+        </button>
+        <span className="ml-4 flex items-center gap-1 text-gray-500">
+          <Plus className="w-4 h-4" />
+          <select
+            value=""
+            onChange={(e) => {
+              const view = e.target.value;
+              if (view) editLayout(l => addPanel(l, view));
+            }}
+            className={inputClass}
+          >
+            <option value="">Add panel…</option>
+            {views.map(v => <option key={v.id} value={v.id}>{v.label}</option>)}
+          </select>
+        </span>
+      </div>
+
+      <div ref={rowRef} className="flex gap-1" style={{ height }}>
+        {layout.columns.map((column, i) => (
+          <React.Fragment key={column.id}>
+            {i > 0 && (
+              <Splitter vertical onDrag={(px) => editLayout(l => resizeColumns(l, i - 1, px / rowRef.current.clientWidth))} />
+            )}
+            <div
+              ref={(el) => {
+                if (el) columnRefs.current.set(column.id, el);
+                else columnRefs.current.delete(column.id);
+              }}
+              style={{ flex: `${column.size} 1 0` }}
+              className="flex flex-col gap-1 min-w-0"
+            >
+              {column.panels.map((panel, j) => (
+                <React.Fragment key={panel.id}>
+                  {j > 0 && (
+                    <Splitter
+                      onDrag={(px) => {
+                        const columnHeight = columnRefs.current.get(column.id).clientHeight;
+                        editLayout(l => resizePanels(l, column.id, j - 1, px / columnHeight));
+                      }}
+                    />
+                  )}
+                  {renderFrame(panel)}
+                </React.Fragment>
+              ))}
+            </div>
+          </React.Fragment>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default Workspace;
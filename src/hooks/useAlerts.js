@@ -0,0 +1,66 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { loadAlertRules, saveAlertRules } from '../lib/alertRules.js';
+import { playAlertSound } from '../lib/alertSound.js';
+
+// alerts kept in the Alerts tab, newest first
+export const ALERT_LOG_LIMIT = 500;
+// a burst of matches plays one sound
+const SOUND_GAP_MS = 1000;
+
+const notificationsSupported = () => typeof Notification !== 'undefined';
+
+function notify(alert) {
+  if (!notificationsSupported() || Notification.permission !== 'granted') return;
+  try {
+    // same tag → a burst from one rule replaces its previous notification
+    new Notification(alert.ruleName, { body: alert.message, tag: alert.ruleId });
+  } catch {
+    // some browsers only allow notifications from a service worker
+  }
+}
+
+// Alert rules (persisted) + the alert log. receive() takes the alerts from a flow snapshot;
+// the rules themselves are evaluated in the flow pipeline (send them with setAlertRules).
+export function useAlerts() {
+  const [rules, setRules] = useState(loadAlertRules);
+  const [log, setLog] = useState([]);
+  const [permission, setPermission] = useState(() => (notificationsSupported() ? Notification.permission : 'unsupported'));
+  const lastSoundRef = useRef(0);
+
+  useEffect(() => {
+    saveAlertRules(rules);
+  }, [rules]);
+
+  const receive = useCallback((alerts) => {
+    const entries = alerts.map(alert => ({ ...alert, acknowledged: false })).reverse();
+    setLog(prev => [...entries, ...prev].slice(0, ALERT_LOG_LIMIT));
+
+    const now = Date.now();
+    const sound = alerts.find(a => a.sound !== 'none')?.sound;
+    if (sound && now - lastSoundRef.current >= SOUND_GAP_MS) {
+      lastSoundRef.current = now;
+      playAlertSound(sound);
+    }
+    alerts.filter(a => a.notify).forEach(notify);
+  }, []);
+
+  const actions = useMemo(() => ({
+    setRules,
+    acknowledge: (id) => setLog(prev => prev.map(a => (a.id === id ? { ...a, acknowledged: true } : a))),
+    acknowledgeAll: () => setLog(prev => prev.map(a => (a.acknowledged ? a : { ...a, acknowledged: true }))),
+    clearLog: () => setLog([]),
+    // Snoozing a rule also acknowledges what it has already raised
+    snooze: (ruleId, ms) => {
+      setRules(prev => prev.map(r => (r.id === ruleId ? { ...r, snoozedUntil: ms ? Date.now() + ms : null } : r)));
+      if (ms) setLog(prev => prev.map(a => (a.ruleId === ruleId ? { ...a, acknowledged: true } : a)));
+    },
+    requestNotifications: () => {
+      if (!notificationsSupported()) return;
+      Notification.requestPermission().then(setPermission).catch(() => {});
+    },
+  }), []);
+
+  const unacknowledged = useMemo(() => log.filter(a => !a.acknowledged).length, [log]);
+
+  return { rules, log, unacknowledged, permission, receive, ...actions };
+}
@@ -0,0 +1,68 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { loadArchivedRows } from '../lib/historyArchive.js';
+import { idbAvailable } from '../lib/idb.js';
+
+const PAGE_SIZE = 500;
+
+// Archived rows of one stream shown below the in-memory list, newest first.
+// Older pages are fetched on demand; once anything is loaded, rows archived later
+// (the ones just trimmed off the live list) are pulled in on top so the view has no hole.
+// archivedCount comes from flow state and drops to 0 on clear/reset.
+export function useArchivedRows(scope, stream, archivedCount) {
+  const [entries, setEntries] = useState([]);
+  const [exhausted, setExhausted] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const entriesRef = useRef(entries);
+  entriesRef.current = entries;
+  // bumped on reset so in-flight reads are discarded
+  const generationRef = useRef(0);
+
+  const reset = useCallback(() => {
+    generationRef.current += 1;
+    setEntries([]);
+    setExhausted(false);
+    setLoading(false);
+  }, []);
+
+  useEffect(reset, [scope, stream, reset]);
+
+  useEffect(() => {
+    if (archivedCount === 0) reset();
+  }, [archivedCount, reset]);
+
+  useEffect(() => {
+    const newest = entriesRef.current[0];
+    if (!newest || archivedCount === 0) return;
+    const generation = generationRef.current;
+    loadArchivedRows(scope, stream, { after: newest.archiveId, limit: Infinity })
+      .then((newer) => {
+        if (generation !== generationRef.current || !newer.length) return;
+        setEntries(prev => [...newer.filter(e => e.archiveId > (prev[0]?.archiveId ?? 0)), ...prev]);
+      })
+      .catch(() => {});
+  }, [scope, stream, archivedCount]);
+
+  const loadOlder = useCallback(() => {
+    if (!idbAvailable()) return;
+    const generation = generationRef.current;
+    const oldest = entriesRef.current[entriesRef.current.length - 1];
+    setLoading(true);
+    loadArchivedRows(scope, stream, { before: oldest?.archiveId ?? Infinity, limit: PAGE_SIZE })
+      .then((older) => {
+        if (generation !== generationRef.current) return;
+        setEntries(prev => [...prev, ...older]);
+        if (older.length < PAGE_SIZE) setExhausted(true);
+      })
+      .catch((err) => console.warn('History archive read failed', err))
+      .finally(() => {
+        if (generation === generationRef.current) setLoading(false);
+      });
+  }, [scope, stream]);
+
+  // Archived rows carry their archive id: row ids restart with every page load, archive ids don't
+  const rows = useMemo(
+    () => entries.map(({ archiveId, row }) => ({ ...row, archiveId })),
+    [entries]
+  );
+  return { rows, loadOlder, loading, exhausted: exhausted || !idbAvailable() };
+}
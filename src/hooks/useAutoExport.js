@@ -0,0 +1,33 @@
+import { useEffect, useRef, useState } from 'react';
+import { dueAutoExportDay, loadAutoExport, saveAutoExport } from '../lib/autoExport.js';
+
+const CHECK_INTERVAL_MS = 30_000;
+
+// End-of-session auto-export settings + the timer that fires it.
+// runExport(format) → Promise; it's called at most once per day (in the settings' time zone).
+export function useAutoExport(runExport) {
+  const [settings, setSettings] = useState(loadAutoExport);
+  const runRef = useRef(runExport);
+  runRef.current = runExport;
+
+  useEffect(() => {
+    saveAutoExport(settings);
+  }, [settings]);
+
+  useEffect(() => {
+    if (!settings.enabled) return undefined;
+    const check = () => {
+      const day = dueAutoExportDay(settings);
+      if (!day) return;
+      // marked done first so a slow export can't be started twice
+      setSettings(prev => ({ ...prev, lastExportDay: day }));
+      Promise.resolve(runRef.current(settings.format))
+        .catch((err) => console.warn('End-of-session export failed', err));
+    };
+    check();
+    const timer = setInterval(check, CHECK_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [settings]);
+
+  return [settings, setSettings];
+}
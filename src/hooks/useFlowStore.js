@@ -0,0 +1,92 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { createQuoteStore } from '../lib/quoteStore.js';
+import { createFlowClient } from '../lib/flowClient.js';
+import { applyQuotePatch, applySnapshot, initialFlowView } from '../lib/flowSnapshot.js';
+import { loadRetention, saveRetention } from '../lib/retention.js';
+
+const initFlowView = () => ({ ...initialFlowView, retention: loadRetention() });
+
+// Flow view state mirrored from the flow pipeline (Web Worker) + stable command senders.
+// Quote changes from each snapshot go to the conid-keyed quote store, not into React state;
+// alerts go to onAlerts.
+export function useFlowStore({ onAlerts } = {}) {
+  const [view, setView] = useState(initFlowView);
+  const [quoteStore] = useState(createQuoteStore);
+  const clientRef = useRef(null);
+  const onAlertsRef = useRef(onAlerts);
+  onAlertsRef.current = onAlerts;
+  // pending request commands by request id
+  const pendingRef = useRef(new Map());
+
+  useEffect(() => {
+    const pending = pendingRef.current;
+    const client = createFlowClient({
+      onMessage: (message) => {
+        if (message.type === 'reply') {
+          pending.get(message.requestId)?.(message.data);
+          pending.delete(message.requestId);
+          return;
+        }
+        const snapshot = message;
+        applyQuotePatch(quoteStore, snapshot.quotes);
+        if (snapshot.alerts) onAlertsRef.current?.(snapshot.alerts);
+        setView(prev => applySnapshot(prev, snapshot));
+      },
+    });
+    clientRef.current = client;
+    client.send({ type: 'setRetention', retention: loadRetention() });
+    return () => {
+      clientRef.current = null;
+      client.dispose();
+      for (const resolve of pending.values()) resolve(null);
+      pending.clear();
+    };
+  }, [quoteStore]);
+
+  const actions = useMemo(() => {
+    const send = (command) => clientRef.current?.send(command);
+    let nextRequestId = 1;
+    // command answered with a reply → Promise of its data (null once unmounted)
+    const request = (command) => new Promise((resolve) => {
+      if (!clientRef.current) {
+        resolve(null);
+        return;
+      }
+      const requestId = nextRequestId++;
+      pendingRef.current.set(requestId, resolve);
+      send({ ...command, requestId });
+    });
+    return {
+      connect: (url, watchlist) => send({ type: 'connect', url, watchlist }),
+      setSubscriptions: (symbols) => send({ type: 'setSubscriptions', symbols }),
+      pause: () => send({ type: 'pause' }),
+      resume: () => send({ type: 'resume' }),
+      clear: () => send({ type: 'clear' }),
+      setRetention: (retention) => {
+        saveRetention(retention);
+        send({ type: 'setRetention', retention });
+      },
+      // filter view id → expression, one view per workspace panel
+      setFilters: (filters) => send({ type: 'setFilters', filters }),
+      setAlertRules: (rules) => send({ type: 'setAlertRules', rules }),
+      setStanceSettings: (settings) => send({ type: 'setStanceSettings', settings }),
+      setHeatmapSymbol: (symbol) => send({ type: 'setHeatmapSymbol', symbol }),
+      setChartSymbol: (symbol) => send({ type: 'setChartSymbol', symbol }),
+      setExposureSymbol: (symbol) => send({ type: 'setExposureSymbol', symbol }),
+      setTickerSymbol: (symbol) => send({ type: 'setTickerSymbol', symbol }),
+      // active: Contracts tab showing; conid: the contract whose timeline is open (or null)
+      setContractsView: (active, conid = null) => send({ type: 'setContractsView', active, conid }),
+      // → unfiltered in-memory { trades, prints, autoTrades }
+      requestRows: () => request({ type: 'requestRows' }),
+      // → { quotes: quote history | null, prints } for one option contract
+      requestContract: (conid) => request({ type: 'requestContract', conid }),
+      startRecording: (label, serverUrl) => send({ type: 'startRecording', label, serverUrl }),
+      stopRecording: () => send({ type: 'stopRecording' }),
+      startReplay: (messages, label) => send({ type: 'startReplay', messages, label }),
+      controlReplay: (op, value) => send({ type: 'replay', op, value }),
+      exitReplay: () => send({ type: 'exitReplay' }),
+    };
+  }, []);
+
+  return [view, actions, quoteStore];
+}
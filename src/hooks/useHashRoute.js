@@ -0,0 +1,25 @@
+import { useCallback, useMemo, useSyncExternalStore } from 'react';
+import { parseRoute } from '../lib/hashRoute.js';
+
+const subscribe = (fn) => {
+  window.addEventListener('hashchange', fn);
+  return () => window.removeEventListener('hashchange', fn);
+};
+const getHash = () => window.location.hash;
+
+// Route in the URL fragment (hashRoute.js) and navigate(hash); '' goes back to the workspace.
+// Back / forward and pasted links arrive as hashchange like any other navigation.
+export function useHashRoute() {
+  const hash = useSyncExternalStore(subscribe, getHash);
+  const route = useMemo(() => parseRoute(hash), [hash]);
+  const navigate = useCallback((next) => {
+    if (next) {
+      window.location.hash = next;
+    } else if (window.location.hash) {
+      // drop the fragment without leaving a bare '#' in the address bar
+      window.history.pushState(null, '', window.location.pathname + window.location.search);
+      window.dispatchEvent(new HashChangeEvent('hashchange'));
+    }
+  }, []);
+  return [route, navigate];
+}
@@ -0,0 +1,40 @@
+import { useMemo } from 'react';
+import { compileFilter } from '../lib/filterQuery.js';
+import { filterViewLists } from '../lib/flowSnapshot.js';
+import { groupSpreadRows } from '../lib/spreadDetector.js';
+
+// a spread ranks by its most unusual leg
+const unusualScore = (row) => (
+  row.type === 'SPREAD' ? Math.max(0, ...row.legs.map(leg => leg.unusual?.score ?? 0)) : row.unusual?.score ?? 0
+);
+
+const matchAll = () => true;
+
+// Rows one workspace panel shows: its filter view's live lists (filtered in the flow worker)
+// followed by whatever has been paged in from the archive, filtered here.
+//   archived: { trades, prints } from useArchivedRows, shared by all panels
+// → { trades, tradeRows (spreads folded, sorted as the panel asks), prints, autoTrades }
+export function usePanelRows(flow, panel, archived) {
+  const lists = filterViewLists(flow, panel.id);
+  // a stored filter that no longer compiles shows everything, as the worker does
+  const predicate = useMemo(() => compileFilter(panel.filter).predicate ?? matchAll, [panel.filter]);
+
+  const trades = useMemo(
+    () => (archived.trades.rows.length ? [...lists.trades, ...archived.trades.rows.filter(predicate)] : lists.trades),
+    [lists.trades, archived.trades.rows, predicate]
+  );
+  // detected spreads fold their legs into one card
+  const grouped = useMemo(() => groupSpreadRows(trades, flow.spreads), [trades, flow.spreads]);
+  // Trades can rank by unusual-activity score; Stream stays in arrival order
+  const ranked = panel.view === 'trades' && panel.sort === 'unusual';
+  const tradeRows = useMemo(
+    () => (ranked ? grouped.filter(row => row.type !== 'GAP').sort((a, b) => unusualScore(b) - unusualScore(a)) : grouped),
+    [grouped, ranked]
+  );
+  const prints = useMemo(
+    () => (archived.prints.rows.length ? [...lists.prints, ...archived.prints.rows.filter(predicate)] : lists.prints),
+    [lists.prints, archived.prints.rows, predicate]
+  );
+
+  return { trades, tradeRows, prints, autoTrades: lists.autoTrades };
+}
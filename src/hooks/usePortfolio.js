@@ -0,0 +1,101 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { closePosition, exitReason, markOf, openPosition } from '../lib/paperPortfolio.js';
+import { deletePositions, loadPositions, savePositions } from '../lib/portfolioDb.js';
+import { idbAvailable } from '../lib/idb.js';
+
+const byOpenedAt = (a, b) => b.openedAt - a.openedAt;
+
+// Paper positions (persisted in IndexedDB), newest first. Open positions with a stop or
+// target are watched on the quote store and closed at the quote that crosses them.
+export function usePortfolio(quoteStore) {
+  const [positions, setPositions] = useState([]);
+  const positionsRef = useRef(positions);
+  positionsRef.current = positions;
+
+  useEffect(() => {
+    if (!idbAvailable()) return;
+    let cancelled = false;
+    loadPositions()
+      .then((stored) => {
+        if (cancelled) return;
+        // anything opened before the load finished stays
+        setPositions(prev => {
+          const ids = new Set(prev.map(p => p.id));
+          return [...prev, ...stored.filter(p => !ids.has(p.id))].sort(byOpenedAt);
+        });
+      })
+      .catch((err) => console.warn('Portfolio load failed', err));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const actions = useMemo(() => {
+    const persist = (changed) => {
+      if (idbAvailable()) savePositions(changed).catch((err) => console.warn('Portfolio save failed', err));
+    };
+    const replace = (changed) => {
+      const byId = new Map(changed.map(p => [p.id, p]));
+      const update = (list) => list.map(p => byId.get(p.id) ?? p);
+      // a second quote before the re-render must not close the position again
+      positionsRef.current = update(positionsRef.current);
+      setPositions(update);
+      persist(changed);
+    };
+    const find = (id) => positionsRef.current.find(p => p.id === id);
+
+    return {
+      // trade: the followed row; options: { size, price, side, stopPrice, targetPrice }
+      open: (trade, options) => {
+        const position = openPosition(trade, options);
+        setPositions(prev => [position, ...prev]);
+        persist([position]);
+        return position;
+      },
+      // price defaults to the current mark
+      close: (id, price, reason = 'manual') => {
+        const position = find(id);
+        if (position?.status !== 'open') return;
+        replace([closePosition(position, price ?? markOf(position, quoteStore.getQuote(position.conid)), reason)]);
+      },
+      setExits: (id, { stopPrice, targetPrice }) => {
+        const position = find(id);
+        if (position?.status === 'open') replace([{ ...position, stopPrice, targetPrice }]);
+      },
+      remove: (id) => {
+        setPositions(prev => prev.filter(p => p.id !== id));
+        if (idbAvailable()) deletePositions([id]).catch(() => {});
+      },
+      clearClosed: () => {
+        const ids = positionsRef.current.filter(p => p.status === 'closed').map(p => p.id);
+        setPositions(prev => prev.filter(p => p.status !== 'closed'));
+        if (idbAvailable()) deletePositions(ids).catch(() => {});
+      },
+    };
+  }, [quoteStore]);
+
+  // stop / target watch: one quote subscription per contract with a rule on an open position
+  const watchedConids = useMemo(() => [...new Set(
+    positions
+      .filter(p => p.status === 'open' && (p.stopPrice != null || p.targetPrice != null))
+      .map(p => String(p.conid))
+  )].sort().join(','), [positions]);
+
+  useEffect(() => {
+    if (!watchedConids) return undefined;
+    const check = (conid) => () => {
+      const quote = quoteStore.getQuote(conid);
+      if (quote?.last == null) return;
+      const price = Number(quote.last);
+      for (const position of positionsRef.current) {
+        if (String(position.conid) !== conid) continue;
+        const reason = exitReason(position, price);
+        if (reason) actions.close(position.id, price, reason);
+      }
+    };
+    const unsubscribes = watchedConids.split(',').map(conid => quoteStore.subscribeQuote(conid, check(conid)));
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+  }, [watchedConids, quoteStore, actions]);
+
+  return { positions, ...actions };
+}
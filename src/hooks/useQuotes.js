@@ -0,0 +1,33 @@
+import { createContext, useCallback, useContext, useSyncExternalStore } from 'react';
+
+export const QuoteStoreContext = createContext(null);
+
+const useQuoteStore = () => useContext(QuoteStoreContext);
+
+// Latest LIVE_QUOTE for one option conid – re-renders only when that conid updates
+export function useQuote(conid) {
+  const store = useQuoteStore();
+  const subscribe = useCallback((fn) => store.subscribeQuote(conid, fn), [store, conid]);
+  return useSyncExternalStore(subscribe, () => store.getQuote(conid));
+}
+
+// Latest UL_LIVE_QUOTE for one underlying conid
+export function useUlQuote(conid) {
+  const store = useQuoteStore();
+  const subscribe = useCallback((fn) => store.subscribeUlQuote(conid, fn), [store, conid]);
+  return useSyncExternalStore(subscribe, () => store.getUlQuote(conid));
+}
+
+// All quotes as { quotes, ulQuotes } – at most one re-render per animation frame
+export function useQuoteSnapshot() {
+  const store = useQuoteStore();
+  return useSyncExternalStore(store.subscribeAll, store.getSnapshot);
+}
+
+// Number of option conids quoted – re-renders only when the count changes.
+// Takes the store directly when called above the provider.
+export function useQuoteCount(storeOverride) {
+  const contextStore = useQuoteStore();
+  const store = storeOverride || contextStore;
+  return useSyncExternalStore(store.subscribeAll, () => store.getCounts().quotes);
+}
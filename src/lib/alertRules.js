@@ -0,0 +1,197 @@
+// Alert rules, evaluated in the flow pipeline against every incoming CALL/PUT.
+//
+// Rule kinds:
+//   trade      – a filter expression (filterQuery.js) the trade must match,
+//                e.g. `classification = SWEEP and symbol = SPY and premium >= 1m`
+//   deltaFlip  – the net-delta stance of a symbol (or the overall flow when symbol is
+//                empty) over a rolling window changes from one stance to another
+//
+// Every rule carries its own sound and desktop-notification settings, and can be snoozed
+// until a wall-clock time. Rules persist in localStorage.
+
+import { compileFilter } from './filterQuery.js';
+import { rootSymbol } from './productSpecs.js';
+import { DELTA_WINDOWS } from './deltaAggregator.js';
+import { formatPremium } from './format.js';
+
+const STORAGE_KEY = 'optionsFlow.alertRules';
+
+export const ALERT_RULE_KINDS = ['trade', 'deltaFlip'];
+export const ALERT_SOUNDS = ['chime', 'beep', 'alarm', 'none'];
+// 'ANY' in a deltaFlip rule's from / to matches every stance
+export const ALERT_STANCES = ['ANY', 'BULL', 'BEAR', 'NEUTRAL'];
+
+let nextRuleId = 1;
+const newRuleId = () => `rule-${Date.now().toString(36)}-${nextRuleId++}`;
+
+export function createAlertRule(kind = 'trade', fields = {}) {
+  const base = {
+    id: newRuleId(),
+    name: kind === 'trade' ? 'New trade alert' : 'New delta flip alert',
+    kind,
+    enabled: true,
+    sound: 'chime',
+    notify: true,
+    snoozedUntil: null,
+  };
+  const specific = kind === 'trade'
+    ? { query: '' }
+    : { symbol: '', window: '5m', from: 'BULL', to: 'BEAR' };
+  return { ...base, ...specific, ...fields };
+}
+
+// Starter rules, disabled until the user enables them
+export const DEFAULT_ALERT_RULES = [
+  createAlertRule('trade', {
+    id: 'default-spy-sweep',
+    name: 'SPY sweep ≥ $1M',
+    enabled: false,
+    query: 'classification = SWEEP and symbol = SPY and premium >= 1m',
+  }),
+  createAlertRule('deltaFlip', {
+    id: 'default-qqq-flip',
+    name: 'QQQ flips BULL → BEAR (5m)',
+    enabled: false,
+    symbol: 'QQQ',
+  }),
+  createAlertRule('trade', {
+    id: 'default-volume-multiple',
+    name: 'Volume 5× normal',
+    enabled: false,
+    sound: 'beep',
+    query: 'volumeMultiple > 5',
+  }),
+];
+
+export function normalizeAlertRule(rule) {
+  const kind = ALERT_RULE_KINDS.includes(rule?.kind) ? rule.kind : 'trade';
+  const next = createAlertRule(kind, rule);
+  next.kind = kind;
+  next.name = String(next.name || '').trim() || createAlertRule(kind).name;
+  next.enabled = next.enabled !== false;
+  next.notify = next.notify !== false;
+  if (!ALERT_SOUNDS.includes(next.sound)) next.sound = 'chime';
+  if (!(next.snoozedUntil > 0)) next.snoozedUntil = null;
+  if (kind === 'deltaFlip') {
+    if (!DELTA_WINDOWS.some(w => w.id === next.window)) next.window = '5m';
+    if (!ALERT_STANCES.includes(next.from)) next.from = 'ANY';
+    if (!ALERT_STANCES.includes(next.to)) next.to = 'ANY';
+    next.symbol = String(next.symbol || '').trim().toUpperCase();
+  }
+  return next;
+}
+
+export function loadAlertRules() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    const rules = raw ? JSON.parse(raw) : DEFAULT_ALERT_RULES;
+    return Array.isArray(rules) ? rules.map(normalizeAlertRule) : DEFAULT_ALERT_RULES;
+  } catch {
+    return DEFAULT_ALERT_RULES;
+  }
+}
+
+export function saveAlertRules(rules) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(rules));
+  } catch {
+    // storage full or disabled – rules just won't persist
+  }
+}
+
+export const isSnoozed = (rule, now = Date.now()) => rule.snoozedUntil !== null && rule.snoozedUntil > now;
+
+export function describeAlertRule(rule) {
+  if (rule.kind === 'trade') return rule.query || 'every trade';
+  const windowLabel = DELTA_WINDOWS.find(w => w.id === rule.window)?.label ?? rule.window;
+  return `${rule.symbol || 'Overall'} net delta ${rule.from} → ${rule.to} over ${windowLabel}`;
+}
+
+const describeTrade = (trade) => [
+  trade.symbol,
+  trade.type,
+  trade.strike != null ? `$${trade.strike}` : null,
+  trade.expiry,
+  trade.size != null ? `${trade.size}x` : null,
+  trade.optionPrice != null ? `@ ${trade.optionPrice}` : null,
+  formatPremium(trade.premium),
+  trade.classifications?.length ? `(${trade.classifications.join('/')})` : null,
+].filter(Boolean).join(' ');
+
+// Stance of a rule's symbol in one window's flows; a symbol with nothing in the window is flat
+function stanceOf(flows, symbol) {
+  if (!flows) return null;
+  if (!symbol) return flows.overallFlow.stance;
+  const root = rootSymbol(symbol);
+  return flows.symbolFlows.find(f => rootSymbol(f.symbol) === root)?.stance ?? 'NEUTRAL';
+}
+
+// → { setRules, checkTrade(trade, receivedAt) → alerts[], checkFlows(flows, t) → alerts[], resetFlows }
+// Alerts: { id, ruleId, ruleName, kind, t, message, sound, notify, trade? }
+export function createAlertEngine({ now = () => Date.now() } = {}) {
+  let tradeRules = [];
+  let flipRules = [];
+  // rule id → stance last seen, so a flip fires once per transition
+  const lastStance = new Map();
+  let seq = 0;
+
+  const makeAlert = (rule, t, message, extra) => ({
+    id: `${rule.id}-${++seq}`,
+    ruleId: rule.id,
+    ruleName: rule.name,
+    kind: rule.kind,
+    t,
+    message,
+    sound: rule.sound,
+    notify: rule.notify,
+    ...extra,
+  });
+
+  return {
+    setRules(rules) {
+      const active = rules.filter(r => r.enabled);
+      tradeRules = active
+        .filter(r => r.kind === 'trade')
+        .map(rule => ({ rule, predicate: compileFilter(rule.query).predicate }))
+        // a rule whose expression doesn't compile never fires
+        .filter(r => r.predicate);
+      flipRules = active.filter(r => r.kind === 'deltaFlip');
+      for (const id of lastStance.keys()) {
+        if (!flipRules.some(r => r.id === id)) lastStance.delete(id);
+      }
+    },
+
+    checkTrade(trade, receivedAt) {
+      const alerts = [];
+      const wallClock = now();
+      for (const { rule, predicate } of tradeRules) {
+        if (isSnoozed(rule, wallClock) || !predicate(trade)) continue;
+        alerts.push(makeAlert(rule, receivedAt, describeTrade(trade), { trade }));
+      }
+      return alerts;
+    },
+
+    // flows: window id → { overallFlow, symbolFlows } (deltaAggregator.getFlows())
+    checkFlows(flows, t) {
+      const alerts = [];
+      const wallClock = now();
+      for (const rule of flipRules) {
+        const stance = stanceOf(flows[rule.window], rule.symbol);
+        if (!stance) continue;
+        const prev = lastStance.get(rule.id);
+        lastStance.set(rule.id, stance);
+        if (prev === undefined || prev === stance || isSnoozed(rule, wallClock)) continue;
+        if ((rule.from === 'ANY' || rule.from === prev) && (rule.to === 'ANY' || rule.to === stance)) {
+          const message = `${rule.symbol || 'Overall flow'} ${prev} → ${stance} over ${rule.window}`;
+          alerts.push(makeAlert(rule, t, message));
+        }
+      }
+      return alerts;
+    },
+
+    // new flow state (reset, clear, replay): start every flip rule from a fresh baseline
+    resetFlows() {
+      lastStance.clear();
+    },
+  };
+}
@@ -0,0 +1,67 @@
+import { createAlertEngine, createAlertRule, loadAlertRules, normalizeAlertRule } from './alertRules.js';
+import { summarizeFlows } from './flowMath.js';
+import { fixtureMessage } from '../test/fixtures.js';
+
+const flowsWith = (perSymbol) => {
+  const total = Object.values(perSymbol).reduce((sum, d) => sum + d, 0);
+  return { '5m': summarizeFlows(perSymbol, total) };
+};
+
+describe('alertRules', () => {
+  test('trade rules fire on matching trades with a readable message', () => {
+    const engine = createAlertEngine();
+    const rule = createAlertRule('trade', { name: 'SPY sweeps', query: 'classification = SWEEP and symbol = SPY' });
+    engine.setRules([rule]);
+
+    const call = fixtureMessage('CALL').msg;
+    const [alert] = engine.checkTrade(call, 1000);
+    expect(alert).toMatchObject({ ruleId: rule.id, ruleName: 'SPY sweeps', t: 1000, trade: call });
+    expect(alert.message).toContain('SPY CALL $580');
+    expect(engine.checkTrade(fixtureMessage('PUT').msg, 2000)).toEqual([]);
+  });
+
+  test('disabled, snoozed and uncompilable rules stay quiet', () => {
+    let now = 0;
+    const engine = createAlertEngine({ now: () => now });
+    engine.setRules([
+      createAlertRule('trade', { enabled: false }),
+      createAlertRule('trade', { query: 'premium >=' }),
+      createAlertRule('trade', { snoozedUntil: 60_000 }),
+    ]);
+    const call = fixtureMessage('CALL').msg;
+    expect(engine.checkTrade(call, 0)).toEqual([]);
+
+    now = 60_001;
+    expect(engine.checkTrade(call, now)).toHaveLength(1);
+  });
+
+  test('volumeMultiple from historicalComparison is filterable', () => {
+    const engine = createAlertEngine();
+    engine.setRules([createAlertRule('trade', { query: 'volumeMultiple > 3' })]);
+    expect(engine.checkTrade(fixtureMessage('CALL').msg, 0)).toHaveLength(1);
+    engine.setRules([createAlertRule('trade', { query: 'volumeMultiple > 5' })]);
+    expect(engine.checkTrade(fixtureMessage('CALL').msg, 0)).toEqual([]);
+  });
+
+  test('delta flip rules fire once per transition, after a baseline', () => {
+    const engine = createAlertEngine();
+    engine.setRules([createAlertRule('deltaFlip', { symbol: 'QQQ', window: '5m', from: 'BULL', to: 'BEAR' })]);
+
+    expect(engine.checkFlows(flowsWith({ QQQ: 50_000 }), 1)).toEqual([]); // baseline
+    const fired = engine.checkFlows(flowsWith({ QQQ: -50_000 }), 2);
+    expect(fired).toHaveLength(1);
+    expect(fired[0].message).toBe('QQQ BULL → BEAR over 5m');
+    expect(engine.checkFlows(flowsWith({ QQQ: -80_000 }), 3)).toEqual([]);
+
+    // BEAR → NEUTRAL → BEAR isn't BULL → BEAR
+    engine.checkFlows(flowsWith({}), 4);
+    expect(engine.checkFlows(flowsWith({ QQQ: -50_000 }), 5)).toEqual([]);
+  });
+
+  test('normalizes stored rules and falls back to the defaults', () => {
+    expect(loadAlertRules().length).toBeGreaterThan(0);
+    const rule = normalizeAlertRule({ kind: 'deltaFlip', name: ' ', window: '2m', from: 'UP', symbol: ' qqq ', sound: 'loud' });
+    expect(rule).toMatchObject({ window: '5m', from: 'ANY', symbol: 'QQQ', sound: 'chime', enabled: true });
+    expect(rule.name).not.toBe('');
+  });
+});
@@ -0,0 +1,38 @@
+// Alert sounds, synthesized with Web Audio so there are no audio assets to ship.
+
+// name → notes: [frequency Hz, start s, duration s]
+const SOUNDS = {
+  chime: [[880, 0, 0.18], [1320, 0.12, 0.3]],
+  beep: [[1000, 0, 0.12], [1000, 0.18, 0.12]],
+  alarm: [[660, 0, 0.15], [880, 0.15, 0.15], [660, 0.3, 0.15], [880, 0.45, 0.15]],
+};
+
+let ctx = null;
+
+function audioContext() {
+  const AudioContextImpl = globalThis.AudioContext || globalThis.webkitAudioContext;
+  if (!AudioContextImpl) return null;
+  if (!ctx) ctx = new AudioContextImpl();
+  // browsers start contexts suspended until a user gesture has happened
+  if (ctx.state === 'suspended') ctx.resume().catch(() => {});
+  return ctx;
+}
+
+export function playAlertSound(name, volume = 0.2) {
+  const notes = SOUNDS[name];
+  if (!notes) return;
+  const audio = audioContext();
+  if (!audio) return;
+  const start = audio.currentTime;
+  for (const [freq, at, duration] of notes) {
+    const osc = audio.createOscillator();
+    const gain = audio.createGain();
+    osc.type = name === 'alarm' ? 'square' : 'sine';
+    osc.frequency.value = freq;
+    gain.gain.setValueAtTime(volume, start + at);
+    gain.gain.exponentialRampToValueAtTime(0.0001, start + at + duration);
+    osc.connect(gain).connect(audio.destination);
+    osc.start(start + at);
+    osc.stop(start + at + duration);
+  }
+}
@@ -0,0 +1,77 @@
+// Scheduled end-of-session export: once a day, after a set time in the exchange's time
+// zone, the whole session (in memory + archive) is written out per stream.
+
+import { EXPORT_FORMATS } from './exportRows.js';
+
+const STORAGE_KEY = 'optionsFlow.autoExport';
+
+export const DEFAULT_AUTO_EXPORT = {
+  enabled: false,
+  // HH:MM in timeZone – after the 16:00 close by default
+  time: '16:15',
+  timeZone: 'America/New_York',
+  format: 'ndjson',
+  // YYYY-MM-DD (in timeZone) of the last auto-export
+  lastExportDay: null,
+};
+
+const validTimeZone = (tz) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+export function normalizeAutoExport(settings) {
+  const next = { ...DEFAULT_AUTO_EXPORT, ...settings };
+  next.enabled = next.enabled === true;
+  if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(next.time)) next.time = DEFAULT_AUTO_EXPORT.time;
+  if (!validTimeZone(next.timeZone)) next.timeZone = DEFAULT_AUTO_EXPORT.timeZone;
+  if (!EXPORT_FORMATS.some(f => f.id === next.format)) next.format = DEFAULT_AUTO_EXPORT.format;
+  if (typeof next.lastExportDay !== 'string') next.lastExportDay = null;
+  return next;
+}
+
+export function loadAutoExport() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    return normalizeAutoExport(raw ? JSON.parse(raw) : DEFAULT_AUTO_EXPORT);
+  } catch {
+    return DEFAULT_AUTO_EXPORT;
+  }
+}
+
+export function saveAutoExport(settings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch {
+    // storage full or disabled – settings just won't persist
+  }
+}
+
+// Wall clock in a time zone → { day: 'YYYY-MM-DD', minutes: minutes since midnight }
+export function zonedClock(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-CA', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    }).formatToParts(date).map(p => [p.type, p.value])
+  );
+  return { day: `${parts.year}-${parts.month}-${parts.day}`, minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+}
+
+// Day to export for (YYYY-MM-DD) when an auto-export is due at `now`, else null
+export function dueAutoExportDay(settings, now = new Date()) {
+  if (!settings.enabled) return null;
+  const { day, minutes } = zonedClock(now, settings.timeZone);
+  const [h, m] = settings.time.split(':').map(Number);
+  if (minutes < h * 60 + m || settings.lastExportDay === day) return null;
+  return day;
+}
@@ -0,0 +1,23 @@
+import { dueAutoExportDay, normalizeAutoExport, zonedClock } from './autoExport.js';
+
+describe('autoExport', () => {
+  // 2026-10-19 20:20 UTC = 16:20 in New York (EDT)
+  const afterClose = new Date(Date.UTC(2026, 9, 19, 20, 20));
+
+  test('reads the wall clock in the configured zone', () => {
+    expect(zonedClock(afterClose, 'America/New_York')).toEqual({ day: '2026-10-19', minutes: 16 * 60 + 20 });
+  });
+
+  test('is due once per day after the configured time', () => {
+    const settings = normalizeAutoExport({ enabled: true, time: '16:15' });
+    expect(dueAutoExportDay(settings, afterClose)).toBe('2026-10-19');
+    expect(dueAutoExportDay({ ...settings, lastExportDay: '2026-10-19' }, afterClose)).toBeNull();
+    expect(dueAutoExportDay({ ...settings, time: '16:30' }, afterClose)).toBeNull();
+    expect(dueAutoExportDay({ ...settings, enabled: false }, afterClose)).toBeNull();
+  });
+
+  test('falls back to defaults for bad settings', () => {
+    expect(normalizeAutoExport({ time: '25:00', timeZone: 'Mars/Olympus', format: 'xls' }))
+      .toMatchObject({ time: '16:15', timeZone: 'America/New_York', format: 'ndjson', enabled: false });
+  });
+});
@@ -0,0 +1,112 @@
+// Pure helpers behind TimeSeriesChart: visible-range search, per-pixel downsampling,
+// zoom / pan of the time range and axis ticks.
+
+// first index with ts[i] >= t (ts ascending)
+export function lowerBound(ts, t) {
+  let lo = 0;
+  let hi = ts.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (ts[mid] < t) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+// index of the point closest in time to t, or -1 when there are none
+export function nearestIndex(ts, t) {
+  if (!ts.length) return -1;
+  const i = lowerBound(ts, t);
+  if (i === 0) return 0;
+  if (i === ts.length) return ts.length - 1;
+  return t - ts[i - 1] <= ts[i] - t ? i - 1 : i;
+}
+
+// Points of one series inside [from, to] reduced to at most first/min/max/last per pixel
+// column, so a full day draws in O(width) segments with no lost spikes. Nulls are skipped.
+// The point just outside each edge is kept so lines run to the border.
+// → [{ i, t, v }] in time order
+export function downsample(ts, values, from, to, width) {
+  const start = Math.max(0, lowerBound(ts, from) - 1);
+  const end = Math.min(ts.length, lowerBound(ts, to) + 1);
+  const out = [];
+  const span = to - from || 1;
+  let column = null;
+  let bucket = [];
+
+  const flush = () => {
+    if (!bucket.length) return;
+    if (bucket.length <= 4) {
+      out.push(...bucket);
+    } else {
+      let min = bucket[0];
+      let max = bucket[0];
+      for (const p of bucket) {
+        if (p.v < min.v) min = p;
+        if (p.v > max.v) max = p;
+      }
+      const picked = new Set([bucket[0], min, max, bucket[bucket.length - 1]]);
+      out.push(...[...picked].sort((a, b) => a.i - b.i));
+    }
+    bucket = [];
+  };
+
+  for (let i = start; i < end; i++) {
+    const v = values[i];
+    if (v === null || v === undefined) continue;
+    const x = Math.floor(((ts[i] - from) / span) * width);
+    if (x !== column) {
+      flush();
+      column = x;
+    }
+    bucket.push({ i, t: ts[i], v });
+  }
+  flush();
+  return out;
+}
+
+// Keep [from, to] inside extent and at least minSpan wide
+export function clampRange({ from, to }, extent, minSpan) {
+  const full = extent.to - extent.from;
+  const span = Math.max(Math.min(to - from, full), Math.min(minSpan, full));
+  if (!(span > 0)) return { ...extent };
+  // widened to minSpan around the middle of the requested range
+  const wanted = to - from < span ? (from + to - span) / 2 : from;
+  let start = Math.max(extent.from, Math.min(wanted, extent.to - span));
+  if (!Number.isFinite(start)) start = extent.from;
+  return { from: start, to: start + span };
+}
+
+// factor < 1 zooms in around t, > 1 out
+export function zoomRange(range, t, factor, extent, minSpan) {
+  const from = t - (t - range.from) * factor;
+  const to = t + (range.to - t) * factor;
+  return clampRange({ from, to }, extent, minSpan);
+}
+
+export function panRange(range, dt, extent, minSpan) {
+  return clampRange({ from: range.from + dt, to: range.to + dt }, extent, minSpan);
+}
+
+// ~count round-number ticks covering [min, max]
+export function niceTicks(min, max, count = 5) {
+  if (!(max > min)) return [min];
+  const rough = (max - min) / count;
+  const magnitude = 10 ** Math.floor(Math.log10(rough));
+  const step = [1, 2, 2.5, 5, 10].map(m => m * magnitude).find(s => s >= rough);
+  const ticks = [];
+  for (let v = Math.ceil(min / step) * step; v <= max + step * 1e-9; v += step) {
+    ticks.push(Number(v.toPrecision(12)));
+  }
+  return ticks;
+}
+
+// Round time steps for the x axis
+const TIME_STEPS = [5, 15, 30, 60, 120, 300, 600, 900, 1800, 3600, 7200].map(s => s * 1000);
+
+export function timeTicks(from, to, count = 6) {
+  const step = TIME_STEPS.find(s => (to - from) / s <= count) ?? TIME_STEPS[TIME_STEPS.length - 1];
+  const ticks = [];
+  for (let t = Math.ceil(from / step) * step; t <= to; t += step) ticks.push(t);
+  return ticks;
+}
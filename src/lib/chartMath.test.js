@@ -0,0 +1,40 @@
+import { clampRange, downsample, lowerBound, nearestIndex, niceTicks, panRange, zoomRange } from './chartMath.js';
+
+describe('chartMath', () => {
+  const ts = [0, 10, 20, 30, 40];
+
+  test('binary searches by time', () => {
+    expect(lowerBound(ts, 15)).toBe(2);
+    expect(lowerBound(ts, 50)).toBe(5);
+    expect(nearestIndex(ts, 14)).toBe(1);
+    expect(nearestIndex(ts, 16)).toBe(2);
+    expect(nearestIndex([], 16)).toBe(-1);
+  });
+
+  test('downsampling keeps first, min, max and last per pixel column', () => {
+    const many = Array.from({ length: 1000 }, (_, i) => i);
+    const values = many.map(i => (i === 500 ? 99 : i === 700 ? -99 : 0));
+    const points = downsample(many, values, 0, 1000, 1);
+    expect(points.map(p => p.v)).toEqual([0, 99, -99, 0]);
+    expect(points.map(p => p.i)).toEqual([0, 500, 700, 999]);
+  });
+
+  test('downsampling skips gaps and keeps one point past each edge', () => {
+    const points = downsample(ts, [1, null, 3, 4, 5], 15, 25, 100);
+    expect(points.map(p => p.i)).toEqual([2, 3]);
+  });
+
+  test('zoom and pan stay inside the data', () => {
+    const extent = { from: 0, to: 1000 };
+    expect(zoomRange(extent, 500, 0.5, extent, 10)).toEqual({ from: 250, to: 750 });
+    expect(zoomRange({ from: 0, to: 20 }, 10, 0.1, extent, 10)).toEqual({ from: 5, to: 15 });
+    expect(panRange({ from: 900, to: 1000 }, 50, extent, 10)).toEqual({ from: 900, to: 1000 });
+    expect(clampRange({ from: -50, to: 50 }, extent, 10)).toEqual({ from: 0, to: 100 });
+  });
+
+  test('ticks land on round numbers', () => {
+    expect(niceTicks(0, 100, 5)).toEqual([0, 20, 40, 60, 80, 100]);
+    expect(niceTicks(578.1, 579.4, 4)).toEqual([578.5, 579]);
+    expect(niceTicks(578.1, 579.4, 8)).toEqual([578.2, 578.4, 578.6, 578.8, 579, 579.2, 579.4]);
+  });
+});
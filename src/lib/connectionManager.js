@@ -0,0 +1,180 @@
+// WebSocket connection manager for the flow server.
+//
+// Owns the socket lifecycle so the UI only deals with messages and status:
+//  - reconnects with exponential backoff + jitter until close() is called
+//  - heartbeat: sends a ping and treats a silent socket as stale
+//  - keeps the desired subscription set and replays it after every reconnect
+//  - records disconnect gaps (from → to) so the streams can show data holes
+
+import { buildSubscriptionMessage, diffWatchlist } from './connectionSettings.js';
+
+const DEFAULT_BACKOFF = { initialMs: 1000, maxMs: 30000, factor: 2, jitter: 0.3 };
+const DEFAULT_HEARTBEAT = { intervalMs: 15000, timeoutMs: 10000 };
+
+export function backoffDelay(attempt, backoff = DEFAULT_BACKOFF, random = Math.random) {
+  const base = Math.min(backoff.maxMs, backoff.initialMs * backoff.factor ** attempt);
+  const spread = base * backoff.jitter;
+  return Math.max(0, Math.round(base - spread + random() * spread * 2));
+}
+
+export function createConnectionManager({
+  url,
+  onMessage,
+  onStatusChange = () => {},
+  onSubscriptionsChange = () => {},
+  onGap = () => {},
+  backoff = DEFAULT_BACKOFF,
+  heartbeat = DEFAULT_HEARTBEAT,
+  WebSocketImpl = globalThis.WebSocket,
+  now = Date.now,
+}) {
+  let ws = null;
+  let stopped = true;
+  let attempt = 0;
+  let reconnectTimer = null;
+  let heartbeatTimer = null;
+  let lastMessageAt = 0;
+  let disconnectedAt = null; // set when an open socket drops, cleared by the next open
+  let desired = [];
+  let subscribed = [];
+  const gaps = [];
+
+  const setStatus = (status, extra = {}) => onStatusChange({ status, attempt, ...extra });
+
+  const setSubscribed = (symbols) => {
+    subscribed = symbols;
+    onSubscriptionsChange([...symbols]);
+  };
+
+  const send = (payload) => {
+    if (!ws || ws.readyState !== WebSocketImpl.OPEN) return false;
+    ws.send(JSON.stringify(payload));
+    return true;
+  };
+
+  const stopHeartbeat = () => {
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+  };
+
+  const startHeartbeat = () => {
+    stopHeartbeat();
+    if (!heartbeat) return;
+    heartbeatTimer = setInterval(() => {
+      if (now() - lastMessageAt > heartbeat.intervalMs + heartbeat.timeoutMs) {
+        // nothing (not even a pong) for too long – drop it and let onclose reconnect
+        console.warn('⚠️ Flow socket stale, reconnecting');
+        ws?.close();
+        return;
+      }
+      send({ action: 'ping', ts: now() });
+    }, heartbeat.intervalMs);
+  };
+
+  const scheduleReconnect = () => {
+    const delay = backoffDelay(attempt, backoff);
+    attempt += 1;
+    setStatus('reconnecting', { retryInMs: delay });
+    reconnectTimer = setTimeout(open, delay);
+  };
+
+  function open() {
+    reconnectTimer = null;
+    if (stopped) return;
+
+    let socket;
+    try {
+      socket = new WebSocketImpl(url);
+    } catch (err) {
+      console.error(`Invalid server URL ${url}`, err);
+      setStatus('closed', { error: String(err) });
+      return;
+    }
+    ws = socket;
+    setStatus(attempt ? 'reconnecting' : 'connecting');
+
+    socket.onopen = () => {
+      if (socket !== ws) return;
+      attempt = 0;
+      lastMessageAt = now();
+      if (disconnectedAt !== null) {
+        const gap = { from: disconnectedAt, to: now() };
+        gaps.push(gap);
+        disconnectedAt = null;
+        onGap(gap);
+      }
+      if (desired.length) send(buildSubscriptionMessage('subscribe', desired));
+      setSubscribed([...desired]);
+      startHeartbeat();
+      setStatus('open');
+    };
+
+    socket.onmessage = (event) => {
+      if (socket !== ws) return;
+      const receivedAt = now();
+      lastMessageAt = receivedAt;
+      const data = JSON.parse(event.data);
+      if (data.type === 'PONG') return;
+      onMessage(data, receivedAt);
+    };
+
+    socket.onclose = () => {
+      if (socket !== ws) return;
+      stopHeartbeat();
+      if (subscribed.length) setSubscribed([]);
+      // only count time we were actually streaming before the drop
+      if (disconnectedAt === null && lastMessageAt) disconnectedAt = lastMessageAt;
+      lastMessageAt = 0;
+      ws = null;
+      if (stopped) {
+        setStatus('closed');
+        return;
+      }
+      scheduleReconnect();
+    };
+
+    socket.onerror = () => {
+      // onclose follows and handles the reconnect
+    };
+  }
+
+  return {
+    connect() {
+      if (!stopped) return;
+      stopped = false;
+      attempt = 0;
+      open();
+    },
+
+    // Intentional close: no reconnect, no gap recorded
+    close() {
+      stopped = true;
+      clearTimeout(reconnectTimer);
+      reconnectTimer = null;
+      stopHeartbeat();
+      if (ws) {
+        const socket = ws;
+        ws = null;
+        socket.onclose = null;
+        socket.close();
+      }
+      disconnectedAt = null;
+      if (subscribed.length) setSubscribed([]);
+      setStatus('closed');
+    },
+
+    // Desired symbols; diffs against the live subscription and sends only the change
+    setSubscriptions(symbols) {
+      desired = [...symbols];
+      if (!ws || ws.readyState !== WebSocketImpl.OPEN) return;
+      const { added, removed } = diffWatchlist(subscribed, desired);
+      if (added.length) send(buildSubscriptionMessage('subscribe', added));
+      if (removed.length) send(buildSubscriptionMessage('unsubscribe', removed));
+      if (added.length || removed.length) setSubscribed([...desired]);
+    },
+
+    getGaps() {
+      return [...gaps];
+    },
+  };
+}
@@ -0,0 +1,148 @@
+import { createConnectionManager, backoffDelay } from './connectionManager.js';
+
+class FakeSocket {
+  static OPEN = 1;
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.readyState = 0;
+    this.sent = [];
+    FakeSocket.instances.push(this);
+  }
+
+  send(payload) {
+    this.sent.push(JSON.parse(payload));
+  }
+
+  close() {
+    this.readyState = 3;
+    this.onclose?.();
+  }
+
+  // test helpers
+  open() {
+    this.readyState = FakeSocket.OPEN;
+    this.onopen?.();
+  }
+
+  emit(msg) {
+    this.onmessage?.({ data: JSON.stringify(msg) });
+  }
+}
+
+const latest = () => FakeSocket.instances[FakeSocket.instances.length - 1];
+
+const setup = (overrides = {}) => {
+  const events = { messages: [], statuses: [], gaps: [], subscriptions: [] };
+  const manager = createConnectionManager({
+    url: 'ws://flow.test/ws',
+    WebSocketImpl: FakeSocket,
+    onMessage: (data) => events.messages.push(data),
+    onStatusChange: (s) => events.statuses.push(s.status),
+    onGap: (g) => events.gaps.push(g),
+    onSubscriptionsChange: (s) => events.subscriptions.push(s),
+    backoff: { initialMs: 100, maxMs: 1000, factor: 2, jitter: 0 },
+    heartbeat: false,
+    ...overrides,
+  });
+  return { manager, events };
+};
+
+describe('connectionManager', () => {
+  beforeEach(() => {
+    FakeSocket.instances = [];
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  test('subscribes the watchlist on open and forwards messages', () => {
+    const { manager, events } = setup();
+    manager.setSubscriptions(['SPY', '/ES']);
+    manager.connect();
+    latest().open();
+    latest().emit({ type: 'CALL', symbol: 'SPY' });
+    latest().emit({ type: 'PONG' });
+
+    expect(latest().sent).toEqual([{ action: 'subscribe', futuresSymbols: ['/ES'], equitySymbols: ['SPY'] }]);
+    expect(events.messages).toEqual([{ type: 'CALL', symbol: 'SPY' }]);
+    expect(events.subscriptions.at(-1)).toEqual(['SPY', '/ES']);
+  });
+
+  test('watchlist edits send only the difference', () => {
+    const { manager } = setup();
+    manager.setSubscriptions(['SPY', '/ES']);
+    manager.connect();
+    latest().open();
+    manager.setSubscriptions(['SPY', 'QQQ']);
+
+    expect(latest().sent.slice(1)).toEqual([
+      { action: 'subscribe', futuresSymbols: [], equitySymbols: ['QQQ'] },
+      { action: 'unsubscribe', futuresSymbols: ['/ES'], equitySymbols: [] },
+    ]);
+  });
+
+  test('reconnects with backoff, resubscribes and reports the gap', () => {
+    const { manager, events } = setup();
+    manager.setSubscriptions(['SPY']);
+    manager.connect();
+    latest().open();
+    latest().emit({ type: 'LIVE_QUOTE' });
+    const lastDataAt = Date.now();
+
+    latest().close();
+    expect(events.statuses.at(-1)).toBe('reconnecting');
+    expect(FakeSocket.instances).toHaveLength(1);
+
+    vi.advanceTimersByTime(100);
+    expect(FakeSocket.instances).toHaveLength(2);
+    latest().close();
+    vi.advanceTimersByTime(199);
+    expect(FakeSocket.instances).toHaveLength(2);
+    vi.advanceTimersByTime(1);
+    latest().open();
+
+    expect(latest().sent).toEqual([{ action: 'subscribe', futuresSymbols: [], equitySymbols: ['SPY'] }]);
+    expect(events.gaps).toEqual([{ from: lastDataAt, to: Date.now() }]);
+    expect(manager.getGaps()).toHaveLength(1);
+  });
+
+  test('close() stops reconnecting', () => {
+    const { manager, events } = setup();
+    manager.connect();
+    latest().open();
+    manager.close();
+    vi.advanceTimersByTime(10_000);
+
+    expect(FakeSocket.instances).toHaveLength(1);
+    expect(events.statuses.at(-1)).toBe('closed');
+    expect(events.gaps).toEqual([]);
+  });
+
+  test('heartbeat drops a silent socket', () => {
+    const { manager } = setup({ heartbeat: { intervalMs: 1000, timeoutMs: 500 } });
+    manager.connect();
+    latest().open();
+
+    vi.advanceTimersByTime(1000);
+    expect(latest().sent).toContainEqual(expect.objectContaining({ action: 'ping' }));
+
+    vi.advanceTimersByTime(1000);
+    expect(latest().readyState).toBe(3);
+    vi.advanceTimersByTime(100);
+    expect(FakeSocket.instances).toHaveLength(2);
+    manager.close();
+  });
+
+  test('backoffDelay grows exponentially, caps and jitters', () => {
+    const backoff = { initialMs: 1000, maxMs: 8000, factor: 2, jitter: 0.5 };
+    expect(backoffDelay(0, backoff, () => 0.5)).toBe(1000);
+    expect(backoffDelay(2, backoff, () => 0.5)).toBe(4000);
+    expect(backoffDelay(10, backoff, () => 0.5)).toBe(8000);
+    expect(backoffDelay(0, backoff, () => 0)).toBe(500);
+    expect(backoffDelay(0, backoff, () => 1)).toBe(1500);
+  });
+});
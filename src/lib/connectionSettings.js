@@ -0,0 +1,84 @@
+// Connection settings: saved flow servers, each with its own watchlist.
+// Persisted to localStorage so the chosen server survives reloads.
+
+const STORAGE_KEY = 'optionsFlow.connectionSettings';
+
+export const DEFAULT_SERVER_URL = 'ws://localhost:3000/ws';
+export const DEFAULT_WATCHLIST = ['/ES', '/NQ', 'SPY', 'QQQ', 'AAPL', 'TSLA'];
+
+export function isFuturesSymbol(symbol) {
+  return symbol.startsWith('/');
+}
+
+// Futures roots must be typed with their leading slash (e.g. /CL)
+export function normalizeSymbol(raw) {
+  return String(raw || '').trim().toUpperCase();
+}
+
+export function createServer(overrides = {}) {
+  return {
+    id: `srv-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    name: 'New server',
+    url: DEFAULT_SERVER_URL,
+    watchlist: [...DEFAULT_WATCHLIST],
+    ...overrides,
+  };
+}
+
+function defaultSettings() {
+  const server = createServer({ id: 'local', name: 'Local' });
+  return { servers: [server], activeServerId: server.id };
+}
+
+function isValidSettings(settings) {
+  return (
+    settings &&
+    Array.isArray(settings.servers) &&
+    settings.servers.length > 0 &&
+    settings.servers.every(s => s && typeof s.url === 'string' && Array.isArray(s.watchlist))
+  );
+}
+
+export function loadConnectionSettings() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    if (!raw) return defaultSettings();
+    const parsed = JSON.parse(raw);
+    if (!isValidSettings(parsed)) return defaultSettings();
+    const hasActive = parsed.servers.some(s => s.id === parsed.activeServerId);
+    return hasActive ? parsed : { ...parsed, activeServerId: parsed.servers[0].id };
+  } catch {
+    return defaultSettings();
+  }
+}
+
+export function saveConnectionSettings(settings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch {
+    // storage full or disabled – settings just won't persist
+  }
+}
+
+export function getActiveServer(settings) {
+  return settings.servers.find(s => s.id === settings.activeServerId) || settings.servers[0];
+}
+
+// Build the payload the flow server expects for subscribe / unsubscribe
+export function buildSubscriptionMessage(action, symbols) {
+  return {
+    action,
+    futuresSymbols: symbols.filter(isFuturesSymbol),
+    equitySymbols: symbols.filter(s => !isFuturesSymbol(s)),
+  };
+}
+
+// prev/next watchlists → symbols to add and remove
+export function diffWatchlist(prev, next) {
+  const prevSet = new Set(prev);
+  const nextSet = new Set(next);
+  return {
+    added: next.filter(s => !prevSet.has(s)),
+    removed: prev.filter(s => !nextSet.has(s)),
+  };
+}
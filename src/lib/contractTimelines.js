@@ -0,0 +1,176 @@
+// Contract lifecycle: every CALL/PUT grouped by conid into a timeline, for the Contracts tab.
+//
+// Opening and closing size is estimated from the print's direction: BTO opens long, STC
+// closes long, STO opens short, BTC closes short. A print without a direction counts toward
+// volume but not toward open size. A side "round-trips" when size opened this session is
+// mostly closed again later (≥ roundTripRatio), e.g. 5k calls bought and sold 40 minutes on.
+// oiChange is the server's historicalComparison.oiChange from the contract's latest print.
+
+export const CONTRACT_PATTERNS = [
+  { id: 'opening', label: 'Opening' },
+  { id: 'closing', label: 'Closing' },
+  { id: 'roundTrip', label: 'Round trip' },
+  { id: 'mixed', label: 'Mixed' },
+];
+
+// events kept per contract; older ones are dropped, the totals keep counting
+export const TIMELINE_EVENT_LIMIT = 500;
+// contracts sent to the UI, most recently active first
+export const CONTRACT_LIST_LIMIT = 500;
+
+const OPEN_LONG = 'BTO';
+const CLOSE_LONG = 'STC';
+const OPEN_SHORT = 'STO';
+const CLOSE_SHORT = 'BTC';
+
+// One side of a contract (long or short): size opened this session, size closed after the
+// first open, size closed with nothing opened before it (positions from earlier sessions)
+const emptySide = () => ({ opened: 0, closedAfterOpen: 0, closedPrior: 0, firstOpenAt: null, roundTripAt: null });
+
+function applySide(side, isOpen, size, t, ratio) {
+  if (isOpen) {
+    side.opened += size;
+    if (side.firstOpenAt === null) side.firstOpenAt = t;
+  } else if (side.opened > 0) {
+    side.closedAfterOpen += size;
+    if (side.roundTripAt === null && side.closedAfterOpen >= side.opened * ratio) side.roundTripAt = t;
+  } else {
+    side.closedPrior += size;
+  }
+}
+
+// Net open size still held on a side (never below zero)
+const sideOpen = (side) => Math.max(0, side.opened - side.closedAfterOpen);
+
+function patternOf(c) {
+  if (c.long.roundTripAt !== null || c.short.roundTripAt !== null) return 'roundTrip';
+  const opened = c.long.opened + c.short.opened;
+  const closed = c.long.closedAfterOpen + c.long.closedPrior + c.short.closedAfterOpen + c.short.closedPrior;
+  if (opened && !closed) return 'opening';
+  if (closed && !opened) return 'closing';
+  return 'mixed';
+}
+
+// Round trip with the longest hold wins when both sides have one
+function roundTripOf(c) {
+  const trips = [['long', c.long], ['short', c.short]]
+    .filter(([, s]) => s.roundTripAt !== null)
+    .map(([name, s]) => ({ side: name, opened: s.opened, closed: s.closedAfterOpen, openedAt: s.firstOpenAt, closedAt: s.roundTripAt, holdMs: s.roundTripAt - s.firstOpenAt }));
+  return trips.sort((a, b) => b.holdMs - a.holdMs)[0] ?? null;
+}
+
+export function summarizeContract(c) {
+  return {
+    conid: c.conid,
+    symbol: c.symbol,
+    right: c.right,
+    strike: c.strike,
+    expiry: c.expiry,
+    prints: c.prints,
+    volume: c.volume,
+    premium: c.premium,
+    opened: c.long.opened + c.short.opened,
+    closed: c.long.closedAfterOpen + c.long.closedPrior + c.short.closedAfterOpen + c.short.closedPrior,
+    longOpen: sideOpen(c.long),
+    shortOpen: sideOpen(c.short),
+    // estimated size still open from this session's prints: long minus short
+    netOpen: sideOpen(c.long) - sideOpen(c.short),
+    oiChange: c.oiChange,
+    pattern: patternOf(c),
+    roundTrip: roundTripOf(c),
+    firstAt: c.firstAt,
+    lastAt: c.lastAt,
+  };
+}
+
+export function createContractTimelines({ roundTripRatio = 0.8, eventLimit = TIMELINE_EVENT_LIMIT } = {}) {
+  // conid string → contract accumulator
+  let byConid = new Map();
+  let version = 0;
+  let summaryCache = { version: -1, list: [] };
+  const timelineCache = new Map(); // conid → { version, timeline }
+
+  return {
+    add(trade, receivedAt) {
+      if (trade.conid == null) return;
+      const key = String(trade.conid);
+      let c = byConid.get(key);
+      if (!c) {
+        c = {
+          conid: trade.conid,
+          symbol: trade.symbol,
+          right: trade.right ?? (trade.type === 'PUT' ? 'P' : 'C'),
+          strike: trade.strike,
+          expiry: trade.expiry,
+          prints: 0,
+          volume: 0,
+          premium: 0,
+          long: emptySide(),
+          short: emptySide(),
+          oiChange: null,
+          firstAt: receivedAt,
+          lastAt: receivedAt,
+          events: [],
+          version: 0,
+        };
+        byConid.set(key, c);
+      }
+      const size = Number(trade.size) || 0;
+      const premium = Number(trade.premium) || 0;
+      const { direction } = trade;
+      if (direction === OPEN_LONG || direction === CLOSE_LONG) applySide(c.long, direction === OPEN_LONG, size, receivedAt, roundTripRatio);
+      if (direction === OPEN_SHORT || direction === CLOSE_SHORT) applySide(c.short, direction === OPEN_SHORT, size, receivedAt, roundTripRatio);
+
+      c.prints += 1;
+      c.volume += size;
+      c.premium += premium;
+      c.lastAt = receivedAt;
+      const oiChange = trade.historicalComparison?.oiChange;
+      if (oiChange != null && Number.isFinite(Number(oiChange))) c.oiChange = Number(oiChange);
+
+      c.events.push({
+        t: receivedAt,
+        direction: direction ?? null,
+        aggressor: trade.aggressor ?? null,
+        size,
+        price: trade.optionPrice ?? null,
+        premium,
+        longOpen: sideOpen(c.long),
+        shortOpen: sideOpen(c.short),
+        classifications: trade.classifications ?? [],
+      });
+      if (c.events.length > eventLimit * 1.25) c.events.splice(0, c.events.length - eventLimit);
+      c.version += 1;
+      version += 1;
+    },
+
+    // Contract summaries, most recently active first (same array until something changes)
+    getSummaries(limit = CONTRACT_LIST_LIMIT) {
+      if (summaryCache.version !== version) {
+        const list = [...byConid.values()]
+          .sort((a, b) => b.lastAt - a.lastAt)
+          .slice(0, limit)
+          .map(summarizeContract);
+        summaryCache = { version, list };
+      }
+      return summaryCache.list;
+    },
+
+    // { ...summary, events (oldest first, newest eventLimit) } or null
+    getTimeline(conid) {
+      const c = byConid.get(String(conid));
+      if (!c) return null;
+      const cached = timelineCache.get(c.conid);
+      if (cached?.version === c.version) return cached.timeline;
+      const timeline = { ...summarizeContract(c), events: c.events.slice(-eventLimit) };
+      timelineCache.set(c.conid, { version: c.version, timeline });
+      return timeline;
+    },
+
+    reset() {
+      byConid = new Map();
+      timelineCache.clear();
+      version += 1;
+    },
+  };
+}
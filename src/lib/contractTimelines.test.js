@@ -0,0 +1,49 @@
+import { createContractTimelines } from './contractTimelines.js';
+
+const MIN = 60_000;
+const print = (direction, size, fields) => ({
+  conid: 7001, symbol: 'SPY', right: 'C', strike: 580, expiry: '20251128',
+  direction, size, optionPrice: 2, premium: size * 200,
+  ...fields,
+});
+
+describe('contractTimelines', () => {
+  test('bought to open and sold 40 minutes later is a round trip', () => {
+    const timelines = createContractTimelines();
+    timelines.add(print('BTO', 5000), 0);
+    timelines.add(print('STC', 1000), 10 * MIN);
+    timelines.add(print('STC', 3000, { historicalComparison: { oiChange: 150 } }), 40 * MIN);
+
+    const [summary] = timelines.getSummaries();
+    expect(summary).toMatchObject({ pattern: 'roundTrip', opened: 5000, closed: 4000, longOpen: 1000, netOpen: 1000, oiChange: 150 });
+    expect(summary.roundTrip).toMatchObject({ side: 'long', opened: 5000, closed: 4000, holdMs: 40 * MIN });
+
+    const timeline = timelines.getTimeline('7001');
+    expect(timeline.events.map(e => e.longOpen)).toEqual([5000, 4000, 1000]);
+    expect(timelines.getTimeline(7001)).toBe(timeline);
+  });
+
+  test('fresh positioning, closing of older positions and mixed flow', () => {
+    const timelines = createContractTimelines();
+    timelines.add(print('STO', 300, { conid: 1 }), 0);
+    timelines.add(print('STC', 200, { conid: 2 }), 1);
+    timelines.add(print('BTO', 100, { conid: 3 }), 2);
+    timelines.add(print('BTC', 50, { conid: 3 }), 3);
+
+    const byConid = Object.fromEntries(timelines.getSummaries().map(s => [s.conid, s]));
+    expect(byConid[1]).toMatchObject({ pattern: 'opening', shortOpen: 300, netOpen: -300 });
+    // nothing opened this session, so the close isn't netted against anything
+    expect(byConid[2]).toMatchObject({ pattern: 'closing', closed: 200, longOpen: 0, netOpen: 0 });
+    expect(byConid[3]).toMatchObject({ pattern: 'mixed', longOpen: 100, netOpen: 100 });
+    // most recently active first
+    expect(timelines.getSummaries().map(s => s.conid)).toEqual([3, 2, 1]);
+  });
+
+  test('reset drops every contract', () => {
+    const timelines = createContractTimelines();
+    timelines.add(print('BTO', 10), 0);
+    timelines.reset();
+    expect(timelines.getSummaries()).toEqual([]);
+    expect(timelines.getTimeline(7001)).toBeNull();
+  });
+});
@@ -0,0 +1,176 @@
+// Dealer gamma / vega exposure (GEX / VEX) per underlying, for the Exposure tab.
+//
+// Every CALL/PUT moves the dealer's net position in its contract by the opposite of the
+// customer's side (buySellSide: direction, then aggressor): a customer buying means a dealer
+// short. Exposure is then evaluated at the underlying price asked for, not the price at the
+// time of each trade, so the walls and the zero-gamma level follow the live quote:
+//
+//   GEX = dealer contracts × gamma × multiplier × spot² × 1%   ($ delta per 1% move)
+//   VEX = dealer contracts × vega × multiplier                 ($ per vol point)
+//
+// Gamma and vega are re-priced at that spot from each contract's latest IV (optionPricing.js);
+// a contract seen without an IV keeps the gamma / vega from its trades. Positive GEX means
+// dealers are long gamma and damp moves; negative means they chase them. The zero-gamma level
+// is where total GEX changes sign on a ±ZERO_GAMMA_RANGE sweep of the spot.
+
+import { blackGreeks, pricingModel, RISK_FREE_RATE, yearsToExpiry } from './optionPricing.js';
+import { contractMultiplier } from './productSpecs.js';
+import { buySellSide } from './flowMath.js';
+
+export const ZERO_GAMMA_RANGE = 0.15;
+const PROFILE_STEPS = 60;
+
+export const exposureKey = (expiry, strike) => `${expiry}|${strike}`;
+
+const rightOf = (t) => t.right ?? (t.type === 'PUT' ? 'P' : 'C');
+
+// Contract's gamma and vega per share at spot S
+function contractGreeks(c, S, now) {
+  if (!c.iv) return { gamma: c.gamma, vega: c.vega };
+  const T = yearsToExpiry(c.expiry, now);
+  if (T === null) return { gamma: c.gamma, vega: c.vega };
+  const { gamma, vega } = blackGreeks({ model: c.model, right: c.right, S, K: c.strike, T, r: RISK_FREE_RATE, sigma: c.iv / 100 });
+  return { gamma, vega };
+}
+
+const gexAt = (contracts, S, now) => {
+  let total = 0;
+  for (const c of contracts) total += c.dealer * c.multiplier * contractGreeks(c, S, now).gamma * S * S * 0.01;
+  return total;
+};
+
+// Spot levels where total GEX crosses zero, nearest to spot first → the nearest one (or null)
+function zeroGammaLevel(profile, spot) {
+  const crossings = [];
+  for (let i = 1; i < profile.length; i++) {
+    const a = profile[i - 1];
+    const b = profile[i];
+    if ((a.gex < 0) === (b.gex < 0)) continue;
+    crossings.push(a.spot + (b.spot - a.spot) * (a.gex / (a.gex - b.gex)));
+  }
+  crossings.sort((x, y) => Math.abs(x - spot) - Math.abs(y - spot));
+  return crossings[0] ?? null;
+}
+
+const strongest = (strikes, field) => strikes.reduce(
+  (best, s) => (s[field] && (!best || Math.abs(s[field]) > Math.abs(best[field])) ? s : best),
+  null
+);
+
+// contracts of one underlying at spot → the Exposure view
+export function summarizeExposure(symbol, contracts, spot, now) {
+  const cells = {};
+  const byStrike = new Map();
+  const expiries = new Set();
+  let gex = 0;
+  let vex = 0;
+  for (const c of contracts) {
+    const { gamma, vega } = contractGreeks(c, spot, now);
+    const cGex = c.dealer * c.multiplier * gamma * spot * spot * 0.01;
+    const cVex = c.dealer * c.multiplier * vega;
+    const key = exposureKey(c.expiry, c.strike);
+    const cell = cells[key] || (cells[key] = { gex: 0, vex: 0 });
+    cell.gex += cGex;
+    cell.vex += cVex;
+    const row = byStrike.get(c.strike) || { strike: c.strike, callGex: 0, putGex: 0, callVex: 0, putVex: 0 };
+    if (c.right === 'C') {
+      row.callGex += cGex;
+      row.callVex += cVex;
+    } else {
+      row.putGex += cGex;
+      row.putVex += cVex;
+    }
+    byStrike.set(c.strike, row);
+    expiries.add(c.expiry);
+    gex += cGex;
+    vex += cVex;
+  }
+
+  const strikes = [...byStrike.values()]
+    .map(s => ({ ...s, gex: s.callGex + s.putGex, vex: s.callVex + s.putVex }))
+    .sort((a, b) => b.strike - a.strike);
+  const profile = [];
+  for (let i = 0; i <= PROFILE_STEPS; i++) {
+    const level = spot * (1 - ZERO_GAMMA_RANGE + (2 * ZERO_GAMMA_RANGE * i) / PROFILE_STEPS);
+    profile.push({ spot: level, gex: gexAt(contracts, level, now) });
+  }
+  const callWall = strongest(strikes, 'callGex');
+  const putWall = strongest(strikes, 'putGex');
+
+  return {
+    symbol,
+    spot,
+    gex,
+    vex,
+    zeroGamma: zeroGammaLevel(profile, spot),
+    // largest call / put gamma by strike
+    callWall: callWall && { strike: callWall.strike, gex: callWall.callGex },
+    putWall: putWall && { strike: putWall.strike, gex: putWall.putGex },
+    strikes,
+    expiries: [...expiries].sort(),
+    cells,
+    profile,
+  };
+}
+
+export function createExposureAggregator() {
+  // symbol → { underlyingConid, underlyingPrice, contracts: Map<conid|key, contract>, version }
+  let bySymbol = new Map();
+  let symbols = [];
+  const viewCache = new Map(); // symbol → { version, spot, view }
+
+  return {
+    add(trade) {
+      const { symbol, strike, expiry } = trade;
+      const size = Number(trade.size);
+      const gamma = Number(trade.greeks?.gamma);
+      if (!symbol || strike == null || !expiry || !size || !Number.isFinite(gamma)) return;
+      let entry = bySymbol.get(symbol);
+      if (!entry) {
+        entry = { underlyingConid: null, underlyingPrice: null, contracts: new Map(), version: 0 };
+        bySymbol.set(symbol, entry);
+        symbols = [...bySymbol.keys()].sort();
+      }
+      if (trade.underlyingConid != null) entry.underlyingConid = trade.underlyingConid;
+      if (Number(trade.underlyingPrice) > 0) entry.underlyingPrice = Number(trade.underlyingPrice);
+
+      const right = rightOf(trade);
+      const key = trade.conid ?? `${exposureKey(expiry, strike)}|${right}`;
+      let c = entry.contracts.get(key);
+      if (!c) {
+        c = { strike: Number(strike), expiry: String(expiry), right, model: pricingModel(trade), multiplier: contractMultiplier(trade), dealer: 0, iv: null, gamma: 0, vega: 0 };
+        entry.contracts.set(key, c);
+      }
+      c.dealer -= buySellSide(trade) * size;
+      c.gamma = gamma;
+      c.vega = Number(trade.greeks?.vega) || 0;
+      if (Number(trade.greeks?.iv) > 0) c.iv = Number(trade.greeks.iv);
+      entry.version += 1;
+    },
+
+    // Underlyings with exposure so far, sorted; same array until a new one shows up
+    getSymbols() {
+      return symbols;
+    },
+
+    // → summarizeExposure(...) + underlyingConid at spot (the last trade's underlying price
+    // when none is given); same object until the symbol's next trade or a new spot
+    getView(symbol, spot, now) {
+      const entry = bySymbol.get(symbol);
+      if (!entry) return null;
+      const at = Number(spot) > 0 ? Number(spot) : entry.underlyingPrice;
+      if (!at) return null;
+      const cached = viewCache.get(symbol);
+      if (cached?.version === entry.version && cached.spot === at) return cached.view;
+      const view = { ...summarizeExposure(symbol, [...entry.contracts.values()], at, now), underlyingConid: entry.underlyingConid };
+      viewCache.set(symbol, { version: entry.version, spot: at, view });
+      return view;
+    },
+
+    reset() {
+      bySymbol = new Map();
+      symbols = [];
+      viewCache.clear();
+    },
+  };
+}
@@ -0,0 +1,61 @@
+import { createExposureAggregator, exposureKey } from './dealerExposure.js';
+import { blackGreeks } from './optionPricing.js';
+
+const NOW = Date.UTC(2025, 10, 21, 15);
+const trade = (fields) => ({
+  symbol: 'SPY', type: 'CALL', right: 'C', strike: 580, expiry: '20251128', size: 100, direction: 'BTO',
+  underlyingPrice: 578, greeks: { delta: 0.45, gamma: 0.06, vega: 0.2, iv: 15 },
+  ...fields,
+});
+
+describe('dealerExposure', () => {
+  test('dealers take the other side; GEX scales with spot² at the price asked for', () => {
+    const exposure = createExposureAggregator();
+    // customers sell 300 calls, buy back 100 → dealers long 200
+    exposure.add(trade({ conid: 1, direction: 'STO', size: 300 }));
+    exposure.add(trade({ conid: 1, direction: 'BTC', size: 100 }));
+    // customers buy 50 puts → dealers short 50
+    exposure.add(trade({ conid: 2, type: 'PUT', right: 'P', strike: 570, size: 50 }));
+
+    const view = exposure.getView('SPY', 580, NOW);
+    const T = (Date.UTC(2025, 10, 28, 21) - NOW) / (365 * 24 * 3600 * 1000);
+    const callGamma = blackGreeks({ model: 'blackScholes', right: 'C', S: 580, K: 580, T, r: 0.04, sigma: 0.15 }).gamma;
+    expect(view.strikes.find(s => s.strike === 580).callGex).toBeCloseTo(200 * 100 * callGamma * 580 * 580 * 0.01, 4);
+    expect(view.strikes.find(s => s.strike === 570).putGex).toBeLessThan(0);
+    expect(view.cells[exposureKey('20251128', 570)].vex).toBeLessThan(0);
+    expect(view.callWall.strike).toBe(580);
+    expect(view.putWall.strike).toBe(570);
+
+    // without a live price the last trade's underlying price is used
+    expect(exposure.getView('SPY', null, NOW).spot).toBe(578);
+    expect(exposure.getView('QQQ', 500, NOW)).toBeNull();
+  });
+
+  test('zero gamma sits between a long-gamma strike above and a short-gamma strike below', () => {
+    const exposure = createExposureAggregator();
+    exposure.add(trade({ conid: 1, strike: 600, direction: 'STO', size: 1000 }));
+    exposure.add(trade({ conid: 2, type: 'PUT', right: 'P', strike: 560, size: 1000 }));
+
+    const view = exposure.getView('SPY', 580, NOW);
+    expect(view.zeroGamma).toBeGreaterThan(560);
+    expect(view.zeroGamma).toBeLessThan(600);
+    const below = view.profile.find(p => p.spot < view.zeroGamma - 5);
+    const above = [...view.profile].reverse().find(p => p.spot > view.zeroGamma + 5);
+    expect(below.gex).toBeLessThan(0);
+    expect(above.gex).toBeGreaterThan(0);
+  });
+
+  test('view is reused until a trade or a new spot; trades without gamma are skipped', () => {
+    const exposure = createExposureAggregator();
+    exposure.add(trade({ conid: 1 }));
+    exposure.add(trade({ conid: 3, symbol: 'QQQ', greeks: { delta: 0.4 } }));
+    expect(exposure.getSymbols()).toEqual(['SPY']);
+
+    const view = exposure.getView('SPY', 580, NOW);
+    expect(exposure.getView('SPY', 580, NOW + 1000)).toBe(view);
+    expect(exposure.getView('SPY', 581, NOW)).not.toBe(view);
+
+    exposure.reset();
+    expect(exposure.getView('SPY', 580, NOW)).toBeNull();
+  });
+});
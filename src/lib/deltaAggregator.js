@@ -0,0 +1,131 @@
+// Running net-delta aggregation over rolling time windows, per symbol and overall.
+//
+// Every trade is added once as it arrives (not derived from the capped trade list), so a
+// window's net delta covers everything received in it. Contributions live in one time-ordered
+// log; each window keeps a start index into it plus running sums, and advancing the clock
+// subtracts whatever fell out of the window. The session window never evicts.
+// Each contribution also carries delta-dollars (net and gross) for the normalized stance.
+
+import { deltaDollars, signedDelta, summarizeFlows } from './flowMath.js';
+
+export const DELTA_WINDOWS = [
+  { id: '1m', label: '1m', ms: 60_000 },
+  { id: '5m', label: '5m', ms: 5 * 60_000 },
+  { id: '15m', label: '15m', ms: 15 * 60_000 },
+  { id: '1h', label: '1h', ms: 60 * 60_000 },
+  { id: 'session', label: 'Session', ms: Infinity },
+];
+
+export const DEFAULT_DELTA_WINDOW = 'session';
+
+// drop evicted log entries once this many have piled up at the front
+const COMPACT_AFTER = 1024;
+
+const emptyFlow = () => ({ netDelta: 0, netDollars: 0, grossDollars: 0 });
+const emptyWindow = () => ({ start: 0, perSymbol: new Map(), total: emptyFlow() });
+
+export function createDeltaAggregator({ windows = DELTA_WINDOWS } = {}) {
+  let log = []; // { t, symbol, delta, dollars, gross }, oldest first
+  let state = windows.map(emptyWindow);
+  let now = -Infinity;
+  let version = 0;
+  let cached = null;
+  let cachedVersion = -1;
+  let stanceSettings;
+
+  const applyFlow = (flow, { delta, dollars, gross }, sign) => {
+    flow.netDelta += sign * delta;
+    flow.netDollars += sign * dollars;
+    flow.grossDollars += sign * gross;
+  };
+
+  const apply = (win, event, sign) => {
+    const entry = win.perSymbol.get(event.symbol) || { ...emptyFlow(), count: 0 };
+    applyFlow(entry, event, sign);
+    entry.count += sign;
+    // remove emptied symbols outright so float residue doesn't linger as a tiny delta
+    if (entry.count === 0) win.perSymbol.delete(event.symbol);
+    else win.perSymbol.set(event.symbol, entry);
+    applyFlow(win.total, event, sign);
+  };
+
+  const compact = () => {
+    let minStart = log.length;
+    windows.forEach((w, i) => {
+      if (Number.isFinite(w.ms)) minStart = Math.min(minStart, state[i].start);
+    });
+    if (minStart < COMPACT_AFTER) return;
+    log = log.slice(minStart);
+    for (const win of state) win.start = Math.max(0, win.start - minStart);
+  };
+
+  const evict = () => {
+    windows.forEach((w, i) => {
+      if (!Number.isFinite(w.ms)) return;
+      const win = state[i];
+      const cutoff = now - w.ms;
+      while (win.start < log.length && log[win.start].t <= cutoff) {
+        apply(win, log[win.start], -1);
+        win.start += 1;
+        version += 1;
+      }
+      if (!win.perSymbol.size) win.total = emptyFlow();
+    });
+    compact();
+  };
+
+  return {
+    add(trade, receivedAt) {
+      if (!trade.symbol) return;
+      const dollars = deltaDollars(trade);
+      this.addDelta(trade.symbol, signedDelta(trade), receivedAt, dollars, Math.abs(dollars));
+    },
+
+    // raw contribution, e.g. a spread's correction of deltas counted leg by leg (which
+    // moves net delta-dollars but not the gross already traded)
+    addDelta(symbol, delta, receivedAt, dollars = 0, gross = 0) {
+      if (!delta) return;
+      const event = { t: receivedAt, symbol, delta, dollars, gross };
+      log.push(event);
+      for (const win of state) apply(win, event, 1);
+      version += 1;
+      if (receivedAt > now) now = receivedAt;
+      evict();
+    },
+
+    // Move the window clock forward (wall clock live, replay clock in replay)
+    advance(t) {
+      if (!(t > now)) return;
+      now = t;
+      evict();
+    },
+
+    // Per-symbol stance thresholds (stanceSettings.js); restates every window
+    setStanceSettings(settings) {
+      stanceSettings = settings;
+      version += 1;
+    },
+
+    // windowId → { overallFlow, symbolFlows[] }; same object until something changes
+    getFlows() {
+      if (cachedVersion !== version) {
+        cached = {};
+        windows.forEach((w, i) => {
+          const win = state[i];
+          const perSymbol = {};
+          for (const [symbol, { count, ...flow }] of win.perSymbol) perSymbol[symbol] = flow;
+          cached[w.id] = summarizeFlows(perSymbol, { ...win.total }, stanceSettings);
+        });
+        cachedVersion = version;
+      }
+      return cached;
+    },
+
+    reset() {
+      log = [];
+      state = windows.map(emptyWindow);
+      now = -Infinity;
+      version += 1;
+    },
+  };
+}
@@ -0,0 +1,80 @@
+import { createDeltaAggregator } from './deltaAggregator.js';
+import { computeDeltaFlows } from './flowMath.js';
+import { loadFixtureSession } from '../test/fixtures.js';
+
+const MIN = 60_000;
+const trade = (symbol, delta, size = 10) => ({ symbol, size, direction: 'BTO', greeks: { delta } });
+
+describe('deltaAggregator', () => {
+  test('session window matches a full recompute over the same trades', () => {
+    const entries = loadFixtureSession().filter(({ msg }) => msg.type === 'CALL' || msg.type === 'PUT');
+    const agg = createDeltaAggregator();
+    for (const { t, msg } of entries) agg.add(msg, t);
+
+    expect(agg.getFlows().session).toEqual(computeDeltaFlows(entries.map(e => e.msg)));
+  });
+
+  test('rolling windows drop trades that age out, session keeps them', () => {
+    const agg = createDeltaAggregator();
+    agg.add(trade('SPY', 0.5), 0);          // +500
+    agg.add(trade('QQQ', -0.2), 4 * MIN);   // -200
+
+    agg.advance(2 * MIN);
+    let flows = agg.getFlows();
+    expect(flows['1m'].symbolFlows.map(s => s.symbol)).toEqual(['QQQ']);
+    expect(flows['1m'].overallFlow.netDelta).toBeCloseTo(-200);
+    expect(flows['5m'].overallFlow.netDelta).toBeCloseTo(300);
+
+    agg.advance(10 * MIN);
+    flows = agg.getFlows();
+    expect(flows['5m'].overallFlow.netDelta).toBe(0);
+    expect(flows['5m'].symbolFlows).toEqual([]);
+    expect(flows['1h'].overallFlow.netDelta).toBeCloseTo(300);
+    expect(flows.session.overallFlow.netDelta).toBeCloseTo(300);
+  });
+
+  test('net delta is not limited by any list cap', () => {
+    const agg = createDeltaAggregator();
+    for (let i = 0; i < 3000; i++) agg.add(trade('SPY', 0.1, 1), i);
+    expect(agg.getFlows().session.overallFlow.netDelta).toBeCloseTo(30000);
+    expect(agg.getFlows()['1m'].overallFlow.netDelta).toBeCloseTo(30000);
+  });
+
+  test('windows stay exact across log compaction', () => {
+    const agg = createDeltaAggregator();
+    // one trade per second for ~83 minutes
+    for (let i = 0; i < 5000; i++) agg.add(trade('SPY', 0.1, 1), i * 1000);
+    const flows = agg.getFlows();
+    expect(flows['1m'].overallFlow.netDelta).toBeCloseTo(60 * 10);
+    expect(flows['1h'].overallFlow.netDelta).toBeCloseTo(3600 * 10);
+    expect(flows.session.overallFlow.netDelta).toBeCloseTo(5000 * 10);
+  });
+
+  test('delta-dollars age out with the window; stance settings restate the flows', () => {
+    const agg = createDeltaAggregator();
+    agg.add({ ...trade('SPY', 0.5, 100), underlyingPrice: 500 }, 0);          // +$2.5M
+    agg.add({ ...trade('SPY', -0.5, 80), underlyingPrice: 500 }, 4 * MIN);    // -$2M
+    agg.advance(4 * MIN);
+    const before = agg.getFlows();
+    expect(before['5m'].symbolFlows[0]).toMatchObject({ netDollars: 500_000, grossDollars: 4_500_000, stance: 'BULL' });
+    expect(before['1m'].symbolFlows[0]).toMatchObject({ netDollars: -2_000_000, grossDollars: 2_000_000, stance: 'BEAR' });
+
+    agg.setStanceSettings({ default: { minDeltaDollars: 0, imbalance: 0.1 }, symbols: { SPY: { minDeltaDollars: 0, imbalance: 0.2 } } });
+    const after = agg.getFlows();
+    expect(after).not.toBe(before);
+    // 0.5M of 4.5M gross is under the SPY bar of 20%
+    expect(after['5m'].symbolFlows[0].stance).toBe('NEUTRAL');
+    expect(after['5m'].overallFlow.stance).toBe('BULL');
+  });
+
+  test('flows object is reused until something changes; reset empties every window', () => {
+    const agg = createDeltaAggregator();
+    agg.add(trade('SPY', 0.5), 0);
+    const flows = agg.getFlows();
+    agg.advance(1000);
+    expect(agg.getFlows()).toBe(flows);
+
+    agg.reset();
+    expect(agg.getFlows().session.symbolFlows).toEqual([]);
+  });
+});
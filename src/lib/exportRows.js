@@ -0,0 +1,144 @@
+// Export of trades / prints / auto trades / quotes to CSV, JSON and NDJSON.
+//
+// Every row stream shares one stable column schema (EXPORT_COLUMNS) so files from different
+// days and tabs load into the same notebook code; quotes have their own (QUOTE_COLUMNS).
+// NDJSON writes one flat object per line with the same keys, which loads straight into
+// pandas / polars / DuckDB and converts to Parquet without a schema step.
+
+import { calculatePnL, markPrice } from './flowMath.js';
+
+export const EXPORT_FORMATS = [
+  { id: 'csv', label: 'CSV', mime: 'text/csv' },
+  { id: 'json', label: 'JSON', mime: 'application/json' },
+  { id: 'ndjson', label: 'NDJSON', mime: 'application/x-ndjson' },
+];
+
+export const EXPORT_COLUMNS = [
+  'stream', 'timestamp', 'symbol', 'right', 'strike', 'expiry', 'size', 'price', 'premium',
+  'direction', 'classifications', 'stance', 'delta', 'gamma', 'theta', 'vega', 'iv',
+  'greeksSource', 'mark', 'pnl', 'pnlPercent', 'conid',
+];
+
+export const QUOTE_COLUMNS = [
+  'stream', 'timestamp', 'kind', 'conid', 'symbol', 'right', 'strike', 'expiry', 'bid', 'ask', 'last', 'volume',
+];
+
+const iso = (ts) => (ts ? new Date(ts).toISOString() : null);
+const num = (v) => (v === null || v === undefined || v === '' || !Number.isFinite(Number(v)) ? null : Number(v));
+
+const rightOf = (row) => {
+  if (row.right === 'C' || row.type === 'CALL') return 'C';
+  if (row.right === 'P' || row.type === 'PUT') return 'P';
+  return null;
+};
+
+// One trade / print / auto-trade row → flat record; quote is the contract's latest LIVE_QUOTE
+export function toExportRecord(stream, row, quote) {
+  const price = num(row.optionPrice ?? row.tradePrice);
+  // print rows carry no receivedAt; their feed timestamp decides whether the quote is newer
+  const priced = { ...row, optionPrice: price, size: row.size ?? row.tradeSize, receivedAt: row.receivedAt ?? row.timestamp };
+  const mark = price === null ? null : markPrice(priced, quote);
+  const pnl = price === null ? null : calculatePnL(priced, mark);
+  const greeks = row.greeks || {};
+  return {
+    stream,
+    timestamp: iso(row.timestamp || row.receivedAt),
+    symbol: row.symbol ?? null,
+    right: rightOf(row),
+    strike: num(row.strike),
+    expiry: row.expiry ?? null,
+    size: num(row.size ?? row.tradeSize),
+    price,
+    premium: num(row.premium),
+    direction: row.direction ?? null,
+    classifications: row.classifications ?? [],
+    stance: row.stanceLabel ?? row.stance ?? null,
+    delta: num(greeks.delta),
+    gamma: num(greeks.gamma),
+    theta: num(greeks.theta),
+    vega: num(greeks.vega),
+    iv: num(greeks.iv),
+    // 'feed' | 'computed' (optionPricing.js)
+    greeksSource: row.greeksSource ?? null,
+    mark: num(mark),
+    pnl: pnl && Number.isFinite(pnl.dollarPnL) ? pnl.dollarPnL : null,
+    pnlPercent: pnl && Number.isFinite(pnl.percentPnL) ? pnl.percentPnL : null,
+    conid: row.conid ?? null,
+  };
+}
+
+// rows: list rows as shown (gap markers are skipped); getQuote(conid) → latest LIVE_QUOTE
+export function buildRowRecords(stream, rows, getQuote = () => undefined) {
+  const records = [];
+  for (const row of rows) {
+    if (row.type === 'GAP') continue;
+    records.push(toExportRecord(stream, row, getQuote(row.conid)));
+  }
+  return records;
+}
+
+// quote store snapshot ({ quotes, ulQuotes }) + conid mapping → records
+export function buildQuoteRecords({ quotes, ulQuotes }, conidMapping) {
+  const record = (kind, conid, q) => {
+    const mapping = conidMapping[conid] || {};
+    return {
+      stream: 'quotes',
+      timestamp: iso(q.timestamp || q.receivedAt),
+      kind,
+      conid: num(conid),
+      symbol: mapping.symbol ?? null,
+      right: mapping.right ?? null,
+      strike: num(mapping.strike),
+      expiry: mapping.expiry ?? null,
+      bid: num(q.bid),
+      ask: num(q.ask),
+      last: num(q.last),
+      volume: num(q.volume),
+    };
+  };
+  return [
+    ...Object.entries(quotes).map(([conid, q]) => record('option', conid, q)),
+    ...Object.entries(ulQuotes).map(([conid, q]) => record('underlying', conid, q)),
+  ];
+}
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = Array.isArray(value) ? value.join('|') : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export function toCsv(records, columns) {
+  const lines = [columns.join(',')];
+  for (const r of records) lines.push(columns.map(c => csvCell(r[c])).join(','));
+  return `${lines.join('\n')}\n`;
+}
+
+export const toNdjson = (records) => records.map(r => JSON.stringify(r)).join('\n') + (records.length ? '\n' : '');
+
+export function serializeRecords(records, format, columns = EXPORT_COLUMNS) {
+  if (format === 'csv') return toCsv(records, columns);
+  if (format === 'json') return JSON.stringify(records, null, 2);
+  return toNdjson(records);
+}
+
+// flow-trades-2026-10-19T15-04-05.csv (local time)
+export function exportFileName(name, format, date = new Date()) {
+  const pad = (n) => String(n).padStart(2, '0');
+  const stamp = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+    + `T${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(date.getSeconds())}`;
+  return `flow-${name}-${stamp}.${format}`;
+}
+
+// Save text as a file through a temporary object-URL link
+export function downloadText(fileName, text, format) {
+  const mime = EXPORT_FORMATS.find(f => f.id === format)?.mime ?? 'text/plain';
+  const url = URL.createObjectURL(new Blob([text], { type: mime }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,54 @@
+import { EXPORT_COLUMNS, buildQuoteRecords, buildRowRecords, exportFileName, toCsv, toNdjson } from './exportRows.js';
+import { flowReducer, initialFlowState } from './flowStore.js';
+import { fixtureMessage } from '../test/fixtures.js';
+
+const tradeRows = () => {
+  let state = initialFlowState;
+  state = flowReducer(state, { type: 'message', data: fixtureMessage('CALL').msg, receivedAt: 1000 });
+  state = flowReducer(state, { type: 'message', data: { type: 'GAP', from: 1, to: 2 }, receivedAt: 2000 });
+  return state;
+};
+
+describe('exportRows', () => {
+  test('trades and prints map onto the same stable schema', () => {
+    const state = tradeRows();
+    const quote = { last: 2.5, receivedAt: Date.UTC(2030, 0, 1) };
+    const [trade] = buildRowRecords('trades', state.trades, () => quote);
+    const [print] = buildRowRecords('prints', state.prints, () => quote);
+
+    expect(Object.keys(trade)).toEqual(EXPORT_COLUMNS);
+    expect(Object.keys(print)).toEqual(EXPORT_COLUMNS);
+    expect(trade).toMatchObject({
+      timestamp: new Date(fixtureMessage('CALL').msg.timestamp).toISOString(),
+      symbol: 'SPY', right: 'C', strike: 580, size: 500, price: 2.1, direction: 'BTO',
+      classifications: ['SWEEP'], stance: 'BULL', delta: 0.45, mark: 2.5,
+    });
+    expect(trade.pnl).toBeCloseTo(0.4 * 500 * 100);
+    expect(print).toMatchObject({ stream: 'prints', size: 500, price: 2.1, stance: 'BULL', pnl: trade.pnl });
+  });
+
+  test('CSV quotes awkward cells and joins lists', () => {
+    const csv = toCsv([{ a: 'x,y', b: ['SWEEP', 'BLOCK'], c: null }, { a: 'say "hi"', b: [], c: 3 }], ['a', 'b', 'c']);
+    expect(csv).toBe('a,b,c\n"x,y",SWEEP|BLOCK,\n"say ""hi""",,3\n');
+  });
+
+  test('NDJSON writes one object per line', () => {
+    const text = toNdjson(buildRowRecords('trades', tradeRows().trades));
+    expect(text.trim().split('\n').map(line => JSON.parse(line).symbol)).toEqual(['SPY']);
+  });
+
+  test('quote records take contract details from the conid mapping', () => {
+    const records = buildQuoteRecords(
+      { quotes: { 7001: { bid: 2, ask: 2.1, last: 2.05, receivedAt: 0 } }, ulQuotes: { 756733: { last: 578.4, receivedAt: 0 } } },
+      { 7001: { symbol: 'SPY', right: 'C', strike: 580, expiry: '20251128' }, 756733: { symbol: 'SPY' } }
+    );
+    expect(records.map(r => [r.kind, r.symbol, r.strike, r.last])).toEqual([
+      ['option', 'SPY', 580, 2.05],
+      ['underlying', 'SPY', null, 578.4],
+    ]);
+  });
+
+  test('file names carry the stream and local time', () => {
+    expect(exportFileName('trades', 'csv', new Date(2026, 9, 19, 16, 5, 9))).toBe('flow-trades-2026-10-19T16-05-09.csv');
+  });
+});
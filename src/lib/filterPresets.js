@@ -0,0 +1,41 @@
+// Named filter expressions (filterQuery.js), kept in localStorage.
+
+const STORAGE_KEY = 'optionsFlow.filterPresets';
+
+export const DEFAULT_FILTER_PRESETS = [
+  { name: 'Big sweeps', query: 'classification = SWEEP and premium >= 250k' },
+  { name: 'Short-dated unusual', query: 'dte <= 7 and volOiRatio > 3' },
+  { name: 'High conviction', query: 'confidence >= 70 and stanceScore >= 70' },
+];
+
+export function loadFilterPresets() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    const presets = raw ? JSON.parse(raw) : DEFAULT_FILTER_PRESETS;
+    return Array.isArray(presets)
+      ? presets.filter(p => p && typeof p.name === 'string' && typeof p.query === 'string')
+      : DEFAULT_FILTER_PRESETS;
+  } catch {
+    return DEFAULT_FILTER_PRESETS;
+  }
+}
+
+export function saveFilterPresets(presets) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(presets));
+  } catch {
+    // storage full or disabled – presets just won't persist
+  }
+}
+
+// Add or overwrite by name (trimmed); keeps the list sorted by name
+export function upsertFilterPreset(presets, name, query) {
+  const trimmed = name.trim();
+  if (!trimmed) return presets;
+  return [...presets.filter(p => p.name !== trimmed), { name: trimmed, query }]
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export function removeFilterPreset(presets, name) {
+  return presets.filter(p => p.name !== name);
+}
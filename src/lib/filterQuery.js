@@ -0,0 +1,373 @@
+// Filter expression language for the Trades / Prints / Auto tabs.
+//
+//   symbol in (NVDA,TSLA) and premium > 250k and classification = SWEEP
+//   and dte <= 7 and volOiRatio > 3 and confidence >= 70
+//
+// Comparisons: = != > >= < <= and ~ (substring), `in (…)` / `not in (…)`, or a bare boolean
+// field (`aggressor`). Combine with and / or / not and parentheses; keywords are
+// case-insensitive. Numbers take k / m / b suffixes and an optional $. Values with spaces
+// go in quotes. List fields (classification) match when any element matches.
+//
+// compileFilter(text) → { predicate, error } – error is { message, position } or null.
+// Feed gap markers always pass so holes in the stream stay visible.
+
+import { rootSymbol } from './productSpecs.js';
+
+const DAY_MS = 86_400_000;
+
+// Days from the trade to its expiry when the server didn't send dte
+function dteOf(t) {
+  if (typeof t.dte === 'number') return t.dte;
+  const m = /^(\d{4})(\d{2})(\d{2})$/.exec(String(t.expiry || ''));
+  const at = t.timestamp || t.receivedAt;
+  if (!m || !at) return undefined;
+  const from = new Date(at);
+  const fromDay = Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate());
+  return Math.round((Date.UTC(+m[1], +m[2] - 1, +m[3]) - fromDay) / DAY_MS);
+}
+
+const rightOf = (t) => {
+  if (t.right === 'C' || t.type === 'CALL') return 'C';
+  if (t.right === 'P' || t.type === 'PUT') return 'P';
+  return undefined;
+};
+
+// name → { kind: 'number' | 'string' | 'list' | 'boolean', get, values?, help }
+export const FILTER_FIELDS = {
+  symbol: { kind: 'string', get: t => t.symbol, help: 'underlying, e.g. NVDA or /ES' },
+  right: { kind: 'string', get: rightOf, values: ['C', 'P'], help: 'C or P' },
+  direction: { kind: 'string', get: t => t.direction, values: ['BTO', 'STO', 'BTC', 'STC'], help: 'opening / closing side' },
+  classification: {
+    kind: 'list',
+    get: t => t.classifications,
+    values: ['SWEEP', 'BLOCK', 'NOTABLE'],
+    help: 'any of the trade classifications',
+  },
+  stance: { kind: 'string', get: t => t.stanceLabel ?? t.stance, values: ['BULL', 'BEAR', 'NEUTRAL'], help: 'stance label' },
+  assetClass: { kind: 'string', get: t => t.assetClass, values: ['EQUITY_OPTION', 'FUTURES_OPTION'], help: 'equity or futures option' },
+  expiry: { kind: 'string', get: t => t.expiry, help: 'YYYYMMDD' },
+  premium: { kind: 'number', get: t => t.premium, help: 'dollars, e.g. 250k' },
+  size: { kind: 'number', get: t => t.size, help: 'contracts' },
+  price: { kind: 'number', get: t => t.optionPrice, help: 'option trade price' },
+  strike: { kind: 'number', get: t => t.strike, help: 'strike price' },
+  dte: { kind: 'number', get: dteOf, help: 'days to expiry' },
+  volOiRatio: { kind: 'number', get: t => t.volOiRatio, help: 'volume / open interest' },
+  openInterest: { kind: 'number', get: t => t.openInterest, help: 'open interest' },
+  volumeMultiple: { kind: 'number', get: t => t.historicalComparison?.volumeMultiple, help: 'volume vs historical average' },
+  confidence: { kind: 'number', get: t => t.confidence, help: '0–100' },
+  stanceScore: { kind: 'number', get: t => t.stanceScore, help: '0–100' },
+  unusual: { kind: 'number', get: t => t.unusual?.score, help: 'unusual-activity score (≈ σ above baseline)' },
+  delta: { kind: 'number', get: t => t.greeks?.delta, help: 'option delta' },
+  iv: { kind: 'number', get: t => t.greeks?.iv, help: 'implied volatility %' },
+  underlyingPrice: { kind: 'number', get: t => t.underlyingPrice, help: 'underlying at the trade' },
+  aggressor: { kind: 'boolean', get: t => t.aggressor === true || t.aggressor === 'BUY-agg', help: 'buyer-initiated' },
+  auto: { kind: 'boolean', get: t => Boolean(t.isAutoTrade), help: 'captured as auto trade' },
+};
+
+const FIELD_BY_LOWER = Object.fromEntries(Object.keys(FILTER_FIELDS).map(name => [name.toLowerCase(), name]));
+
+const COMPARISON_OPS = ['=', '!=', '>', '>=', '<', '<=', '~'];
+const KEYWORDS = ['and', 'or', 'not', 'in'];
+const NUMBER_RE = /^\$?(-?\d+(?:\.\d+)?)([kmb])?$/i;
+const SUFFIX = { k: 1e3, m: 1e6, b: 1e9 };
+
+// ---- tokenizer ----
+
+// → [{ type: 'word' | 'string' | 'op' | '(' | ')' | ',', value, start, end }]
+export function tokenizeFilter(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    if (/\s/.test(ch)) {
+      i += 1;
+      continue;
+    }
+    const start = i;
+    if (ch === '(' || ch === ')' || ch === ',') {
+      tokens.push({ type: ch, value: ch, start, end: i + 1 });
+      i += 1;
+    } else if (ch === '"' || ch === "'") {
+      const close = text.indexOf(ch, i + 1);
+      const end = close < 0 ? text.length : close + 1;
+      tokens.push({ type: 'string', value: text.slice(i + 1, close < 0 ? text.length : close), start, end, open: close < 0 });
+      i = end;
+    } else if (/[=!<>~]/.test(ch)) {
+      const two = text.slice(i, i + 2);
+      const op = ['>=', '<=', '!=', '=='].includes(two) ? two : ch;
+      tokens.push({ type: 'op', value: op === '==' ? '=' : op, start, end: i + op.length });
+      i += op.length;
+    } else {
+      while (i < text.length && !/[\s(),=!<>~"']/.test(text[i])) i += 1;
+      tokens.push({ type: 'word', value: text.slice(start, i), start, end: i });
+    }
+  }
+  return tokens;
+}
+
+const isKeyword = (token, word) => token?.type === 'word' && token.value.toLowerCase() === word;
+
+// ---- parser → AST ----
+// node: { and: [..] } | { or: [..] } | { not: node } | { field, op, value } | { field, op: 'in', values, negate }
+
+class ParseError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.position = position;
+  }
+}
+
+function parse(text) {
+  const tokens = tokenizeFilter(text);
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const at = () => (peek() ? peek().start : text.length);
+  const fail = (message) => {
+    throw new ParseError(message, at());
+  };
+
+  const parseValue = () => {
+    const token = peek();
+    if (!token || (token.type !== 'word' && token.type !== 'string')) fail('expected a value');
+    if (token.type === 'word' && KEYWORDS.includes(token.value.toLowerCase())) fail(`expected a value, got "${token.value}"`);
+    pos += 1;
+    if (token.type === 'string') return { raw: token.value, quoted: true, start: token.start };
+    return { raw: token.value, quoted: false, start: token.start };
+  };
+
+  const parseComparison = () => {
+    const token = peek();
+    if (!token || token.type !== 'word') fail('expected a field name');
+    const field = FIELD_BY_LOWER[token.value.toLowerCase()];
+    if (!field) fail(`unknown field "${token.value}"`);
+    pos += 1;
+
+    const next = peek();
+    if (isKeyword(next, 'in') || (isKeyword(next, 'not') && isKeyword(tokens[pos + 1], 'in'))) {
+      const negate = isKeyword(next, 'not');
+      pos += negate ? 2 : 1;
+      if (peek()?.type !== '(') fail('expected "(" after in');
+      pos += 1;
+      const values = [parseValue()];
+      while (peek()?.type === ',') {
+        pos += 1;
+        values.push(parseValue());
+      }
+      if (peek()?.type !== ')') fail('expected ")" to close the list');
+      pos += 1;
+      return { field, op: 'in', values, negate };
+    }
+    if (next?.type === 'op') {
+      if (!COMPARISON_OPS.includes(next.value)) fail(`unknown operator "${next.value}"`);
+      pos += 1;
+      return { field, op: next.value, value: parseValue() };
+    }
+    if (FILTER_FIELDS[field].kind === 'boolean') return { field, op: '=', value: { raw: 'true', quoted: false } };
+    return fail(`expected an operator after ${field}`);
+  };
+
+  const parseUnary = () => {
+    if (isKeyword(peek(), 'not')) {
+      pos += 1;
+      return { not: parseUnary() };
+    }
+    if (peek()?.type === '(') {
+      pos += 1;
+      const node = parseOr();
+      if (peek()?.type !== ')') fail('expected ")"');
+      pos += 1;
+      return node;
+    }
+    return parseComparison();
+  };
+
+  const parseAnd = () => {
+    const parts = [parseUnary()];
+    while (isKeyword(peek(), 'and')) {
+      pos += 1;
+      parts.push(parseUnary());
+    }
+    return parts.length === 1 ? parts[0] : { and: parts };
+  };
+
+  function parseOr() {
+    const parts = [parseAnd()];
+    while (isKeyword(peek(), 'or')) {
+      pos += 1;
+      parts.push(parseAnd());
+    }
+    return parts.length === 1 ? parts[0] : { or: parts };
+  }
+
+  const ast = parseOr();
+  if (pos < tokens.length) fail(`unexpected "${peek().value}"`);
+  return ast;
+}
+
+// ---- compile AST → predicate ----
+
+function literal(fieldName, value) {
+  const { kind } = FILTER_FIELDS[fieldName];
+  if (kind === 'number') {
+    const m = NUMBER_RE.exec(value.raw);
+    if (!m) throw new ParseError(`${fieldName} needs a number, got "${value.raw}"`, value.start);
+    return Number(m[1]) * (m[2] ? SUFFIX[m[2].toLowerCase()] : 1);
+  }
+  if (kind === 'boolean') {
+    const v = value.raw.toLowerCase();
+    if (v !== 'true' && v !== 'false') throw new ParseError(`${fieldName} is true or false`, value.start);
+    return v === 'true';
+  }
+  if (fieldName === 'symbol') return rootSymbol(value.raw);
+  if (fieldName === 'right') return value.raw.toUpperCase().startsWith('C') ? 'C' : 'P';
+  return value.raw.toUpperCase();
+}
+
+const normalizeActual = (fieldName, v) => {
+  if (v === undefined || v === null) return v;
+  if (fieldName === 'symbol') return rootSymbol(v);
+  return typeof v === 'string' ? v.toUpperCase() : v;
+};
+
+function compare(op, actual, expected) {
+  if (actual === undefined || actual === null) return op === '!=';
+  switch (op) {
+    case '=': return actual === expected;
+    case '!=': return actual !== expected;
+    case '>': return actual > expected;
+    case '>=': return actual >= expected;
+    case '<': return actual < expected;
+    case '<=': return actual <= expected;
+    case '~': return String(actual).includes(String(expected));
+    default: return false;
+  }
+}
+
+function compileNode(node) {
+  if (node.and) {
+    const parts = node.and.map(compileNode);
+    return t => parts.every(p => p(t));
+  }
+  if (node.or) {
+    const parts = node.or.map(compileNode);
+    return t => parts.some(p => p(t));
+  }
+  if (node.not) {
+    const inner = compileNode(node.not);
+    return t => !inner(t);
+  }
+
+  const spec = FILTER_FIELDS[node.field];
+  const get = (t) => {
+    const v = spec.get(t);
+    return spec.kind === 'list' ? (v || []).map(x => normalizeActual(node.field, x)) : normalizeActual(node.field, v);
+  };
+
+  if (node.op === 'in') {
+    const set = new Set(node.values.map(v => literal(node.field, v)));
+    const test = spec.kind === 'list'
+      ? t => get(t).some(v => set.has(v))
+      : t => set.has(get(t));
+    return node.negate ? t => !test(t) : test;
+  }
+
+  if (node.op === '~' && spec.kind === 'number') {
+    throw new ParseError(`~ compares text, ${node.field} is a number`, node.value.start);
+  }
+  if (spec.kind === 'boolean' && node.op !== '=' && node.op !== '!=') {
+    throw new ParseError(`${node.field} only supports = and !=`, node.value.start);
+  }
+  const expected = literal(node.field, node.value);
+  if (spec.kind === 'list') {
+    const any = t => get(t).some(v => compare(node.op === '!=' ? '=' : node.op, v, expected));
+    return node.op === '!=' ? t => !any(t) : any;
+  }
+  return t => compare(node.op, get(t), expected);
+}
+
+const matchAll = () => true;
+
+export function compileFilter(text) {
+  if (!text || !text.trim()) return { predicate: matchAll, error: null };
+  try {
+    const match = compileNode(parse(text));
+    return { predicate: row => row.type === 'GAP' || match(row), error: null };
+  } catch (err) {
+    if (err instanceof ParseError) return { predicate: null, error: { message: err.message, position: err.position } };
+    throw err;
+  }
+}
+
+// ---- autocomplete ----
+
+// Suggestions for the token being typed at `cursor`.
+// → { from, to, items: [{ value, detail }] }; replace text[from, to) with the chosen value.
+// context.symbols: symbols worth suggesting for `symbol` comparisons.
+export function suggestFilter(text, cursor = text.length, context = {}) {
+  const tokens = tokenizeFilter(text.slice(0, cursor));
+  let current = tokens[tokens.length - 1];
+  // cursor right after whitespace or punctuation: a new token starts here
+  if (current && (current.end < cursor || ['(', ')', ','].includes(current.type) || current.type === 'op')) current = null;
+  const before = current ? tokens.slice(0, -1) : tokens;
+  const prefix = current ? current.value.toLowerCase() : '';
+  const from = current ? current.start : cursor;
+
+  const pick = (items) => ({
+    from,
+    to: cursor,
+    items: items.filter(item => item.value.toLowerCase().startsWith(prefix) && item.value.toLowerCase() !== prefix),
+  });
+
+  const fieldItems = () => Object.entries(FILTER_FIELDS).map(([value, spec]) => ({ value, detail: spec.help }));
+  const prev = before[before.length - 1];
+
+  // start, after and/or/not or "(" → field names
+  const afterField = prev && before.length > 1 && before[before.length - 2].type === 'word'
+    && FIELD_BY_LOWER[before[before.length - 2].value.toLowerCase()];
+  const startsCondition = !prev || ['and', 'or'].some(k => isKeyword(prev, k))
+    || (isKeyword(prev, 'not') && !afterField)
+    || (prev.type === '(' && !isKeyword(before[before.length - 2], 'in'));
+  if (startsCondition) {
+    return pick([...fieldItems(), { value: 'not', detail: 'negate the next condition' }]);
+  }
+
+  // the field this operator / value belongs to: last field name in the current condition
+  let fieldToken = null;
+  for (let j = before.length - 1; j >= 0; j -= 1) {
+    const token = before[j];
+    if (isKeyword(token, 'and') || isKeyword(token, 'or')) break;
+    const isField = token.type === 'word' && FIELD_BY_LOWER[token.value.toLowerCase()];
+    if (isField && before[j - 1]?.type !== 'op') {
+      fieldToken = token;
+      break;
+    }
+  }
+  const field = fieldToken && FIELD_BY_LOWER[fieldToken.value.toLowerCase()];
+
+  if (field && isKeyword(prev, 'not') && before[before.length - 2] === fieldToken) {
+    return pick([{ value: 'in', detail: 'operator' }]);
+  }
+
+  // right after a field → operators
+  if (field && prev === fieldToken) {
+    const ops = FILTER_FIELDS[field].kind === 'number'
+      ? ['=', '!=', '>', '>=', '<', '<=', 'in', 'not in']
+      : ['=', '!=', '~', 'in', 'not in'];
+    return pick(ops.map(value => ({ value, detail: 'operator' })));
+  }
+
+  // after an operator or inside an in-list → values
+  if (field && (prev.type === 'op' || prev.type === '(' || prev.type === ',' || isKeyword(prev, 'in'))) {
+    const spec = FILTER_FIELDS[field];
+    let values = spec.values || [];
+    if (field === 'symbol') values = context.symbols || [];
+    if (spec.kind === 'boolean') values = ['true', 'false'];
+    return pick(values.map(value => ({ value, detail: field })));
+  }
+
+  // after a complete comparison → connectives
+  return pick([
+    { value: 'and', detail: 'both conditions' },
+    { value: 'or', detail: 'either condition' },
+  ]);
+}
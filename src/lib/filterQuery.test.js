@@ -0,0 +1,85 @@
+import { compileFilter, suggestFilter } from './filterQuery.js';
+import { fixtureMessage } from '../test/fixtures.js';
+
+const spy = fixtureMessage('CALL').msg;     // SPY C 580, SWEEP, premium 105k, dte 7, volOi 3.4, conf 81
+const qqq = fixtureMessage('PUT').msg;      // QQQ P 500, BLOCK, premium 90k, volOi 1.2, conf 70
+const es = fixtureMessage('CALL', 1).msg;   // /ES C, no classification, conf 55
+
+const matches = (query, rows = [spy, qqq, es]) => {
+  const { predicate, error } = compileFilter(query);
+  if (error) throw new Error(error.message);
+  return rows.filter(predicate).map(r => r.symbol);
+};
+
+describe('compileFilter', () => {
+  test('combines in-list, unit suffix, equality and range clauses with and', () => {
+    const query = 'symbol in (SPY,TSLA) and premium > 100k and classification = SWEEP and dte <= 7 and volOiRatio > 3 and confidence >= 70';
+    expect(matches(query)).toEqual(['SPY']);
+  });
+
+  test('empty query matches everything, gap markers always pass', () => {
+    expect(matches('')).toEqual(['SPY', 'QQQ', '/ES']);
+    expect(compileFilter('symbol = NVDA').predicate({ type: 'GAP', from: 1, to: 2 })).toBe(true);
+  });
+
+  test('or / not / parentheses and case-insensitive keywords', () => {
+    expect(matches('symbol = QQQ OR (classification = sweep AND NOT right = P)')).toEqual(['SPY', 'QQQ']);
+    expect(matches('not classification in (SWEEP, BLOCK)')).toEqual(['/ES']);
+    expect(matches('symbol not in (SPY)')).toEqual(['QQQ', '/ES']);
+  });
+
+  test('number suffixes, $ and futures roots with or without slash', () => {
+    expect(matches('premium >= $90k and premium < 0.1m')).toEqual(['QQQ']);
+    expect(matches('symbol = ES')).toEqual(['/ES']);
+    expect(matches('symbol = /es')).toEqual(['/ES']);
+  });
+
+  test('~ substring, bare boolean fields and missing values', () => {
+    expect(matches('symbol ~ Q')).toEqual(['QQQ']);
+    expect(matches('aggressor')).toEqual(['SPY', '/ES']);
+    expect(matches('iv > 1', [{ symbol: 'X' }])).toEqual([]);
+  });
+
+  test('dte falls back to expiry when the server omits it', () => {
+    const row = { symbol: 'X', expiry: '20251128', timestamp: Date.UTC(2025, 10, 21, 15) };
+    expect(matches('dte = 7', [row])).toEqual(['X']);
+  });
+
+  test.each([
+    ['premium > lots', 'premium needs a number'],
+    ['sizzle > 3', 'unknown field "sizzle"'],
+    ['symbol in (SPY', 'expected ")" to close the list'],
+    ['symbol = SPY and', 'expected a field name'],
+    ['premium ~ 3', '~ compares text'],
+    ['symbol SPY', 'expected an operator after symbol'],
+  ])('%s → error', (query, message) => {
+    const { predicate, error } = compileFilter(query);
+    expect(predicate).toBeNull();
+    expect(error.message).toContain(message);
+  });
+
+  test('error position points at the offending token', () => {
+    expect(compileFilter('symbol = SPY and sizzle > 3').error.position).toBe(17);
+  });
+});
+
+describe('suggestFilter', () => {
+  const values = (text, context) => suggestFilter(text, text.length, context).items.map(i => i.value);
+
+  test('field names at the start and after and/or', () => {
+    expect(values('pr')).toEqual(['premium', 'price']);
+    expect(values('symbol = SPY and conf')).toEqual(['confidence']);
+  });
+
+  test('operators after a field, values after an operator', () => {
+    expect(values('premium ')).toContain('>=');
+    expect(values('direction = ')).toEqual(['BTO', 'STO', 'BTC', 'STC']);
+    expect(values('classification in (SWEEP, B')).toEqual(['BLOCK']);
+    expect(values('symbol = N', { symbols: ['NVDA', 'TSLA'] })).toEqual(['NVDA']);
+  });
+
+  test('connectives after a complete condition; replace range covers the partial word', () => {
+    expect(values('stance = BULL ')).toEqual(['and', 'or']);
+    expect(suggestFilter('symbol = SPY an')).toMatchObject({ from: 13, to: 15, items: [{ value: 'and' }] });
+  });
+});
@@ -0,0 +1,24 @@
+// UI end of the flow pipeline: a module Worker where the platform has one, otherwise the
+// same pipeline inline on the main thread (tests). The protocol is identical either way:
+// onMessage gets snapshots plus the replies to request commands.
+
+import { createFlowPipeline } from './flowPipeline.js';
+
+export function createFlowClient({ onMessage }) {
+  if (typeof Worker === 'undefined') {
+    const pipeline = createFlowPipeline({ post: onMessage });
+    return {
+      send: pipeline.handle,
+      dispose: () => pipeline.handle({ type: 'dispose' }),
+    };
+  }
+
+  const worker = new Worker(new URL('../workers/flowWorker.js', import.meta.url), { type: 'module' });
+  worker.onmessage = (event) => onMessage(event.data);
+  worker.onerror = (event) => console.error('Flow worker error', event.message);
+  return {
+    send: (command) => worker.postMessage(command),
+    // the worker closes itself once any running recording is flushed
+    dispose: () => worker.postMessage({ type: 'dispose' }),
+  };
+}
@@ -0,0 +1,166 @@
+// Pure flow math shared by the store, the UI and the tests.
+// Contract multipliers come from the product-spec registry (productSpecs.js).
+
+import { contractMultiplier } from './productSpecs.js';
+
+export const DEAD_ZONE = 5000; // small dead zone to avoid tiny noise in net delta
+
+// Flow stance is judged on delta-dollars (delta × size × multiplier × underlying price), so
+// one threshold means the same exposure on SPY and on a $10 name. A flow leaves NEUTRAL when
+// its net delta-dollars are at least minDeltaDollars AND at least `imbalance` of the gross
+// delta-dollars traded in the window, i.e. relative to the symbol's own flow. Per-symbol
+// overrides come from stanceSettings.js. Trades without an underlying price carry no
+// delta-dollars; a flow made only of those falls back to the raw DEAD_ZONE on net delta.
+export const DEFAULT_STANCE_THRESHOLD = { minDeltaDollars: 250_000, imbalance: 0.1 };
+
+// === Helpers for delta → stance/formatting ===
+export function stanceFromNetDelta(netDelta, deadZone) {
+  if (netDelta > deadZone) return 'BULL';
+  if (netDelta < -deadZone) return 'BEAR';
+  return 'NEUTRAL';
+}
+
+// Signed delta-dollars, e.g. +$1.2M Δ$
+export function fmtDeltaDollars(value) {
+  if (!value) return '$0 Δ$';
+  const sign = value >= 0 ? '+' : '-';
+  const abs = Math.abs(value);
+  if (abs >= 1_000_000_000) return `${sign}$${(abs / 1_000_000_000).toFixed(1)}B Δ$`;
+  if (abs >= 1_000_000) return `${sign}$${(abs / 1_000_000).toFixed(1)}M Δ$`;
+  if (abs >= 1_000) return `${sign}$${(abs / 1_000).toFixed(0)}k Δ$`;
+  return `${sign}$${abs.toFixed(0)} Δ$`;
+}
+
+export function fmtDeltaCompact(netDelta) {
+  if (!netDelta) return '0 Δ';
+  const sign = netDelta >= 0 ? '+' : '-';
+  const abs = Math.abs(netDelta);
+  if (abs >= 1_000_000) return `${sign}${(abs / 1_000_000).toFixed(1)}M Δ`;
+  if (abs >= 1_000) return `${sign}${(abs / 1_000).toFixed(1)}k Δ`;
+  return `${sign}${abs.toFixed(0)} Δ`;
+}
+
+// without a direction: BUY-agg (true on trades) +1, SELL-agg -1
+const aggressorSide = (t) => (t.aggressor === true || t.aggressor === 'BUY-agg' ? 1 : -1);
+
+// +1 bought, -1 sold: BTO and BTC are purchases, STO and STC sales. Premium figures (heatmap,
+// chart bull / bear), dealer positions and spread legs go by this.
+export function buySellSide(t) {
+  switch (t.direction) {
+    case 'BTO':
+    case 'BTC':
+      return 1;
+    case 'STO':
+    case 'STC':
+      return -1;
+    default:
+      return aggressorSide(t);
+  }
+}
+
+// Sign net delta counts a trade with: BTO and STC +1, STO and BTC -1
+export function deltaSign(t) {
+  switch (t.direction) {
+    case 'BTO':
+    case 'STC':
+      return 1;
+    case 'STO':
+    case 'BTC':
+      return -1;
+    default:
+      return aggressorSide(t);
+  }
+}
+
+// Signed delta exposure of one trade (shares-equivalent); 0 when it carries no delta
+export function signedDelta(t) {
+  const size = Number(t.size ?? 0);
+  const delta = Number(t.greeks?.delta ?? 0);
+  if (!size || !delta) return 0;
+  return deltaSign(t) * delta * size * contractMultiplier(t);
+}
+
+// Signed delta-dollars of one trade; 0 without an underlying price
+export function deltaDollars(t) {
+  const price = Number(t.underlyingPrice);
+  return price > 0 ? signedDelta(t) * price : 0;
+}
+
+// flow: { netDelta, netDollars, grossDollars } → 'BULL' | 'BEAR' | 'NEUTRAL'
+export function classifyFlow({ netDelta, netDollars, grossDollars }, threshold = DEFAULT_STANCE_THRESHOLD) {
+  if (!grossDollars) return stanceFromNetDelta(netDelta, DEAD_ZONE);
+  if (Math.abs(netDollars) < threshold.minDeltaDollars) return 'NEUTRAL';
+  if (Math.abs(netDollars) / grossDollars < threshold.imbalance) return 'NEUTRAL';
+  return netDollars > 0 ? 'BULL' : 'BEAR';
+}
+
+// a bare number is a net delta with no delta-dollars
+const toFlow = (v) => (typeof v === 'number' ? { netDelta: v, netDollars: 0, grossDollars: 0 } : v);
+
+const describeFlow = (flow, threshold) => ({
+  ...flow,
+  // net as a share of gross, -1..1
+  imbalance: flow.grossDollars ? flow.netDollars / flow.grossDollars : 0,
+  stance: classifyFlow(flow, threshold),
+});
+
+// settings: { default, symbols: { SYM: threshold } } (stanceSettings.js); the overall
+// flow uses the default
+export function stanceThreshold(settings, symbol) {
+  return settings?.symbols?.[symbol] ?? settings?.default ?? DEFAULT_STANCE_THRESHOLD;
+}
+
+// per-symbol flows + total → { overallFlow, symbolFlows[] }
+//   flows: { netDelta, netDollars, grossDollars } (or just a net delta)
+export function summarizeFlows(perSymbol, total, settings) {
+  const symbolFlows = Object.entries(perSymbol)
+    .map(([symbol, flow]) => ({ symbol, ...describeFlow(toFlow(flow), stanceThreshold(settings, symbol)) }))
+    // biggest exposure on top: delta-dollars where known, raw delta otherwise
+    .sort((a, b) => Math.abs(b.netDollars || b.netDelta) - Math.abs(a.netDollars || a.netDelta));
+
+  const overallFlow = describeFlow(toFlow(total), stanceThreshold(settings, null));
+
+  return { overallFlow, symbolFlows };
+}
+
+// trades → { overallFlow, symbolFlows[] }
+export function computeDeltaFlows(trades, settings) {
+  const perSymbol = {};
+  const total = { netDelta: 0, netDollars: 0, grossDollars: 0 };
+
+  for (const t of trades) {
+    if (!t.symbol) continue;
+    const signed = signedDelta(t);
+    if (!signed) continue;
+    const dollars = deltaDollars(t);
+    const flow = perSymbol[t.symbol] || { netDelta: 0, netDollars: 0, grossDollars: 0 };
+    for (const f of [flow, total]) {
+      f.netDelta += signed;
+      f.netDollars += dollars;
+      f.grossDollars += Math.abs(dollars);
+    }
+    perSymbol[t.symbol] = flow;
+  }
+
+  return summarizeFlows(perSymbol, total, settings);
+}
+
+// Current price of a trade's contract: the latest LIVE_QUOTE received after the trade,
+// else the trade price itself (a quote older than the print says nothing about it)
+export function markPrice(trade, quote) {
+  if (quote && quote.last != null && quote.receivedAt >= trade.receivedAt) return quote.last;
+  return trade.optionPrice;
+}
+
+// Mark-to-market of a trade as if entered at optionPrice → { dollarPnL, percentPnL }
+export function calculatePnL(trade, markedPrice) {
+  const currentPrice = markedPrice || trade.currentPrice || trade.optionPrice;
+  const entryPrice = trade.optionPrice;
+  const contracts = trade.size || 1;
+  const multiplier = contractMultiplier(trade);
+  const priceDiff = currentPrice - entryPrice;
+  const dollarPnL = priceDiff * contracts * multiplier;
+  const percentPnL = (priceDiff / entryPrice) * 100;
+  
+  return { dollarPnL, percentPnL };
+}
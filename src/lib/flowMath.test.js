@@ -0,0 +1,177 @@
+import {
+  DEAD_ZONE,
+  stanceFromNetDelta,
+  fmtDeltaCompact,
+  computeDeltaFlows,
+  classifyFlow,
+  fmtDeltaDollars,
+  calculatePnL,
+  markPrice,
+  buySellSide,
+  deltaSign,
+} from './flowMath.js';
+import { loadFixtureSession } from '../test/fixtures.js';
+
+const fixtureTrades = () =>
+  loadFixtureSession()
+    .map(({ msg }) => msg)
+    .filter(msg => msg.type === 'CALL' || msg.type === 'PUT');
+
+describe('stanceFromNetDelta', () => {
+  test('classifies outside the dead zone only', () => {
+    expect(stanceFromNetDelta(DEAD_ZONE + 1, DEAD_ZONE)).toBe('BULL');
+    expect(stanceFromNetDelta(-DEAD_ZONE - 1, DEAD_ZONE)).toBe('BEAR');
+    expect(stanceFromNetDelta(DEAD_ZONE, DEAD_ZONE)).toBe('NEUTRAL');
+    expect(stanceFromNetDelta(-DEAD_ZONE, DEAD_ZONE)).toBe('NEUTRAL');
+  });
+});
+
+describe('fmtDeltaCompact', () => {
+  test.each([
+    [0, '0 Δ'],
+    [undefined, '0 Δ'],
+    [950, '+950 Δ'],
+    [-950, '-950 Δ'],
+    [12_340, '+12.3k Δ'],
+    [-2_500_000, '-2.5M Δ'],
+  ])('%s → %s', (value, expected) => {
+    expect(fmtDeltaCompact(value)).toBe(expected);
+  });
+});
+
+describe('computeDeltaFlows', () => {
+  test('signs delta by direction and applies multipliers', () => {
+    const { overallFlow, symbolFlows } = computeDeltaFlows(fixtureTrades());
+    const bySymbol = Object.fromEntries(symbolFlows.map(s => [s.symbol, s]));
+
+    // SPY BTO 0.45 × 500 × 100
+    expect(bySymbol.SPY.netDelta).toBeCloseTo(22500);
+    expect(bySymbol.SPY.stance).toBe('BULL');
+    // QQQ STO −0.40 × 300 × 100 → sold puts are long delta
+    expect(bySymbol.QQQ.netDelta).toBeCloseTo(12000);
+    // /ES BTC 0.5 × 20 × 50 → negative; only 500 Δ but ≈ $2.9M of delta-dollars
+    expect(bySymbol['/ES'].netDelta).toBeCloseTo(-500);
+    expect(bySymbol['/ES'].netDollars).toBeCloseTo(-500 * 5885.25);
+    expect(bySymbol['/ES'].imbalance).toBeCloseTo(-1);
+    expect(bySymbol['/ES'].stance).toBe('BEAR');
+
+    expect(overallFlow.netDelta).toBeCloseTo(34000);
+    expect(overallFlow.stance).toBe('BULL');
+  });
+
+  test('sorts symbols by absolute net delta', () => {
+    const { symbolFlows } = computeDeltaFlows(fixtureTrades());
+    expect(symbolFlows.map(s => s.symbol)).toEqual(['SPY', 'QQQ', '/ES']);
+  });
+
+  test('falls back to aggressor without a direction', () => {
+    const base = { symbol: 'AAPL', size: 10, greeks: { delta: 0.5 } };
+    const { overallFlow } = computeDeltaFlows([
+      { ...base, aggressor: true },
+      { ...base, aggressor: false, size: 30 },
+    ]);
+    expect(overallFlow.netDelta).toBeCloseTo(-1000);
+  });
+
+  test('closing sides: bought / sold and the net-delta sign differ', () => {
+    expect(['BTO', 'STO', 'BTC', 'STC'].map(direction => buySellSide({ direction }))).toEqual([1, -1, 1, -1]);
+    expect(['BTO', 'STO', 'BTC', 'STC'].map(direction => deltaSign({ direction }))).toEqual([1, -1, -1, 1]);
+    expect([true, 'BUY-agg', false, 'SELL-agg'].map(aggressor => buySellSide({ aggressor }))).toEqual([1, 1, -1, -1]);
+  });
+
+  test('skips trades without symbol, size or delta (gap markers included)', () => {
+    const { overallFlow, symbolFlows } = computeDeltaFlows([
+      { type: 'GAP', from: 1, to: 2 },
+      { symbol: 'SPY', size: 10 },
+      { symbol: 'SPY', greeks: { delta: 0.5 } },
+    ]);
+    expect(symbolFlows).toEqual([]);
+    expect(overallFlow).toEqual({ netDelta: 0, netDollars: 0, grossDollars: 0, imbalance: 0, stance: 'NEUTRAL' });
+  });
+
+  test('per-symbol thresholds override the default', () => {
+    const settings = { default: { minDeltaDollars: 1_000_000, imbalance: 0.1 }, symbols: { SPY: { minDeltaDollars: 50_000_000, imbalance: 0.1 } } };
+    const bySymbol = Object.fromEntries(computeDeltaFlows(fixtureTrades(), settings).symbolFlows.map(s => [s.symbol, s]));
+    // $13M of SPY delta is noise against a $50M bar; QQQ's $6M clears the default
+    expect(bySymbol.SPY.stance).toBe('NEUTRAL');
+    expect(bySymbol.QQQ.stance).toBe('BULL');
+  });
+
+  test('an explicit multiplier wins', () => {
+    const { overallFlow } = computeDeltaFlows([
+      { symbol: '/CL', size: 2, multiplier: 1000, greeks: { delta: 0.5 }, direction: 'BTO', assetClass: 'FUTURES_OPTION' },
+    ]);
+    expect(overallFlow.netDelta).toBe(1000);
+  });
+});
+
+describe('classifyFlow', () => {
+  const threshold = { minDeltaDollars: 100_000, imbalance: 0.2 };
+
+  test('needs both the minimum delta-dollars and the imbalance', () => {
+    expect(classifyFlow({ netDelta: 1, netDollars: 150_000, grossDollars: 500_000 }, threshold)).toBe('BULL');
+    expect(classifyFlow({ netDelta: 1, netDollars: -150_000, grossDollars: 500_000 }, threshold)).toBe('BEAR');
+    // heavy two-way flow: big net but under 20% of gross
+    expect(classifyFlow({ netDelta: 1, netDollars: 150_000, grossDollars: 1_000_000 }, threshold)).toBe('NEUTRAL');
+    // one-sided but small
+    expect(classifyFlow({ netDelta: 1, netDollars: 50_000, grossDollars: 50_000 }, threshold)).toBe('NEUTRAL');
+  });
+
+  test('falls back to the raw dead zone without underlying prices', () => {
+    expect(classifyFlow({ netDelta: DEAD_ZONE + 1, netDollars: 0, grossDollars: 0 }, threshold)).toBe('BULL');
+    expect(classifyFlow({ netDelta: DEAD_ZONE, netDollars: 0, grossDollars: 0 }, threshold)).toBe('NEUTRAL');
+  });
+});
+
+describe('fmtDeltaDollars', () => {
+  test.each([
+    [0, '$0 Δ$'],
+    [-950, '-$950 Δ$'],
+    [250_000, '+$250k Δ$'],
+    [-2_940_000, '-$2.9M Δ$'],
+  ])('%s → %s', (value, expected) => {
+    expect(fmtDeltaDollars(value)).toBe(expected);
+  });
+});
+
+describe('markPrice', () => {
+  const trade = { optionPrice: 2, receivedAt: 1000 };
+
+  test('uses a quote received after the trade', () => {
+    expect(markPrice(trade, { last: 2.4, receivedAt: 1500 })).toBe(2.4);
+  });
+
+  test('ignores quotes older than the trade, or none at all', () => {
+    expect(markPrice(trade, { last: 2.4, receivedAt: 900 })).toBe(2);
+    expect(markPrice(trade, undefined)).toBe(2);
+  });
+});
+
+describe('calculatePnL', () => {
+  test('marks against the given price', () => {
+    expect(calculatePnL({ optionPrice: 2, size: 10 }, 2.5).dollarPnL).toBeCloseTo(500);
+  });
+
+  test('equity option uses 100 multiplier', () => {
+    const pnl = calculatePnL({ optionPrice: 2, currentPrice: 2.5, size: 10 });
+    expect(pnl.dollarPnL).toBeCloseTo(500);
+    expect(pnl.percentPnL).toBeCloseTo(25);
+  });
+
+  test('futures option uses the root symbol multiplier, explicit multiplier wins', () => {
+    const fut = { optionPrice: 40, currentPrice: 38, size: 1, assetClass: 'FUTURES_OPTION' };
+    expect(calculatePnL({ ...fut, symbol: '/ES' }).dollarPnL).toBeCloseTo(-100);
+    expect(calculatePnL({ ...fut, symbol: '/NQ' }).dollarPnL).toBeCloseTo(-40);
+    expect(calculatePnL({ ...fut, symbol: '/NQ', multiplier: 50 }).dollarPnL).toBeCloseTo(-100);
+  });
+
+  test('P&L and net delta use the same multiplier', () => {
+    const trade = { symbol: '/CL', assetClass: 'FUTURES_OPTION', optionPrice: 1, currentPrice: 2, size: 1, direction: 'BTO', greeks: { delta: 1 } };
+    expect(calculatePnL(trade).dollarPnL).toBeCloseTo(1000);
+    expect(computeDeltaFlows([trade]).overallFlow.netDelta).toBeCloseTo(1000);
+  });
+
+  test('no quote yet means flat', () => {
+    expect(calculatePnL({ optionPrice: 3, size: 5 })).toEqual({ dollarPnL: 0, percentPnL: 0 });
+  });
+});
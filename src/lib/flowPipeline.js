@@ -0,0 +1,555 @@
+// Flow pipeline: everything between the socket and the screen that doesn't need the DOM –
+// connection, JSON parsing, the flow reducer, quote coalescing, delta aggregation, filtering,
+// recording, replay and spilling to the history archive.
+//
+// Runs in the flow Web Worker (workers/flowWorker.js), or inline on the main thread where
+// Workers aren't available (tests). Either way the UI talks to it only through commands in
+// and snapshots out (flowSnapshot.js); snapshots are throttled to one per snapshotIntervalMs
+// while the feed is busy, and sent right away after a UI command.
+//
+// Trades and option quotes the feed sends without greeks get them from optionPricing.js
+// (greeksSource: 'computed') before anything else sees them, and every trade row carries its
+// unusual-activity score (unusualActivity.js) from the moment it arrives.
+//
+// Alert rules (alertRules.js) are checked against the live feed only – replaying or seeking
+// a recorded session doesn't fire alerts. Alerts raised since the last snapshot ride along
+// in snapshot.alerts.
+//
+// Commands:
+//   { type: 'connect', url, watchlist }        (re)connect the live socket
+//   { type: 'setSubscriptions', symbols }      watchlist edits
+//   { type: 'pause' } / { type: 'resume' } / { type: 'clear' }
+//   { type: 'setRetention', retention }
+//   { type: 'setFilters', filters }            filter view id → filter expression for the
+//                                              Trades / Prints / Auto lists; one view per
+//                                              workspace panel, views left out are dropped
+//   { type: 'setAlertRules', rules }
+//   { type: 'setStanceSettings', settings }    per-symbol stance thresholds (stanceSettings.js)
+//   { type: 'setHeatmapSymbol', symbol }       underlying whose strike grid to send; null = none
+//   { type: 'setChartSymbol', symbol }         underlying whose time series to send; null = none
+//   { type: 'setExposureSymbol', symbol }      underlying whose GEX / VEX to send; null = none
+//   { type: 'setTickerSymbol', symbol }        underlying whose ticker page to send; null = none
+//   { type: 'setContractsView', active, conid } send contract summaries while active, plus the
+//                                              timeline of conid when one is picked
+//   { type: 'requestRows', requestId }         → the unfiltered in-memory lists, for exports
+//   { type: 'requestContract', requestId, conid }
+//                                              → { quotes: recent quote history, prints: this
+//                                                session's in-memory prints on the contract }
+// Requests are answered with { type: 'reply', requestId, data } instead of a snapshot.
+//   { type: 'startRecording', label, serverUrl } / { type: 'stopRecording' }
+//   { type: 'startReplay', messages, label }   messages: recorded [{ t, msg }]
+//   { type: 'replay', op, value }              op: play | pause | step | speed | seek
+//   { type: 'exitReplay' }
+//   { type: 'dispose' }
+
+import { createConnectionManager } from './connectionManager.js';
+import { flowReducer, initialFlowState, isListEvent, isQuoteMessage } from './flowStore.js';
+import { createDeltaAggregator } from './deltaAggregator.js';
+import { createHeatmapAggregator } from './strikeHeatmap.js';
+import { createSeriesAggregator } from './flowSeries.js';
+import { createContractTimelines } from './contractTimelines.js';
+import { createSpreadDetector } from './spreadDetector.js';
+import { createExposureAggregator } from './dealerExposure.js';
+import { createUnusualScorer } from './unusualActivity.js';
+import { createTickerSummarizer } from './tickerSummary.js';
+import { createQuoteHistory } from './quoteHistory.js';
+import { createQuoteGreeks, withGreeks } from './optionPricing.js';
+import { compileFilter } from './filterQuery.js';
+import { createAlertEngine } from './alertRules.js';
+import { applyProductSpec } from './productSpecs.js';
+import { LIST_STREAMS } from './retention.js';
+import { archiveRows, clearArchive } from './historyArchive.js';
+import { idbAvailable } from './idb.js';
+import { createSessionRecorder } from './sessionRecorder.js';
+import { createReplayer } from './sessionReplayer.js';
+import { MAIN_FILTER_VIEW, createListTracker, filteredListName } from './flowSnapshot.js';
+
+export const SNAPSHOT_INTERVAL_MS = 100;
+// filtered list name → the state list it filters
+const FILTERED_LISTS = { filteredTrades: 'trades', filteredPrints: 'prints', filteredAutoTrades: 'autoTrades' };
+// rolling delta windows drain while the feed is quiet; re-check them this often
+const WINDOW_TICK_MS = 1000;
+
+export function createFlowPipeline({
+  post,
+  snapshotIntervalMs = SNAPSHOT_INTERVAL_MS,
+  WebSocketImpl = globalThis.WebSocket,
+}) {
+  let state = initialFlowState;
+  let connection = { status: 'connecting', attempt: 0 };
+  let subscribedSymbols = [];
+  let manager = null;
+  let live = { url: null, watchlist: [] };
+  let recorder = null;
+  let replayer = null;
+  let replay = null;
+  let disposed = false;
+
+  // quotes since the last snapshot, latest per conid
+  const pendingQuotes = { quote: new Map(), ul: new Map() };
+  let quotesCleared = false;
+  const writing = {};
+
+  // derived view data, recomputed at snapshot time only.
+  // Filter view id → { filter, filteredWith, lists: list name → { stream, source, rows, tracker } };
+  // the UI only sends expressions that compile
+  const createFilterView = (id) => ({
+    filter: { query: '', predicate: null },
+    filteredWith: null,
+    lists: Object.fromEntries(Object.entries(FILTERED_LISTS).map(([name, stream]) => [
+      filteredListName(name, id),
+      { stream, source: null, rows: [], tracker: createListTracker() },
+    ])),
+  });
+  const filterViews = new Map([[MAIN_FILTER_VIEW, createFilterView(MAIN_FILTER_VIEW)]]);
+  // lists of views dropped since the last snapshot
+  let droppedLists = [];
+  let recordingView = null;
+  let sentFields = {};
+  let timer = null;
+  const deltas = createDeltaAggregator();
+  const alertEngine = createAlertEngine();
+  const heatmap = createHeatmapAggregator();
+  const series = createSeriesAggregator();
+  const contracts = createContractTimelines();
+  const spreads = createSpreadDetector();
+  const exposure = createExposureAggregator();
+  const unusual = createUnusualScorer();
+  const ticker = createTickerSummarizer();
+  const quoteHistory = createQuoteHistory();
+  const quoteGreeks = createQuoteGreeks();
+  // only the grid / chart on screen crosses to the UI
+  let heatmapSymbol = null;
+  let chartSymbol = null;
+  let exposureSymbol = null;
+  let tickerSymbol = null;
+  let contractsView = null;
+  let pendingAlerts = [];
+  const windowTicker = setInterval(() => markDirty(), WINDOW_TICK_MS);
+
+  const archiveScope = () => (replay ? 'replay' : 'live');
+
+  const buildFields = () => {
+    // windows follow the replay clock while replaying
+    const now = replay ? replay.progress.t : Date.now();
+    deltas.advance(now);
+    const session = recorder?.session;
+    if (session && (recordingView?.id !== session.id || recordingView.count !== session.count)) {
+      recordingView = { ...session };
+    } else if (!recorder) {
+      recordingView = null;
+    }
+    return {
+      tradeCount: state.trades.length,
+      printCount: state.prints.length,
+      autoCount: state.autoTrades.length,
+      conidMapping: state.conidMapping,
+      stats: state.stats,
+      paused: state.paused,
+      pauseBuffered: state.pauseBuffer.length,
+      pauseDropped: state.pauseDropped,
+      retention: state.retention,
+      archived: state.archived,
+      archiveScope: archiveScope(),
+      flows: deltas.getFlows(),
+      heatmapSymbols: heatmap.getSymbols(),
+      heatmap: heatmapSymbol ? heatmap.getGrid(heatmapSymbol) : null,
+      chartSymbols: series.getSymbols(),
+      chart: chartSymbol ? series.getSeries(chartSymbol) : null,
+      exposureSymbols: exposure.getSymbols(),
+      exposure: exposureSymbol ? exposure.getView(exposureSymbol, quoteGreeks.underlyingPrice(exposureSymbol), now) : null,
+      ticker: tickerSymbol ? ticker.get(tickerSymbol, {
+        series: series.getSeries(tickerSymbol),
+        grid: heatmap.getGrid(tickerSymbol),
+        prints: state.prints,
+        autoTrades: state.autoTrades,
+      }) : null,
+      spreads: spreads.getView(),
+      unusualTop: unusual.getLeaderboard(),
+      contracts: contractsView ? contracts.getSummaries() : null,
+      contractTimeline: contractsView?.conid != null ? contracts.getTimeline(contractsView.conid) : null,
+      connection,
+      subscribedSymbols,
+      recording: recordingView,
+      replay,
+    };
+  };
+
+  const sendSnapshot = () => {
+    flushMessages();
+    clearTimeout(timer);
+    timer = null;
+    if (disposed) return;
+
+    const lists = {};
+    for (const name of droppedLists) lists[name] = { drop: true };
+    droppedLists = [];
+    for (const view of filterViews.values()) {
+      const { filter } = view;
+      const filterChanged = view.filteredWith !== filter;
+      view.filteredWith = filter;
+      for (const [name, entry] of Object.entries(view.lists)) {
+        const source = state[entry.stream];
+        if (filterChanged || entry.source !== source) {
+          entry.source = source;
+          entry.rows = filter.query ? source.filter(filter.predicate) : source;
+        }
+        const patch = entry.tracker.diff(entry.rows, filterChanged);
+        if (patch) lists[name] = patch;
+      }
+    }
+
+    const fields = {};
+    for (const [key, value] of Object.entries(buildFields())) {
+      if (sentFields[key] !== value) fields[key] = value;
+    }
+    sentFields = { ...sentFields, ...fields };
+
+    // delta-flip rules look at the windows buildFields just advanced
+    if (!replay) pendingAlerts.push(...alertEngine.checkFlows(deltas.getFlows(), Date.now()));
+    const alerts = pendingAlerts.length ? pendingAlerts : null;
+    pendingAlerts = [];
+
+    const updates = [];
+    for (const kind of ['quote', 'ul']) {
+      for (const [data, receivedAt] of pendingQuotes[kind].values()) updates.push([kind, data, receivedAt]);
+      pendingQuotes[kind].clear();
+    }
+    const quotes = quotesCleared || updates.length ? { cleared: quotesCleared, updates } : null;
+    quotesCleared = false;
+
+    if (!Object.keys(lists).length && !Object.keys(fields).length && !quotes && !alerts) return;
+    post({ type: 'snapshot', fields, lists, quotes, alerts });
+  };
+
+  const markDirty = () => {
+    if (timer === null && !disposed) timer = setTimeout(sendSnapshot, snapshotIntervalMs);
+  };
+
+  // Write spilled rows to the archive one batch per stream at a time
+  const drainSpill = () => {
+    for (const stream of LIST_STREAMS) {
+      const rows = state.spill[stream];
+      if (!rows.length || writing[stream]) continue;
+      if (!idbAvailable()) {
+        state = flowReducer(state, { type: 'spillFlushed', stream, count: rows.length });
+        continue;
+      }
+      writing[stream] = true;
+      archiveRows(archiveScope(), stream, rows)
+        .catch((err) => console.warn(`History archive write failed, ${rows.length} ${stream} rows lost`, err))
+        .finally(() => {
+          writing[stream] = false;
+          dispatch({ type: 'spillFlushed', stream, count: rows.length });
+        });
+    }
+  };
+
+  const dispatch = (action) => {
+    const prev = state;
+    state = flowReducer(state, action);
+    if (state === prev) return;
+    drainSpill();
+    markDirty();
+  };
+
+  // List events since the last flush. They reach the reducer as one batch, so the lists are
+  // copied once per snapshot rather than once per row – that copy grows with retention.
+  let pendingMessages = [];
+  const flushMessages = () => {
+    if (!pendingMessages.length) return;
+    const messages = pendingMessages;
+    pendingMessages = [];
+    dispatch({ type: 'messages', messages });
+  };
+
+  // live: checked against the trade alert rules, once enriched
+  const dispatchMessage = (data, receivedAt, live = false) => {
+    if (isQuoteMessage(data.type)) {
+      if (data.type === 'UL_LIVE_QUOTE') {
+        const symbol = state.conidMapping[data.conid]?.symbol;
+        series.addPrice(symbol, Number(data.last), receivedAt);
+        quoteGreeks.setUnderlyingPrice(symbol, data.last);
+      } else {
+        data = quoteGreeks.enrich(data, state.conidMapping[data.conid], receivedAt);
+        quoteHistory.add(data, receivedAt);
+      }
+      pendingQuotes[data.type === 'LIVE_QUOTE' ? 'quote' : 'ul'].set(String(data.conid), [data, receivedAt]);
+      markDirty();
+      return;
+    }
+    // every trade counts toward the delta windows, heatmap and charts, paused or not
+    if (data.type === 'CALL' || data.type === 'PUT') {
+      data = withGreeks(data, receivedAt);
+      quoteGreeks.setUnderlyingPrice(data.symbol, data.underlyingPrice);
+      const trade = applyProductSpec(data);
+      data = { ...data, unusual: unusual.score(trade, receivedAt) };
+      deltas.add(data, receivedAt);
+      // a leg that completes a confirmed spread may re-side an earlier leg
+      const correction = spreads.add(trade, receivedAt);
+      deltas.addDelta(trade.symbol, correction, receivedAt, correction * (Number(trade.underlyingPrice) || 0));
+      heatmap.add(trade);
+      exposure.add(trade);
+      series.addTrade(trade, receivedAt);
+      contracts.add(trade, receivedAt);
+      if (live) {
+        // same multiplier / premium the lists will show, with computed greeks and the score
+        const alerts = alertEngine.checkTrade({ ...trade, unusual: data.unusual }, receivedAt);
+        if (alerts.length) pendingAlerts.push(...alerts);
+      }
+    }
+    if (isListEvent(data.type)) {
+      pendingMessages.push({ data, receivedAt });
+      markDirty();
+      return;
+    }
+    // mappings and stats apply in order with the rows before them
+    flushMessages();
+    dispatch({ type: 'message', data, receivedAt });
+  };
+
+  // Live messages are recorded (when recording) and checked against the alert rules
+  const handleLiveMessage = (data, receivedAt) => {
+    recorder?.record(data, receivedAt);
+    dispatchMessage(data, receivedAt, true);
+  };
+
+  const clearQuotes = () => {
+    pendingQuotes.quote.clear();
+    pendingQuotes.ul.clear();
+    quotesCleared = true;
+  };
+
+  const resetFlow = () => {
+    pendingMessages = [];
+    clearQuotes();
+    deltas.reset();
+    heatmap.reset();
+    series.reset();
+    contracts.reset();
+    spreads.reset();
+    exposure.reset();
+    unusual.reset();
+    ticker.reset();
+    quoteHistory.reset();
+    quoteGreeks.reset();
+    alertEngine.resetFlows();
+    dispatch({ type: 'reset' });
+    markDirty();
+  };
+
+  const clearArchiveScope = (scope) => {
+    if (idbAvailable()) clearArchive(scope).catch(() => {});
+  };
+
+  const connectLive = () => {
+    manager?.close();
+    manager = null;
+    if (!live.url || replay) return;
+
+    const url = live.url;
+    manager = createConnectionManager({
+      url,
+      WebSocketImpl,
+      onMessage: handleLiveMessage,
+      onStatusChange: (next) => {
+        connection = next;
+        markDirty();
+        if (next.status === 'open') console.log(`✅ Connected to Options Flow (${url})`);
+        if (next.status === 'reconnecting' && next.retryInMs !== undefined) {
+          console.log(`❌ Disconnected from Options Flow, retrying in ${next.retryInMs}ms`);
+        }
+      },
+      onSubscriptionsChange: (symbols) => {
+        subscribedSymbols = symbols;
+        markDirty();
+      },
+      onGap: ({ from, to }) => handleLiveMessage({ type: 'GAP', from, to }, to),
+    });
+    manager.setSubscriptions(live.watchlist);
+    manager.connect();
+  };
+
+  const stopRecording = async () => {
+    const current = recorder;
+    if (!current) return;
+    // a failed final write still ends the recording (and never rejects: callers don't wait)
+    await current.stop().catch((err) => console.error('Recorder stop failed', err));
+    if (recorder === current) recorder = null;
+    markDirty();
+  };
+
+  const startReplay = async ({ messages, label }) => {
+    await stopRecording();
+    replayer?.dispose();
+    manager?.close();
+    manager = null;
+    resetFlow();
+    clearArchiveScope('replay');
+    replay = {
+      label,
+      progress: { index: 0, total: messages.length, playing: false, speed: 1, t: messages[0]?.t ?? null },
+    };
+    replayer = createReplayer({
+      messages,
+      onMessage: dispatchMessage,
+      onReset: () => {
+        resetFlow();
+        clearArchiveScope('replay');
+      },
+      onProgress: (progress) => {
+        replay = { label, progress };
+        markDirty();
+      },
+    });
+    sendSnapshot();
+  };
+
+  const exitReplay = () => {
+    if (!replay) return;
+    replayer?.dispose();
+    replayer = null;
+    resetFlow();
+    replay = null;
+    connectLive();
+  };
+
+  const controlReplay = ({ op, value }) => {
+    if (!replayer) return;
+    if (op === 'play') replayer.play();
+    else if (op === 'pause') replayer.pause();
+    else if (op === 'step') replayer.step();
+    else if (op === 'speed') replayer.setSpeed(value);
+    else if (op === 'seek') replayer.seek(value);
+  };
+
+  const dispose = async () => {
+    disposed = true;
+    clearTimeout(timer);
+    clearInterval(windowTicker);
+    replayer?.dispose();
+    manager?.close();
+    manager = null;
+    await recorder?.stop();
+  };
+
+  const handle = (command) => {
+    // commands act on (and replies carry) every row received so far
+    flushMessages();
+    switch (command.type) {
+      case 'connect':
+        live = { url: command.url, watchlist: command.watchlist };
+        connectLive();
+        break;
+      case 'setSubscriptions':
+        live = { ...live, watchlist: command.symbols };
+        manager?.setSubscriptions(command.symbols);
+        break;
+      case 'pause':
+      case 'resume':
+        dispatch({ type: command.type });
+        break;
+      // Clear button – lists, quotes and the archived history of the current scope
+      case 'clear':
+        clearQuotes();
+        deltas.reset();
+        heatmap.reset();
+        series.reset();
+        contracts.reset();
+        spreads.reset();
+        exposure.reset();
+        unusual.reset();
+        ticker.reset();
+        quoteHistory.reset();
+        alertEngine.resetFlows();
+        dispatch({ type: 'clear' });
+        clearArchiveScope(archiveScope());
+        break;
+      case 'setRetention':
+        dispatch({ type: 'setRetention', retention: command.retention });
+        break;
+      case 'setFilters': {
+        const filters = command.filters || {};
+        for (const [id, view] of filterViews) {
+          if (id in filters) continue;
+          filterViews.delete(id);
+          droppedLists.push(...Object.keys(view.lists));
+        }
+        for (const [id, query] of Object.entries(filters)) {
+          if (!filterViews.has(id)) filterViews.set(id, createFilterView(id));
+          const view = filterViews.get(id);
+          if (view.filter.query === query.trim()) continue;
+          // an expression that doesn't compile leaves the view's filter alone
+          const next = compileFilter(query);
+          if (next.predicate) view.filter = { query: query.trim(), predicate: next.predicate };
+        }
+        break;
+      }
+      case 'setAlertRules':
+        alertEngine.setRules(command.rules);
+        return;
+      case 'setStanceSettings':
+        deltas.setStanceSettings(command.settings);
+        spreads.setStanceSettings(command.settings);
+        break;
+      case 'setHeatmapSymbol':
+        heatmapSymbol = command.symbol || null;
+        break;
+      case 'setChartSymbol':
+        chartSymbol = command.symbol || null;
+        break;
+      case 'setExposureSymbol':
+        exposureSymbol = command.symbol || null;
+        break;
+      case 'setTickerSymbol':
+        tickerSymbol = command.symbol || null;
+        break;
+      case 'setContractsView':
+        contractsView = command.active ? { conid: command.conid ?? null } : null;
+        break;
+      case 'requestRows':
+        post({
+          type: 'reply',
+          requestId: command.requestId,
+          data: { trades: state.trades, prints: state.prints, autoTrades: state.autoTrades },
+        });
+        return;
+      case 'requestContract': {
+        const conid = String(command.conid);
+        post({
+          type: 'reply',
+          requestId: command.requestId,
+          data: {
+            quotes: quoteHistory.get(conid),
+            prints: state.prints.filter(p => p.type !== 'GAP' && String(p.conid) === conid),
+          },
+        });
+        return;
+      }
+      case 'startRecording':
+        // only the live feed is recorded
+        if (!recorder && !replay) recorder = createSessionRecorder({ label: command.label, serverUrl: command.serverUrl });
+        break;
+      case 'stopRecording':
+        stopRecording();
+        return;
+      case 'startReplay':
+        startReplay(command);
+        return;
+      case 'replay':
+        controlReplay(command);
+        break;
+      case 'exitReplay':
+        exitReplay();
+        break;
+      case 'dispose':
+        return dispose();
+      default:
+        return;
+    }
+    // UI commands answer right away rather than waiting for the next tick
+    sendSnapshot();
+  };
+
+  return { handle, dispose };
+}
@@ -0,0 +1,230 @@
+import { createFlowPipeline, SNAPSHOT_INTERVAL_MS } from './flowPipeline.js';
+import { applySnapshot, filterViewLists, initialFlowView } from './flowSnapshot.js';
+import { fixtureMessage } from '../test/fixtures.js';
+
+class FakeSocket {
+  static OPEN = 1;
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.readyState = 0;
+    FakeSocket.instances.push(this);
+  }
+
+  send() {}
+
+  close() {
+    this.readyState = 3;
+    this.onclose?.();
+  }
+
+  open() {
+    this.readyState = FakeSocket.OPEN;
+    this.onopen?.();
+  }
+
+  emit(msg) {
+    this.onmessage?.({ data: JSON.stringify(msg) });
+  }
+}
+
+const setup = () => {
+  const snapshots = [];
+  let view = initialFlowView;
+  const pipeline = createFlowPipeline({
+    post: (snapshot) => {
+      snapshots.push(snapshot);
+      view = applySnapshot(view, snapshot);
+    },
+    WebSocketImpl: FakeSocket,
+  });
+  pipeline.handle({ type: 'connect', url: 'ws://flow.test/ws', watchlist: ['SPY'] });
+  const socket = FakeSocket.instances.at(-1);
+  socket.open();
+  vi.advanceTimersByTime(SNAPSHOT_INTERVAL_MS);
+  snapshots.length = 0;
+  return { pipeline, socket, snapshots, view: () => view };
+};
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  FakeSocket.instances = [];
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+});
+
+describe('flowPipeline', () => {
+  test('a burst of socket messages becomes one throttled snapshot', () => {
+    const { socket, snapshots, view } = setup();
+    socket.emit(fixtureMessage('CALL').msg);
+    socket.emit(fixtureMessage('PUT').msg);
+    socket.emit(fixtureMessage('LIVE_QUOTE').msg);
+    expect(snapshots).toHaveLength(0);
+
+    vi.advanceTimersByTime(SNAPSHOT_INTERVAL_MS);
+    expect(snapshots).toHaveLength(1);
+    expect(view().filteredTrades.map(t => t.symbol)).toEqual(['QQQ', 'SPY']);
+    expect(view().tradeCount).toBe(2);
+    expect(view().flows.session.symbolFlows.map(s => s.symbol)).toEqual(['SPY', 'QQQ']);
+    expect(snapshots[0].quotes.updates).toHaveLength(1);
+  });
+
+  test('later snapshots only carry the new rows', () => {
+    const { socket, snapshots } = setup();
+    socket.emit(fixtureMessage('CALL').msg);
+    vi.advanceTimersByTime(SNAPSHOT_INTERVAL_MS);
+    socket.emit(fixtureMessage('PUT').msg);
+    vi.advanceTimersByTime(SNAPSHOT_INTERVAL_MS);
+
+    const { filteredPrints: prints } = snapshots[1].lists;
+    expect(prints.prepend.map(p => p.symbol)).toEqual(['QQQ']);
+    expect(prints.length).toBe(2);
+    expect(snapshots[1].fields.conidMapping).toBeUndefined();
+  });
+
+  test('filters are applied in the pipeline and answered immediately', () => {
+    const { pipeline, socket, view } = setup();
+    socket.emit(fixtureMessage('CALL').msg);
+    socket.emit(fixtureMessage('PUT').msg);
+    vi.advanceTimersByTime(SNAPSHOT_INTERVAL_MS);
+
+    pipeline.handle({ type: 'setFilters', filters: { main: 'symbol = QQQ' } });
+    expect(view().filteredTrades.map(t => t.symbol)).toEqual(['QQQ']);
+    expect(view().tradeCount).toBe(2);
+
+    // an expression that doesn't compile leaves the active filter alone
+    pipeline.handle({ type: 'setFilters', filters: { main: 'symbol =' } });
+    expect(view().filteredTrades.map(t => t.symbol)).toEqual(['QQQ']);
+
+    pipeline.handle({ type: 'setFilters', filters: { main: '' } });
+    expect(view().filteredTrades).toHaveLength(2);
+  });
+
+  test('each filter view has its own lists; views left out are dropped', () => {
+    const { pipeline, socket, view } = setup();
+    pipeline.handle({ type: 'setFilters', filters: { main: 'symbol = SPY', p2: 'symbol = QQQ' } });
+    socket.emit(fixtureMessage('CALL').msg);
+    socket.emit(fixtureMessage('PUT').msg);
+    vi.advanceTimersByTime(SNAPSHOT_INTERVAL_MS);
+
+    expect(view().filteredTrades.map(t => t.symbol)).toEqual(['SPY']);
+    expect(filterViewLists(view(), 'p2').trades.map(t => t.symbol)).toEqual(['QQQ']);
+
+    pipeline.handle({ type: 'setFilters', filters: { p2: 'symbol = QQQ' } });
+    expect(view().filteredTrades).toBeUndefined();
+    expect(filterViewLists(view(), 'main').trades).toEqual([]);
+    expect(filterViewLists(view(), 'p2').trades).toHaveLength(1);
+  });
+
+  test('the ticker page symbol gets its summary until it is closed', () => {
+    const { pipeline, socket, snapshots, view } = setup();
+    socket.emit(fixtureMessage('CALL').msg);
+    socket.emit(fixtureMessage('PUT').msg);
+    vi.advanceTimersByTime(SNAPSHOT_INTERVAL_MS);
+    expect(view().ticker).toBeNull();
+
+    pipeline.handle({ type: 'setTickerSymbol', symbol: 'SPY' });
+    const { ticker } = view();
+    expect(ticker.symbol).toBe('SPY');
+    expect(ticker.blocks.map(p => p.classifications)).toEqual([['SWEEP']]);
+    expect(ticker.openAutoTrades.map(t => t.conid)).toEqual([7001]);
+    expect(ticker.topStrikes.map(s => s.strike)).toEqual([580]);
+
+    // a QQQ trade doesn't touch the SPY summary, so it isn't re-sent
+    snapshots.length = 0;
+    socket.emit(fixtureMessage('PUT').msg);
+    vi.advanceTimersByTime(SNAPSHOT_INTERVAL_MS);
+    expect(snapshots[0].fields).not.toHaveProperty('ticker');
+
+    pipeline.handle({ type: 'setTickerSymbol', symbol: null });
+    expect(view().ticker).toBeNull();
+  });
+
+  test('alerts from the live feed ride along in the next snapshot', () => {
+    const { pipeline, socket, snapshots } = setup();
+    pipeline.handle({
+      type: 'setAlertRules',
+      rules: [{ id: 'r1', name: 'Sweeps', kind: 'trade', enabled: true, query: 'classification = SWEEP', sound: 'none', notify: false, snoozedUntil: null }],
+    });
+    socket.emit(fixtureMessage('CALL').msg);
+    socket.emit(fixtureMessage('PUT').msg);
+    vi.advanceTimersByTime(SNAPSHOT_INTERVAL_MS);
+
+    const alerts = snapshots.flatMap(s => s.alerts || []);
+    expect(alerts.map(a => a.ruleId)).toEqual(['r1']);
+    expect(alerts[0].trade.symbol).toBe('SPY');
+  });
+
+  test('trade alert rules see the unusual score and locally computed greeks', () => {
+    const { pipeline, socket, snapshots } = setup();
+    pipeline.handle({
+      type: 'setAlertRules',
+      rules: [
+        { id: 'r1', name: 'Unusual', kind: 'trade', enabled: true, query: 'unusual > 3', sound: 'none', notify: false, snoozedUntil: null },
+        { id: 'r2', name: 'Delta', kind: 'trade', enabled: true, query: 'delta > 0.3', sound: 'none', notify: false, snoozedUntil: null },
+      ],
+    });
+    const { greeks, ...call } = fixtureMessage('CALL').msg;
+    // a quiet baseline of 1-lots, then a 500-lot on the same contract
+    for (let i = 0; i < 10; i++) socket.emit({ ...call, size: 1, premium: 210, greeks });
+    vi.advanceTimersByTime(SNAPSHOT_INTERVAL_MS);
+    snapshots.length = 0;
+    socket.emit({ ...call, dte: 7 });
+    vi.advanceTimersByTime(SNAPSHOT_INTERVAL_MS);
+
+    const alerts = snapshots.flatMap(s => s.alerts || []);
+    expect(alerts.map(a => a.ruleId).sort()).toEqual(['r1', 'r2']);
+    expect(alerts.find(a => a.ruleId === 'r1').trade.unusual.score).toBeGreaterThan(3);
+    expect(alerts.find(a => a.ruleId === 'r2').trade.greeksSource).toBe('computed');
+  });
+
+  test('requestContract replies with the quote history and prints of one conid', () => {
+    const { pipeline, socket, snapshots } = setup();
+    socket.emit(fixtureMessage('CALL').msg);
+    socket.emit(fixtureMessage('PUT').msg);
+    socket.emit(fixtureMessage('LIVE_QUOTE').msg);
+    snapshots.length = 0;
+
+    pipeline.handle({ type: 'requestContract', requestId: 7, conid: 7001 });
+    expect(snapshots).toHaveLength(1);
+    const [reply] = snapshots;
+    expect(reply).toMatchObject({ type: 'reply', requestId: 7 });
+    expect(reply.data.prints.map(p => p.conid)).toEqual([7001]);
+    expect(reply.data.quotes.last).toEqual([2.35]);
+  });
+
+  test('clear empties lists and tells the UI to drop quotes', () => {
+    const { pipeline, socket, snapshots, view } = setup();
+    socket.emit(fixtureMessage('CALL').msg);
+    socket.emit(fixtureMessage('LIVE_QUOTE').msg);
+    vi.advanceTimersByTime(SNAPSHOT_INTERVAL_MS);
+
+    pipeline.handle({ type: 'clear' });
+    expect(view().filteredTrades).toEqual([]);
+    expect(view().filteredPrints).toEqual([]);
+    expect(snapshots.at(-1).quotes.cleared).toBe(true);
+  });
+
+  test('replay closes the socket and feeds recorded messages through the same path', async () => {
+    const { pipeline, socket, view } = setup();
+    const call = fixtureMessage('CALL');
+    await pipeline.handle({ type: 'startReplay', messages: [call], label: 'fixture' });
+    expect(socket.readyState).toBe(3);
+    expect(view().replay.label).toBe('fixture');
+    expect(view().archiveScope).toBe('replay');
+
+    pipeline.handle({ type: 'replay', op: 'step' });
+    expect(view().filteredTrades[0]).toMatchObject({ symbol: 'SPY', receivedAt: call.t });
+
+    pipeline.handle({ type: 'exitReplay' });
+    expect(view().replay).toBeNull();
+    expect(view().filteredTrades).toEqual([]);
+    expect(FakeSocket.instances.at(-1)).not.toBe(socket);
+  });
+});
+
@@ -0,0 +1,124 @@
+// Per-symbol time series for the Charts tab: cumulative net delta, call / put and
+// bull / bear premium, and the underlying price, in fixed time buckets.
+//
+// Like the delta windows, every trade is added once as it arrives, so a full day stays
+// a few thousand buckets per symbol however busy the feed is. Each bucket holds the running
+// totals at its end; SWEEP / BLOCK prints are kept separately as chart markers.
+
+import { buySellSide, signedDelta } from './flowMath.js';
+
+export const SERIES_BUCKET_MS = 5000;
+export const SERIES_KEYS = ['delta', 'call', 'put', 'bull', 'bear'];
+const MARKER_CLASSES = ['SWEEP', 'BLOCK'];
+
+const newEntry = () => ({
+  t: [],
+  price: [],
+  ...Object.fromEntries(SERIES_KEYS.map(key => [key, []])),
+  totals: Object.fromEntries(SERIES_KEYS.map(key => [key, 0])),
+  markers: [],
+  lastPrice: null,
+  // a quoted price beats the underlyingPrice stamped on trades
+  quoted: false,
+  version: 0,
+});
+
+export function createSeriesAggregator({ bucketMs = SERIES_BUCKET_MS } = {}) {
+  let bySymbol = new Map();
+  let symbols = [];
+  const cache = new Map(); // symbol → { version, series }
+
+  const entryFor = (symbol) => {
+    let entry = bySymbol.get(symbol);
+    if (!entry) {
+      entry = newEntry();
+      bySymbol.set(symbol, entry);
+      symbols = [...bySymbol.keys()].sort();
+    }
+    return entry;
+  };
+
+  // Index of the bucket for time t; a new bucket starts from the running totals.
+  // Late arrivals (t before the last bucket) land in the last bucket.
+  const bucketIndex = (entry, t) => {
+    const start = Math.floor(t / bucketMs) * bucketMs;
+    const last = entry.t.length - 1;
+    if (last >= 0 && entry.t[last] >= start) return last;
+    entry.t.push(start);
+    entry.price.push(entry.lastPrice);
+    for (const key of SERIES_KEYS) entry[key].push(entry.totals[key]);
+    return last + 1;
+  };
+
+  const setPrice = (entry, price, t) => {
+    entry.lastPrice = price;
+    entry.price[bucketIndex(entry, t)] = price;
+  };
+
+  return {
+    addTrade(trade, receivedAt) {
+      if (!trade.symbol) return;
+      const entry = entryFor(trade.symbol);
+      if (!entry.quoted && trade.underlyingPrice != null) setPrice(entry, trade.underlyingPrice, receivedAt);
+
+      const premium = Number(trade.premium) || 0;
+      const isCall = trade.type === 'CALL' || trade.right === 'C';
+      const bought = buySellSide(trade) > 0;
+      const totals = entry.totals;
+      totals.delta += signedDelta(trade);
+      if (isCall) totals.call += premium;
+      else totals.put += premium;
+      // calls bought / puts sold are bullish
+      if (isCall === bought) totals.bull += premium;
+      else totals.bear += premium;
+
+      const i = bucketIndex(entry, receivedAt);
+      for (const key of SERIES_KEYS) entry[key][i] = totals[key];
+
+      const kind = MARKER_CLASSES.find(c => trade.classifications?.includes(c));
+      if (kind) {
+        entry.markers.push({
+          t: receivedAt,
+          price: entry.lastPrice,
+          kind,
+          bullish: isCall === bought,
+          premium,
+          label: `${kind} ${isCall ? 'C' : 'P'}${trade.strike ?? ''} ${trade.size ?? ''}x`,
+        });
+      }
+      entry.version += 1;
+    },
+
+    // UL_LIVE_QUOTE last price for an underlying
+    addPrice(symbol, price, t) {
+      if (!symbol || !Number.isFinite(price)) return;
+      const entry = entryFor(symbol);
+      entry.quoted = true;
+      setPrice(entry, price, t);
+      entry.version += 1;
+    },
+
+    getSymbols() {
+      return symbols;
+    },
+
+    // → { symbol, bucketMs, t[], price[], delta[], call[], put[], bull[], bear[], markers[] }
+    // Same object until the symbol changes again.
+    getSeries(symbol) {
+      const entry = bySymbol.get(symbol);
+      if (!entry) return null;
+      const cached = cache.get(symbol);
+      if (cached?.version === entry.version) return cached.series;
+      const series = { symbol, bucketMs, t: entry.t.slice(), price: entry.price.slice(), markers: entry.markers.slice() };
+      for (const key of SERIES_KEYS) series[key] = entry[key].slice();
+      cache.set(symbol, { version: entry.version, series });
+      return series;
+    },
+
+    reset() {
+      bySymbol = new Map();
+      symbols = [];
+      cache.clear();
+    },
+  };
+}
@@ -0,0 +1,53 @@
+import { createSeriesAggregator } from './flowSeries.js';
+
+const trade = (fields) => ({
+  symbol: 'SPY', type: 'CALL', strike: 580, size: 10, premium: 100_000, direction: 'BTO', greeks: { delta: 0.5 },
+  underlyingPrice: 578, classifications: [],
+  ...fields,
+});
+
+describe('flowSeries', () => {
+  test('buckets running totals over time', () => {
+    const agg = createSeriesAggregator({ bucketMs: 1000 });
+    agg.addTrade(trade({}), 100);
+    agg.addTrade(trade({ type: 'PUT', direction: 'STO', premium: 40_000, greeks: { delta: -0.5 } }), 900);
+    agg.addTrade(trade({ type: 'PUT', premium: 30_000, greeks: { delta: -0.5 } }), 2500);
+
+    const s = agg.getSeries('SPY');
+    expect(s.t).toEqual([0, 2000]);
+    expect(s.call).toEqual([100_000, 100_000]);
+    expect(s.put).toEqual([40_000, 70_000]);
+    // sold puts are bullish, bought puts bearish
+    expect(s.bull).toEqual([140_000, 140_000]);
+    expect(s.bear).toEqual([0, 30_000]);
+    expect(s.delta).toEqual([1000, 500]);
+  });
+
+  test('quoted underlying price wins over trade-stamped prices', () => {
+    const agg = createSeriesAggregator({ bucketMs: 1000 });
+    agg.addTrade(trade({ underlyingPrice: 578 }), 0);
+    agg.addPrice('SPY', 579.5, 1500);
+    agg.addTrade(trade({ underlyingPrice: 577 }), 1600);
+    expect(agg.getSeries('SPY').price).toEqual([578, 579.5]);
+  });
+
+  test('sweeps and blocks become markers at the last price', () => {
+    const agg = createSeriesAggregator({ bucketMs: 1000 });
+    agg.addTrade(trade({ classifications: ['SWEEP'] }), 10);
+    agg.addTrade(trade({ type: 'PUT', classifications: ['BLOCK'] }), 20);
+    agg.addTrade(trade({ classifications: ['NOTABLE'] }), 30);
+    const { markers } = agg.getSeries('SPY');
+    expect(markers.map(m => [m.kind, m.bullish, m.price])).toEqual([['SWEEP', true, 578], ['BLOCK', false, 578]]);
+  });
+
+  test('series are cached until the symbol changes', () => {
+    const agg = createSeriesAggregator();
+    agg.addTrade(trade({}), 0);
+    const s = agg.getSeries('SPY');
+    agg.addPrice('QQQ', 500, 10);
+    expect(agg.getSeries('SPY')).toBe(s);
+    expect(agg.getSymbols()).toEqual(['QQQ', 'SPY']);
+    agg.reset();
+    expect(agg.getSeries('SPY')).toBeNull();
+  });
+});
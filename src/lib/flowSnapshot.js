@@ -0,0 +1,121 @@
+// Snapshot protocol between the flow pipeline (worker) and the UI.
+//
+// A snapshot carries only what changed since the previous one:
+//   fields  – scalar/object view fields, replaced wholesale
+//   lists   – per list either { replace: rows }, { prepend: rows, length } or { drop: true }
+//             (the list's filter view was closed)
+//   quotes  – { cleared, updates: [kind, data, receivedAt][] }
+//   alerts  – alerts raised since the previous snapshot (alertRules.js), or null
+// Lists only ever grow at the head (newest first) and shrink at the tail, so after the first
+// snapshot a busy list costs the new rows plus a length, not the whole list.
+//
+// Every filter view (one per workspace panel) has its own filtered lists; the main view's keep
+// the plain names, other views' are suffixed with the view id (filteredListName).
+
+import { DEFAULT_RETENTION } from './retention.js';
+import { DELTA_WINDOWS } from './deltaAggregator.js';
+import { summarizeFlows } from './flowMath.js';
+
+export const MAIN_FILTER_VIEW = 'main';
+
+export const filteredListName = (list, view) => (view === MAIN_FILTER_VIEW ? list : `${list}:${view}`);
+
+export const initialFlowView = {
+  // Lists after the main view's filter expression; the counts are the unfiltered sizes
+  filteredTrades: [],
+  filteredPrints: [],
+  filteredAutoTrades: [],
+  tradeCount: 0,
+  printCount: 0,
+  autoCount: 0,
+  conidMapping: {},
+  stats: null,
+  paused: false,
+  pauseBuffered: 0,
+  pauseDropped: 0,
+  retention: DEFAULT_RETENTION,
+  archived: { trades: 0, prints: 0, autoTrades: 0 },
+  archiveScope: 'live',
+  // underlyings with trades, and the strike × expiry grid of the one the Heatmap tab shows
+  heatmapSymbols: [],
+  heatmap: null,
+  // same for the Charts tab (flowSeries.js)
+  chartSymbols: [],
+  chart: null,
+  // same for the Exposure tab (dealerExposure.js)
+  exposureSymbols: [],
+  exposure: null,
+  // everything on the open ticker page's symbol (tickerSummary.js)
+  ticker: null,
+  // detected multi-leg spreads: { groups: id → spread, byLeg: legKey → id } (spreadDetector.js)
+  spreads: { groups: {}, byLeg: {} },
+  // the session's most unusual trades, highest score first (unusualActivity.js)
+  unusualTop: [],
+  // contract summaries and the picked contract's timeline while the Contracts tab is open
+  contracts: null,
+  contractTimeline: null,
+  // delta window id → { overallFlow, symbolFlows }
+  flows: Object.fromEntries(DELTA_WINDOWS.map(w => [w.id, summarizeFlows({}, 0)])),
+  connection: { status: 'connecting', attempt: 0 },
+  subscribedSymbols: [],
+  // { ...session } while recording (session.count = messages recorded)
+  recording: null,
+  // { label, progress } while a recorded session is being replayed
+  replay: null,
+};
+
+// Pipeline side: remembers the head row last sent for one list.
+// Rows are matched by identity, so a reset list (new objects, reused ids) is always replaced.
+export function createListTracker() {
+  let sentHead;
+  let sentLength = 0;
+
+  return {
+    // → patch, or null when the list hasn't changed. force: contents changed mid-list (filters)
+    diff(list, force = false) {
+      const head = list[0];
+      if (!force && head === sentHead && list.length === sentLength) return null;
+      const idx = force || sentHead === undefined ? -1 : list.indexOf(sentHead);
+      sentHead = head;
+      sentLength = list.length;
+      if (idx < 0) return { replace: list };
+      return { prepend: list.slice(0, idx), length: list.length };
+    },
+
+    reset() {
+      sentHead = undefined;
+      sentLength = 0;
+    },
+  };
+}
+
+export function applyListPatch(list, patch) {
+  if (patch.replace) return patch.replace;
+  const next = patch.prepend.length ? [...patch.prepend, ...list] : list;
+  return next.length > patch.length ? next.slice(0, patch.length) : next;
+}
+
+export function applySnapshot(view, snapshot) {
+  const next = { ...view, ...snapshot.fields };
+  for (const [name, patch] of Object.entries(snapshot.lists || {})) {
+    if (patch.drop) delete next[name];
+    else next[name] = applyListPatch(view[name], patch);
+  }
+  return next;
+}
+
+const NO_ROWS = [];
+
+// UI side: one filter view's lists (empty until its first snapshot)
+export const filterViewLists = (view, id) => ({
+  trades: view[filteredListName('filteredTrades', id)] ?? NO_ROWS,
+  prints: view[filteredListName('filteredPrints', id)] ?? NO_ROWS,
+  autoTrades: view[filteredListName('filteredAutoTrades', id)] ?? NO_ROWS,
+});
+
+// Feed a snapshot's quote changes into the UI quote store (which batches per frame)
+export function applyQuotePatch(quoteStore, quotes) {
+  if (!quotes) return;
+  if (quotes.cleared) quoteStore.clear();
+  for (const [kind, data, receivedAt] of quotes.updates) quoteStore.push(kind, data, receivedAt);
+}
@@ -0,0 +1,62 @@
+import { applyListPatch, applySnapshot, createListTracker, filteredListName, initialFlowView } from './flowSnapshot.js';
+
+const rows = (...ids) => ids.map(id => ({ id }));
+
+describe('list tracker', () => {
+  test('first diff replaces, unchanged list sends nothing', () => {
+    const tracker = createListTracker();
+    const list = rows(2, 1);
+    expect(tracker.diff(list)).toEqual({ replace: list });
+    expect(tracker.diff(list)).toBeNull();
+  });
+
+  test('new head rows are prepended and the tail trimmed by length', () => {
+    const tracker = createListTracker();
+    const [b, a] = rows(2, 1);
+    tracker.diff([b, a]);
+    const c = { id: 3 };
+    const d = { id: 4 };
+    const patch = tracker.diff([d, c, b]);
+    expect(patch).toEqual({ prepend: [d, c], length: 3 });
+    expect(applyListPatch([b, a], patch)).toEqual([d, c, b]);
+  });
+
+  test('a list rebuilt with new objects is replaced even when ids repeat', () => {
+    const tracker = createListTracker();
+    tracker.diff(rows(1));
+    expect(tracker.diff(rows(1))).toEqual({ replace: rows(1) });
+  });
+
+  test('force replaces (filters changed mid-list)', () => {
+    const tracker = createListTracker();
+    const list = rows(3, 2, 1);
+    tracker.diff(list);
+    expect(tracker.diff([list[0], list[2]], true)).toEqual({ replace: [list[0], list[2]] });
+  });
+
+  test('emptied list is replaced', () => {
+    const tracker = createListTracker();
+    tracker.diff(rows(1));
+    expect(tracker.diff([])).toEqual({ replace: [] });
+  });
+});
+
+test('applySnapshot merges changed fields and patches lists', () => {
+  const view = { ...initialFlowView, filteredPrints: rows(1) };
+  const next = applySnapshot(view, {
+    fields: { tradeCount: 4 },
+    lists: { filteredPrints: { prepend: rows(2), length: 2 } },
+  });
+  expect(next.tradeCount).toBe(4);
+  expect(next.filteredPrints.map(p => p.id)).toEqual([2, 1]);
+  expect(next.stats).toBe(view.stats);
+});
+
+test('a dropped filter view takes its lists out of the view', () => {
+  const name = filteredListName('filteredPrints', 'p2');
+  expect(name).not.toBe('filteredPrints');
+  const view = { ...initialFlowView, [name]: rows(1) };
+  const next = applySnapshot(view, { fields: {}, lists: { [name]: { drop: true } } });
+  expect(name in next).toBe(false);
+  expect(next.filteredPrints).toBe(view.filteredPrints);
+});
@@ -0,0 +1,195 @@
+// Flow store: every state transition driven by a feed message, as a pure reducer.
+// LIVE_QUOTE / UL_LIVE_QUOTE don't pass through here – they go to the conid-keyed
+// quote store (quoteStore.js) and P&L is derived from it at render time.
+//
+// Actions:
+//   { type: 'message', data, receivedAt }  one parsed socket/replay message
+//   { type: 'messages', messages }         many at once ({ data, receivedAt }[], oldest first);
+//                                          each list is copied and trimmed once per batch
+//   { type: 'pause' } / { type: 'resume' } freeze the lists, buffering list events
+//   { type: 'clear' }                      Clear button – lists only
+//   { type: 'reset' }                      back to a fresh connection's state
+//   { type: 'setRetention', retention }    per-stream limits / overflow policy (trims at once)
+//   { type: 'spillFlushed', stream, count } the first `count` spilled rows reached the archive
+//
+// Rows pushed past a stream's retention limit are queued in state.spill (oldest first) when
+// the overflow policy is 'spill'; the flow pipeline (drainSpill) writes that queue to IndexedDB.
+
+import { DEFAULT_RETENTION, LIST_STREAMS } from './retention.js';
+import { applyProductSpec } from './productSpecs.js';
+
+// Max list events held while paused; oldest are dropped beyond this
+export const PAUSE_BUFFER_LIMIT = 5000;
+
+export const initialFlowState = {
+  trades: [],
+  prints: [],
+  autoTrades: [],
+  retention: DEFAULT_RETENTION,
+  // stream → rows trimmed off the lists and not yet archived, oldest first
+  spill: { trades: [], prints: [], autoTrades: [] },
+  // stream → rows written to the archive since the last clear/reset
+  archived: { trades: 0, prints: 0, autoTrades: 0 },
+  conidMapping: {},
+  stats: null,
+  // id for the next list row (stable React keys, links trade ↔ print)
+  nextId: 1,
+  paused: false,
+  // { data, receivedAt }[] – list events that arrived while paused
+  pauseBuffer: [],
+  pauseDropped: 0,
+};
+
+// Events that belong to the Trades/Prints lists (frozen while paused)
+export const isListEvent = (type) => type === 'CALL' || type === 'PUT' || type === 'GAP';
+
+export const isQuoteMessage = (type) => type === 'LIVE_QUOTE' || type === 'UL_LIVE_QUOTE';
+
+export function enrichTrade(data, receivedAt, id) {
+  return {
+    ...data,
+    id,
+    receivedAt,
+    initialPrice: data.optionPrice
+  };
+}
+
+export function toPrint(data, id) {
+  return {
+    ...data,
+    id,
+    type: 'PRINT',
+    stance: data.stanceLabel,
+    tradeSize: data.size,
+    tradePrice: data.optionPrice,
+    volOiRatio: data.volOiRatio,
+    aggressor: data.aggressor ? 'BUY-agg' : 'SELL-agg'
+  };
+}
+
+// Cut a newest-first list down to its limit, queueing the cut rows for the archive
+function trimStream(state, stream, list) {
+  const limit = state.retention.limits[stream];
+  if (list.length <= limit) return { ...state, [stream]: list };
+  const next = { ...state, [stream]: list.slice(0, limit) };
+  if (state.retention.overflow === 'spill') {
+    const cut = list.slice(limit).reverse();
+    next.spill = { ...state.spill, [stream]: [...state.spill[stream], ...cut] };
+  }
+  return next;
+}
+
+const emptyRows = () => ({ trades: [], prints: [], autoTrades: [] });
+
+// A list event's rows go into added (stream → rows, oldest first)
+function collectRows(state, data, receivedAt, added) {
+  const id = state.nextId;
+  if (data.type === 'GAP') {
+    // Disconnect window: mark the hole in both streams
+    const marker = { type: 'GAP', id, from: data.from, to: data.to, receivedAt };
+    added.trades.push(marker);
+    added.prints.push(marker);
+  } else {
+    // multiplier + premium resolved once here, so trades, prints and the archive agree
+    const spec = applyProductSpec(data);
+    const trade = enrichTrade(spec, receivedAt, id);
+    added.trades.push(trade);
+    added.prints.push(toPrint(spec, id));
+    if (spec.isAutoTrade) added.autoTrades.push(trade);
+  }
+  return { ...state, nextId: id + 1 };
+}
+
+// Prepend the collected rows, newest first, with one copy and trim per stream
+function pushRows(state, added) {
+  let next = state;
+  for (const stream of LIST_STREAMS) {
+    if (added[stream].length) next = trimStream(next, stream, [...added[stream].reverse(), ...next[stream]]);
+  }
+  return next;
+}
+
+// Messages oldest first; list events while paused go to the pause buffer
+function applyMessages(state, messages) {
+  const added = emptyRows();
+  let next = state;
+  for (const { data, receivedAt } of messages) {
+    if (!isListEvent(data.type)) next = applyMessage(next, data);
+    else if (next.paused) next = bufferWhilePaused(next, data, receivedAt);
+    else next = collectRows(next, data, receivedAt, added);
+  }
+  return pushRows(next, added);
+}
+
+// Everything but list events
+function applyMessage(state, data) {
+  switch (data.type) {
+    case 'CONID_MAPPING':
+      return { ...state, conidMapping: { ...state.conidMapping, [data.conid]: data.mapping } };
+
+    case 'TRADING_STATS':
+      return { ...state, stats: data.stats };
+
+    default:
+      return state;
+  }
+}
+
+function bufferWhilePaused(state, data, receivedAt) {
+  let pauseBuffer = [...state.pauseBuffer, { data, receivedAt }];
+  let pauseDropped = state.pauseDropped;
+  if (pauseBuffer.length > PAUSE_BUFFER_LIMIT) {
+    pauseDropped += pauseBuffer.length - PAUSE_BUFFER_LIMIT;
+    pauseBuffer = pauseBuffer.slice(-PAUSE_BUFFER_LIMIT);
+  }
+  return { ...state, pauseBuffer, pauseDropped };
+}
+
+export function flowReducer(state, action) {
+  switch (action.type) {
+    case 'message':
+      return applyMessages(state, [action]);
+
+    case 'messages':
+      return applyMessages(state, action.messages);
+
+    case 'pause':
+      return state.paused ? state : { ...state, paused: true };
+
+    case 'resume': {
+      // Apply everything buffered during the pause, oldest first
+      return applyMessages({ ...state, paused: false, pauseBuffer: [], pauseDropped: 0 }, state.pauseBuffer);
+    }
+
+    case 'clear':
+      return {
+        ...state,
+        trades: [],
+        prints: [],
+        autoTrades: [],
+        spill: initialFlowState.spill,
+        archived: initialFlowState.archived,
+      };
+
+    case 'reset':
+      return { ...initialFlowState, paused: state.paused, retention: state.retention };
+
+    case 'setRetention': {
+      let next = { ...state, retention: action.retention };
+      for (const stream of LIST_STREAMS) next = trimStream(next, stream, next[stream]);
+      return next;
+    }
+
+    case 'spillFlushed': {
+      const { stream, count } = action;
+      return {
+        ...state,
+        spill: { ...state.spill, [stream]: state.spill[stream].slice(count) },
+        archived: { ...state.archived, [stream]: state.archived[stream] + count },
+      };
+    }
+
+    default:
+      return state;
+  }
+}
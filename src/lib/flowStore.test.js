@@ -0,0 +1,176 @@
+import {
+  flowReducer,
+  initialFlowState,
+  PAUSE_BUFFER_LIMIT,
+} from './flowStore.js';
+import { DEFAULT_RETENTION } from './retention.js';
+import { loadFixtureSession, fixtureMessage } from '../test/fixtures.js';
+
+const message = ({ t, msg }) => ({ type: 'message', data: msg, receivedAt: t });
+const run = (entries, state = initialFlowState) => entries.reduce((s, e) => flowReducer(s, message(e)), state);
+
+describe('flowReducer', () => {
+  test('CONID_MAPPING stores the mapping by conid', () => {
+    const state = run([fixtureMessage('CONID_MAPPING', 2)]);
+    expect(state.conidMapping[7001]).toEqual({ symbol: 'SPY', type: 'OPT', right: 'C', strike: 580, expiry: '20251128' });
+  });
+
+  test('CALL is enriched, derived into a print and captured as auto trade', () => {
+    const call = fixtureMessage('CALL');
+    const state = run([call]);
+
+    expect(state.trades).toHaveLength(1);
+    expect(state.trades[0]).toMatchObject({
+      id: 1,
+      symbol: 'SPY',
+      receivedAt: call.t,
+      initialPrice: 2.1,
+    });
+    expect(state.prints[0]).toMatchObject({
+      id: 1,
+      type: 'PRINT',
+      stance: 'BULL',
+      tradeSize: 500,
+      tradePrice: 2.1,
+      aggressor: 'BUY-agg',
+    });
+    expect(state.autoTrades).toHaveLength(1);
+  });
+
+  test('PUT without isAutoTrade only lands in trades and prints, newest first', () => {
+    const state = run([fixtureMessage('CALL'), fixtureMessage('PUT')]);
+    expect(state.trades.map(t => t.symbol)).toEqual(['QQQ', 'SPY']);
+    expect(state.prints[0]).toMatchObject({ symbol: 'QQQ', aggressor: 'SELL-agg' });
+    expect(state.autoTrades.map(t => t.symbol)).toEqual(['SPY']);
+  });
+
+  test('LIVE_QUOTE / UL_LIVE_QUOTE leave the reducer state untouched (quote store owns them)', () => {
+    const state = run([fixtureMessage('CALL')]);
+    expect(run([fixtureMessage('LIVE_QUOTE'), fixtureMessage('UL_LIVE_QUOTE')], state)).toBe(state);
+  });
+
+  test('TRADING_STATS is stored', () => {
+    const state = run([fixtureMessage('TRADING_STATS')]);
+    expect(state.stats.daily.pnl).toBe(1250);
+  });
+
+  test('GAP inserts a marker into trades and prints', () => {
+    const state = run([fixtureMessage('CALL'), { t: 5000, msg: { type: 'GAP', from: 1000, to: 4000 } }]);
+    expect(state.trades[0]).toEqual({ type: 'GAP', id: 2, from: 1000, to: 4000, receivedAt: 5000 });
+    expect(state.prints[0].type).toBe('GAP');
+    expect(state.autoTrades).toHaveLength(1);
+  });
+
+  test('unknown message types leave state untouched', () => {
+    expect(flowReducer(initialFlowState, { type: 'message', data: { type: 'HELLO' }, receivedAt: 1 }))
+      .toBe(initialFlowState);
+  });
+
+  describe('retention', () => {
+    const calls = (n) => {
+      const call = fixtureMessage('CALL');
+      return Array.from({ length: n }, (_, i) => ({ t: i, msg: { ...call.msg, isAutoTrade: false } }));
+    };
+    const withRetention = (limits, overflow = 'spill') => flowReducer(initialFlowState, {
+      type: 'setRetention',
+      retention: { limits: { ...DEFAULT_RETENTION.limits, ...limits }, overflow },
+    });
+
+    test('lists are capped at the stream limit and the overflow is spilled oldest first', () => {
+      const state = run(calls(5), withRetention({ trades: 3 }));
+      expect(state.trades.map(t => t.id)).toEqual([5, 4, 3]);
+      expect(state.spill.trades.map(t => t.id)).toEqual([1, 2]);
+      expect(state.prints).toHaveLength(5);
+      expect(state.spill.prints).toHaveLength(0);
+    });
+
+    test('a batch of messages ends up where one message at a time does', () => {
+      const batch = calls(5).map(({ t, msg }) => ({ data: msg, receivedAt: t }));
+      const state = flowReducer(withRetention({ trades: 3 }), { type: 'messages', messages: batch });
+      expect(state).toEqual(run(calls(5), withRetention({ trades: 3 })));
+      expect(state.spill.trades.map(t => t.id)).toEqual([1, 2]);
+    });
+
+    test("'drop' discards the overflow", () => {
+      const state = run(calls(5), withRetention({ trades: 3 }, 'drop'));
+      expect(state.trades).toHaveLength(3);
+      expect(state.spill.trades).toHaveLength(0);
+    });
+
+    test('lowering the limit trims at once; spillFlushed dequeues archived rows', () => {
+      let state = run(calls(4));
+      state = flowReducer(state, { type: 'setRetention', retention: { ...DEFAULT_RETENTION, limits: { ...DEFAULT_RETENTION.limits, prints: 1 } } });
+      expect(state.prints.map(p => p.id)).toEqual([4]);
+      expect(state.spill.prints.map(p => p.id)).toEqual([1, 2, 3]);
+
+      state = flowReducer(state, { type: 'spillFlushed', stream: 'prints', count: 2 });
+      expect(state.spill.prints.map(p => p.id)).toEqual([3]);
+      expect(state.archived.prints).toBe(2);
+    });
+
+    test('reset keeps the retention setting', () => {
+      const state = run(calls(5), withRetention({ trades: 3 }));
+      const reset = flowReducer(state, { type: 'reset' });
+      expect(reset.retention).toBe(state.retention);
+      expect(reset.spill.trades).toHaveLength(0);
+    });
+  });
+
+  describe('pause / resume', () => {
+    test('buffers list events while mappings and stats keep updating', () => {
+      let state = flowReducer(initialFlowState, { type: 'pause' });
+      state = run([fixtureMessage('CALL'), fixtureMessage('CONID_MAPPING'), fixtureMessage('TRADING_STATS')], state);
+
+      expect(state.trades).toHaveLength(0);
+      expect(state.pauseBuffer).toHaveLength(1);
+      expect(state.conidMapping[756733]).toBeDefined();
+      expect(state.stats).not.toBeNull();
+    });
+
+    test('resume applies the buffer in order with the original receive times', () => {
+      const call = fixtureMessage('CALL');
+      let state = flowReducer(initialFlowState, { type: 'pause' });
+      state = run([call, fixtureMessage('PUT')], state);
+      state = flowReducer(state, { type: 'resume' });
+
+      expect(state.paused).toBe(false);
+      expect(state.pauseBuffer).toHaveLength(0);
+      expect(state.trades.map(t => t.symbol)).toEqual(['QQQ', 'SPY']);
+      expect(state.trades[1].receivedAt).toBe(call.t);
+    });
+
+    test('buffer is bounded and counts dropped events', () => {
+      const call = fixtureMessage('CALL');
+      let state = flowReducer(initialFlowState, { type: 'pause' });
+      for (let i = 0; i < PAUSE_BUFFER_LIMIT + 3; i++) {
+        state = flowReducer(state, { type: 'message', data: call.msg, receivedAt: i });
+      }
+      expect(state.pauseBuffer).toHaveLength(PAUSE_BUFFER_LIMIT);
+      expect(state.pauseDropped).toBe(3);
+      expect(state.pauseBuffer[0].receivedAt).toBe(3);
+    });
+  });
+
+  test('clear keeps mappings and stats, reset drops everything', () => {
+    const full = run(loadFixtureSession());
+    const cleared = flowReducer(full, { type: 'clear' });
+    expect(cleared.trades).toHaveLength(0);
+    expect(cleared.prints).toHaveLength(0);
+    expect(cleared.conidMapping).toBe(full.conidMapping);
+    expect(cleared.stats).toBe(full.stats);
+
+    expect(flowReducer(full, { type: 'reset' })).toEqual(initialFlowState);
+  });
+
+  test('replaying the recorded session reproduces the live state', () => {
+    const state = run(loadFixtureSession());
+
+    expect(state.trades.map(t => t.symbol)).toEqual(['/ES', 'QQQ', 'SPY']);
+    expect(state.prints).toHaveLength(3);
+    expect(state.autoTrades).toHaveLength(1);
+    expect(Object.keys(state.conidMapping)).toHaveLength(4);
+    expect(state.stats.totalTrades).toBe(212);
+    const batch = loadFixtureSession().map(({ t, msg }) => ({ data: msg, receivedAt: t }));
+    expect(flowReducer(initialFlowState, { type: 'messages', messages: batch })).toEqual(state);
+  });
+});
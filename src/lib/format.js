@@ -0,0 +1,25 @@
+// Display formatting shared by the views
+
+export const formatTime = (timestamp) => {
+  if (!timestamp) return '';
+  const date = new Date(timestamp);
+  return date.toLocaleTimeString('en-US', { 
+    hour12: false, 
+    hour: '2-digit', 
+    minute: '2-digit', 
+    second: '2-digit' 
+  });
+};
+
+export const formatPremium = (premium) => {
+  if (!premium) return '$0';
+  if (premium >= 1000000) return `$${(premium / 1000000).toFixed(2)}M`;
+  if (premium >= 1000) return `$${(premium / 1000).toFixed(0)}k`;
+  return `$${premium.toFixed(0)}`;
+};
+
+// Net figures (heatmap cells): sign first, then the usual premium format
+export const formatSignedPremium = (value) => {
+  if (!value) return '$0';
+  return `${value > 0 ? '+' : '-'}${formatPremium(Math.abs(value))}`;
+};
@@ -0,0 +1,23 @@
+// Deep links in the URL fragment, so they work from the static build without server routes:
+//   #/ticker/NVDA   ticker page of NVDA (futures roots come encoded: #/ticker/%2FES)
+// Anything else is the workspace.
+
+const TICKER = /^#\/ticker\/(.+)$/;
+
+// → { page: 'ticker', symbol } | { page: 'workspace' }
+export function parseRoute(hash) {
+  const m = TICKER.exec(hash ?? '');
+  if (m) {
+    let symbol;
+    try {
+      symbol = decodeURIComponent(m[1]).trim().toUpperCase();
+    } catch {
+      // a hand-typed stray % – take the text as it is
+      symbol = m[1].trim().toUpperCase();
+    }
+    if (symbol) return { page: 'ticker', symbol };
+  }
+  return { page: 'workspace' };
+}
+
+export const tickerHash = (symbol) => `#/ticker/${encodeURIComponent(symbol)}`;
@@ -0,0 +1,16 @@
+import { parseRoute, tickerHash } from './hashRoute.js';
+
+describe('hashRoute', () => {
+  test('ticker links round-trip, futures roots included', () => {
+    expect(parseRoute('#/ticker/NVDA')).toEqual({ page: 'ticker', symbol: 'NVDA' });
+    expect(parseRoute(tickerHash('/ES'))).toEqual({ page: 'ticker', symbol: '/ES' });
+    expect(parseRoute('#/ticker//nq')).toEqual({ page: 'ticker', symbol: '/NQ' });
+  });
+
+  test('anything else is the workspace', () => {
+    for (const hash of ['', '#', '#/ticker/', '#/other/NVDA', undefined]) {
+      expect(parseRoute(hash)).toEqual({ page: 'workspace' });
+    }
+    expect(parseRoute('#/ticker/%E0')).toEqual({ page: 'ticker', symbol: '%E0' });
+  });
+});
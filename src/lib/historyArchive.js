@@ -0,0 +1,95 @@
+// IndexedDB archive for list rows pushed out by the retention limit.
+// Rows are keyed by scope ('live' | 'replay') and stream, in the order they were spilled
+// (oldest first), and read back newest-first a page at a time.
+
+import { requestToPromise, withStore } from './idb.js';
+import { LIST_STREAMS } from './retention.js';
+
+const archiveKey = (scope, stream) => `${scope}:${stream}`;
+
+// rows: oldest first
+export function archiveRows(scope, stream, rows) {
+  const key = archiveKey(scope, stream);
+  return withStore('history', 'readwrite', (store) => {
+    for (const row of rows) store.add({ key, row });
+  });
+}
+
+// Archived rows with after < archiveId < before, newest first → [{ archiveId, row }]
+export function loadArchivedRows(scope, stream, { after = 0, before = Infinity, limit = 500 } = {}) {
+  const key = archiveKey(scope, stream);
+  return withStore('history', 'readonly', (store) => new Promise((resolve, reject) => {
+    const entries = [];
+    const range = IDBKeyRange.bound([key, after], [key, before], true, true);
+    const req = store.index('byKey').openCursor(range, 'prev');
+    req.onerror = () => reject(req.error);
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor || entries.length >= limit) {
+        resolve(entries);
+        return;
+      }
+      entries.push({ archiveId: cursor.value.archiveId, row: cursor.value.row });
+      cursor.continue();
+    };
+  }));
+}
+
+// Every archived row of a stream, newest first, read a page at a time (exports)
+export async function loadAllArchivedRows(scope, stream, pageSize = 5000) {
+  const rows = [];
+  let before = Infinity;
+  for (;;) {
+    const page = await loadArchivedRows(scope, stream, { before, limit: pageSize });
+    for (const entry of page) rows.push(entry.row);
+    if (page.length < pageSize) return rows;
+    before = page[page.length - 1].archiveId;
+  }
+}
+
+export function countArchivedRows(scope, stream) {
+  const key = archiveKey(scope, stream);
+  return withStore('history', 'readonly', (store) =>
+    requestToPromise(store.index('byKey').count(IDBKeyRange.bound([key, 0], [key, Infinity])))
+  );
+}
+
+export function clearArchivedRows(scope, stream) {
+  const key = archiveKey(scope, stream);
+  return withStore('history', 'readwrite', (store) => new Promise((resolve, reject) => {
+    const req = store.index('byKey').openKeyCursor(IDBKeyRange.bound([key, 0], [key, Infinity]));
+    req.onerror = () => reject(req.error);
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) {
+        resolve();
+        return;
+      }
+      store.delete(cursor.primaryKey);
+      cursor.continue();
+    };
+  }));
+}
+
+export function clearArchive(scope) {
+  return Promise.all(LIST_STREAMS.map(stream => clearArchivedRows(scope, stream)));
+}
+
+// Archived rows of a stream that pass predicate, newest first, at most limit of them
+export function findArchivedRows(scope, stream, predicate, limit = 500) {
+  const key = archiveKey(scope, stream);
+  return withStore('history', 'readonly', (store) => new Promise((resolve, reject) => {
+    const rows = [];
+    const req = store.index('byKey').openCursor(IDBKeyRange.bound([key, 0], [key, Infinity]), 'prev');
+    req.onerror = () => reject(req.error);
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor || rows.length >= limit) {
+        resolve(rows);
+        return;
+      }
+      if (predicate(cursor.value.row)) rows.push(cursor.value.row);
+      cursor.continue();
+    };
+  }));
+}
@@ -0,0 +1,65 @@
+// Small promise wrapper around IndexedDB.
+// All object stores of the app's database are declared here, in one place.
+
+const DB_NAME = 'optionsFlow';
+const DB_VERSION = 3;
+
+let dbPromise = null;
+
+function upgrade(db) {
+  if (!db.objectStoreNames.contains('sessions')) {
+    db.createObjectStore('sessions', { keyPath: 'id' });
+  }
+  if (!db.objectStoreNames.contains('recordedMessages')) {
+    const store = db.createObjectStore('recordedMessages', { keyPath: ['sessionId', 'seq'] });
+    store.createIndex('sessionId', 'sessionId');
+  }
+  if (!db.objectStoreNames.contains('history')) {
+    const store = db.createObjectStore('history', { keyPath: 'archiveId', autoIncrement: true });
+    store.createIndex('byKey', ['key', 'archiveId']);
+  }
+  if (!db.objectStoreNames.contains('paperPositions')) {
+    db.createObjectStore('paperPositions', { keyPath: 'id' });
+  }
+}
+
+export function idbAvailable() {
+  return typeof indexedDB !== 'undefined';
+}
+
+export function openFlowDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => upgrade(req.result);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    }).catch((err) => {
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+}
+
+export function requestToPromise(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// Run fn(store) inside a transaction; resolves with fn's result once the transaction completes
+export async function withStore(storeName, mode, fn) {
+  const db = await openFlowDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    let result;
+    Promise.resolve(fn(tx.objectStore(storeName)))
+      .then((value) => { result = value; })
+      .catch(reject);
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
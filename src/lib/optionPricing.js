@@ -0,0 +1,138 @@
+// Local option pricing for trades and quotes the feed sends without greeks: Black-Scholes
+// for equity options (underlying = stock price), Black-76 for futures options (underlying =
+// futures price). Both are the generalized Black-Scholes model with cost of carry b: b = r
+// for a stock paying no dividend, b = 0 for a future.
+//
+// Implied vol is solved from the option price, then delta, gamma, vega and theta follow from
+// it. Units match the feed: iv in %, vega per vol point, theta per calendar day.
+// Whatever fills in greeks stamps greeksSource: 'feed' | 'computed' so views can tell them apart.
+
+import { isFuturesContract } from './productSpecs.js';
+
+export const RISK_FREE_RATE = 0.04;
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+// an hour; keeps 0DTE math finite into the close
+const MIN_YEARS = 1 / (365 * 24);
+const IV_MIN = 0.001;
+const IV_MAX = 5;
+
+// Standard normal density / CDF (Abramowitz–Stegun 7.1.26, |error| < 1.5e-7)
+export const normPdf = (x) => Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
+
+export function normCdf(x) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(x * x) / 2);
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// 'YYYYMMDD' → years until the 16:00 New York close on that day (21:00 UTC; DST ignored)
+export function yearsToExpiry(expiry, now) {
+  const m = /^(\d{4})(\d{2})(\d{2})$/.exec(String(expiry ?? ''));
+  if (!m) return null;
+  const close = Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3]), 21);
+  return Math.max(MIN_YEARS, (close - now) / YEAR_MS);
+}
+
+export const pricingModel = (contract) =>
+  (isFuturesContract(contract.symbol, contract.assetClass) ? 'black76' : 'blackScholes');
+
+// params: { model, right ('C' | 'P'), S (underlying), K, T (years), r, sigma }
+const terms = ({ model, S, K, T, r, sigma }) => {
+  const b = model === 'black76' ? 0 : r;
+  const sqrtT = Math.sqrt(T);
+  const d1 = (Math.log(S / K) + (b + sigma * sigma / 2) * T) / (sigma * sqrtT);
+  return { b, sqrtT, d1, d2: d1 - sigma * sqrtT, carry: Math.exp((b - r) * T), discount: Math.exp(-r * T) };
+};
+
+export function blackPrice(params) {
+  const { right, S, K } = params;
+  const { d1, d2, carry, discount } = terms(params);
+  return right === 'P'
+    ? K * discount * normCdf(-d2) - S * carry * normCdf(-d1)
+    : S * carry * normCdf(d1) - K * discount * normCdf(d2);
+}
+
+// → { delta, gamma, vega (per vol point), theta (per calendar day) }
+export function blackGreeks(params) {
+  const { right, S, K, r, sigma } = params;
+  const { b, sqrtT, d1, d2, carry, discount } = terms(params);
+  const decay = -S * carry * normPdf(d1) * sigma / (2 * sqrtT);
+  const put = right === 'P';
+  const theta = put
+    ? decay + (b - r) * S * carry * normCdf(-d1) + r * K * discount * normCdf(-d2)
+    : decay - (b - r) * S * carry * normCdf(d1) - r * K * discount * normCdf(d2);
+  return {
+    delta: put ? carry * (normCdf(d1) - 1) : carry * normCdf(d1),
+    gamma: carry * normPdf(d1) / (S * sigma * sqrtT),
+    vega: S * carry * normPdf(d1) * sqrtT / 100,
+    theta: theta / 365,
+  };
+}
+
+// Vol that prices the option at `price` (bisection; price rises with vol), or null when the
+// price is outside what any vol in [IV_MIN, IV_MAX] gives, e.g. below intrinsic
+export function impliedVol(price, params) {
+  let lo = IV_MIN;
+  let hi = IV_MAX;
+  if (!(price > blackPrice({ ...params, sigma: lo })) || !(price < blackPrice({ ...params, sigma: hi }))) return null;
+  for (let i = 0; i < 60 && hi - lo > 1e-6; i++) {
+    const mid = (lo + hi) / 2;
+    if (blackPrice({ ...params, sigma: mid }) < price) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+// contract: { symbol, assetClass, right, strike, expiry }, price + underlying price →
+// { delta, gamma, vega, theta, iv } or null when something needed is missing
+export function computeGreeks(contract, optionPrice, underlyingPrice, now, r = RISK_FREE_RATE) {
+  const S = Number(underlyingPrice);
+  const K = Number(contract.strike);
+  const T = yearsToExpiry(contract.expiry, now);
+  const right = contract.right ?? (contract.type === 'PUT' ? 'P' : 'C');
+  if (!(S > 0) || !(K > 0) || !(optionPrice > 0) || T === null) return null;
+  const params = { model: pricingModel(contract), right, S, K, T, r };
+  const sigma = impliedVol(optionPrice, params);
+  if (sigma === null) return null;
+  return { ...blackGreeks({ ...params, sigma }), iv: sigma * 100 };
+}
+
+const hasFeedDelta = (delta) => delta != null && Number.isFinite(Number(delta));
+
+// Trade with greeksSource set, and greeks filled in locally when the feed sent no delta
+export function withGreeks(trade, now) {
+  if (hasFeedDelta(trade.greeks?.delta)) return { ...trade, greeksSource: 'feed' };
+  const greeks = computeGreeks(trade, Number(trade.optionPrice), trade.underlyingPrice, now);
+  return greeks ? { ...trade, greeks: { ...trade.greeks, ...greeks }, greeksSource: 'computed' } : trade;
+}
+
+// Greeks for LIVE_QUOTEs sent without a delta: the contract comes from its conid mapping,
+// the underlying price from the latest UL quote or trade on the symbol
+export function createQuoteGreeks() {
+  let underlying = new Map(); // symbol → price
+
+  return {
+    setUnderlyingPrice(symbol, price) {
+      if (symbol && Number(price) > 0) underlying.set(symbol, Number(price));
+    },
+
+    underlyingPrice: (symbol) => underlying.get(symbol) ?? null,
+
+    // → quote with greeksSource (+ delta, gamma, vega, theta, iv when computed)
+    enrich(quote, contract, now) {
+      if (hasFeedDelta(quote.delta)) return { ...quote, greeksSource: 'feed' };
+      if (!contract?.symbol) return quote;
+      const bid = Number(quote.bid);
+      const ask = Number(quote.ask);
+      const mark = bid > 0 && ask >= bid ? (bid + ask) / 2 : Number(quote.last);
+      const greeks = computeGreeks(contract, mark, underlying.get(contract.symbol), now);
+      return greeks ? { ...quote, ...greeks, greeksSource: 'computed' } : quote;
+    },
+
+    reset() {
+      underlying = new Map();
+    },
+  };
+}
@@ -0,0 +1,101 @@
+import {
+  blackGreeks,
+  blackPrice,
+  computeGreeks,
+  createQuoteGreeks,
+  impliedVol,
+  normCdf,
+  withGreeks,
+  yearsToExpiry,
+} from './optionPricing.js';
+import { computeDeltaFlows } from './flowMath.js';
+import { fixtureMessage } from '../test/fixtures.js';
+
+const ATM = { S: 100, K: 100, T: 1, r: 0.05, sigma: 0.2 };
+
+describe('optionPricing', () => {
+  test('normal CDF', () => {
+    expect(normCdf(0)).toBeCloseTo(0.5, 7);
+    expect(normCdf(1.96)).toBeCloseTo(0.975, 4);
+    expect(normCdf(-1.96)).toBeCloseTo(0.025, 4);
+  });
+
+  test('Black-Scholes matches textbook values', () => {
+    const call = { ...ATM, model: 'blackScholes', right: 'C' };
+    expect(blackPrice(call)).toBeCloseTo(10.4506, 3);
+    expect(blackPrice({ ...call, right: 'P' })).toBeCloseTo(5.5735, 3);
+    const greeks = blackGreeks(call);
+    expect(greeks.delta).toBeCloseTo(0.6368, 3);
+    expect(greeks.gamma).toBeCloseTo(0.01876, 4);
+    // per vol point / per calendar day
+    expect(greeks.vega).toBeCloseTo(0.3752, 3);
+    expect(greeks.theta).toBeCloseTo(-6.414 / 365, 4);
+    expect(blackGreeks({ ...call, right: 'P' }).delta).toBeCloseTo(0.6368 - 1, 3);
+  });
+
+  test('Black-76 discounts the futures price', () => {
+    const call = { ...ATM, model: 'black76', right: 'C' };
+    expect(blackPrice(call)).toBeCloseTo(7.5771, 3);
+    // put-call parity on a future: C − P = e^{−rT}(F − K) = 0 at the money
+    expect(blackPrice({ ...call, right: 'P' })).toBeCloseTo(blackPrice(call), 6);
+    expect(blackGreeks(call).delta).toBeCloseTo(Math.exp(-0.05) * normCdf(0.1), 6);
+  });
+
+  test('implied vol recovers the pricing vol; impossible prices give null', () => {
+    for (const model of ['blackScholes', 'black76']) {
+      const params = { ...ATM, K: 110, model, right: 'P' };
+      expect(impliedVol(blackPrice({ ...params, sigma: 0.35 }), params)).toBeCloseTo(0.35, 5);
+    }
+    // below intrinsic
+    expect(impliedVol(5, { ...ATM, K: 120, model: 'blackScholes', right: 'P' })).toBeNull();
+  });
+
+  test('expiry is the 16:00 New York close', () => {
+    expect(yearsToExpiry('20250102', Date.UTC(2025, 0, 1, 21))).toBeCloseTo(1 / 365, 8);
+    expect(yearsToExpiry('bad', 0)).toBeNull();
+  });
+
+  test('fills in greeks the feed left out, keeps the ones it sent', () => {
+    const feed = fixtureMessage('CALL').msg;
+    expect(withGreeks(feed, feed.timestamp)).toMatchObject({ greeks: feed.greeks, greeksSource: 'feed' });
+
+    const { greeks: _dropped, ...bare } = feed;
+    const computed = withGreeks(bare, feed.timestamp);
+    expect(computed.greeksSource).toBe('computed');
+    // SPY 580C, a week out, $2.10 with the stock at 578.42
+    expect(computed.greeks.delta).toBeGreaterThan(0.35);
+    expect(computed.greeks.delta).toBeLessThan(0.55);
+    expect(computed.greeks.iv).toBeGreaterThan(5);
+    expect(computed.greeks.iv).toBeLessThan(30);
+    expect(computed.greeks.theta).toBeLessThan(0);
+
+    // trades without greeks now count toward net delta
+    expect(computeDeltaFlows([bare]).symbolFlows).toEqual([]);
+    expect(computeDeltaFlows([computed]).overallFlow.netDelta).toBeGreaterThan(0);
+
+    // nothing to solve from
+    expect(withGreeks({ ...bare, underlyingPrice: undefined }, feed.timestamp)).not.toHaveProperty('greeksSource');
+  });
+
+  test('futures options use Black-76', () => {
+    const es = { symbol: '/ES', assetClass: 'FUTURES_OPTION', right: 'C', strike: 5900, expiry: '20251128' };
+    const now = Date.UTC(2025, 10, 21, 15);
+    const T = yearsToExpiry(es.expiry, now);
+    const price = blackPrice({ model: 'black76', right: 'C', S: 5885.25, K: 5900, T, r: 0.04, sigma: 0.13 });
+    expect(computeGreeks(es, price, 5885.25, now).iv).toBeCloseTo(13, 3);
+  });
+
+  test('quote greeks come from the conid mapping and the latest underlying price', () => {
+    const engine = createQuoteGreeks();
+    const mapping = { symbol: 'SPY', type: 'OPT', right: 'C', strike: 580, expiry: '20251128' };
+    const quote = { type: 'LIVE_QUOTE', conid: 7001, bid: 2.3, ask: 2.36, last: 2.35 };
+    const now = Date.UTC(2025, 10, 21, 15);
+
+    expect(engine.enrich(quote, mapping, now)).toBe(quote);
+    engine.setUnderlyingPrice('SPY', 578.42);
+    const enriched = engine.enrich(quote, mapping, now);
+    expect(enriched.greeksSource).toBe('computed');
+    expect(enriched.delta).toBeGreaterThan(0.35);
+    expect(engine.enrich({ ...quote, delta: 0.48 }, mapping, now)).toMatchObject({ delta: 0.48, greeksSource: 'feed' });
+  });
+});
@@ -0,0 +1,121 @@
+// Paper portfolio: positions opened by following a trade, marked to market from LIVE_QUOTE
+// and closed by hand or by their stop / target. Pure functions over plain position objects;
+// persistence lives in portfolioDb.js, React state in hooks/usePortfolio.js.
+//
+// Stop and target are option prices. A long is stopped at or below its stop and hits its
+// target at or above it; a short the other way round.
+
+import { contractMultiplier } from './productSpecs.js';
+
+export const POSITION_SIDES = ['long', 'short'];
+
+// Follow dialog defaults, in percent of the entry price
+export const DEFAULT_STOP_PCT = 50;
+export const DEFAULT_TARGET_PCT = 100;
+
+let nextLocalId = 0;
+
+// Local calendar day of a timestamp, 'YYYY-MM-DD'
+export const dayKey = (t) => new Date(t).toLocaleDateString('en-CA');
+
+const positiveOrNull = (v) => (Number.isFinite(Number(v)) && Number(v) > 0 ? Number(v) : null);
+
+// trade: the followed row; size, price, side, stopPrice, targetPrice as chosen in the dialog
+export function openPosition(trade, { size, price, side = 'long', stopPrice = null, targetPrice = null }, now = Date.now()) {
+  nextLocalId += 1;
+  return {
+    id: `pos-${now.toString(36)}-${nextLocalId}`,
+    conid: trade.conid,
+    underlyingConid: trade.underlyingConid,
+    symbol: trade.symbol,
+    right: trade.right ?? (trade.type === 'PUT' ? 'P' : 'C'),
+    strike: trade.strike,
+    expiry: trade.expiry,
+    multiplier: contractMultiplier(trade),
+    sourceTradeId: trade.id ?? null,
+    side: POSITION_SIDES.includes(side) ? side : 'long',
+    size: Math.max(1, Math.round(Number(size) || 1)),
+    entryPrice: Number(price),
+    openedAt: now,
+    stopPrice: positiveOrNull(stopPrice),
+    targetPrice: positiveOrNull(targetPrice),
+    status: 'open',
+    closePrice: null,
+    closedAt: null,
+    closeReason: null,
+  };
+}
+
+// Stop / target as prices from percentages of the entry (the follow dialog's inputs)
+export function exitPrices(entryPrice, side, stopPct, targetPct) {
+  const sign = side === 'short' ? -1 : 1;
+  const at = (pct, dir) => (Number(pct) > 0 ? Math.max(0.01, entryPrice * (1 + (dir * sign * pct) / 100)) : null);
+  return { stopPrice: at(stopPct, -1), targetPrice: at(targetPct, 1) };
+}
+
+// Current option price of a position: the contract's last quote, else its entry
+export function markOf(position, quote) {
+  const last = quote?.last;
+  return last != null && Number.isFinite(Number(last)) ? Number(last) : position.entryPrice;
+}
+
+export function positionPnL(position, price) {
+  const sign = position.side === 'short' ? -1 : 1;
+  return sign * (price - position.entryPrice) * position.size * position.multiplier;
+}
+
+export function positionPnLPercent(position, price) {
+  if (!position.entryPrice) return 0;
+  const sign = position.side === 'short' ? -1 : 1;
+  return (sign * (price - position.entryPrice) / position.entryPrice) * 100;
+}
+
+// 'stop' | 'target' | null for an open position at price
+export function exitReason(position, price) {
+  if (position.status !== 'open' || price == null) return null;
+  const long = position.side !== 'short';
+  const { stopPrice, targetPrice } = position;
+  if (stopPrice != null && (long ? price <= stopPrice : price >= stopPrice)) return 'stop';
+  if (targetPrice != null && (long ? price >= targetPrice : price <= targetPrice)) return 'target';
+  return null;
+}
+
+export function closePosition(position, price, reason = 'manual', now = Date.now()) {
+  return { ...position, status: 'closed', closePrice: Number(price), closedAt: now, closeReason: reason };
+}
+
+export const realizedPnL = (position) => (position.status === 'closed' ? positionPnL(position, position.closePrice) : 0);
+
+// Realized P&L per close day, newest first → [{ date, pnl, trades, wins, losses }]
+export function dailyHistory(positions) {
+  const days = new Map();
+  for (const p of positions) {
+    if (p.status !== 'closed') continue;
+    const date = dayKey(p.closedAt);
+    const day = days.get(date) ?? { date, pnl: 0, trades: 0, wins: 0, losses: 0 };
+    const pnl = realizedPnL(p);
+    day.pnl += pnl;
+    day.trades += 1;
+    if (pnl > 0) day.wins += 1;
+    else if (pnl < 0) day.losses += 1;
+    days.set(date, day);
+  }
+  return [...days.values()].sort((a, b) => (a.date < b.date ? 1 : -1));
+}
+
+// Portfolio totals in the shape of the server's TRADING_STATS, so the two sit side by side.
+// getQuote(conid) → latest LIVE_QUOTE
+export function portfolioStats(positions, getQuote, now = Date.now()) {
+  const today = dayKey(now);
+  const open = positions.filter(p => p.status === 'open');
+  const closed = positions.filter(p => p.status === 'closed');
+  const daily = dailyHistory(closed).find(d => d.date === today) ?? { date: today, pnl: 0, trades: 0, wins: 0, losses: 0 };
+  return {
+    daily,
+    totalPnL: closed.reduce((sum, p) => sum + realizedPnL(p), 0),
+    totalTrades: closed.length,
+    wins: closed.filter(p => realizedPnL(p) > 0).length,
+    openPositionsCount: open.length,
+    openPnL: open.reduce((sum, p) => sum + positionPnL(p, markOf(p, getQuote(p.conid))), 0),
+  };
+}
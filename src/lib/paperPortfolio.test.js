@@ -0,0 +1,62 @@
+import {
+  closePosition,
+  dailyHistory,
+  exitPrices,
+  exitReason,
+  markOf,
+  openPosition,
+  portfolioStats,
+  positionPnL,
+} from './paperPortfolio.js';
+import { fixtureMessage } from '../test/fixtures.js';
+
+const NOW = new Date(2025, 10, 21, 10, 0).getTime();
+
+describe('paperPortfolio', () => {
+  test('a followed trade opens at the chosen size and price with its multiplier', () => {
+    const trade = fixtureMessage('CALL').msg;
+    const p = openPosition(trade, { size: 5, price: 2.2 }, NOW);
+    expect(p).toMatchObject({ conid: 7001, right: 'C', side: 'long', size: 5, entryPrice: 2.2, multiplier: 100, status: 'open' });
+
+    expect(markOf(p, null)).toBe(2.2);
+    expect(markOf(p, { last: 2.5 })).toBe(2.5);
+    expect(positionPnL(p, 2.5)).toBeCloseTo(150);
+    expect(positionPnL({ ...p, side: 'short' }, 2.5)).toBeCloseTo(-150);
+  });
+
+  test('stops and targets trigger on the right side for longs and shorts', () => {
+    const trade = fixtureMessage('CALL').msg;
+    const exits = exitPrices(2, 'long', 50, 100);
+    expect(exits).toEqual({ stopPrice: 1, targetPrice: 4 });
+    const long = openPosition(trade, { size: 1, price: 2, ...exits }, NOW);
+    expect(exitReason(long, 1.5)).toBeNull();
+    expect(exitReason(long, 1)).toBe('stop');
+    expect(exitReason(long, 4.2)).toBe('target');
+
+    const short = openPosition(trade, { size: 1, price: 2, side: 'short', ...exitPrices(2, 'short', 50, 50) }, NOW);
+    expect(short).toMatchObject({ stopPrice: 3, targetPrice: 1 });
+    expect(exitReason(short, 3.1)).toBe('stop');
+    expect(exitReason(short, 0.9)).toBe('target');
+    expect(exitReason(closePosition(short, 2, 'manual', NOW), 0.5)).toBeNull();
+  });
+
+  test('closed positions roll up into per-day history and TRADING_STATS-shaped totals', () => {
+    const trade = fixtureMessage('CALL').msg;
+    const yesterday = NOW - 24 * 3600_000;
+    const positions = [
+      closePosition(openPosition(trade, { size: 1, price: 2 }, yesterday), 3, 'target', yesterday + 1000),
+      closePosition(openPosition(trade, { size: 2, price: 2 }, NOW), 1.5, 'stop', NOW + 1000),
+      openPosition(trade, { size: 1, price: 2 }, NOW),
+    ];
+
+    const days = dailyHistory(positions);
+    expect(days.map(d => [d.pnl, d.trades, d.wins, d.losses])).toEqual([[-100, 1, 0, 1], [100, 1, 1, 0]]);
+
+    const stats = portfolioStats(positions, () => ({ last: 2.4 }), NOW + 2000);
+    expect(stats.daily).toMatchObject({ pnl: -100, trades: 1, losses: 1 });
+    expect(stats.totalPnL).toBeCloseTo(0);
+    expect(stats.totalTrades).toBe(2);
+    expect(stats.openPositionsCount).toBe(1);
+    expect(stats.openPnL).toBeCloseTo(40);
+  });
+});
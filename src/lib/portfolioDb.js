@@ -0,0 +1,20 @@
+// IndexedDB persistence for the paper portfolio: every position, open or closed, keyed by id.
+// The per-day history is derived from the closed positions (paperPortfolio.dailyHistory).
+
+import { requestToPromise, withStore } from './idb.js';
+
+export function loadPositions() {
+  return withStore('paperPositions', 'readonly', (store) => requestToPromise(store.getAll()));
+}
+
+export function savePositions(positions) {
+  return withStore('paperPositions', 'readwrite', (store) => {
+    for (const position of positions) store.put(position);
+  });
+}
+
+export function deletePositions(ids) {
+  return withStore('paperPositions', 'readwrite', (store) => {
+    for (const id of ids) store.delete(id);
+  });
+}
@@ -0,0 +1,68 @@
+// Product-spec registry keyed by root symbol (no leading slash, e.g. 'ES').
+//
+// multiplier is the option contract multiplier (dollars per point of option price), so
+// premium = price × size × multiplier and delta exposure = delta × size × multiplier.
+// A `multiplier` sent by the server on a trade always wins over the registry.
+// Hours are the regular session in the exchange's time zone; futures trade overnight
+// (open > close) with a daily maintenance break in between.
+
+const CME_GLOBEX = { tz: 'America/Chicago', open: '17:00', close: '16:00' };
+const US_EQUITY = { tz: 'America/New_York', open: '09:30', close: '16:00' };
+
+export const PRODUCT_SPECS = {
+  ES: { name: 'E-mini S&P 500', multiplier: 50, tickSize: 0.05, exchange: 'CME', currency: 'USD', hours: CME_GLOBEX },
+  NQ: { name: 'E-mini Nasdaq-100', multiplier: 20, tickSize: 0.05, exchange: 'CME', currency: 'USD', hours: CME_GLOBEX },
+  YM: { name: 'E-mini Dow', multiplier: 5, tickSize: 1, exchange: 'CBOT', currency: 'USD', hours: CME_GLOBEX },
+  RTY: { name: 'E-mini Russell 2000', multiplier: 50, tickSize: 0.05, exchange: 'CME', currency: 'USD', hours: CME_GLOBEX },
+  CL: { name: 'Crude Oil', multiplier: 1000, tickSize: 0.01, exchange: 'NYMEX', currency: 'USD', hours: CME_GLOBEX },
+  GC: { name: 'Gold', multiplier: 100, tickSize: 0.1, exchange: 'COMEX', currency: 'USD', hours: CME_GLOBEX },
+};
+
+// Equity / ETF / index options
+export const EQUITY_OPTION_SPEC = {
+  name: 'Equity option',
+  multiplier: 100,
+  tickSize: 0.01,
+  exchange: 'OPRA',
+  currency: 'USD',
+  hours: US_EQUITY,
+};
+
+// Futures root not in the registry – best guess until the server sends a multiplier
+export const UNKNOWN_FUTURES_SPEC = {
+  name: 'Futures option',
+  multiplier: 50,
+  tickSize: 0.05,
+  exchange: 'CME',
+  currency: 'USD',
+  hours: CME_GLOBEX,
+};
+
+export const rootSymbol = (symbol) => String(symbol || '').trim().toUpperCase().replace(/^\//, '');
+
+export const isFuturesContract = (symbol, assetClass) =>
+  assetClass === 'FUTURES_OPTION' || String(symbol || '').trim().startsWith('/');
+
+// Spec for a symbol ('/ES', 'ES', 'SPY'); assetClass disambiguates roots without a slash
+export function getProductSpec(symbol, assetClass) {
+  if (!isFuturesContract(symbol, assetClass)) return EQUITY_OPTION_SPEC;
+  return PRODUCT_SPECS[rootSymbol(symbol)] || UNKNOWN_FUTURES_SPEC;
+}
+
+export function contractMultiplier(trade) {
+  if (typeof trade.multiplier === 'number' && trade.multiplier > 0) return trade.multiplier;
+  return getProductSpec(trade.symbol, trade.assetClass).multiplier;
+}
+
+// Premium from price × size × multiplier; the server's figure only when price or size is missing
+export function tradePremium(trade) {
+  const price = Number(trade.optionPrice);
+  const size = Number(trade.size);
+  if (!Number.isFinite(price) || !size) return trade.premium;
+  return price * size * contractMultiplier(trade);
+}
+
+// Stamp the resolved multiplier and premium on a trade so every view shows the same numbers
+export function applyProductSpec(trade) {
+  return { ...trade, multiplier: contractMultiplier(trade), premium: tradePremium(trade) };
+}
@@ -0,0 +1,39 @@
+import {
+  applyProductSpec,
+  contractMultiplier,
+  getProductSpec,
+  rootSymbol,
+  tradePremium,
+  EQUITY_OPTION_SPEC,
+} from './productSpecs.js';
+
+describe('productSpecs', () => {
+  test.each([
+    ['/ES', 50],
+    ['/NQ', 20],
+    ['/YM', 5],
+    ['/RTY', 50],
+    ['/CL', 1000],
+    ['/GC', 100],
+    ['SPY', 100],
+  ])('%s multiplier %s', (symbol, multiplier) => {
+    expect(contractMultiplier({ symbol })).toBe(multiplier);
+  });
+
+  test('root symbol lookup ignores slash and case; assetClass marks bare futures roots', () => {
+    expect(rootSymbol(' /es ')).toBe('ES');
+    expect(getProductSpec('CL', 'FUTURES_OPTION').exchange).toBe('NYMEX');
+    expect(getProductSpec('CL')).toBe(EQUITY_OPTION_SPEC);
+  });
+
+  test('server multiplier overrides the registry', () => {
+    expect(contractMultiplier({ symbol: '/ES', multiplier: 5 })).toBe(5);
+    expect(contractMultiplier({ symbol: '/ES', multiplier: 0 })).toBe(50);
+  });
+
+  test('premium is price × size × multiplier, server premium only as a fallback', () => {
+    expect(tradePremium({ symbol: '/GC', optionPrice: 12.5, size: 4, premium: 999 })).toBe(5000);
+    expect(tradePremium({ symbol: 'SPY', size: 4, premium: 999 })).toBe(999);
+    expect(applyProductSpec({ symbol: '/YM', optionPrice: 100, size: 2 })).toMatchObject({ multiplier: 5, premium: 1000 });
+  });
+});
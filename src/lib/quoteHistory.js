@@ -0,0 +1,56 @@
+// Recent LIVE_QUOTE history per option conid, for the trade detail drawer's price chart.
+//
+// Quotes are kept at most one per resolutionMs per conid (the latest in each slot wins) and
+// only the newest `limit` slots are kept, so memory stays bounded however many contracts
+// stream: by default one point per 2s for the last hour of activity.
+
+export const QUOTE_HISTORY_RESOLUTION_MS = 2000;
+export const QUOTE_HISTORY_LIMIT = 1800;
+
+export function createQuoteHistory({ resolutionMs = QUOTE_HISTORY_RESOLUTION_MS, limit = QUOTE_HISTORY_LIMIT } = {}) {
+  // conid string → { t[], bid[], ask[], last[] }, oldest first
+  let byConid = new Map();
+
+  const num = (v) => (v === null || v === undefined || !Number.isFinite(Number(v)) ? null : Number(v));
+
+  return {
+    add(quote, receivedAt) {
+      const key = String(quote.conid);
+      let h = byConid.get(key);
+      if (!h) {
+        h = { t: [], bid: [], ask: [], last: [] };
+        byConid.set(key, h);
+      }
+      const slot = Math.floor(receivedAt / resolutionMs) * resolutionMs;
+      let i = h.t.length - 1;
+      if (i < 0 || h.t[i] < slot) {
+        h.t.push(slot);
+        h.bid.push(null);
+        h.ask.push(null);
+        h.last.push(null);
+        i += 1;
+      }
+      // a partial quote keeps the slot's earlier fields
+      h.bid[i] = num(quote.bid) ?? h.bid[i];
+      h.ask[i] = num(quote.ask) ?? h.ask[i];
+      h.last[i] = num(quote.last) ?? h.last[i];
+      // trim in chunks rather than shifting on every quote
+      if (h.t.length > limit * 1.25) {
+        const drop = h.t.length - limit;
+        for (const key of ['t', 'bid', 'ask', 'last']) h[key].splice(0, drop);
+      }
+    },
+
+    // → { t[], bid[], ask[], last[] } copies (newest `limit` points), or null
+    get(conid) {
+      const h = byConid.get(String(conid));
+      if (!h) return null;
+      const from = Math.max(0, h.t.length - limit);
+      return { t: h.t.slice(from), bid: h.bid.slice(from), ask: h.ask.slice(from), last: h.last.slice(from) };
+    },
+
+    reset() {
+      byConid = new Map();
+    },
+  };
+}
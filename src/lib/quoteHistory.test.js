@@ -0,0 +1,24 @@
+import { createQuoteHistory } from './quoteHistory.js';
+
+describe('quoteHistory', () => {
+  test('one point per slot per conid, the latest quote in a slot wins', () => {
+    const history = createQuoteHistory({ resolutionMs: 1000 });
+    history.add({ conid: 1, last: 2, bid: 1.9, ask: 2.1 }, 100);
+    history.add({ conid: 1, last: 2.2 }, 900);
+    history.add({ conid: 2, last: 5 }, 950);
+    history.add({ conid: 1, last: 2.4, bid: 2.3, ask: 2.5 }, 1500);
+
+    expect(history.get('1')).toEqual({ t: [0, 1000], last: [2.2, 2.4], bid: [1.9, 2.3], ask: [2.1, 2.5] });
+    expect(history.get(2).last).toEqual([5]);
+    expect(history.get(3)).toBeNull();
+  });
+
+  test('keeps only the newest points and resets', () => {
+    const history = createQuoteHistory({ resolutionMs: 1, limit: 4 });
+    for (let t = 0; t < 10; t++) history.add({ conid: 1, last: t }, t);
+    expect(history.get(1).last).toEqual([6, 7, 8, 9]);
+
+    history.reset();
+    expect(history.get(1)).toBeNull();
+  });
+});
@@ -0,0 +1,131 @@
+// Conid-keyed quote store living outside React state.
+//
+// LIVE_QUOTE / UL_LIVE_QUOTE updates are queued and applied once per animation frame;
+// only subscribers of a changed conid are notified, so a quote burst re-renders the
+// handful of cards on that contract instead of every trade in the list.
+
+// A hidden page gets no animation frames, but a panel popped out into its own window can
+// still be on screen – so a timer backs up every frame
+const BACKUP_FLUSH_MS = 250;
+
+const defaultSchedule =
+  typeof requestAnimationFrame === 'function'
+    ? (fn) => {
+      const handle = {};
+      const run = () => {
+        cancelAnimationFrame(handle.frame);
+        clearTimeout(handle.timer);
+        fn();
+      };
+      handle.frame = requestAnimationFrame(run);
+      handle.timer = setTimeout(run, BACKUP_FLUSH_MS);
+      return handle;
+    }
+    : (fn) => ({ timer: setTimeout(fn, 16) });
+
+const defaultCancel = (handle) => {
+  if (handle.frame !== undefined) cancelAnimationFrame(handle.frame);
+  clearTimeout(handle.timer);
+};
+
+export function createQuoteStore({ schedule = defaultSchedule, cancel = defaultCancel } = {}) {
+  // kind ('quote' | 'ul') → Map<conid string, quote & { receivedAt }>
+  const maps = { quote: new Map(), ul: new Map() };
+  const pending = { quote: new Map(), ul: new Map() };
+  const listeners = { quote: new Map(), ul: new Map() };
+  const globalListeners = new Set();
+  let frame = null;
+  let version = 0;
+  let snapshot = null;
+
+  const notify = (kind, conid) => {
+    const set = listeners[kind].get(conid);
+    if (set) for (const fn of set) fn();
+  };
+
+  const flush = () => {
+    frame = null;
+    const changed = [];
+    for (const kind of ['quote', 'ul']) {
+      if (!pending[kind].size) continue;
+      for (const [conid, quote] of pending[kind]) {
+        maps[kind].set(conid, quote);
+        changed.push([kind, conid]);
+      }
+      pending[kind].clear();
+    }
+    if (!changed.length) return;
+    version += 1;
+    for (const [kind, conid] of changed) notify(kind, conid);
+    for (const fn of globalListeners) fn();
+  };
+
+  const subscribeTo = (kind) => (conid, fn) => {
+    const key = String(conid);
+    let set = listeners[kind].get(key);
+    if (!set) {
+      set = new Set();
+      listeners[kind].set(key, set);
+    }
+    set.add(fn);
+    return () => {
+      set.delete(fn);
+      if (!set.size) listeners[kind].delete(key);
+    };
+  };
+
+  return {
+    // Queue a LIVE_QUOTE ('quote') or UL_LIVE_QUOTE ('ul'); latest per conid wins within a frame
+    push(kind, data, receivedAt) {
+      pending[kind].set(String(data.conid), { ...data, receivedAt });
+      if (frame === null) frame = schedule(flush);
+    },
+
+    flush() {
+      if (frame !== null) cancel(frame);
+      flush();
+    },
+
+    getQuote: (conid) => maps.quote.get(String(conid)),
+    getUlQuote: (conid) => maps.ul.get(String(conid)),
+    subscribeQuote: subscribeTo('quote'),
+    subscribeUlQuote: subscribeTo('ul'),
+
+    subscribeAll(fn) {
+      globalListeners.add(fn);
+      return () => globalListeners.delete(fn);
+    },
+
+    getVersion: () => version,
+
+    // { quotes, ulQuotes } as plain objects, rebuilt at most once per flushed frame
+    getSnapshot() {
+      if (!snapshot || snapshot.version !== version) {
+        snapshot = {
+          version,
+          quotes: Object.fromEntries(maps.quote),
+          ulQuotes: Object.fromEntries(maps.ul),
+        };
+      }
+      return snapshot;
+    },
+
+    getCounts: () => ({ quotes: maps.quote.size, ulQuotes: maps.ul.size }),
+
+    clear() {
+      if (frame !== null) cancel(frame);
+      frame = null;
+      pending.quote.clear();
+      pending.ul.clear();
+      const cleared = [
+        ...[...maps.quote.keys()].map(conid => ['quote', conid]),
+        ...[...maps.ul.keys()].map(conid => ['ul', conid]),
+      ];
+      maps.quote.clear();
+      maps.ul.clear();
+      version += 1;
+      for (const [kind, conid] of cleared) notify(kind, conid);
+      for (const fn of globalListeners) fn();
+    },
+  };
+}
@@ -0,0 +1,91 @@
+import { createQuoteStore } from './quoteStore.js';
+import { fixtureMessage } from '../test/fixtures.js';
+
+// Manual frame scheduler so tests decide when a frame ends
+const manualFrames = () => {
+  let queued = [];
+  return {
+    schedule: (fn) => queued.push(fn),
+    cancel: () => { queued = []; },
+    tick: () => {
+      const due = queued;
+      queued = [];
+      due.forEach(fn => fn());
+    },
+  };
+};
+
+describe('quoteStore', () => {
+  test('batches updates until the next frame, latest quote per conid wins', () => {
+    const frames = manualFrames();
+    const store = createQuoteStore(frames);
+    const quote = fixtureMessage('LIVE_QUOTE').msg;
+
+    store.push('quote', quote, 1);
+    store.push('quote', { ...quote, last: 2.4 }, 2);
+    expect(store.getQuote(7001)).toBeUndefined();
+
+    frames.tick();
+    expect(store.getQuote(7001)).toMatchObject({ last: 2.4, receivedAt: 2 });
+    expect(store.getVersion()).toBe(1);
+  });
+
+  test('notifies only subscribers of the changed conid', () => {
+    const frames = manualFrames();
+    const store = createQuoteStore(frames);
+    const onSpy = vi.fn();
+    const onQqq = vi.fn();
+    const onAll = vi.fn();
+    store.subscribeQuote(7001, onSpy);
+    store.subscribeQuote('7002', onQqq);
+    store.subscribeAll(onAll);
+
+    for (let i = 0; i < 50; i++) store.push('quote', { conid: 7001, last: 2 + i / 100 }, i);
+    frames.tick();
+
+    expect(onSpy).toHaveBeenCalledTimes(1);
+    expect(onQqq).not.toHaveBeenCalled();
+    expect(onAll).toHaveBeenCalledTimes(1);
+  });
+
+  test('keeps option and underlying quotes apart', () => {
+    const frames = manualFrames();
+    const store = createQuoteStore(frames);
+    store.push('ul', fixtureMessage('UL_LIVE_QUOTE').msg, 5);
+    frames.tick();
+
+    expect(store.getUlQuote(756733).last).toBe(578.42);
+    expect(store.getQuote(756733)).toBeUndefined();
+    expect(store.getCounts()).toEqual({ quotes: 0, ulQuotes: 1 });
+  });
+
+  test('snapshot is cached until the next change', () => {
+    const frames = manualFrames();
+    const store = createQuoteStore(frames);
+    store.push('quote', { conid: 1, last: 1 }, 1);
+    frames.tick();
+
+    const first = store.getSnapshot();
+    expect(store.getSnapshot()).toBe(first);
+    expect(first.quotes['1'].last).toBe(1);
+
+    store.push('quote', { conid: 1, last: 2 }, 2);
+    frames.tick();
+    expect(store.getSnapshot()).not.toBe(first);
+  });
+
+  test('clear drops pending and stored quotes and notifies', () => {
+    const frames = manualFrames();
+    const store = createQuoteStore(frames);
+    const listener = vi.fn();
+    store.push('quote', { conid: 1, last: 1 }, 1);
+    frames.tick();
+    store.subscribeQuote(1, listener);
+    store.push('quote', { conid: 1, last: 3 }, 2);
+
+    store.clear();
+    frames.tick();
+    expect(store.getQuote(1)).toBeUndefined();
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,46 @@
+// Per-stream history retention. Rows beyond the limit are either dropped or spilled
+// to IndexedDB (historyArchive.js) so a full session stays browsable.
+
+const STORAGE_KEY = 'optionsFlow.retention';
+
+export const LIST_STREAMS = ['trades', 'prints', 'autoTrades'];
+export const OVERFLOW_POLICIES = ['spill', 'drop'];
+export const RETENTION_MIN = 50;
+export const RETENTION_MAX = 200000;
+
+export const DEFAULT_RETENTION = {
+  limits: { trades: 5000, prints: 20000, autoTrades: 1000 },
+  overflow: 'spill',
+};
+
+const clampLimit = (value, fallback) => {
+  const n = Math.round(Number(value));
+  if (!Number.isFinite(n)) return fallback;
+  return Math.min(RETENTION_MAX, Math.max(RETENTION_MIN, n));
+};
+
+export function normalizeRetention(retention) {
+  const limits = {};
+  for (const stream of LIST_STREAMS) {
+    limits[stream] = clampLimit(retention?.limits?.[stream], DEFAULT_RETENTION.limits[stream]);
+  }
+  const overflow = OVERFLOW_POLICIES.includes(retention?.overflow) ? retention.overflow : DEFAULT_RETENTION.overflow;
+  return { limits, overflow };
+}
+
+export function loadRetention() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    return normalizeRetention(raw ? JSON.parse(raw) : DEFAULT_RETENTION);
+  } catch {
+    return DEFAULT_RETENTION;
+  }
+}
+
+export function saveRetention(retention) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(retention));
+  } catch {
+    // storage full or disabled – settings just won't persist
+  }
+}
@@ -0,0 +1,37 @@
+// Whole-session export: every row of every stream – the worker's in-memory lists plus
+// whatever the retention limit spilled to the archive – and the quotes, one file per stream,
+// oldest row first.
+
+import { LIST_STREAMS } from './retention.js';
+import { loadAllArchivedRows } from './historyArchive.js';
+import { idbAvailable } from './idb.js';
+import {
+  QUOTE_COLUMNS,
+  buildQuoteRecords,
+  buildRowRecords,
+  downloadText,
+  exportFileName,
+  serializeRecords,
+} from './exportRows.js';
+
+// requestRows: useFlowStore's action; quoteStore: the UI quote store. → files written
+export async function exportSession({ requestRows, archiveScope, quoteStore, conidMapping, format, date = new Date() }) {
+  const rows = await requestRows();
+  if (!rows) return 0;
+  let files = 0;
+  for (const stream of LIST_STREAMS) {
+    const archived = idbAvailable() ? await loadAllArchivedRows(archiveScope, stream) : [];
+    // both newest first; the archive holds the older rows
+    const all = [...rows[stream], ...archived].reverse();
+    if (!all.length) continue;
+    const records = buildRowRecords(stream, all, quoteStore.getQuote);
+    downloadText(exportFileName(`session-${stream}`, format, date), serializeRecords(records, format), format);
+    files += 1;
+  }
+  const quotes = buildQuoteRecords(quoteStore.getSnapshot(), conidMapping);
+  if (quotes.length) {
+    downloadText(exportFileName('session-quotes', format, date), serializeRecords(quotes, format, QUOTE_COLUMNS), format);
+    files += 1;
+  }
+  return files;
+}
@@ -0,0 +1,113 @@
+// Session recording: every message handled from the live socket, with its receive time,
+// written to IndexedDB in small batches. Sessions can be exported/imported as NDJSON
+// (one `{"t":<ms>,"msg":{...}}` object per line) and fed back through the replayer.
+
+import { openFlowDb, requestToPromise, withStore } from './idb.js';
+
+const FLUSH_INTERVAL_MS = 1000;
+
+export function createSessionRecorder({ label = '', serverUrl = '' } = {}) {
+  const session = {
+    id: `rec-${Date.now().toString(36)}`,
+    label,
+    serverUrl,
+    startedAt: Date.now(),
+    endedAt: null,
+    count: 0,
+  };
+  let pending = [];
+  let seq = 0;
+  let stopped = false;
+  let flushing = Promise.resolve();
+
+  const flush = () => {
+    if (!pending.length) return flushing;
+    const batch = pending;
+    pending = [];
+    flushing = flushing
+      .then(() =>
+        withStore('recordedMessages', 'readwrite', (store) => {
+          for (const row of batch) store.put(row);
+        })
+      )
+      .catch((err) => console.error('Recorder flush failed', err));
+    return flushing;
+  };
+
+  const ready = withStore('sessions', 'readwrite', (store) => store.put(session))
+    .catch((err) => console.error('Recorder session write failed', err));
+  const timer = setInterval(flush, FLUSH_INTERVAL_MS);
+
+  return {
+    session,
+
+    record(msg, t) {
+      if (stopped) return;
+      pending.push({ sessionId: session.id, seq: seq++, t, msg });
+      session.count = seq;
+    },
+
+    async stop() {
+      if (stopped) return session;
+      stopped = true;
+      clearInterval(timer);
+      await ready;
+      await flush();
+      session.endedAt = Date.now();
+      await withStore('sessions', 'readwrite', (store) => store.put({ ...session }));
+      return session;
+    },
+  };
+}
+
+export async function listSessions() {
+  const sessions = await withStore('sessions', 'readonly', (store) => requestToPromise(store.getAll()));
+  return sessions.sort((a, b) => b.startedAt - a.startedAt);
+}
+
+// → [{ t, msg }] in receive order
+export async function loadSessionMessages(sessionId) {
+  const db = await openFlowDb();
+  const tx = db.transaction('recordedMessages', 'readonly');
+  const rows = await requestToPromise(
+    tx.objectStore('recordedMessages').index('sessionId').getAll(IDBKeyRange.only(sessionId))
+  );
+  return rows.sort((a, b) => a.seq - b.seq).map(({ t, msg }) => ({ t, msg }));
+}
+
+export async function deleteSession(sessionId) {
+  await withStore('recordedMessages', 'readwrite', (store) =>
+    store.delete(IDBKeyRange.bound([sessionId, 0], [sessionId, Infinity]))
+  );
+  await withStore('sessions', 'readwrite', (store) => store.delete(sessionId));
+}
+
+export function toNdjson(messages) {
+  return messages.map(({ t, msg }) => JSON.stringify({ t, msg })).join('\n') + '\n';
+}
+
+// Accepts our own export; blank and malformed lines are skipped
+export function parseNdjson(text) {
+  const messages = [];
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const row = JSON.parse(line);
+      if (typeof row.t === 'number' && row.msg && typeof row.msg === 'object') {
+        messages.push({ t: row.t, msg: row.msg });
+      }
+    } catch {
+      // ignore
+    }
+  }
+  return messages.sort((a, b) => a.t - b.t);
+}
+
+export function downloadText(filename, text, type = 'application/x-ndjson') {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
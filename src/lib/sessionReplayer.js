@@ -0,0 +1,93 @@
+// Replays recorded { t, msg } messages through the same dispatch path as the live socket.
+//
+// Timing follows the recorded receive times divided by the speed. Long quiet stretches
+// (lunch, halts) are capped so replay doesn't sit idle. Seeking resets the app state and
+// re-applies everything before the target synchronously, so state is identical to live.
+
+export const REPLAY_SPEEDS = [1, 5, 20];
+const MAX_IDLE_MS = 5000;
+
+export function createReplayer({ messages, onMessage, onReset, onProgress = () => {} }) {
+  let index = 0; // next message to apply
+  let speed = 1;
+  let playing = false;
+  let timer = null;
+
+  const report = () =>
+    onProgress({
+      index,
+      total: messages.length,
+      playing,
+      speed,
+      t: index > 0 ? messages[index - 1].t : messages[0]?.t ?? null,
+    });
+
+  const applyNext = () => {
+    const { t, msg } = messages[index];
+    index += 1;
+    onMessage(msg, t);
+  };
+
+  const scheduleNext = () => {
+    clearTimeout(timer);
+    if (!playing) return;
+    if (index >= messages.length) {
+      playing = false;
+      report();
+      return;
+    }
+    const prevT = messages[index - 1]?.t ?? messages[index].t;
+    const wait = Math.min(MAX_IDLE_MS, Math.max(0, messages[index].t - prevT)) / speed;
+    timer = setTimeout(() => {
+      // apply every message due in the same tick to avoid one timer per message
+      const dueT = messages[index].t;
+      while (index < messages.length && messages[index].t <= dueT) applyNext();
+      report();
+      scheduleNext();
+    }, wait);
+  };
+
+  return {
+    play() {
+      if (index >= messages.length) return;
+      playing = true;
+      report();
+      scheduleNext();
+    },
+
+    pause() {
+      playing = false;
+      clearTimeout(timer);
+      report();
+    },
+
+    step() {
+      this.pause();
+      if (index < messages.length) applyNext();
+      report();
+    },
+
+    setSpeed(next) {
+      speed = next;
+      report();
+      if (playing) scheduleNext();
+    },
+
+    seek(target) {
+      const to = Math.max(0, Math.min(messages.length, target));
+      clearTimeout(timer);
+      if (to < index) {
+        onReset();
+        index = 0;
+      }
+      while (index < to) applyNext();
+      report();
+      if (playing) scheduleNext();
+    },
+
+    dispose() {
+      playing = false;
+      clearTimeout(timer);
+    },
+  };
+}
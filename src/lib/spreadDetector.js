@@ -0,0 +1,271 @@
+// Multi-leg detection: prints on the same underlying with the same size, arriving within
+// windowMs of each other, are grouped into a candidate strategy (vertical, calendar, straddle,
+// risk reversal, …) with one combined net premium, net delta and stance. The stance is judged
+// like any flow (classifyFlow): on the legs' delta-dollars, against the symbol's thresholds.
+//
+// Same size within a second is weak evidence on a busy name, so a group is only `confirmed`
+// as one complex order when every leg carries the same feed timestamp (exchange time).
+// Unconfirmed groups are for display only: legs keep their reported sides.
+//
+// Legs of a complex order are often all reported on the package's side. Where a confirmed
+// group's structure says the legs must be on opposite sides (verticals, calendars, diagonals)
+// and they aren't, the cheaper leg is taken to be the other side. The delta windows were fed
+// the reported sides as the legs arrived, so add() returns the correction to apply to them.
+//
+// Leg identity is legKey(trade): conid + receive time + size, which the list rows keep.
+
+import { classifyFlow, deltaDollars, signedDelta, stanceThreshold, buySellSide } from './flowMath.js';
+
+export const SPREAD_WINDOW_MS = 1000;
+// groups kept (and sent to the UI); the oldest are dropped first
+export const SPREAD_LIMIT = 1000;
+const MAX_LEGS = 4;
+
+export const SPREAD_STRATEGIES = {
+  vertical: 'Vertical',
+  calendar: 'Calendar',
+  diagonal: 'Diagonal',
+  straddle: 'Straddle',
+  strangle: 'Strangle',
+  riskReversal: 'Risk reversal',
+  synthetic: 'Synthetic',
+  butterfly: 'Butterfly',
+  condor: 'Condor',
+  ironButterfly: 'Iron butterfly',
+  ironCondor: 'Iron condor',
+  custom: 'Custom',
+};
+
+// strategies whose legs are on opposite sides by construction
+const OPPOSED = new Set(['vertical', 'calendar', 'diagonal']);
+
+const FLIPPED_DIRECTION = { BTO: 'STO', STO: 'BTO', BTC: 'STC', STC: 'BTC' };
+
+export const legKey = (t) => `${t.conid}:${t.receivedAt}:${t.size}`;
+
+const rightOf = (t) => t.right ?? (t.type === 'PUT' ? 'P' : 'C');
+const distinct = (values) => new Set(values).size;
+
+// legs: [{ right, strike, expiry, side }] → strategy id
+export function classifySpread(legs) {
+  const rights = legs.map(l => l.right);
+  const sameExpiry = distinct(legs.map(l => l.expiry)) === 1;
+  const strikes = distinct(legs.map(l => l.strike));
+
+  if (legs.length === 2) {
+    const [a, b] = legs;
+    if (a.right === b.right) {
+      if (sameExpiry) return 'vertical';
+      return a.strike === b.strike ? 'calendar' : 'diagonal';
+    }
+    if (!sameExpiry) return 'custom';
+    const sameSide = a.side === b.side;
+    if (a.strike === b.strike) return sameSide ? 'straddle' : 'synthetic';
+    return sameSide ? 'strangle' : 'riskReversal';
+  }
+  if (!sameExpiry) return 'custom';
+  const calls = rights.filter(r => r === 'C').length;
+  if (legs.length === 3 && (calls === 3 || calls === 0) && strikes === 3) return 'butterfly';
+  if (legs.length === 4) {
+    if (calls === 2) return strikes === 4 ? 'ironCondor' : 'ironButterfly';
+    if ((calls === 4 || calls === 0) && strikes === 4) return 'condor';
+  }
+  return 'custom';
+}
+
+// A leg as the group keeps it; buildGroup may flip its side
+function toLeg(trade) {
+  const side = buySellSide(trade);
+  return {
+    key: legKey(trade),
+    conid: trade.conid,
+    right: rightOf(trade),
+    strike: trade.strike,
+    expiry: trade.expiry,
+    size: trade.size,
+    price: trade.optionPrice,
+    premium: Number(trade.premium) || 0,
+    direction: trade.direction ?? null,
+    reportedSide: side,
+    side,
+    flipped: false,
+    reportedDelta: signedDelta(trade),
+    exchangeTime: trade.timestamp ?? null,
+    trade,
+  };
+}
+
+function flipLeg(leg) {
+  const trade = leg.trade;
+  const flippedTrade = trade.direction in FLIPPED_DIRECTION
+    ? { ...trade, direction: FLIPPED_DIRECTION[trade.direction] }
+    : { ...trade, direction: undefined, aggressor: !(trade.aggressor === true || trade.aggressor === 'BUY-agg') };
+  return { ...leg, side: -leg.reportedSide, flipped: true, direction: flippedTrade.direction ?? null, correctedTrade: flippedTrade };
+}
+
+// stance of the group's net delta-dollars under the symbol's thresholds (stanceSettings.js)
+const withStance = (group, settings) => ({
+  ...group,
+  stance: classifyFlow(group, stanceThreshold(settings, group.symbol)),
+});
+
+// Recompute strategy, sides and the combined figures from the group's legs
+function buildGroup(group, settings) {
+  let legs = group.legs.map(l => ({ ...l, side: l.reportedSide, flipped: false, direction: l.trade.direction ?? null, correctedTrade: null }));
+  let strategy = classifySpread(legs);
+  const confirmed = legs[0].exchangeTime != null && legs.every(l => l.exchangeTime === legs[0].exchangeTime);
+  if (confirmed && OPPOSED.has(strategy) && legs[0].side === legs[1].side) {
+    const cheaper = (legs[0].price ?? 0) <= (legs[1].price ?? 0) ? 0 : 1;
+    legs = legs.map((l, i) => (i === cheaper ? flipLeg(l) : l));
+    strategy = classifySpread(legs);
+  }
+  const netDelta = legs.reduce((sum, l) => sum + signedDelta(l.correctedTrade ?? l.trade), 0);
+  const dollars = legs.map(l => deltaDollars(l.correctedTrade ?? l.trade));
+  const reported = legs.reduce((sum, l) => sum + l.reportedDelta, 0);
+  return withStance({
+    ...group,
+    legs,
+    strategy,
+    label: SPREAD_STRATEGIES[strategy],
+    confirmed,
+    // positive = net debit paid
+    netPremium: legs.reduce((sum, l) => sum + l.side * l.premium, 0),
+    netDelta,
+    netDollars: dollars.reduce((sum, d) => sum + d, 0),
+    grossDollars: dollars.reduce((sum, d) => sum + Math.abs(d), 0),
+    deltaCorrection: netDelta - reported,
+  }, settings);
+}
+
+// What the UI gets: legs without the raw trades
+const viewOf = (group) => ({
+  id: group.id,
+  symbol: group.symbol,
+  size: group.size,
+  strategy: group.strategy,
+  label: group.label,
+  confirmed: group.confirmed,
+  netPremium: group.netPremium,
+  netDelta: group.netDelta,
+  netDollars: group.netDollars,
+  stance: group.stance,
+  firstAt: group.firstAt,
+  lastAt: group.lastAt,
+  legs: group.legs.map(l => ({
+    key: l.key,
+    conid: l.conid,
+    right: l.right,
+    strike: l.strike,
+    expiry: l.expiry,
+    size: l.size,
+    price: l.price,
+    premium: l.premium,
+    direction: l.direction,
+    side: l.side,
+    flipped: l.flipped,
+  })),
+});
+
+export function createSpreadDetector({ windowMs = SPREAD_WINDOW_MS, limit = SPREAD_LIMIT } = {}) {
+  let recent = []; // { trade, t, groupId }, oldest first, within windowMs of the newest
+  let groups = new Map(); // id → group, oldest first
+  let nextId = 1;
+  let version = 0;
+  let stanceSettings = null;
+  let cache = { version: -1, view: { groups: {}, byLeg: {} } };
+
+  return {
+    // → correction to the net delta already counted for trade.symbol (0 when none)
+    add(trade, receivedAt) {
+      if (!trade.symbol || !trade.size || trade.conid == null) return 0;
+      const leg = { ...trade, receivedAt };
+      recent = recent.filter(r => receivedAt - r.t <= windowMs);
+
+      const matches = (r) => r.trade.symbol === trade.symbol && r.trade.size === trade.size && r.trade.conid !== trade.conid;
+      let group = null;
+      // join the most recent open group this leg fits
+      for (let i = recent.length - 1; i >= 0 && !group; i--) {
+        const r = recent[i];
+        if (!r.groupId || !matches(r)) continue;
+        const candidate = groups.get(r.groupId);
+        if (candidate && candidate.legs.length < MAX_LEGS && !candidate.legs.some(l => l.conid === trade.conid)) group = candidate;
+      }
+      let partner = null;
+      if (!group) {
+        for (let i = recent.length - 1; i >= 0 && !partner; i--) {
+          if (!recent[i].groupId && matches(recent[i])) partner = recent[i];
+        }
+      }
+
+      const entry = { trade: leg, t: receivedAt, groupId: null };
+      recent.push(entry);
+      if (!group && !partner) return 0;
+
+      let previousCorrection = 0;
+      if (group) {
+        previousCorrection = group.deltaCorrection;
+        group = buildGroup({ ...group, legs: [...group.legs, toLeg(leg)], lastAt: receivedAt }, stanceSettings);
+      } else {
+        const id = nextId++;
+        partner.groupId = id;
+        group = buildGroup({ id, symbol: trade.symbol, size: trade.size, legs: [toLeg(partner.trade), toLeg(leg)], firstAt: partner.t, lastAt: receivedAt }, stanceSettings);
+      }
+      entry.groupId = group.id;
+      groups.delete(group.id);
+      groups.set(group.id, group);
+      while (groups.size > limit) groups.delete(groups.keys().next().value);
+      version += 1;
+      return group.deltaCorrection - previousCorrection;
+    },
+
+    // Per-symbol stance thresholds (stanceSettings.js); groups already found are re-judged
+    setStanceSettings(settings) {
+      stanceSettings = settings;
+      for (const [id, group] of groups) groups.set(id, withStance(group, settings));
+      version += 1;
+    },
+
+    // { groups: id → group, byLeg: legKey → group id } (same object until something changes)
+    getView() {
+      if (cache.version !== version) {
+        const view = { groups: {}, byLeg: {} };
+        for (const group of groups.values()) {
+          view.groups[group.id] = viewOf(group);
+          for (const leg of group.legs) view.byLeg[leg.key] = group.id;
+        }
+        cache = { version, view };
+      }
+      return cache.view;
+    },
+
+    reset() {
+      recent = [];
+      groups = new Map();
+      version += 1;
+    },
+  };
+}
+
+// Trade rows (newest first) with each detected spread's legs folded into one
+// { type: 'SPREAD', id, spread, legs: [rows] } row at its newest leg's position
+export function groupSpreadRows(rows, spreads) {
+  if (!spreads?.groups || !Object.keys(spreads.groups).length) return rows;
+  const out = [];
+  const placed = new Map();
+  for (const row of rows) {
+    const id = row.type === 'GAP' ? undefined : spreads.byLeg[legKey(row)];
+    const spread = id !== undefined ? spreads.groups[id] : undefined;
+    if (!spread) {
+      out.push(row);
+      continue;
+    }
+    let entry = placed.get(id);
+    if (!entry) {
+      entry = { type: 'SPREAD', id: `spread-${id}`, spread, legs: [] };
+      placed.set(id, entry);
+      out.push(entry);
+    }
+    entry.legs.push(row);
+  }
+  return out;
+}
@@ -0,0 +1,84 @@
+import { classifySpread, createSpreadDetector, groupSpreadRows, legKey } from './spreadDetector.js';
+
+const leg = (fields) => ({
+  conid: 1, symbol: 'SPY', type: 'CALL', right: 'C', strike: 580, expiry: '20251128', size: 100,
+  optionPrice: 2, premium: 20_000, direction: 'BTO', greeks: { delta: 0.5 },
+  ...fields,
+});
+
+describe('spreadDetector', () => {
+  test('classifies common structures', () => {
+    const c = (strike, side, expiry = 'E1') => ({ right: 'C', strike, expiry, side });
+    const p = (strike, side, expiry = 'E1') => ({ right: 'P', strike, expiry, side });
+    expect(classifySpread([c(580, 1), c(590, -1)])).toBe('vertical');
+    expect(classifySpread([c(580, -1), c(580, 1, 'E2')])).toBe('calendar');
+    expect(classifySpread([c(580, 1), p(580, 1)])).toBe('straddle');
+    expect(classifySpread([c(590, 1), p(570, -1)])).toBe('riskReversal');
+    expect(classifySpread([c(590, 1), p(570, 1)])).toBe('strangle');
+    expect(classifySpread([p(560, 1), p(570, -1), c(590, -1), c(600, 1)])).toBe('ironCondor');
+  });
+
+  test('same-size legs within the window become one vertical with combined figures', () => {
+    const detector = createSpreadDetector({ windowMs: 1000 });
+    expect(detector.add(leg({ conid: 1, strike: 580, optionPrice: 3, premium: 30_000, timestamp: 5 }), 0)).toBe(0);
+    // same exchange time, reported on the same side as the first leg: the cheaper leg is taken as sold
+    const correction = detector.add(leg({ conid: 2, strike: 590, optionPrice: 1, premium: 10_000, greeks: { delta: 0.3 }, timestamp: 5 }), 200);
+    // the 590 leg counted +3000 as bought, it's -3000 as sold
+    expect(correction).toBe(-6000);
+
+    const { groups, byLeg } = detector.getView();
+    const [spread] = Object.values(groups);
+    expect(spread).toMatchObject({ strategy: 'vertical', label: 'Vertical', confirmed: true, netPremium: 20_000, netDelta: 2000 });
+    expect(spread.legs.map(l => [l.strike, l.side, l.flipped])).toEqual([[580, 1, false], [590, -1, true]]);
+    expect(byLeg[legKey({ conid: 2, receivedAt: 200, size: 100 })]).toBe(spread.id);
+  });
+
+  test('stance is judged on delta-dollars against the symbol\'s thresholds', () => {
+    const detector = createSpreadDetector();
+    // straddle, +0.5 and -0.4 delta bought: net 10 × 100 × 0.1 = 100 Δ ≈ $58k Δ$ of $522k gross
+    detector.add(leg({ conid: 1, size: 10, underlyingPrice: 580 }), 0);
+    detector.add(leg({ conid: 2, size: 10, type: 'PUT', right: 'P', greeks: { delta: -0.4 }, underlyingPrice: 580 }), 10);
+    const spread = () => Object.values(detector.getView().groups)[0];
+    expect(spread().netDollars).toBeCloseTo(58_000);
+    // under the default $250k floor
+    expect(spread().stance).toBe('NEUTRAL');
+
+    detector.setStanceSettings({ symbols: { SPY: { minDeltaDollars: 50_000, imbalance: 0.1 } } });
+    expect(spread().stance).toBe('BULL');
+  });
+
+  test('unrelated same-size prints are grouped for display but not re-sided', () => {
+    const detector = createSpreadDetector({ windowMs: 1000 });
+    detector.add(leg({ conid: 1, strike: 580, optionPrice: 3, timestamp: 5 }), 0);
+    expect(detector.add(leg({ conid: 2, strike: 590, optionPrice: 1, greeks: { delta: 0.3 }, timestamp: 180 }), 200)).toBe(0);
+
+    const [spread] = Object.values(detector.getView().groups);
+    expect(spread.confirmed).toBe(false);
+    expect(spread.legs.map(l => [l.side, l.flipped, l.direction])).toEqual([[1, false, 'BTO'], [1, false, 'BTO']]);
+    expect(spread.netDelta).toBe(8000);
+  });
+
+  test('different sizes or prints outside the window are not grouped', () => {
+    const detector = createSpreadDetector({ windowMs: 1000 });
+    detector.add(leg({ conid: 1 }), 0);
+    detector.add(leg({ conid: 2, size: 50 }), 100);
+    detector.add(leg({ conid: 3 }), 1500);
+    detector.add(leg({ conid: 4, symbol: 'QQQ' }), 1600);
+    expect(detector.getView().groups).toEqual({});
+  });
+
+  test('grouped rows fold into one SPREAD row at the newest leg', () => {
+    const detector = createSpreadDetector();
+    detector.add(leg({ conid: 1, type: 'CALL', right: 'C', strike: 590 }), 0);
+    detector.add(leg({ conid: 2, type: 'PUT', right: 'P', strike: 570, direction: 'STO' }), 10);
+    const rows = [
+      { id: 3, conid: 9, receivedAt: 20, size: 5 },
+      { id: 2, conid: 2, receivedAt: 10, size: 100 },
+      { id: 1, conid: 1, receivedAt: 0, size: 100 },
+    ];
+    const grouped = groupSpreadRows(rows, detector.getView());
+    expect(grouped.map(r => r.type ?? r.id)).toEqual([3, 'SPREAD']);
+    expect(grouped[1].spread.strategy).toBe('riskReversal');
+    expect(grouped[1].legs.map(r => r.id)).toEqual([2, 1]);
+  });
+});
@@ -0,0 +1,51 @@
+// Stance thresholds for flowMath.classifyFlow: a default plus per-symbol overrides, so a
+// thin name can go BULL on less delta-dollars than SPY needs.
+
+import { DEFAULT_STANCE_THRESHOLD } from './flowMath.js';
+
+const STORAGE_KEY = 'optionsFlow.stanceThresholds';
+
+export const DEFAULT_STANCE_SETTINGS = {
+  default: DEFAULT_STANCE_THRESHOLD,
+  symbols: {},
+};
+
+const clampNumber = (value, min, max, fallback) => {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return fallback;
+  return Math.min(max, Math.max(min, n));
+};
+
+export function normalizeThreshold(threshold, fallback = DEFAULT_STANCE_THRESHOLD) {
+  return {
+    minDeltaDollars: Math.round(clampNumber(threshold?.minDeltaDollars, 0, 1e12, fallback.minDeltaDollars)),
+    imbalance: clampNumber(threshold?.imbalance, 0, 1, fallback.imbalance),
+  };
+}
+
+export function normalizeStanceSettings(settings) {
+  const base = normalizeThreshold(settings?.default);
+  const symbols = {};
+  for (const [symbol, threshold] of Object.entries(settings?.symbols ?? {})) {
+    const key = symbol.trim().toUpperCase();
+    if (key) symbols[key] = normalizeThreshold(threshold, base);
+  }
+  return { default: base, symbols };
+}
+
+export function loadStanceSettings() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    return normalizeStanceSettings(raw ? JSON.parse(raw) : DEFAULT_STANCE_SETTINGS);
+  } catch {
+    return DEFAULT_STANCE_SETTINGS;
+  }
+}
+
+export function saveStanceSettings(settings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch {
+    // storage full or disabled – settings just won't persist
+  }
+}
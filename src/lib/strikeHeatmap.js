@@ -0,0 +1,113 @@
+// Strike × expiry pivot of the trade stream, per underlying, for the Heatmap tab.
+//
+// Every CALL/PUT is added once as it arrives (like the delta windows), so the grid covers
+// the whole session rather than the capped trade list. A cell keeps bought and sold premium
+// for calls and puts separately plus net delta, and cellValue() folds that into one number
+// where positive is bullish (calls bought / puts sold) and negative bearish. Bought / sold
+// comes from direction, then aggressor (buySellSide in flowMath.js).
+
+import { buySellSide, signedDelta } from './flowMath.js';
+
+export const HEATMAP_METRICS = [
+  { id: 'premium', label: 'Net premium' },
+  { id: 'delta', label: 'Net delta' },
+];
+
+export const HEATMAP_RIGHTS = [
+  { id: 'all', label: 'Calls + puts' },
+  { id: 'C', label: 'Calls' },
+  { id: 'P', label: 'Puts' },
+];
+
+const emptyCell = () => ({ callBought: 0, callSold: 0, putBought: 0, putSold: 0, callDelta: 0, putDelta: 0, count: 0 });
+
+export const cellKey = (expiry, strike) => `${expiry}|${strike}`;
+
+// One number per cell for colouring; positive = bullish
+export function cellValue(cell, metric, right = 'all') {
+  if (!cell) return 0;
+  if (metric === 'delta') {
+    if (right === 'C') return cell.callDelta;
+    if (right === 'P') return cell.putDelta;
+    return cell.callDelta + cell.putDelta;
+  }
+  const calls = cell.callBought - cell.callSold;
+  const puts = cell.putBought - cell.putSold;
+  if (right === 'C') return calls;
+  if (right === 'P') return -puts;
+  return calls - puts;
+}
+
+export function createHeatmapAggregator() {
+  // symbol → { underlyingConid, underlyingPrice, cells: Map<key, cell>, strikes: Set, expiries: Set, version }
+  let bySymbol = new Map();
+  let symbols = [];
+  const gridCache = new Map(); // symbol → { version, grid }
+
+  return {
+    add(trade) {
+      const { symbol, strike, expiry } = trade;
+      if (!symbol || strike == null || !expiry) return;
+      let entry = bySymbol.get(symbol);
+      if (!entry) {
+        entry = { underlyingConid: null, underlyingPrice: null, cells: new Map(), strikes: new Set(), expiries: new Set(), version: 0 };
+        bySymbol.set(symbol, entry);
+        symbols = [...bySymbol.keys()].sort();
+      }
+      if (trade.underlyingConid != null) entry.underlyingConid = trade.underlyingConid;
+      if (trade.underlyingPrice != null) entry.underlyingPrice = trade.underlyingPrice;
+
+      const key = cellKey(expiry, strike);
+      const cell = entry.cells.get(key) || emptyCell();
+      const premium = Number(trade.premium) || 0;
+      const bought = buySellSide(trade) > 0;
+      const isCall = trade.type === 'CALL' || trade.right === 'C';
+      if (isCall) {
+        if (bought) cell.callBought += premium;
+        else cell.callSold += premium;
+        cell.callDelta += signedDelta(trade);
+      } else {
+        if (bought) cell.putBought += premium;
+        else cell.putSold += premium;
+        cell.putDelta += signedDelta(trade);
+      }
+      cell.count += 1;
+      entry.cells.set(key, cell);
+      entry.strikes.add(Number(strike));
+      entry.expiries.add(String(expiry));
+      entry.version += 1;
+    },
+
+    // Underlyings seen so far, sorted; same array until a new one shows up
+    getSymbols() {
+      return symbols;
+    },
+
+    // → { symbol, underlyingConid, underlyingPrice, strikes (high → low), expiries (near → far), cells }
+    // Same object until the symbol's next trade.
+    getGrid(symbol) {
+      const entry = bySymbol.get(symbol);
+      if (!entry) return null;
+      const cached = gridCache.get(symbol);
+      if (cached?.version === entry.version) return cached.grid;
+      const cells = {};
+      for (const [key, cell] of entry.cells) cells[key] = { ...cell };
+      const grid = {
+        symbol,
+        underlyingConid: entry.underlyingConid,
+        underlyingPrice: entry.underlyingPrice,
+        strikes: [...entry.strikes].sort((a, b) => b - a),
+        expiries: [...entry.expiries].sort(),
+        cells,
+      };
+      gridCache.set(symbol, { version: entry.version, grid });
+      return grid;
+    },
+
+    reset() {
+      bySymbol = new Map();
+      symbols = [];
+      gridCache.clear();
+    },
+  };
+}
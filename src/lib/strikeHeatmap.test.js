@@ -0,0 +1,57 @@
+import { cellKey, cellValue, createHeatmapAggregator } from './strikeHeatmap.js';
+import { buySellSide } from './flowMath.js';
+import { loadFixtureSession } from '../test/fixtures.js';
+
+const trade = (fields) => ({
+  symbol: 'SPY', type: 'CALL', strike: 580, expiry: '20251128', premium: 100_000, direction: 'BTO', size: 10, greeks: { delta: 0.5 },
+  ...fields,
+});
+
+describe('strikeHeatmap', () => {
+  test('side comes from direction, then aggressor', () => {
+    expect(buySellSide({ direction: 'BTC' })).toBe(1);
+    expect(buySellSide({ direction: 'STO', aggressor: true })).toBe(-1);
+    expect(buySellSide({ aggressor: true })).toBe(1);
+    expect(buySellSide({ aggressor: 'SELL-agg' })).toBe(-1);
+  });
+
+  test('pivots trades into strike × expiry cells per underlying', () => {
+    const heat = createHeatmapAggregator();
+    heat.add(trade({}));
+    heat.add(trade({ direction: 'STO', premium: 40_000 }));
+    heat.add(trade({ type: 'PUT', strike: 570, premium: 30_000 }));
+    heat.add(trade({ symbol: 'QQQ', expiry: '20251205' }));
+
+    expect(heat.getSymbols()).toEqual(['QQQ', 'SPY']);
+    const grid = heat.getGrid('SPY');
+    expect(grid.strikes).toEqual([580, 570]);
+    expect(grid.expiries).toEqual(['20251128']);
+
+    const call = grid.cells[cellKey('20251128', 580)];
+    expect(call).toMatchObject({ callBought: 100_000, callSold: 40_000, count: 2 });
+    expect(cellValue(call, 'premium')).toBe(60_000);
+
+    // bought puts are bearish
+    const put = grid.cells[cellKey('20251128', 570)];
+    expect(cellValue(put, 'premium')).toBe(-30_000);
+    expect(cellValue(put, 'premium', 'C')).toBe(0);
+    // BTO and STO of the same size cancel out in net delta
+    expect(cellValue(call, 'delta', 'C')).toBeCloseTo(0);
+  });
+
+  test('grids are cached until the symbol trades again', () => {
+    const heat = createHeatmapAggregator();
+    for (const { msg } of loadFixtureSession()) {
+      if (msg.type === 'CALL' || msg.type === 'PUT') heat.add(msg);
+    }
+    const grid = heat.getGrid('SPY');
+    expect(heat.getGrid('SPY')).toBe(grid);
+    heat.add(trade({ strike: 600 }));
+    expect(heat.getGrid('SPY')).not.toBe(grid);
+    expect(heat.getGrid('SPY').strikes[0]).toBe(600);
+
+    heat.reset();
+    expect(heat.getSymbols()).toEqual([]);
+    expect(heat.getGrid('SPY')).toBeNull();
+  });
+});
@@ -0,0 +1,117 @@
+// One underlying's page: everything the flow pipeline knows about a symbol, folded into one
+// view for the ticker page (#/ticker/NVDA).
+//
+//   series      – its flowSeries.js series (net delta history, cumulative call / put premium)
+//   premium     – { call, put, bull, bear } session totals, the series' last bucket
+//   topStrikes  – strikes by total premium across expiries, from its heatmap grid
+//   blocks      – its most recent SWEEP / BLOCK prints, newest first
+//   openAutoTrades – auto-trades on it not closed by a later auto-trade on the same contract
+//
+// Built from the aggregators the pipeline already keeps, so it covers the whole session the way
+// the Heatmap and Charts views do; the prints and auto-trades come from the in-memory lists.
+
+import { cellValue } from './strikeHeatmap.js';
+
+export const TOP_STRIKES = 10;
+export const RECENT_BLOCKS = 20;
+const BLOCK_CLASSES = ['SWEEP', 'BLOCK'];
+
+const OPENING = ['BTO', 'STO'];
+const CLOSING = ['BTC', 'STC'];
+
+const EMPTY_PREMIUM = { call: 0, put: 0, bull: 0, bear: 0 };
+
+const last = (values) => (values.length ? values[values.length - 1] : 0);
+
+export function premiumSplit(series) {
+  if (!series?.t.length) return EMPTY_PREMIUM;
+  return { call: last(series.call), put: last(series.put), bull: last(series.bull), bear: last(series.bear) };
+}
+
+// → [{ strike, call, put, total, net, count }] highest total premium first; net > 0 is bullish
+export function topStrikes(grid, limit = TOP_STRIKES) {
+  if (!grid) return [];
+  const byStrike = new Map();
+  for (const [key, cell] of Object.entries(grid.cells)) {
+    const strike = Number(key.slice(key.indexOf('|') + 1));
+    const row = byStrike.get(strike) || { strike, call: 0, put: 0, total: 0, net: 0, count: 0 };
+    row.call += cell.callBought + cell.callSold;
+    row.put += cell.putBought + cell.putSold;
+    row.net += cellValue(cell, 'premium');
+    row.count += cell.count;
+    byStrike.set(strike, row);
+  }
+  return [...byStrike.values()]
+    .map(row => ({ ...row, total: row.call + row.put }))
+    .sort((a, b) => b.total - a.total || b.strike - a.strike)
+    .slice(0, limit);
+}
+
+// Newest-first SWEEP / BLOCK prints on the symbol
+export function recentBlocks(prints, symbol, limit = RECENT_BLOCKS) {
+  const rows = [];
+  for (const print of prints) {
+    if (rows.length >= limit) break;
+    if (print.symbol === symbol && BLOCK_CLASSES.some(c => print.classifications?.includes(c))) rows.push(print);
+  }
+  return rows;
+}
+
+// Auto-trades on the symbol still open: oldest first, a BTC / STC closes the latest open
+// auto-trade on its contract. Trades without an opening / closing direction count as open.
+export function openAutoTrades(autoTrades, symbol) {
+  const open = [];
+  for (let i = autoTrades.length - 1; i >= 0; i--) {
+    const trade = autoTrades[i];
+    if (trade.symbol !== symbol) continue;
+    if (CLOSING.includes(trade.direction)) {
+      const at = open.findLastIndex(t => String(t.conid) === String(trade.conid));
+      if (at >= 0) open.splice(at, 1);
+    } else if (OPENING.includes(trade.direction) || !trade.direction) {
+      open.push(trade);
+    }
+  }
+  return open.reverse();
+}
+
+const sameRows = (a, b) => a.length === b.length && a.every((row, i) => row === b[i]);
+
+// Summary of one symbol; the same object back while nothing that feeds it changed, so the
+// snapshot diff only sends it when the symbol's flow moves
+export function createTickerSummarizer() {
+  let cached = null;
+
+  return {
+    // → { symbol, underlyingConid, underlyingPrice, series, premium, topStrikes, blocks, openAutoTrades }
+    get(symbol, { series, grid, prints, autoTrades }) {
+      if (cached?.symbol === symbol && cached.series === series && cached.grid === grid
+        && cached.prints === prints && cached.autoTrades === autoTrades) {
+        return cached.summary;
+      }
+      const prev = cached?.symbol === symbol ? cached.summary : null;
+      let blocks = recentBlocks(prints, symbol);
+      if (prev && sameRows(blocks, prev.blocks)) blocks = prev.blocks;
+      let open = openAutoTrades(autoTrades, symbol);
+      if (prev && sameRows(open, prev.openAutoTrades)) open = prev.openAutoTrades;
+
+      const unchanged = prev && prev.series === series && cached.grid === grid
+        && prev.blocks === blocks && prev.openAutoTrades === open;
+      const summary = unchanged ? prev : {
+        symbol,
+        underlyingConid: grid?.underlyingConid ?? null,
+        underlyingPrice: grid?.underlyingPrice ?? null,
+        series,
+        premium: premiumSplit(series),
+        topStrikes: topStrikes(grid),
+        blocks,
+        openAutoTrades: open,
+      };
+      cached = { symbol, series, grid, prints, autoTrades, summary };
+      return summary;
+    },
+
+    reset() {
+      cached = null;
+    },
+  };
+}
@@ -0,0 +1,77 @@
+import { createTickerSummarizer, openAutoTrades, recentBlocks, topStrikes } from './tickerSummary.js';
+import { createHeatmapAggregator } from './strikeHeatmap.js';
+import { createSeriesAggregator } from './flowSeries.js';
+
+const trade = (fields) => ({
+  symbol: 'NVDA', type: 'CALL', conid: 1, strike: 180, expiry: '20251128', premium: 100_000, direction: 'BTO', size: 10,
+  greeks: { delta: 0.5 }, classifications: [],
+  ...fields,
+});
+
+describe('tickerSummary', () => {
+  test('top strikes add up calls and puts across expiries', () => {
+    const heat = createHeatmapAggregator();
+    heat.add(trade({}));
+    heat.add(trade({ expiry: '20251205', direction: 'STO', premium: 50_000 }));
+    heat.add(trade({ type: 'PUT', strike: 170, premium: 200_000 }));
+    heat.add(trade({ strike: 190, premium: 10_000 }));
+
+    const rows = topStrikes(heat.getGrid('NVDA'), 2);
+    expect(rows.map(r => r.strike)).toEqual([170, 180]);
+    expect(rows[1]).toMatchObject({ call: 150_000, put: 0, total: 150_000, net: 50_000, count: 2 });
+    // bought puts are bearish
+    expect(rows[0].net).toBe(-200_000);
+    expect(topStrikes(null)).toEqual([]);
+  });
+
+  test('recent blocks are the symbol’s sweeps and blocks, newest first', () => {
+    const prints = [
+      trade({ id: 4, classifications: ['BLOCK'] }),
+      trade({ id: 3, symbol: 'SPY', classifications: ['SWEEP'] }),
+      trade({ id: 2 }),
+      trade({ id: 1, classifications: ['SWEEP', 'UNUSUAL'] }),
+      { type: 'GAP', id: 0 },
+    ];
+    expect(recentBlocks(prints, 'NVDA').map(p => p.id)).toEqual([4, 1]);
+    expect(recentBlocks(prints, 'NVDA', 1).map(p => p.id)).toEqual([4]);
+  });
+
+  test('an auto-trade closes the latest open one on its contract', () => {
+    // newest first, as in the lists
+    const autoTrades = [
+      trade({ id: 5, conid: 2, direction: 'STC' }),
+      trade({ id: 4, conid: 3, symbol: 'SPY' }),
+      trade({ id: 3, conid: 2 }),
+      trade({ id: 2, conid: 1, direction: 'STO' }),
+      trade({ id: 1, conid: 2 }),
+    ];
+    expect(openAutoTrades(autoTrades, 'NVDA').map(t => t.id)).toEqual([2, 1]);
+  });
+
+  test('the summary stays the same object until the symbol’s flow changes', () => {
+    const heat = createHeatmapAggregator();
+    const series = createSeriesAggregator();
+    const add = (t, at) => {
+      heat.add(t);
+      series.addTrade(t, at);
+    };
+    add(trade({ classifications: ['SWEEP'] }), 1000);
+    add(trade({ type: 'PUT', strike: 170, premium: 40_000 }), 2000);
+
+    const summarizer = createTickerSummarizer();
+    const inputs = (prints) => ({ series: series.getSeries('NVDA'), grid: heat.getGrid('NVDA'), prints, autoTrades: [] });
+    const sweep = trade({ id: 1, classifications: ['SWEEP'] });
+    const first = summarizer.get('NVDA', inputs([sweep]));
+    expect(first.premium).toMatchObject({ call: 100_000, put: 40_000, bull: 100_000, bear: 40_000 });
+    expect(first.blocks).toEqual([sweep]);
+
+    // another symbol's print: new list, same NVDA rows
+    expect(summarizer.get('NVDA', inputs([trade({ id: 2, symbol: 'SPY' }), sweep]))).toBe(first);
+
+    add(trade({ premium: 5_000 }), 3000);
+    const next = summarizer.get('NVDA', inputs([sweep]));
+    expect(next).not.toBe(first);
+    expect(next.blocks).toBe(first.blocks);
+    expect(next.premium.call).toBe(105_000);
+  });
+});
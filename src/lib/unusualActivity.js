@@ -0,0 +1,121 @@
+// Unusual-activity scoring. Each CALL/PUT is compared, before it's counted, against rolling
+// baselines of its own contract and of its underlying:
+//   size       log contracts
+//   premium    log dollars
+//   frequency  log time since the previous print (shorter than usual = burst)
+//
+// Baselines are exponentially weighted over the last ~UNUSUAL_WINDOW prints, so they follow
+// the session. A feature's z-score is the larger of the contract's and the underlying's, once
+// either has UNUSUAL_MIN_SAMPLES prints; the score is the weighted sum of the positive z-scores.
+// Only what's above normal counts – a small print is not "unusually small".
+
+import { legKey } from './spreadDetector.js';
+
+export const UNUSUAL_WINDOW = 200;
+export const UNUSUAL_MIN_SAMPLES = 5;
+// score from which a trade is badged as unusual
+export const UNUSUAL_THRESHOLD = 2;
+export const LEADERBOARD_SIZE = 25;
+
+const WEIGHTS = { premium: 0.45, size: 0.35, frequency: 0.2 };
+// a baseline that hasn't varied yet still needs a spread (log units, ≈ ±25%)
+const SD_FLOOR = 0.25;
+const MIN_GAP_S = 0.1;
+
+const emptyStat = () => ({ n: 0, mean: 0, variance: 0 });
+
+function updateStat(stat, x) {
+  stat.n += 1;
+  const a = 1 / Math.min(stat.n, UNUSUAL_WINDOW);
+  const d = x - stat.mean;
+  stat.mean += a * d;
+  stat.variance = (1 - a) * (stat.variance + a * d * d);
+}
+
+const zScore = (stat, x) => (
+  stat && stat.n >= UNUSUAL_MIN_SAMPLES ? (x - stat.mean) / Math.max(SD_FLOOR, Math.sqrt(stat.variance)) : null
+);
+
+const larger = (a, b) => (a === null ? b : b === null ? a : Math.max(a, b));
+
+const logGap = (ms) => Math.log(Math.max(MIN_GAP_S, ms / 1000));
+
+const emptyBaseline = () => ({ size: emptyStat(), premium: emptyStat(), gap: emptyStat(), lastAt: null });
+
+// → { size, premium, frequency } z-scores against one baseline (null = not enough history)
+function scoreAgainst(baseline, features, t) {
+  const gapZ = baseline.lastAt === null ? null : zScore(baseline.gap, logGap(t - baseline.lastAt));
+  return {
+    size: zScore(baseline.size, features.size),
+    premium: features.premium === null ? null : zScore(baseline.premium, features.premium),
+    frequency: gapZ === null ? null : -gapZ,
+  };
+}
+
+function updateBaseline(baseline, features, t) {
+  if (baseline.lastAt !== null) updateStat(baseline.gap, logGap(t - baseline.lastAt));
+  updateStat(baseline.size, features.size);
+  if (features.premium !== null) updateStat(baseline.premium, features.premium);
+  baseline.lastAt = t;
+}
+
+// { size, premium, frequency } z-scores → one score
+export function combineUnusual(z) {
+  let score = 0;
+  for (const [feature, weight] of Object.entries(WEIGHTS)) score += weight * Math.max(0, z[feature] ?? 0);
+  return Math.round(score * 100) / 100;
+}
+
+export function createUnusualScorer() {
+  let contracts = new Map(); // conid → baseline
+  let underlyings = new Map(); // symbol → baseline
+  let top = []; // { key, score, trade }, highest first; replaced on change
+
+  const baselineOf = (map, key) => {
+    let baseline = map.get(key);
+    if (!baseline) {
+      baseline = emptyBaseline();
+      map.set(key, baseline);
+    }
+    return baseline;
+  };
+
+  return {
+    // → { score, size, premium, frequency } for the trade (premium already resolved), or null
+    score(trade, receivedAt) {
+      const size = Number(trade.size);
+      if (!trade.symbol || !(size > 0)) return null;
+      const premium = Number(trade.premium);
+      const features = { size: Math.log(size), premium: premium > 0 ? Math.log(premium) : null };
+      const contract = trade.conid != null ? baselineOf(contracts, String(trade.conid)) : null;
+      const underlying = baselineOf(underlyings, trade.symbol);
+
+      const byUnderlying = scoreAgainst(underlying, features, receivedAt);
+      const byContract = contract ? scoreAgainst(contract, features, receivedAt) : { size: null, premium: null, frequency: null };
+      const z = {};
+      for (const feature of Object.keys(WEIGHTS)) z[feature] = larger(byContract[feature], byUnderlying[feature]);
+      if (contract) updateBaseline(contract, features, receivedAt);
+      updateBaseline(underlying, features, receivedAt);
+
+      const unusual = { score: combineUnusual(z), ...z };
+      if (unusual.score > 0 && (top.length < LEADERBOARD_SIZE || unusual.score > top[top.length - 1].score)) {
+        const row = { ...trade, receivedAt, unusual };
+        top = [...top, { key: legKey(row), score: unusual.score, trade: row }]
+          .sort((a, b) => b.score - a.score)
+          .slice(0, LEADERBOARD_SIZE);
+      }
+      return unusual;
+    },
+
+    // Session's most unusual trades, highest first (same array until it changes)
+    getLeaderboard() {
+      return top;
+    },
+
+    reset() {
+      contracts = new Map();
+      underlyings = new Map();
+      top = [];
+    },
+  };
+}
@@ -0,0 +1,68 @@
+import { LEADERBOARD_SIZE, UNUSUAL_MIN_SAMPLES, combineUnusual, createUnusualScorer } from './unusualActivity.js';
+
+const trade = (fields) => ({ symbol: 'SPY', conid: 1, size: 10, premium: 2_000, ...fields });
+
+// a steady baseline: prints of size 9–11 every 10 s
+function warmUp(scorer, count = 30, fields = {}) {
+  let t = 0;
+  for (let i = 0; i < count; i++) {
+    t += 10_000;
+    scorer.score(trade({ size: 9 + (i % 3), premium: 1_800 + 200 * (i % 3), ...fields }), t);
+  }
+  return t;
+}
+
+describe('unusualActivity', () => {
+  test('no score until a baseline has enough prints', () => {
+    const scorer = createUnusualScorer();
+    for (let i = 0; i < UNUSUAL_MIN_SAMPLES; i++) {
+      expect(scorer.score(trade({ size: 1000 }), i * 1000).score).toBe(0);
+    }
+    expect(scorer.score(trade({ size: 0 }), 0)).toBeNull();
+  });
+
+  test('a block far above the baseline scores high; a normal print does not', () => {
+    const scorer = createUnusualScorer();
+    let t = warmUp(scorer);
+    const normal = scorer.score(trade({}), (t += 10_000));
+    expect(normal.score).toBeLessThan(1);
+
+    const block = scorer.score(trade({ size: 2_000, premium: 400_000 }), (t += 10_000));
+    expect(block.size).toBeGreaterThan(5);
+    expect(block.premium).toBeGreaterThan(5);
+    expect(block.score).toBeGreaterThan(4);
+
+    // a burst of prints a few ms apart is unusual on frequency alone
+    scorer.score(trade({}), t + 50);
+    expect(scorer.score(trade({}), t + 100).frequency).toBeGreaterThan(2);
+  });
+
+  test('a new contract is judged against its underlying until it has its own history', () => {
+    const scorer = createUnusualScorer();
+    const t = warmUp(scorer);
+    const fresh = scorer.score(trade({ conid: 2, size: 500, premium: 100_000 }), t + 10_000);
+    expect(fresh.size).toBeGreaterThan(5);
+    // other underlyings have their own baselines
+    expect(scorer.score(trade({ symbol: 'QQQ', conid: 3, size: 500 }), t + 20_000).score).toBe(0);
+  });
+
+  test('leaderboard keeps the session top, highest first', () => {
+    const scorer = createUnusualScorer();
+    let t = warmUp(scorer);
+    for (let i = 0; i < LEADERBOARD_SIZE + 10; i++) {
+      scorer.score(trade({ size: 100 + i * 50, premium: 20_000 + i * 10_000 }), (t += 60_000));
+      warmUp(scorer, 3);
+    }
+    const top = scorer.getLeaderboard();
+    expect(top).toHaveLength(LEADERBOARD_SIZE);
+    expect(top.map(e => e.score)).toEqual([...top.map(e => e.score)].sort((a, b) => b - a));
+    expect(top[0].trade.unusual.score).toBe(top[0].score);
+    expect(scorer.getLeaderboard()).toBe(top);
+    scorer.reset();
+    expect(scorer.getLeaderboard()).toEqual([]);
+  });
+
+  test('only positive z-scores count', () => {
+    expect(combineUnusual({ size: -3, premium: 2, frequency: null })).toBe(0.9);
+  });
+});
@@ -0,0 +1,37 @@
+// Pure helpers behind VirtualList: row offsets from measured/estimated heights and
+// the window of rows intersecting the viewport.
+
+// → Float64Array of n + 1 offsets; offsets[i] is the top of row i, offsets[n] the total height.
+// sizes is keyed by String(getKey(item)).
+export function buildOffsets(items, getKey, sizes, estimateSize) {
+  const offsets = new Float64Array(items.length + 1);
+  for (let i = 0; i < items.length; i++) {
+    offsets[i + 1] = offsets[i] + (sizes.get(String(getKey(items[i]))) ?? estimateSize);
+  }
+  return offsets;
+}
+
+// index of the row containing y (binary search over offsets)
+export function rowAt(offsets, y) {
+  let lo = 0;
+  let hi = offsets.length - 2;
+  if (hi < 0) return 0;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (offsets[mid] <= y) lo = mid;
+    else hi = mid - 1;
+  }
+  return lo;
+}
+
+// → { start, end } half-open range of rows to render
+export function findVisibleRange(offsets, scrollTop, viewportHeight, overscan = 4) {
+  const count = offsets.length - 1;
+  if (count <= 0) return { start: 0, end: 0 };
+  const first = rowAt(offsets, Math.max(0, scrollTop));
+  const last = rowAt(offsets, scrollTop + viewportHeight);
+  return {
+    start: Math.max(0, first - overscan),
+    end: Math.min(count, last + 1 + overscan),
+  };
+}
@@ -0,0 +1,29 @@
+import { buildOffsets, findVisibleRange, rowAt } from './virtualization.js';
+
+const items = Array.from({ length: 10 }, (_, i) => ({ id: i }));
+const getKey = (item) => item.id;
+
+describe('buildOffsets', () => {
+  test('uses measured sizes and falls back to the estimate', () => {
+    const offsets = buildOffsets(items.slice(0, 3), getKey, new Map([['1', 50]]), 100);
+    expect([...offsets]).toEqual([0, 100, 150, 250]);
+  });
+});
+
+describe('findVisibleRange', () => {
+  const offsets = buildOffsets(items, getKey, new Map(), 100);
+
+  test('finds the rows intersecting the viewport plus overscan', () => {
+    expect(rowAt(offsets, 250)).toBe(2);
+    expect(findVisibleRange(offsets, 250, 200, 1)).toEqual({ start: 1, end: 6 });
+  });
+
+  test('clamps at both ends', () => {
+    expect(findVisibleRange(offsets, 0, 300, 5)).toEqual({ start: 0, end: 9 });
+    expect(findVisibleRange(offsets, 900, 300, 2)).toEqual({ start: 7, end: 10 });
+  });
+
+  test('empty list renders nothing', () => {
+    expect(findVisibleRange(buildOffsets([], getKey, new Map(), 100), 0, 500)).toEqual({ start: 0, end: 0 });
+  });
+});
@@ -0,0 +1,205 @@
+// Workspace layouts: the screen is a row of columns, each a stack of panels, and every panel
+// shows one of the views that used to be tabs, with its own filter expression.
+//
+//   layout = { columns: [{ id, size, panels: [{ id, view, filter, sort, size }] }] }
+//
+// Sizes are shares of the row (columns) or of the column (panels) and always add up to 1.
+// Panel ids double as the flow pipeline's filter view ids. Layouts are kept by name in
+// localStorage together with the name of the one in use; edits go straight into it.
+
+const STORAGE_KEY = 'optionsFlow.workspace';
+
+export const WORKSPACE_VIEWS = [
+  'stream', 'trades', 'prints', 'quotes', 'heatmap', 'charts', 'exposure', 'contracts',
+  'auto', 'portfolio', 'alerts', 'stats',
+];
+// views that list rows and so take a filter expression
+export const LIST_VIEWS = ['stream', 'trades', 'prints', 'auto'];
+const TRADE_SORTS = ['time', 'unusual'];
+
+// smallest share a splitter leaves a column or panel
+export const MIN_SIZE = 0.1;
+
+const panel = (id, view) => ({ id, view, filter: '', sort: 'time', size: 1 });
+
+const spread = (items) => items.map(item => ({ ...item, size: 1 / items.length }));
+
+export const DEFAULT_LAYOUT_NAME = 'Default';
+
+// the old single tabbed view, and the stream next to quotes and stats for wide screens
+export const BUILTIN_LAYOUTS = {
+  [DEFAULT_LAYOUT_NAME]: { columns: [{ id: 'c1', size: 1, panels: [panel('main', 'stream')] }] },
+  'Side by side': {
+    columns: spread([
+      { id: 'c1', panels: [panel('main', 'stream')] },
+      { id: 'c2', panels: [panel('p2', 'quotes')] },
+      { id: 'c3', panels: [panel('p3', 'stats')] },
+    ]),
+  },
+};
+
+export const DEFAULT_WORKSPACE = { active: DEFAULT_LAYOUT_NAME, layouts: BUILTIN_LAYOUTS };
+
+export const allPanels = (layout) => layout.columns.flatMap(c => c.panels);
+
+export const findPanel = (layout, id) => allPanels(layout).find(p => p.id === id) ?? null;
+
+// next free id with the prefix: p4 after p1..p3
+const nextId = (ids, prefix) => {
+  let max = 0;
+  for (const id of ids) {
+    const m = new RegExp(`^${prefix}(\\d+)$`).exec(id);
+    if (m) max = Math.max(max, Number(m[1]));
+  }
+  return `${prefix}${max + 1}`;
+};
+
+// scale sizes back to a sum of 1 (new or removed items)
+const rescale = (items) => {
+  const total = items.reduce((sum, item) => sum + item.size, 0);
+  return total > 0 ? items.map(item => ({ ...item, size: item.size / total })) : spread(items);
+};
+
+const withoutEmptyColumns = (columns) => rescale(columns.filter(c => c.panels.length));
+
+// New panel in a column of its own on the right, as wide as the average column
+export function addPanel(layout, view) {
+  const id = nextId(allPanels(layout).map(p => p.id), 'p');
+  const column = { id: nextId(layout.columns.map(c => c.id), 'c'), size: 1 / layout.columns.length, panels: [panel(id, view)] };
+  return { columns: rescale([...layout.columns, column]) };
+}
+
+// The last panel stays – an empty workspace would have nothing to add panels from
+export function removePanel(layout, id) {
+  if (allPanels(layout).length <= 1) return layout;
+  return {
+    columns: withoutEmptyColumns(layout.columns.map(c => (
+      c.panels.some(p => p.id === id) ? { ...c, panels: rescale(c.panels.filter(p => p.id !== id)) } : c
+    ))),
+  };
+}
+
+export function updatePanel(layout, id, fields) {
+  return {
+    columns: layout.columns.map(c => (
+      c.panels.some(p => p.id === id) ? { ...c, panels: c.panels.map(p => (p.id === id ? { ...p, ...fields } : p)) } : c
+    )),
+  };
+}
+
+// Move panel `id` next to panel `targetId`: edge top / bottom → into the target's column,
+// above or below it; left / right → a new column beside the target's
+export function dockPanel(layout, id, targetId, edge) {
+  const moving = findPanel(layout, id);
+  if (!moving || id === targetId || !findPanel(layout, targetId)) return layout;
+  const columns = layout.columns.map(c => ({ ...c, panels: rescale(c.panels.filter(p => p.id !== id)) }));
+  const index = columns.findIndex(c => c.panels.some(p => p.id === targetId));
+  const target = columns[index];
+
+  if (edge === 'top' || edge === 'bottom') {
+    const at = target.panels.findIndex(p => p.id === targetId) + (edge === 'bottom' ? 1 : 0);
+    const panels = [...target.panels];
+    // an average share before rescaling → 1 / (n + 1) after
+    panels.splice(at, 0, { ...moving, size: 1 / panels.length });
+    columns[index] = { ...target, panels: rescale(panels) };
+  } else {
+    const column = { id: nextId(layout.columns.map(c => c.id), 'c'), size: target.size / 2, panels: [{ ...moving, size: 1 }] };
+    columns[index] = { ...target, size: target.size / 2 };
+    columns.splice(edge === 'left' ? index : index + 1, 0, column);
+  }
+  return { columns: withoutEmptyColumns(columns) };
+}
+
+// Move `delta` (share of the whole) across the splitter after items[index]
+const resizePair = (items, index, delta) => {
+  const a = items[index];
+  const b = items[index + 1];
+  if (!a || !b) return items;
+  const shift = Math.max(MIN_SIZE - a.size, Math.min(b.size - MIN_SIZE, delta));
+  return items.map((item, i) => (
+    i === index ? { ...item, size: a.size + shift } : i === index + 1 ? { ...item, size: b.size - shift } : item
+  ));
+};
+
+export function resizeColumns(layout, index, delta) {
+  return { columns: resizePair(layout.columns, index, delta) };
+}
+
+export function resizePanels(layout, columnId, index, delta) {
+  return {
+    columns: layout.columns.map(c => (c.id === columnId ? { ...c, panels: resizePair(c.panels, index, delta) } : c)),
+  };
+}
+
+const validSize = (size) => (Number.isFinite(Number(size)) && Number(size) > 0 ? Number(size) : 1);
+
+// → layout with unknown views, duplicate ids and empty columns dropped, or null if nothing is left
+export function normalizeLayout(layout) {
+  const seen = new Set();
+  const columns = [];
+  for (const [i, c] of (Array.isArray(layout?.columns) ? layout.columns : []).entries()) {
+    const panels = [];
+    for (const p of Array.isArray(c?.panels) ? c.panels : []) {
+      if (!p || typeof p.id !== 'string' || seen.has(p.id) || !WORKSPACE_VIEWS.includes(p.view)) continue;
+      seen.add(p.id);
+      panels.push({
+        id: p.id,
+        view: p.view,
+        filter: typeof p.filter === 'string' ? p.filter : '',
+        sort: TRADE_SORTS.includes(p.sort) ? p.sort : 'time',
+        size: validSize(p.size),
+      });
+    }
+    if (panels.length) columns.push({ id: typeof c.id === 'string' ? c.id : `c${i + 1}`, size: validSize(c.size), panels: rescale(panels) });
+  }
+  return columns.length ? { columns: rescale(columns) } : null;
+}
+
+export function normalizeWorkspace(workspace) {
+  const layouts = {};
+  for (const [name, layout] of Object.entries(workspace?.layouts ?? {})) {
+    const normalized = normalizeLayout(layout);
+    if (name.trim() && normalized) layouts[name.trim()] = normalized;
+  }
+  if (!Object.keys(layouts).length) return DEFAULT_WORKSPACE;
+  return { active: workspace.active in layouts ? workspace.active : Object.keys(layouts)[0], layouts };
+}
+
+export function loadWorkspace() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    return raw ? normalizeWorkspace(JSON.parse(raw)) : DEFAULT_WORKSPACE;
+  } catch {
+    return DEFAULT_WORKSPACE;
+  }
+}
+
+export function saveWorkspace(workspace) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(workspace));
+  } catch {
+    // storage full or disabled – layouts just won't persist
+  }
+}
+
+export const activeLayout = (workspace) => workspace.layouts[workspace.active];
+
+// Edit the layout in use
+export const setActiveLayout = (workspace, layout) => ({
+  ...workspace,
+  layouts: { ...workspace.layouts, [workspace.active]: layout },
+});
+
+// Copy the layout in use under a new (or existing) name and switch to it
+export function saveLayoutAs(workspace, name) {
+  const trimmed = name.trim();
+  if (!trimmed) return workspace;
+  return { active: trimmed, layouts: { ...workspace.layouts, [trimmed]: activeLayout(workspace) } };
+}
+
+// Drop a named layout; the last one stays
+export function deleteLayout(workspace, name) {
+  const { [name]: removed, ...layouts } = workspace.layouts;
+  if (!removed || !Object.keys(layouts).length) return workspace;
+  return { active: workspace.active === name ? Object.keys(layouts)[0] : workspace.active, layouts };
+}
@@ -0,0 +1,89 @@
+import {
+  BUILTIN_LAYOUTS,
+  DEFAULT_LAYOUT_NAME,
+  DEFAULT_WORKSPACE,
+  MIN_SIZE,
+  addPanel,
+  allPanels,
+  deleteLayout,
+  dockPanel,
+  normalizeLayout,
+  normalizeWorkspace,
+  removePanel,
+  resizeColumns,
+  saveLayoutAs,
+  updatePanel,
+} from './workspaceLayout.js';
+
+const sizes = (items) => items.map(i => Math.round(i.size * 1000) / 1000);
+const ids = (layout) => layout.columns.map(c => c.panels.map(p => p.id));
+
+describe('workspaceLayout', () => {
+  test('added panels get fresh ids in a new column; sizes stay shares of 1', () => {
+    let layout = BUILTIN_LAYOUTS[DEFAULT_LAYOUT_NAME];
+    layout = addPanel(layout, 'quotes');
+    layout = addPanel(layout, 'stats');
+    expect(ids(layout)).toEqual([['main'], ['p1'], ['p2']]);
+    expect(sizes(layout.columns)).toEqual([0.333, 0.333, 0.333]);
+    expect(allPanels(layout).map(p => p.view)).toEqual(['stream', 'quotes', 'stats']);
+  });
+
+  test('docking moves a panel into a column or beside it, dropping emptied columns', () => {
+    const layout = BUILTIN_LAYOUTS['Side by side'];
+    const stacked = dockPanel(layout, 'p3', 'p2', 'bottom');
+    expect(ids(stacked)).toEqual([['main'], ['p2', 'p3']]);
+    expect(sizes(stacked.columns)).toEqual([0.5, 0.5]);
+    expect(sizes(stacked.columns[1].panels)).toEqual([0.5, 0.5]);
+
+    const split = dockPanel(stacked, 'p2', 'main', 'left');
+    expect(ids(split)).toEqual([['p2'], ['main'], ['p3']]);
+    expect(sizes(split.columns)).toEqual([0.25, 0.25, 0.5]);
+    expect(split.columns[2].panels[0].size).toBe(1);
+
+    expect(dockPanel(layout, 'main', 'main', 'top')).toBe(layout);
+  });
+
+  test('splitters move size between neighbours, never below the minimum', () => {
+    const layout = BUILTIN_LAYOUTS['Side by side'];
+    const wider = resizeColumns(layout, 0, 0.1);
+    expect(sizes(wider.columns)).toEqual([0.433, 0.233, 0.333]);
+    const squeezed = resizeColumns(layout, 0, 0.9);
+    expect(squeezed.columns[1].size).toBeCloseTo(MIN_SIZE);
+  });
+
+  test('panel edits and removal; the last panel stays', () => {
+    let layout = updatePanel(BUILTIN_LAYOUTS['Side by side'], 'main', { filter: 'symbol = SPY' });
+    expect(layout.columns[0].panels[0].filter).toBe('symbol = SPY');
+    layout = removePanel(removePanel(layout, 'p2'), 'p3');
+    expect(ids(layout)).toEqual([['main']]);
+    expect(layout.columns[0].size).toBe(1);
+    expect(removePanel(layout, 'main')).toBe(layout);
+  });
+
+  test('stored layouts are cleaned up; nothing usable → the built-ins', () => {
+    expect(normalizeLayout({
+      columns: [
+        { id: 'c1', size: 3, panels: [{ id: 'a', view: 'trades', sort: 'bogus' }, { id: 'a', view: 'prints' }] },
+        { id: 'c2', panels: [{ id: 'b', view: 'nope' }] },
+        { size: 1, panels: [{ id: 'c', view: 'quotes', filter: 'symbol = SPY', size: -1 }] },
+      ],
+    })).toEqual({
+      columns: [
+        { id: 'c1', size: 0.75, panels: [{ id: 'a', view: 'trades', filter: '', sort: 'time', size: 1 }] },
+        { id: 'c3', size: 0.25, panels: [{ id: 'c', view: 'quotes', filter: 'symbol = SPY', sort: 'time', size: 1 }] },
+      ],
+    });
+    expect(normalizeWorkspace({ active: 'x', layouts: { x: { columns: [] } } })).toBe(DEFAULT_WORKSPACE);
+  });
+
+  test('named layouts: save as switches to the copy; the last one cannot be deleted', () => {
+    const saved = saveLayoutAs(DEFAULT_WORKSPACE, '  Wide  ');
+    expect(saved.active).toBe('Wide');
+    expect(saved.layouts.Wide).toBe(BUILTIN_LAYOUTS[DEFAULT_LAYOUT_NAME]);
+    const deleted = deleteLayout(saved, 'Wide');
+    expect(deleted.active).toBe(DEFAULT_LAYOUT_NAME);
+    expect(Object.keys(deleted.layouts)).not.toContain('Wide');
+    const single = { active: 'Only', layouts: { Only: BUILTIN_LAYOUTS[DEFAULT_LAYOUT_NAME] } };
+    expect(deleteLayout(single, 'Only')).toBe(single);
+  });
+});
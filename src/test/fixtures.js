@@ -0,0 +1,11 @@
+import sessionNdjson from './fixtures/session.ndjson?raw';
+import { parseNdjson } from '../lib/sessionRecorder.js';
+
+// Recorded session under src/test/fixtures → [{ t, msg }]
+export function loadFixtureSession() {
+  return parseNdjson(sessionNdjson);
+}
+
+export function fixtureMessage(type, index = 0) {
+  return loadFixtureSession().filter(({ msg }) => msg.type === type)[index];
+}
@@ -0,0 +1,10 @@
+// Flow Web Worker: hosts the flow pipeline off the main thread.
+import { createFlowPipeline } from '../lib/flowPipeline.js';
+
+const pipeline = createFlowPipeline({ post: (message) => self.postMessage(message) });
+
+self.onmessage = (event) => {
+  const done = pipeline.handle(event.data);
+  // dispose resolves once a running recording is flushed
+  if (event.data.type === 'dispose') Promise.resolve(done).finally(() => self.close());
+};